@@ -0,0 +1,283 @@
+const DjAddOn = require("../models/DjAddOn");
+const DjProfile = require("../models/DjProfile");
+const { logger } = require("../utils/database");
+
+/**
+ * Validate add-on fields
+ * @param {Object} addOnData - Add-on fields from the request body
+ * @param {boolean} partial - Whether missing fields are allowed (updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateAddOn = (addOnData, partial = false) => {
+  const { name, price, active } = addOnData;
+
+  if (!partial && (!name || price === undefined)) {
+    return "Name and price are required";
+  }
+
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return "Name must be a non-empty string";
+  }
+
+  if (
+    price !== undefined &&
+    (typeof price !== "number" || !Number.isFinite(price) || price < 0)
+  ) {
+    return "Price must be a non-negative number";
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return "Active must be a boolean";
+  }
+
+  return null;
+};
+
+/**
+ * Add-On Controller - Handlers for optional extras DJs offer with bookings
+ */
+const AddOnController = {
+  /**
+   * Get all add-ons for the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getMyAddOns: async (req, res) => {
+    try {
+      logger.info(`Get add-ons for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const addOns = await DjAddOn.getByDjProfileId(djProfile.id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          add_ons: addOns,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get add-ons error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get add-ons",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the bookable add-ons of a DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getAddOnsByDjId: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Get add-ons for DJ profile: ${id}`);
+
+      const djProfile = await DjProfile.getById(id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const addOns = await DjAddOn.getByDjProfileId(id, true);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          add_ons: addOns,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get DJ add-ons error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get add-ons",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Create an add-on for the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  createAddOn: async (req, res) => {
+    try {
+      logger.info(`Create add-on request for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const { name, description, price, active } = req.body;
+
+      const validationError = validateAddOn(req.body);
+
+      if (validationError) {
+        logger.warn(`Create add-on failed: ${validationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      const newAddOn = await DjAddOn.create({
+        dj_profile_id: djProfile.id,
+        name: name.trim(),
+        description,
+        price,
+        active,
+      });
+
+      logger.info(`Add-on created successfully: ${newAddOn[0].id}`);
+
+      res.status(201).json({
+        status: "success",
+        message: "Add-on created successfully",
+        data: {
+          add_on: newAddOn[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Create add-on error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to create add-on",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Update an add-on owned by the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  updateAddOn: async (req, res) => {
+    try {
+      const { addOnId } = req.params;
+
+      logger.info(`Update add-on request: ${addOnId}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+      const addOn = await DjAddOn.getById(addOnId);
+
+      if (!djProfile || !addOn || addOn.dj_profile_id !== djProfile.id) {
+        logger.warn(`Add-on ${addOnId} not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Add-on not found",
+        });
+      }
+
+      const { name, description, price, active } = req.body;
+
+      const validationError = validateAddOn(req.body, true);
+
+      if (validationError) {
+        logger.warn(`Update add-on failed: ${validationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      // Prepare update data
+      const updateData = {};
+
+      if (name !== undefined) updateData.name = name.trim();
+      if (description !== undefined) updateData.description = description;
+      if (price !== undefined) updateData.price = price;
+      if (active !== undefined) updateData.active = active;
+
+      const updatedAddOn = await DjAddOn.update(addOnId, updateData);
+
+      logger.info(`Add-on updated successfully: ${addOnId}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Add-on updated successfully",
+        data: {
+          add_on: updatedAddOn[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Update add-on error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update add-on",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Delete an add-on owned by the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  deleteAddOn: async (req, res) => {
+    try {
+      const { addOnId } = req.params;
+
+      logger.info(`Delete add-on request: ${addOnId}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+      const addOn = await DjAddOn.getById(addOnId);
+
+      if (!djProfile || !addOn || addOn.dj_profile_id !== djProfile.id) {
+        logger.warn(`Add-on ${addOnId} not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Add-on not found",
+        });
+      }
+
+      await DjAddOn.delete(addOnId);
+
+      logger.info(`Add-on deleted successfully: ${addOnId}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Add-on deleted successfully",
+      });
+    } catch (error) {
+      logger.error(`Delete add-on error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to delete add-on",
+        error: error.message,
+      });
+    }
+  },
+};
+
+module.exports = AddOnController;
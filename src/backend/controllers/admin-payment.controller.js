@@ -0,0 +1,290 @@
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const AuditLog = require("../models/AuditLog");
+const { logger } = require("../utils/database");
+const { PAYMENT_STATUSES } = require("../services/refund.service");
+
+// Reasons Stripe accepts on a refund; anything else goes in the note
+const STRIPE_REFUND_REASONS = [
+  "duplicate",
+  "fraudulent",
+  "requested_by_customer",
+];
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Date string
+ * @returns {Date|null|undefined} - Date, null when absent, undefined when invalid
+ */
+const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Admin Payment Controller - Handlers for support staff managing payments
+ */
+const AdminPaymentController = {
+  /**
+   * List payments filtered by status, date range, DJ and host
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  listPayments: async (req, res) => {
+    try {
+      const { status, dj_profile_id, host_id } = req.query;
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      const limit = Math.min(
+        parseInt(req.query.limit, 10) || 50,
+        MAX_PAGE_SIZE
+      );
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      logger.info(`Admin payment list request from: ${req.user.id}`);
+
+      if (status && !PAYMENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          status: "error",
+          message: `Status must be one of: ${PAYMENT_STATUSES.join(", ")}`,
+        });
+      }
+
+      if (from === undefined || to === undefined) {
+        return res.status(400).json({
+          status: "error",
+          message: "from and to must be valid dates",
+        });
+      }
+
+      const filters = {
+        status,
+        from,
+        to,
+        djProfileId: dj_profile_id,
+        hostId: host_id,
+      };
+      const { payments, total } = await Payment.search({
+        ...filters,
+        limit,
+        offset,
+      });
+
+      await AuditLog.record({
+        actor: req.user,
+        action: "payment.list",
+        entityType: "payment",
+        details: { filters: req.query, results: payments.length },
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          payments,
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin payment list error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to list payments",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Refund a payment in full or in part
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  refundPayment: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { amount, reason, stripe_reason, cancel_booking } = req.body;
+
+      logger.info(`Admin refund of payment ${id} by: ${req.user.id}`);
+
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({
+          status: "error",
+          message: "A reason is required for the refund",
+        });
+      }
+
+      if (stripe_reason && !STRIPE_REFUND_REASONS.includes(stripe_reason)) {
+        return res.status(400).json({
+          status: "error",
+          message: `stripe_reason must be one of: ${STRIPE_REFUND_REASONS.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const payment = await Payment.getById(id);
+
+      if (!payment) {
+        logger.warn(`Payment not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Payment not found",
+        });
+      }
+
+      const note = String(reason).trim();
+      const refund = await Payment.refund(id, {
+        amount: amount !== undefined ? parseFloat(amount) : undefined,
+        reason: stripe_reason,
+        note,
+        actor: { id: req.user.id, role: "admin", reason: note },
+        cancelBooking: cancel_booking !== false,
+      });
+
+      await AuditLog.record({
+        actor: req.user,
+        action: "payment.refund",
+        entityType: "payment",
+        entityId: id,
+        details: {
+          refund_id: refund.refund_id,
+          amount: refund.amount,
+          reason: note,
+          payment_status: refund.payment_status,
+        },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Refund issued",
+        data: {
+          refund,
+          refunds: await Refund.getByPaymentId(id),
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin refund error: ${error.message}`);
+
+      if (error.status === 400 || error.status === 409) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to refund payment",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Record the outcome of a chargeback on a payment
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  resolveDispute: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { outcome, note } = req.body;
+
+      logger.info(`Admin dispute resolution for payment ${id}: ${outcome}`);
+
+      if (!["won", "lost"].includes(outcome)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Outcome must be one of: won, lost",
+        });
+      }
+
+      const payment = await Payment.getById(id);
+
+      if (!payment) {
+        logger.warn(`Payment not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Payment not found",
+        });
+      }
+
+      const updatedPayment = await Payment.closeDispute(payment, outcome);
+
+      await AuditLog.record({
+        actor: req.user,
+        action: `payment.dispute_${outcome}`,
+        entityType: "payment",
+        entityId: id,
+        details: {
+          stripe_dispute_id: payment.stripe_dispute_id,
+          note: note || null,
+        },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: `Dispute marked as ${outcome}`,
+        data: {
+          payment: updatedPayment,
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin dispute resolution error: ${error.message}`);
+
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to resolve dispute",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the audit trail of a payment
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getPaymentAudit: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Admin audit trail request for payment: ${id}`);
+
+      const entries = await AuditLog.getByEntity("payment", id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          audit: entries,
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin audit trail error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get audit trail",
+        error: error.message,
+      });
+    }
+  },
+};
+
+module.exports = AdminPaymentController;
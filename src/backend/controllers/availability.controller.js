@@ -0,0 +1,488 @@
+const DjAvailability = require("../models/DjAvailability");
+const DjProfile = require("../models/DjProfile");
+const { logger } = require("../utils/database");
+const moment = require("moment-timezone");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Validate recurring rule fields
+ * @param {Object} ruleData - Rule fields from the request body
+ * @param {boolean} partial - Whether missing fields are allowed (updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRule = (ruleData, partial = false) => {
+  const { days_of_week, start_time, end_time, timezone } = ruleData;
+
+  if (!partial && (!days_of_week || !start_time || !end_time)) {
+    return "Days of week, start time, and end time are required";
+  }
+
+  if (
+    days_of_week !== undefined &&
+    (!Array.isArray(days_of_week) ||
+      days_of_week.length === 0 ||
+      !days_of_week.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))
+  ) {
+    return "Days of week must be a non-empty array of integers from 0 (Sunday) to 6 (Saturday)";
+  }
+
+  if (start_time !== undefined && !TIME_PATTERN.test(start_time)) {
+    return "Start time must be in HH:mm format";
+  }
+
+  if (end_time !== undefined && !TIME_PATTERN.test(end_time)) {
+    return "End time must be in HH:mm format";
+  }
+
+  if (timezone !== undefined && !moment.tz.zone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate blackout period fields
+ * @param {Object} blackoutData - Blackout fields (start_time, end_time)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateBlackout = ({ start_time, end_time }) => {
+  if (!start_time || !end_time) {
+    return "Start time and end time are required";
+  }
+
+  const startTime = moment(start_time);
+  const endTime = moment(end_time);
+
+  if (!startTime.isValid() || !endTime.isValid()) {
+    return "Invalid date format";
+  }
+
+  if (!endTime.isAfter(startTime)) {
+    return "End time must be after start time";
+  }
+
+  return null;
+};
+
+/**
+ * Availability Controller - Handlers for DJ working hours and blackout periods
+ */
+const AvailabilityController = {
+  /**
+   * Get recurring availability rules for the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getMyRules: async (req, res) => {
+    try {
+      logger.info(`Get availability rules for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const rules = await DjAvailability.getRulesByDjProfileId(djProfile.id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          rules,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get availability rules error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get availability rules",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Create a recurring availability rule for the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  createRule: async (req, res) => {
+    try {
+      logger.info(`Create availability rule request for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const { days_of_week, start_time, end_time, timezone } = req.body;
+
+      const validationError = validateRule(req.body);
+
+      if (validationError) {
+        logger.warn(`Create availability rule failed: ${validationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      const newRule = await DjAvailability.createRule({
+        dj_profile_id: djProfile.id,
+        days_of_week,
+        start_time,
+        end_time,
+        timezone: timezone || "UTC",
+      });
+
+      logger.info(`Availability rule created successfully: ${newRule[0].id}`);
+
+      res.status(201).json({
+        status: "success",
+        message: "Availability rule created successfully",
+        data: {
+          rule: newRule[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Create availability rule error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to create availability rule",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Update a recurring availability rule owned by the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  updateRule: async (req, res) => {
+    try {
+      const { ruleId } = req.params;
+
+      logger.info(`Update availability rule request: ${ruleId}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+      const rule = await DjAvailability.getRuleById(ruleId);
+
+      if (!djProfile || !rule || rule.dj_profile_id !== djProfile.id) {
+        logger.warn(
+          `Availability rule ${ruleId} not found for user: ${req.user.id}`
+        );
+        return res.status(404).json({
+          status: "error",
+          message: "Availability rule not found",
+        });
+      }
+
+      const { days_of_week, start_time, end_time, timezone } = req.body;
+
+      const validationError = validateRule(req.body, true);
+
+      if (validationError) {
+        logger.warn(`Update availability rule failed: ${validationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      // Prepare update data
+      const updateData = {};
+
+      if (days_of_week) updateData.days_of_week = days_of_week;
+      if (start_time) updateData.start_time = start_time;
+      if (end_time) updateData.end_time = end_time;
+      if (timezone) updateData.timezone = timezone;
+
+      const updatedRule = await DjAvailability.updateRule(ruleId, updateData);
+
+      logger.info(`Availability rule updated successfully: ${ruleId}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Availability rule updated successfully",
+        data: {
+          rule: updatedRule[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Update availability rule error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update availability rule",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Delete a recurring availability rule owned by the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  deleteRule: async (req, res) => {
+    try {
+      const { ruleId } = req.params;
+
+      logger.info(`Delete availability rule request: ${ruleId}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+      const rule = await DjAvailability.getRuleById(ruleId);
+
+      if (!djProfile || !rule || rule.dj_profile_id !== djProfile.id) {
+        logger.warn(
+          `Availability rule ${ruleId} not found for user: ${req.user.id}`
+        );
+        return res.status(404).json({
+          status: "error",
+          message: "Availability rule not found",
+        });
+      }
+
+      await DjAvailability.deleteRule(ruleId);
+
+      logger.info(`Availability rule deleted successfully: ${ruleId}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Availability rule deleted successfully",
+      });
+    } catch (error) {
+      logger.error(`Delete availability rule error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to delete availability rule",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get blackout periods for the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getMyBlackouts: async (req, res) => {
+    try {
+      logger.info(`Get blackouts for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const blackouts = await DjAvailability.getBlackoutsByDjProfileId(
+        djProfile.id
+      );
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          blackouts,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get blackouts error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get blackouts",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Create a blackout period for the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  createBlackout: async (req, res) => {
+    try {
+      logger.info(`Create blackout request for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const { start_time, end_time, reason } = req.body;
+
+      const validationError = validateBlackout(req.body);
+
+      if (validationError) {
+        logger.warn(`Create blackout failed: ${validationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      const newBlackout = await DjAvailability.createBlackout({
+        dj_profile_id: djProfile.id,
+        start_time: moment(start_time).toISOString(),
+        end_time: moment(end_time).toISOString(),
+        reason: reason || "",
+      });
+
+      logger.info(`Blackout created successfully: ${newBlackout[0].id}`);
+
+      res.status(201).json({
+        status: "success",
+        message: "Blackout created successfully",
+        data: {
+          blackout: newBlackout[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Create blackout error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to create blackout",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Update a blackout period owned by the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  updateBlackout: async (req, res) => {
+    try {
+      const { blackoutId } = req.params;
+
+      logger.info(`Update blackout request: ${blackoutId}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+      const blackout = await DjAvailability.getBlackoutById(blackoutId);
+
+      if (!djProfile || !blackout || blackout.dj_profile_id !== djProfile.id) {
+        logger.warn(`Blackout ${blackoutId} not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Blackout not found",
+        });
+      }
+
+      const { reason } = req.body;
+      const start_time = req.body.start_time || blackout.start_time;
+      const end_time = req.body.end_time || blackout.end_time;
+
+      const validationError = validateBlackout({ start_time, end_time });
+
+      if (validationError) {
+        logger.warn(`Update blackout failed: ${validationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      // Prepare update data
+      const updateData = {
+        start_time: moment(start_time).toISOString(),
+        end_time: moment(end_time).toISOString(),
+      };
+
+      if (reason !== undefined) updateData.reason = reason;
+
+      const updatedBlackout = await DjAvailability.updateBlackout(
+        blackoutId,
+        updateData
+      );
+
+      logger.info(`Blackout updated successfully: ${blackoutId}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Blackout updated successfully",
+        data: {
+          blackout: updatedBlackout[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Update blackout error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update blackout",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Delete a blackout period owned by the current DJ
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  deleteBlackout: async (req, res) => {
+    try {
+      const { blackoutId } = req.params;
+
+      logger.info(`Delete blackout request: ${blackoutId}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+      const blackout = await DjAvailability.getBlackoutById(blackoutId);
+
+      if (!djProfile || !blackout || blackout.dj_profile_id !== djProfile.id) {
+        logger.warn(`Blackout ${blackoutId} not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Blackout not found",
+        });
+      }
+
+      await DjAvailability.deleteBlackout(blackoutId);
+
+      logger.info(`Blackout deleted successfully: ${blackoutId}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Blackout deleted successfully",
+      });
+    } catch (error) {
+      logger.error(`Delete blackout error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to delete blackout",
+        error: error.message,
+      });
+    }
+  },
+};
+
+module.exports = AvailabilityController;
@@ -1,7 +1,39 @@
 const Booking = require("../models/Booking");
 const DjProfile = require("../models/DjProfile");
+const DjAddOn = require("../models/DjAddOn");
+const Payment = require("../models/Payment");
+const User = require("../models/User");
 const { logger } = require("../utils/database");
-const moment = require("moment-timezone");
+const {
+  isValidTimezone,
+  parseLocalTime,
+  resolveTimezone,
+  withLocalTimes,
+} = require("../services/timezone.service");
+const {
+  isValidStatus,
+  isFinalStatus,
+  getAllowedTransitions,
+} = require("../services/booking-state.service");
+const {
+  computeQuote,
+  summarizeQuote,
+} = require("../services/pricing.service");
+const {
+  convertQuote,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+} = require("../services/currency.service");
+const { getExchangeRate } = require("../services/fx-rate.service");
+const { calculateTaxes } = require("../services/tax.service");
+const {
+  fieldError,
+  validateBookingTimes,
+} = require("../services/booking-validation.service");
+const fs = require("fs");
+const path = require("path");
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
 
 /**
  * Booking Controller - Handlers for booking-related API endpoints
@@ -45,7 +77,7 @@ const BookingController = {
       res.status(200).json({
         status: "success",
         data: {
-          bookings,
+          bookings: bookings.map(withLocalTimes),
         },
       });
     } catch (error) {
@@ -106,10 +138,13 @@ const BookingController = {
         }
       }
 
+      const lineItems = await Booking.getLineItems(id);
+
       res.status(200).json({
         status: "success",
         data: {
-          booking,
+          booking: withLocalTimes(booking),
+          line_items: lineItems,
         },
       });
     } catch (error) {
@@ -141,110 +176,172 @@ const BookingController = {
         });
       }
 
-      // Extract booking data from request
-      const { dj_profile_id, start_time, end_time, notes } = req.body;
+      const prepared = await prepareBooking(req.user.id, req.body);
 
-      // Validate required fields
-      if (!dj_profile_id || !start_time || !end_time) {
-        logger.warn("Create booking failed: Missing required fields");
-        return res.status(400).json({
+      if (prepared.error) {
+        logger.warn(`Create booking failed: ${prepared.error}`);
+        return res.status(prepared.status).json({
           status: "error",
-          message: "DJ profile ID, start time, and end time are required",
+          message: prepared.error,
+          errors: prepared.errors,
         });
       }
 
-      // Get DJ profile
-      const djProfile = await DjProfile.getById(dj_profile_id);
+      const {
+        djProfile,
+        hostTimezone,
+        djTimezone,
+        startTime,
+        endTime,
+        durationHours,
+        quote,
+      } = prepared.data;
 
-      if (!djProfile) {
-        logger.warn(`DJ profile not found: ${dj_profile_id}`);
-        return res.status(404).json({
+      // Create booking; the model checks blackouts and conflicts atomically
+      const newBooking = await Booking.create({
+        host_id: req.user.id,
+        dj_profile_id: djProfile.id,
+        start_time: startTime.toISOString(),
+        end_time: endTime.toISOString(),
+        host_timezone: hostTimezone,
+        dj_timezone: djTimezone,
+        duration_hours: durationHours,
+        total_amount: quote.subtotal,
+        line_items: quote.line_items,
+        status: "requested",
+        payment_status: "pending",
+        notes: req.body.notes || "",
+      });
+
+      logger.info(`Booking created successfully: ${newBooking[0].id}`);
+
+      res.status(201).json({
+        status: "success",
+        message: "Booking created successfully",
+        data: {
+          booking: withLocalTimes(newBooking[0]),
+          line_items: await Booking.getLineItems(newBooking[0].id),
+        },
+      });
+    } catch (error) {
+      logger.error(`Create booking error: ${error.message}`);
+
+      if (error.status === 400 || error.status === 409) {
+        return res.status(error.status).json({
           status: "error",
-          message: "DJ profile not found",
+          message: error.message,
+          errors: error.errors,
         });
       }
 
-      // Parse dates
-      const startTime = moment(start_time);
-      const endTime = moment(end_time);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to create booking",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Price a prospective booking without creating it
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getQuote: async (req, res) => {
+    try {
+      logger.info(`Booking quote request for user: ${req.user.id}`);
 
-      if (!startTime.isValid() || !endTime.isValid()) {
-        logger.warn("Create booking failed: Invalid date format");
-        return res.status(400).json({
+      // Quote exactly what createBooking would accept
+      if (req.user.role !== "host") {
+        logger.warn(`User ${req.user.id} is not a host`);
+        return res.status(403).json({
           status: "error",
-          message: "Invalid date format",
+          message: "Only hosts can request booking quotes",
         });
       }
 
-      // Ensure start time is in the future
-      if (startTime.isBefore(moment())) {
-        logger.warn("Create booking failed: Start time must be in the future");
-        return res.status(400).json({
+      const prepared = await prepareBooking(req.user.id, req.body);
+
+      if (prepared.error) {
+        logger.warn(`Booking quote failed: ${prepared.error}`);
+        return res.status(prepared.status).json({
           status: "error",
-          message: "Start time must be in the future",
+          message: prepared.error,
+          errors: prepared.errors,
         });
       }
 
-      // Ensure end time is after start time
-      if (endTime.isBefore(startTime)) {
-        logger.warn("Create booking failed: End time must be after start time");
+      const { djProfile, host, startTime, endTime, durationHours, quote } =
+        prepared.data;
+
+      // Hosts see an estimate in their own currency; the charge is in the DJ's
+      const displayCurrency =
+        req.body.display_currency || (host && host.preferred_currency);
+
+      if (displayCurrency && !isSupportedCurrency(displayCurrency)) {
         return res.status(400).json({
           status: "error",
-          message: "End time must be after start time",
+          message: `Display currency must be one of: ${getSupportedCurrencies().join(", ")}`,
         });
       }
 
-      // Calculate duration in hours
-      const durationHours = endTime.diff(startTime, "hours", true);
-
-      // Calculate total amount
-      const totalAmount = durationHours * djProfile.hourly_rate;
-
-      // Check for booking conflicts
+      // Booking creation re-checks atomically; this only previews the result
       const hasConflict = await Booking.checkConflicts(
-        dj_profile_id,
+        djProfile.id,
         startTime,
         endTime
       );
 
       if (hasConflict) {
-        logger.warn(
-          `Booking conflict for DJ ${dj_profile_id} from ${startTime} to ${endTime}`
-        );
+        logger.warn("Booking quote failed: DJ is not available");
         return res.status(409).json({
           status: "error",
           message: "DJ is not available during the selected time",
         });
       }
 
-      // Create booking
-      const newBooking = await Booking.create({
-        host_id: req.user.id,
-        dj_profile_id,
-        start_time: startTime.toISOString(),
-        end_time: endTime.toISOString(),
-        duration_hours: durationHours,
-        total_amount: totalAmount,
-        status: "pending",
-        payment_status: "pending",
-        notes: notes || "",
-      });
-
-      logger.info(`Booking created successfully: ${newBooking[0].id}`);
+      const summary = summarizeQuote(
+        quote,
+        await calculateTaxes({
+          subtotal: quote.subtotal,
+          currency: quote.currency,
+          djProfile,
+          host,
+        })
+      );
 
-      res.status(201).json({
+      res.status(200).json({
         status: "success",
-        message: "Booking created successfully",
         data: {
-          booking: newBooking[0],
+          quote: {
+            dj_profile_id: djProfile.id,
+            start_time: startTime.toISOString(),
+            end_time: endTime.toISOString(),
+            duration_hours: durationHours,
+            ...summary,
+            converted: displayCurrency
+              ? convertQuote(
+                  summary,
+                  await getExchangeRate(summary.currency, displayCurrency)
+                )
+              : null,
+          },
         },
       });
     } catch (error) {
-      logger.error(`Create booking error: ${error.message}`);
+      logger.error(`Booking quote error: ${error.message}`);
+
+      if (error.status === 400 || error.status === 409) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+          errors: error.errors,
+        });
+      }
 
       res.status(500).json({
         status: "error",
-        message: "Failed to create booking",
+        message: "Failed to quote booking",
         error: error.message,
       });
     }
@@ -284,7 +381,10 @@ const BookingController = {
       }
 
       // Check if booking can be updated
-      if (booking.status === "completed" || booking.status === "cancelled") {
+      if (
+        isFinalStatus(booking.status) ||
+        ["in_progress", "completed", "disputed"].includes(booking.status)
+      ) {
         logger.warn(`Cannot update booking with status: ${booking.status}`);
         return res.status(400).json({
           status: "error",
@@ -295,76 +395,19 @@ const BookingController = {
       // Extract booking data from request
       const { start_time, end_time, notes } = req.body;
 
+      // New times need the other party's consent
+      if (start_time || end_time) {
+        logger.warn(`Update booking failed: times changed directly on ${id}`);
+        return res.status(400).json({
+          status: "error",
+          message:
+            "Booking times can only be changed through a reschedule request",
+        });
+      }
+
       // Prepare update data
       const updateData = { notes };
 
-      // If updating times, validate them
-      if (start_time && end_time) {
-        const startTime = moment(start_time);
-        const endTime = moment(end_time);
-
-        if (!startTime.isValid() || !endTime.isValid()) {
-          logger.warn("Update booking failed: Invalid date format");
-          return res.status(400).json({
-            status: "error",
-            message: "Invalid date format",
-          });
-        }
-
-        // Ensure start time is in the future
-        if (startTime.isBefore(moment())) {
-          logger.warn(
-            "Update booking failed: Start time must be in the future"
-          );
-          return res.status(400).json({
-            status: "error",
-            message: "Start time must be in the future",
-          });
-        }
-
-        // Ensure end time is after start time
-        if (endTime.isBefore(startTime)) {
-          logger.warn(
-            "Update booking failed: End time must be after start time"
-          );
-          return res.status(400).json({
-            status: "error",
-            message: "End time must be after start time",
-          });
-        }
-
-        // Check for booking conflicts
-        const hasConflict = await Booking.checkConflicts(
-          booking.dj_profile_id,
-          startTime,
-          endTime,
-          id
-        );
-
-        if (hasConflict) {
-          logger.warn(
-            `Booking conflict for DJ ${booking.dj_profile_id} from ${startTime} to ${endTime}`
-          );
-          return res.status(409).json({
-            status: "error",
-            message: "DJ is not available during the selected time",
-          });
-        }
-
-        // Calculate duration in hours
-        const durationHours = endTime.diff(startTime, "hours", true);
-
-        // Calculate total amount
-        const djProfile = await DjProfile.getById(booking.dj_profile_id);
-        const totalAmount = durationHours * djProfile.hourly_rate;
-
-        // Update booking data
-        updateData.start_time = startTime.toISOString();
-        updateData.end_time = endTime.toISOString();
-        updateData.duration_hours = durationHours;
-        updateData.total_amount = totalAmount;
-      }
-
       // Update booking
       const updatedBooking = await Booking.update(id, updateData);
 
@@ -374,7 +417,7 @@ const BookingController = {
         status: "success",
         message: "Booking updated successfully",
         data: {
-          booking: updatedBooking[0],
+          booking: withLocalTimes(updatedBooking[0]),
         },
       });
     } catch (error) {
@@ -396,13 +439,12 @@ const BookingController = {
   updateBookingStatus: async (req, res) => {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
       logger.info(`Update booking status request for booking: ${id}`);
 
       // Validate status
-      const validStatuses = ["pending", "confirmed", "cancelled", "completed"];
-      if (!status || !validStatuses.includes(status)) {
+      if (!status || !isValidStatus(status)) {
         logger.warn(`Invalid status: ${status}`);
         return res.status(400).json({
           status: "error",
@@ -421,66 +463,63 @@ const BookingController = {
         });
       }
 
-      // Check authorization based on status change
-      if (status === "cancelled") {
-        // Both host and DJ can cancel
-        if (req.user.role !== "admin" && booking.host_id !== req.user.id) {
-          const djProfile = await DjProfile.getByUserId(req.user.id);
-
-          if (!djProfile || booking.dj_profile_id !== djProfile.id) {
-            logger.warn(
-              `User ${req.user.id} not authorized to cancel booking ${id}`
-            );
-            return res.status(403).json({
-              status: "error",
-              message: "Not authorized to cancel this booking",
-            });
-          }
-        }
-      } else if (status === "confirmed") {
-        // Only DJ or admin can confirm
-        if (req.user.role !== "admin") {
-          const djProfile = await DjProfile.getByUserId(req.user.id);
-
-          if (!djProfile || booking.dj_profile_id !== djProfile.id) {
-            logger.warn(
-              `User ${req.user.id} not authorized to confirm booking ${id}`
-            );
-            return res.status(403).json({
-              status: "error",
-              message: "Not authorized to confirm this booking",
-            });
-          }
-        }
-      } else if (status === "completed") {
-        // Only admin can mark as completed directly
-        // In production, this would typically be done automatically after the stream ends
-        if (req.user.role !== "admin") {
-          logger.warn(
-            `User ${req.user.id} not authorized to complete booking ${id}`
-          );
-          return res.status(403).json({
-            status: "error",
-            message: "Not authorized to complete this booking",
-          });
-        }
+      // The state machine decides what each party may do
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (!role) {
+        logger.warn(
+          `User ${req.user.id} not authorized to update booking ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to update this booking",
+        });
       }
 
-      // Update status
-      const updatedBooking = await Booking.updateStatus(id, status);
+      // Price the cancellation against the booking as it was
+      const cancellation =
+        status === "cancelled"
+          ? await Payment.getCancellationQuote(booking, role)
+          : null;
+
+      const updatedBooking = await Booking.updateStatus(id, status, {
+        id: req.user.id,
+        role,
+        reason,
+      });
 
       logger.info(`Booking status updated successfully: ${id} -> ${status}`);
 
+      const data = {
+        booking: withLocalTimes(updatedBooking[0]),
+        allowed_transitions: getAllowedTransitions(status, role),
+      };
+
+      if (cancellation) {
+        data.cancellation = {
+          ...cancellation.quote,
+          ...(await Payment.refundCancellation(cancellation, {
+            id: req.user.id,
+            role,
+          })),
+        };
+      }
+
       res.status(200).json({
         status: "success",
         message: "Booking status updated successfully",
-        data: {
-          booking: updatedBooking[0],
-        },
+        data,
       });
     } catch (error) {
       logger.error(`Update booking status error: ${error.message}`);
 
+      if (error.status) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         status: "error",
         message: "Failed to update booking status",
@@ -489,6 +528,115 @@ const BookingController = {
     }
   },
 
+  /**
+   * Preview the refund for cancelling a booking
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getCancellationQuote: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Getting cancellation quote for booking: ${id}`);
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (!role) {
+        logger.warn(
+          `User ${req.user.id} not authorized to cancel booking ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to view this booking",
+        });
+      }
+
+      const { quote } = await Payment.getCancellationQuote(booking, role);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          quote: {
+            ...quote,
+            can_cancel: getAllowedTransitions(booking.status, role).includes(
+              "cancelled"
+            ),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error(`Get cancellation quote error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get cancellation quote",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the status history of a booking
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getBookingHistory: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Getting status history for booking: ${id}`);
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (!role) {
+        logger.warn(
+          `User ${req.user.id} not authorized to view history of booking ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to view this booking",
+        });
+      }
+
+      const history = await Booking.getStatusHistory(id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          history,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get booking history error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get booking history",
+        error: error.message,
+      });
+    }
+  },
+
   /**
    * Delete booking
    * @param {Object} req - Express request
@@ -523,7 +671,12 @@ const BookingController = {
       }
 
       // Check if booking can be deleted
-      if (booking.status === "confirmed" || booking.status === "completed") {
+      // Only bookings that never took money can be removed outright
+      if (
+        !["requested", "declined", "cancelled", "expired"].includes(
+          booking.status
+        )
+      ) {
         logger.warn(`Cannot delete booking with status: ${booking.status}`);
         return res.status(400).json({
           status: "error",
@@ -552,4 +705,139 @@ const BookingController = {
   },
 };
 
+/**
+ * Validate a booking request and price it, as shared by booking creation and
+ * quotes so the two never disagree
+ * @param {string} hostId - Host making the request
+ * @param {Object} body - Request body (dj_profile_id, start/end, timezone, add_on_ids)
+ * @returns {Promise} - { data } with the parsed booking and quote, or { status, error }
+ */
+async function prepareBooking(hostId, body) {
+  const { dj_profile_id, start_time, end_time, timezone, add_on_ids } = body;
+
+  // Validate required fields
+  const missing = { dj_profile_id, start_time, end_time };
+  const missingErrors = Object.keys(missing)
+    .filter((field) => !missing[field])
+    .map((field) => fieldError(field, "required", `${field} is required`));
+
+  if (missingErrors.length > 0) {
+    return invalid(missingErrors);
+  }
+
+  // Get DJ profile
+  const djProfile = await DjProfile.getById(dj_profile_id);
+
+  if (!djProfile) {
+    return { status: 404, error: "DJ profile not found" };
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return invalid([
+      fieldError(
+        "timezone",
+        "invalid_timezone",
+        `Unknown timezone: ${timezone}`
+      ),
+    ]);
+  }
+
+  // Times without a UTC offset are wall-clock times in the host's timezone
+  const host = await User.getById(hostId);
+  const hostTimezone = resolveTimezone(
+    timezone,
+    host && host.timezone,
+    config.timeZone.default
+  );
+  const djTimezone = resolveTimezone(
+    djProfile.timezone,
+    config.timeZone.default
+  );
+
+  // Parse dates
+  const start = parseLocalTime(start_time, hostTimezone);
+  const end = parseLocalTime(end_time, hostTimezone);
+  const parseErrors = [
+    start.error && fieldError("start_time", "invalid_time", start.error),
+    end.error && fieldError("end_time", "invalid_time", end.error),
+  ].filter(Boolean);
+
+  if (parseErrors.length > 0) {
+    return invalid(parseErrors);
+  }
+
+  const startTime = start.time;
+  const endTime = end.time;
+
+  // Duration limits, lead time and advance horizon, with DJ overrides
+  const timeErrors = validateBookingTimes({ startTime, endTime, djProfile });
+
+  if (timeErrors.length > 0) {
+    return invalid(timeErrors);
+  }
+
+  // Calculate duration in hours
+  const durationHours = endTime.diff(startTime, "hours", true);
+
+  if (
+    add_on_ids !== undefined &&
+    (!Array.isArray(add_on_ids) ||
+      new Set(add_on_ids).size !== add_on_ids.length)
+  ) {
+    return invalid([
+      fieldError(
+        "add_on_ids",
+        "invalid_add_ons",
+        "Add-on IDs must be an array of distinct add-on IDs"
+      ),
+    ]);
+  }
+
+  // Only add-ons the DJ currently offers can be booked
+  const offeredAddOns = await DjAddOn.getByDjProfileId(djProfile.id, true);
+  const selectedAddOns = (add_on_ids || []).map((addOnId) =>
+    offeredAddOns.find((addOn) => addOn.id === addOnId)
+  );
+
+  if (selectedAddOns.some((addOn) => !addOn)) {
+    return invalid([
+      fieldError(
+        "add_on_ids",
+        "unknown_add_on",
+        "One or more add-ons are not offered by this DJ"
+      ),
+    ]);
+  }
+
+  // Price the booking as itemized line items
+  const quote = computeQuote({
+    djProfile: { ...djProfile, timezone: djTimezone },
+    startTime,
+    endTime,
+    addOns: selectedAddOns,
+  });
+
+  return {
+    data: {
+      djProfile,
+      host,
+      hostTimezone,
+      djTimezone,
+      startTime,
+      endTime,
+      durationHours,
+      quote,
+    },
+  };
+}
+
+/**
+ * Build a 400 result from field-level validation errors
+ * @param {Array} errors - Field-level errors ({ field, code, message })
+ * @returns {Object} - { status, error, errors }
+ */
+function invalid(errors) {
+  return { status: 400, error: errors[0].message, errors };
+}
+
 module.exports = BookingController;
@@ -0,0 +1,254 @@
+const Booking = require("../models/Booking");
+const NoShowClaim = require("../models/NoShowClaim");
+const Payment = require("../models/Payment");
+const Payout = require("../models/Payout");
+const { logger } = require("../utils/database");
+const { getAllowedTransitions } = require("../services/booking-state.service");
+const { isRefundable } = require("../services/refund.service");
+
+/**
+ * Claim Controller - Handlers for hosts reporting a DJ who did not show up
+ */
+const ClaimController = {
+  /**
+   * Get no-show claims for a booking
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getNoShowClaims: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Getting no-show claims for booking: ${id}`);
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (!role) {
+        logger.warn(`User ${req.user.id} not authorized to view booking ${id}`);
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to view this booking",
+        });
+      }
+
+      const claims = await NoShowClaim.getByBookingId(id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          no_show_claims: claims,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get no-show claims error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get no-show claims",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * File a no-show claim, disputing the booking and holding the DJ's payout
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  fileNoShowClaim: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      logger.info(`No-show claim for booking: ${id}`);
+
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({
+          status: "error",
+          message: "Please describe what happened",
+        });
+      }
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      if (booking.host_id !== req.user.id) {
+        logger.warn(
+          `User ${req.user.id} not authorized to file a claim on booking ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Only the host can file a no-show claim",
+        });
+      }
+
+      if (!getAllowedTransitions(booking.status, "host").includes("disputed")) {
+        return res.status(409).json({
+          status: "error",
+          message: `Cannot file a no-show claim on a ${booking.status} booking`,
+        });
+      }
+
+      const existing = await NoShowClaim.getByBookingId(id);
+
+      if (existing.length > 0) {
+        return res.status(409).json({
+          status: "error",
+          message: "A no-show claim has already been filed for this booking",
+        });
+      }
+
+      // Once the DJ has been paid the claim can only be settled by an admin
+      const payouts = await Payout.getByBookingId(id);
+
+      if (payouts.some((payout) => payout.status !== "held")) {
+        return res.status(409).json({
+          status: "error",
+          message:
+            "The DJ has already been paid for this booking; please contact support",
+        });
+      }
+
+      const claim = await NoShowClaim.create({
+        booking_id: id,
+        host_id: req.user.id,
+        reason: String(reason).trim(),
+      });
+
+      await Booking.updateStatus(id, "disputed", {
+        id: req.user.id,
+        role: "host",
+        reason: "No-show claim filed",
+      });
+
+      logger.info(`No-show claim filed: ${claim[0].id}`);
+
+      res.status(201).json({
+        status: "success",
+        message: "No-show claim filed; the DJ's payout is on hold",
+        data: {
+          no_show_claim: claim[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`File no-show claim error: ${error.message}`);
+
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to file no-show claim",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Resolve a no-show claim: upholding it refunds the host, rejecting it
+   * completes the booking so the DJ's payout can be released
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  resolveNoShowClaim: async (req, res) => {
+    try {
+      const { id, claimId } = req.params;
+      const { status, note } = req.body;
+
+      logger.info(`Resolving no-show claim ${claimId} as: ${status}`);
+
+      if (!["upheld", "rejected"].includes(status)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Status must be one of: upheld, rejected",
+        });
+      }
+
+      const claim = await NoShowClaim.getById(claimId);
+
+      if (!claim || claim.booking_id !== id) {
+        logger.warn(`No-show claim not found: ${claimId}`);
+        return res.status(404).json({
+          status: "error",
+          message: "No-show claim not found",
+        });
+      }
+
+      const resolved = await NoShowClaim.resolve(
+        claimId,
+        status,
+        req.user.id,
+        note
+      );
+
+      const actor = {
+        id: req.user.id,
+        role: "admin",
+        reason: `No-show claim ${status}`,
+      };
+
+      if (status === "upheld") {
+        // Refunding the host also reverses the DJ's held payout
+        const payments = await Payment.getByBookingId(id);
+
+        for (const payment of payments.filter(isRefundable)) {
+          await Payment.refund(payment.id, { actor });
+        }
+      } else {
+        const booking = await Booking.getById(id);
+
+        if (booking.status === "disputed") {
+          await Booking.updateStatus(id, "completed", actor);
+        }
+      }
+
+      logger.info(`No-show claim ${claimId} resolved as: ${status}`);
+
+      res.status(200).json({
+        status: "success",
+        message: `No-show claim ${status}`,
+        data: {
+          no_show_claim: resolved[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Resolve no-show claim error: ${error.message}`);
+
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to resolve no-show claim",
+        error: error.message,
+      });
+    }
+  },
+};
+
+module.exports = ClaimController;
@@ -1,5 +1,207 @@
 const DjProfile = require("../models/DjProfile");
 const { logger } = require("../utils/database");
+const { isValidTimezone } = require("../services/timezone.service");
+const { CANCELLATION_POLICIES } = require("../services/cancellation.service");
+const { PRICING_MODELS } = require("../services/pricing.service");
+const {
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  normalizeCurrency,
+} = require("../services/currency.service");
+const { normalizeCountry } = require("../services/tax.service");
+const {
+  LIMIT_OVERRIDES,
+  getBookingLimits,
+} = require("../services/booking-validation.service");
+const fs = require("fs");
+const path = require("path");
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const PRICING_FIELDS = [
+  "pricing_model",
+  "currency",
+  "hourly_rate",
+  "event_fee",
+  "minimum_fee",
+  "weekend_surcharge_percentage",
+  "holiday_surcharge_percentage",
+  "late_night_multiplier",
+  "late_night_start",
+  "late_night_end",
+];
+
+const AMOUNT_FIELDS = [
+  "hourly_rate",
+  "event_fee",
+  "minimum_fee",
+  "weekend_surcharge_percentage",
+  "holiday_surcharge_percentage",
+  "late_night_multiplier",
+];
+
+/**
+ * Pick the pricing fields present in a request body, parsing amounts and
+ * upper-casing the currency
+ * @param {Object} body - Request body
+ * @returns {Object} - Pricing fields that were provided
+ */
+const pickPricing = (body) =>
+  PRICING_FIELDS.reduce((pricing, field) => {
+    if (body[field] === undefined) return pricing;
+
+    if (field === "currency") {
+      pricing.currency =
+        typeof body.currency === "string"
+          ? normalizeCurrency(body.currency)
+          : body.currency;
+    } else {
+      pricing[field] =
+        AMOUNT_FIELDS.includes(field) && body[field] !== null
+          ? parseFloat(body[field])
+          : body[field];
+    }
+    return pricing;
+  }, {});
+
+/**
+ * Validate a DJ's pricing once the changes are applied to the current profile
+ * @param {Object} pricing - Pricing fields after the change
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validatePricing = (pricing) => {
+  const pricingModel = pricing.pricing_model || "hourly";
+
+  if (!PRICING_MODELS.includes(pricingModel)) {
+    return `Pricing model must be one of: ${PRICING_MODELS.join(", ")}`;
+  }
+
+  if (pricing.currency !== undefined && !isSupportedCurrency(pricing.currency)) {
+    return `Currency must be one of: ${getSupportedCurrencies().join(", ")}`;
+  }
+
+  const invalidAmount = AMOUNT_FIELDS.find(
+    (field) =>
+      pricing[field] !== undefined &&
+      pricing[field] !== null &&
+      (!Number.isFinite(pricing[field]) || pricing[field] < 0)
+  );
+
+  if (invalidAmount) {
+    return `${invalidAmount} must be a non-negative number`;
+  }
+
+  if (pricingModel === "hourly" && !(pricing.hourly_rate > 0)) {
+    return "Hourly rate is required for hourly pricing";
+  }
+
+  if (pricingModel === "per_event" && !(pricing.event_fee > 0)) {
+    return "Event fee is required for per-event pricing";
+  }
+
+  if (
+    pricing.late_night_multiplier !== undefined &&
+    pricing.late_night_multiplier !== null &&
+    pricing.late_night_multiplier < 1
+  ) {
+    return "Late-night multiplier must be at least 1";
+  }
+
+  const invalidTime = ["late_night_start", "late_night_end"].find(
+    (field) =>
+      pricing[field] !== undefined && !TIME_PATTERN.test(pricing[field])
+  );
+
+  if (invalidTime) {
+    return `${invalidTime} must be in HH:mm format`;
+  }
+
+  return null;
+};
+
+/**
+ * Pick the DJ's location (used for tax) from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - { country, region } fields that were provided
+ */
+const pickLocation = (body) => {
+  const location = {};
+
+  if (body.country !== undefined) {
+    location.country =
+      body.country === null ? null : normalizeCountry(body.country);
+  }
+
+  if (body.region !== undefined) {
+    location.region =
+      body.region === null ? null : String(body.region).trim().toUpperCase();
+  }
+
+  return location;
+};
+
+/**
+ * Validate a DJ's location
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateLocation = (body) => {
+  if (
+    body.country !== undefined &&
+    body.country !== null &&
+    !normalizeCountry(body.country)
+  ) {
+    return "Country must be a two-letter ISO country code";
+  }
+
+  return null;
+};
+
+/**
+ * Pick the booking limit overrides present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Overrides that were provided (null clears one)
+ */
+const pickBookingLimits = (body) =>
+  Object.values(LIMIT_OVERRIDES).reduce((limits, field) => {
+    if (body[field] === undefined) return limits;
+
+    limits[field] = body[field] === null ? null : parseFloat(body[field]);
+    return limits;
+  }, {});
+
+/**
+ * Validate a DJ's booking limit overrides once applied to the current profile
+ * @param {Object} profile - Profile fields after the change
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateBookingLimits = (profile) => {
+  const invalidLimit = Object.values(LIMIT_OVERRIDES).find((field) => {
+    const value = profile[field];
+
+    if (value === undefined || value === null) return false;
+    if (!Number.isFinite(value)) return true;
+    if (field === "max_advance_days") {
+      return !Number.isInteger(value) || value < 1;
+    }
+    if (field === "min_lead_time_hours") return value < 0;
+    return value <= 0;
+  });
+
+  if (invalidLimit) {
+    return `Invalid value for ${invalidLimit}`;
+  }
+
+  const limits = getBookingLimits(profile);
+
+  if (limits.minDuration > limits.maxDuration) {
+    return "Minimum duration cannot exceed maximum duration";
+  }
+
+  return null;
+};
 
 /**
  * DJ Controller - Handlers for DJ-related API endpoints
@@ -174,35 +376,94 @@ const DjController = {
       // Extract profile data from request
       const {
         stage_name,
-        hourly_rate,
         genres,
         bio,
         experience,
         equipment,
         video_links,
         languages,
+        timezone,
+        cancellation_policy,
       } = req.body;
 
       // Validate required fields
-      if (!stage_name || !hourly_rate) {
+      if (!stage_name) {
         logger.warn("Create DJ profile failed: Missing required fields");
         return res.status(400).json({
           status: "error",
-          message: "Stage name and hourly rate are required",
+          message: "Stage name is required",
+        });
+      }
+
+      const pricing = pickPricing(req.body);
+      const pricingError = validatePricing(pricing);
+
+      if (pricingError) {
+        logger.warn(`Create DJ profile failed: ${pricingError}`);
+        return res.status(400).json({
+          status: "error",
+          message: pricingError,
+        });
+      }
+
+      const bookingLimits = pickBookingLimits(req.body);
+      const limitsError = validateBookingLimits(bookingLimits);
+
+      if (limitsError) {
+        logger.warn(`Create DJ profile failed: ${limitsError}`);
+        return res.status(400).json({
+          status: "error",
+          message: limitsError,
+        });
+      }
+
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        logger.warn(`Create DJ profile failed: Unknown timezone ${timezone}`);
+        return res.status(400).json({
+          status: "error",
+          message: `Unknown timezone: ${timezone}`,
+        });
+      }
+
+      const locationError = validateLocation(req.body);
+
+      if (locationError) {
+        logger.warn(`Create DJ profile failed: ${locationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: locationError,
+        });
+      }
+
+      if (
+        cancellation_policy !== undefined &&
+        cancellation_policy !== null &&
+        !CANCELLATION_POLICIES.includes(cancellation_policy)
+      ) {
+        logger.warn(
+          `Create DJ profile failed: Unknown cancellation policy ${cancellation_policy}`
+        );
+        return res.status(400).json({
+          status: "error",
+          message: `Cancellation policy must be one of: ${CANCELLATION_POLICIES.join(", ")}`,
         });
       }
 
       // Create profile
       const newProfile = await DjProfile.create({
+        ...pricing,
+        ...bookingLimits,
+        ...pickLocation(req.body),
         user_id: req.user.id,
         stage_name,
-        hourly_rate: parseFloat(hourly_rate),
         genres: genres || [],
         bio: bio || "",
         experience: experience || "",
         equipment: equipment || "",
         video_links: video_links || [],
         languages: languages || ["English"],
+        timezone,
+        cancellation_policy,
       });
 
       logger.info(`DJ profile created successfully: ${newProfile[0].id}`);
@@ -257,26 +518,91 @@ const DjController = {
       // Extract profile data from request
       const {
         stage_name,
-        hourly_rate,
         genres,
         bio,
         experience,
         equipment,
         video_links,
         languages,
+        timezone,
+        cancellation_policy,
       } = req.body;
 
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        logger.warn(`Update DJ profile failed: Unknown timezone ${timezone}`);
+        return res.status(400).json({
+          status: "error",
+          message: `Unknown timezone: ${timezone}`,
+        });
+      }
+
+      const locationError = validateLocation(req.body);
+
+      if (locationError) {
+        logger.warn(`Update DJ profile failed: ${locationError}`);
+        return res.status(400).json({
+          status: "error",
+          message: locationError,
+        });
+      }
+
+      if (
+        cancellation_policy !== undefined &&
+        cancellation_policy !== null &&
+        !CANCELLATION_POLICIES.includes(cancellation_policy)
+      ) {
+        logger.warn(
+          `Update DJ profile failed: Unknown cancellation policy ${cancellation_policy}`
+        );
+        return res.status(400).json({
+          status: "error",
+          message: `Cancellation policy must be one of: ${CANCELLATION_POLICIES.join(", ")}`,
+        });
+      }
+
+      const pricing = pickPricing(req.body);
+      const pricingError = validatePricing({ ...djProfile, ...pricing });
+
+      if (pricingError) {
+        logger.warn(`Update DJ profile failed: ${pricingError}`);
+        return res.status(400).json({
+          status: "error",
+          message: pricingError,
+        });
+      }
+
+      const bookingLimits = pickBookingLimits(req.body);
+      const limitsError = validateBookingLimits({
+        ...djProfile,
+        ...bookingLimits,
+      });
+
+      if (limitsError) {
+        logger.warn(`Update DJ profile failed: ${limitsError}`);
+        return res.status(400).json({
+          status: "error",
+          message: limitsError,
+        });
+      }
+
       // Prepare update data
-      const updateData = {};
+      const updateData = {
+        ...pricing,
+        ...bookingLimits,
+        ...pickLocation(req.body),
+      };
 
       if (stage_name) updateData.stage_name = stage_name;
-      if (hourly_rate) updateData.hourly_rate = parseFloat(hourly_rate);
       if (genres) updateData.genres = genres;
       if (bio !== undefined) updateData.bio = bio;
       if (experience !== undefined) updateData.experience = experience;
       if (equipment !== undefined) updateData.equipment = equipment;
       if (video_links) updateData.video_links = video_links;
       if (languages) updateData.languages = languages;
+      if (timezone) updateData.timezone = timezone;
+      if (cancellation_policy !== undefined) {
+        updateData.cancellation_policy = cancellation_policy;
+      }
 
       // Update profile
       const updatedProfile = await DjProfile.update(djProfile.id, updateData);
@@ -334,6 +660,24 @@ const DjController = {
         });
       }
 
+      if (endDate <= startDate) {
+        logger.warn("Get availability failed: End date before start date");
+        return res.status(400).json({
+          status: "error",
+          message: "End date must be after start date",
+        });
+      }
+
+      // Keep the slot computation bounded
+      const maxRangeDays = config.booking.maxAvailabilityRangeDays;
+      if (endDate - startDate > maxRangeDays * 24 * 60 * 60 * 1000) {
+        logger.warn("Get availability failed: Date range too large");
+        return res.status(400).json({
+          status: "error",
+          message: `Date range cannot exceed ${maxRangeDays} days`,
+        });
+      }
+
       // Get availability
       const availability = await DjProfile.getAvailability(
         id,
@@ -350,6 +694,13 @@ const DjController = {
     } catch (error) {
       logger.error(`Get availability error: ${error.message}`);
 
+      if (error.message === "DJ profile not found") {
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
       res.status(500).json({
         status: "error",
         message: "Failed to get DJ availability",
@@ -0,0 +1,253 @@
+const Booking = require("../models/Booking");
+const BookingGuest = require("../models/BookingGuest");
+const Notification = require("../models/Notification");
+const Stream = require("../models/Stream");
+const User = require("../models/User");
+const { logger } = require("../utils/database");
+const { isFinalStatus } = require("../services/booking-state.service");
+
+/**
+ * Guest Controller - Handlers for the host's guest list of a private stream
+ */
+const GuestController = {
+  /**
+   * Get the guests invited to a booking
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getGuests: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Getting guests for booking: ${id}`);
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (!role) {
+        logger.warn(`User ${req.user.id} not authorized to view booking ${id}`);
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to view this booking",
+        });
+      }
+
+      const guests = await BookingGuest.getByBookingId(id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          guests,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get guests error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get guests",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Invite a user, by email, to watch a booking's stream
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  inviteGuest: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { email } = req.body;
+
+      logger.info(`Inviting guest to booking: ${id}`);
+
+      if (!email) {
+        return res.status(400).json({
+          status: "error",
+          message: "Guest email is required",
+        });
+      }
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (role !== "host" && role !== "admin") {
+        logger.warn(
+          `User ${req.user.id} not authorized to invite guests to booking ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Only the host can invite guests",
+        });
+      }
+
+      if (isFinalStatus(booking.status)) {
+        return res.status(409).json({
+          status: "error",
+          message: `Cannot invite guests to a ${booking.status} booking`,
+        });
+      }
+
+      const user = await User.getByEmail(String(email).trim());
+
+      // Answer as if the invite went out, so hosts can't probe for accounts
+      if (!user) {
+        logger.info(`No account to invite to booking ${id}`);
+        return sendInvited(res);
+      }
+
+      if (user.id === booking.host_id) {
+        return res.status(400).json({
+          status: "error",
+          message: "The host does not need an invitation",
+        });
+      }
+
+      await BookingGuest.invite(id, user.id, req.user.id);
+
+      await Notification.create(user.id, {
+        type: "booking_guest_invited",
+        message: "You have been invited to watch a private party stream.",
+        bookingId: id,
+        data: {
+          start_time: booking.start_time,
+        },
+      });
+
+      logger.info(`User ${user.id} invited to booking ${id}`);
+
+      sendInvited(res);
+    } catch (error) {
+      logger.error(`Invite guest error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to invite guest",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Remove a guest from a booking and revoke their playback tokens
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  removeGuest: async (req, res) => {
+    try {
+      const { id, userId } = req.params;
+
+      logger.info(`Removing guest ${userId} from booking: ${id}`);
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      // Guests may also leave on their own
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (role !== "host" && role !== "admin" && req.user.id !== userId) {
+        logger.warn(
+          `User ${req.user.id} not authorized to remove guests from booking ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Only the host can remove guests",
+        });
+      }
+
+      const guest = await BookingGuest.remove(id, userId);
+
+      if (!guest) {
+        return res.status(404).json({
+          status: "error",
+          message: "Guest not found",
+        });
+      }
+
+      const revoked = await revokeGuestPlayback(guest);
+
+      logger.info(`Guest ${userId} removed from booking ${id}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Guest removed",
+        data: {
+          guest,
+          playback_revoked: revoked,
+        },
+      });
+    } catch (error) {
+      logger.error(`Remove guest error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to remove guest",
+        error: error.message,
+      });
+    }
+  },
+};
+
+/**
+ * Respond to an invite the same way whether or not the email has an account
+ * @param {Object} res - Express response
+ */
+function sendInvited(res) {
+  res.status(202).json({
+    status: "success",
+    message: "If that email belongs to an account, they have been invited",
+  });
+}
+
+/**
+ * Revoke a removed guest's playback tokens on the booking's stream
+ * @param {Object} guest - Removed guest record
+ * @returns {Promise} - True if a revocation was started
+ */
+async function revokeGuestPlayback(guest) {
+  const stream = await Stream.getActiveByBookingId(guest.booking_id);
+
+  if (!stream) {
+    return false;
+  }
+
+  try {
+    await Stream.revokeViewer(stream, guest.user_id, guest.session_version);
+    return true;
+  } catch (error) {
+    // The guest can't get new tokens, and the ones they have expire soon
+    logger.warn(
+      `Failed to revoke playback for guest ${guest.user_id}: ${error.message}`
+    );
+    return false;
+  }
+}
+
+module.exports = GuestController;
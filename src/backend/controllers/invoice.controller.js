@@ -0,0 +1,238 @@
+const Booking = require("../models/Booking");
+const DjProfile = require("../models/DjProfile");
+const Invoice = require("../models/Invoice");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const User = require("../models/User");
+const { logger } = require("../utils/database");
+const {
+  isInvoiceable,
+  buildInvoice,
+  invoiceLines,
+  parseStatementMonth,
+  buildStatement,
+  statementLines,
+} = require("../services/invoice.service");
+const { renderTextPdf } = require("../services/pdf.service");
+const { resolveTimezone } = require("../services/timezone.service");
+const moment = require("moment-timezone");
+const fs = require("fs");
+const path = require("path");
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Check whether the client asked for a PDF rather than JSON
+ * @param {Object} req - Express request
+ * @returns {boolean} - True for ?format=pdf or an Accept header preferring PDF
+ */
+const wantsPdf = (req) =>
+  req.query.format === "pdf" ||
+  (req.query.format === undefined &&
+    req.accepts(["json", "application/pdf"]) === "application/pdf");
+
+/**
+ * Send a PDF download
+ * @param {Object} res - Express response
+ * @param {string} filename - File name offered to the client
+ * @param {Buffer} pdf - PDF file
+ */
+const sendPdf = (res, filename, pdf) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": pdf.length,
+  });
+  res.status(200).send(pdf);
+};
+
+/**
+ * Invoice Controller - Handlers for host invoices and DJ statements
+ */
+const InvoiceController = {
+  /**
+   * Get the invoice for a payment as JSON or PDF, issuing it on first request
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getInvoice: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Invoice request for payment: ${id}`);
+
+      const payment = await Payment.getById(id);
+
+      if (!payment) {
+        logger.warn(`Payment not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Payment not found",
+        });
+      }
+
+      // Hosts get invoices for what they paid, DJs for what they were paid for
+      const isHost = payment.host_id === req.user.id;
+      let isDj = false;
+
+      if (req.user.role === "dj") {
+        const djProfile = await DjProfile.getByUserId(req.user.id);
+        isDj = Boolean(djProfile && djProfile.id === payment.dj_profile_id);
+      }
+
+      if (req.user.role !== "admin" && !isHost && !isDj) {
+        logger.warn(`User ${req.user.id} not authorized to view invoice ${id}`);
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to view this invoice",
+        });
+      }
+
+      let invoice = await Invoice.getByPaymentId(id);
+
+      if (!invoice) {
+        if (!isInvoiceable(payment)) {
+          return res.status(409).json({
+            status: "error",
+            message: "An invoice is issued once the payment has succeeded",
+          });
+        }
+
+        const booking = await Booking.getById(payment.booking_id);
+
+        invoice = await Invoice.issue(
+          buildInvoice({
+            payment,
+            booking,
+            lineItems: await Booking.getLineItems(booking.id),
+            host: await User.getById(payment.host_id),
+            djProfile: await DjProfile.getById(payment.dj_profile_id),
+          })
+        );
+
+        logger.info(`Invoice ${invoice.number} issued for payment ${id}`);
+      }
+
+      const refunds = await Refund.getByPaymentId(id);
+
+      if (wantsPdf(req)) {
+        return sendPdf(
+          res,
+          `${invoice.number}.pdf`,
+          renderTextPdf({
+            title: `Invoice ${invoice.number}`,
+            lines: invoiceLines(invoice, refunds, config.invoices.issuer),
+          })
+        );
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          invoice,
+          issuer: config.invoices.issuer,
+          refunds,
+          amount_refunded: Number(payment.amount_refunded || 0),
+        },
+      });
+    } catch (error) {
+      logger.error(`Get invoice error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get invoice",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the current DJ's statement of paid bookings for a month as JSON or
+   * PDF; the month is counted in the DJ's timezone
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getStatement: async (req, res) => {
+    try {
+      logger.info(`Statement request for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const timezone = resolveTimezone(
+        djProfile.timezone,
+        config.timeZone.default
+      );
+      const month = req.query.month || moment.tz(timezone).format("YYYY-MM");
+      const period = parseStatementMonth(month, timezone);
+
+      if (!period) {
+        return res.status(400).json({
+          status: "error",
+          message: "Month must be in YYYY-MM format",
+        });
+      }
+
+      const payments = await Payment.getPaidByDjProfileId(
+        djProfile.id,
+        period.start,
+        period.end
+      );
+      const invoices = await Invoice.getByPaymentIds(
+        payments.map((payment) => payment.id)
+      );
+      const statement = buildStatement({
+        djProfile,
+        month,
+        payments,
+        invoiceNumbers: invoices.reduce(
+          (numbers, invoice) => ({
+            ...numbers,
+            [invoice.payment_id]: invoice.number,
+          }),
+          {}
+        ),
+      });
+
+      if (wantsPdf(req)) {
+        return sendPdf(
+          res,
+          `statement-${month}.pdf`,
+          renderTextPdf({
+            title: `Statement ${month}`,
+            lines: statementLines(statement, timezone),
+          })
+        );
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          statement: {
+            ...statement,
+            timezone,
+            period_start: period.start.toISOString(),
+            period_end: period.end.toISOString(),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error(`Get statement error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get statement",
+        error: error.message,
+      });
+    }
+  },
+};
+
+module.exports = InvoiceController;
@@ -2,8 +2,36 @@ const Payment = require("../models/Payment");
 const Booking = require("../models/Booking");
 const DjProfile = require("../models/DjProfile");
 const User = require("../models/User");
+const RescheduleRequest = require("../models/RescheduleRequest");
+const Payout = require("../models/Payout");
+const Refund = require("../models/Refund");
+const StripeEvent = require("../models/StripeEvent");
+const PromoCode = require("../models/PromoCode");
+const GiftCredit = require("../models/GiftCredit");
 const { logger } = require("../utils/database");
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { stripeClient: stripe } = require("../utils/stripe");
+const { accountStatus } = require("../services/connect.service");
+const {
+  getAllowedTransitions,
+  isFinalStatus,
+} = require("../services/booking-state.service");
+const { calculateTaxes, sumTaxes } = require("../services/tax.service");
+const {
+  normalizeCurrency,
+  roundCurrency,
+} = require("../services/currency.service");
+const {
+  normalizePromoCode,
+  checkPromoCode,
+  computeDiscount,
+  computeCreditSpend,
+} = require("../services/promotion.service");
+const {
+  PAYMENT_PLANS,
+  BALANCE_BOOKING_STATUSES,
+  isDepositAvailable,
+  splitDeposit,
+} = require("../services/deposit.service");
 const fs = require("fs");
 const path = require("path");
 const configPath = path.join(__dirname, "../../config/config.json");
@@ -62,10 +90,13 @@ const PaymentController = {
         });
       }
 
+      const refunds = await Refund.getByPaymentId(id);
+
       res.status(200).json({
         status: "success",
         data: {
           payment,
+          refunds,
         },
       });
     } catch (error) {
@@ -140,13 +171,15 @@ const PaymentController = {
   },
 
   /**
-   * Create payment intent for a booking
+   * Create payment intent for a booking, for the whole price or, with
+   * payment_plan "deposit", for a deposit now and the balance later
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
   createPaymentIntent: async (req, res) => {
     try {
       const { booking_id } = req.body;
+      const paymentPlan = req.body.payment_plan || "full";
 
       if (!booking_id) {
         return res.status(400).json({
@@ -155,6 +188,13 @@ const PaymentController = {
         });
       }
 
+      if (!PAYMENT_PLANS.includes(paymentPlan)) {
+        return res.status(400).json({
+          status: "error",
+          message: `Payment plan must be one of: ${PAYMENT_PLANS.join(", ")}`,
+        });
+      }
+
       logger.info(`Creating payment intent for booking: ${booking_id}`);
 
       // Get booking
@@ -180,51 +220,44 @@ const PaymentController = {
       }
 
       // Check if booking status allows payment
-      if (booking.status !== "pending" && booking.status !== "confirmed") {
+      if (booking.status !== "accepted") {
         logger.warn(
           `Cannot create payment for booking with status: ${booking.status}`
         );
         return res.status(400).json({
           status: "error",
           message:
-            "Cannot create payment for a booking that is not pending or confirmed",
+            "Cannot create payment for a booking the DJ has not accepted",
         });
       }
 
-      // Check if booking already has a payment
-      const existingPayment = await Payment.getByBookingIdAndStatus(
-        booking_id,
-        "succeeded"
-      );
-
-      if (existingPayment) {
-        logger.warn(`Payment already exists for booking: ${booking_id}`);
+      // Pending bookings only keep their slot while the reservation hold lasts
+      if (Booking.isHoldExpired(booking)) {
+        logger.warn(`Reservation hold expired for booking: ${booking_id}`);
         return res.status(409).json({
           status: "error",
-          message: "A payment already exists for this booking",
+          message:
+            "The reservation hold for this booking has expired; please book again",
         });
       }
 
-      // Get DJ profile to calculate service fee
-      const djProfile = await DjProfile.getById(booking.dj_profile_id);
-
-      if (!djProfile) {
-        logger.warn(`DJ profile not found: ${booking.dj_profile_id}`);
-        return res.status(404).json({
+      if (paymentPlan === "deposit" && !isDepositAvailable(booking)) {
+        return res.status(400).json({
           status: "error",
-          message: "DJ profile not found",
+          message: `A deposit is only available for bookings at least ${config.deposits.minDaysAhead} days ahead`,
         });
       }
 
-      // Calculate service fee (platform's commission)
-      const serviceFeePercentage = config.payments.serviceFeePercentage || 0.1; // Default to 10%
-      const serviceFee =
-        Math.round(booking.total_amount * serviceFeePercentage * 100) / 100;
+      // Check if booking already has a payment
+      const existingPayments = await Payment.getByBookingId(booking_id);
 
-      // Final amount to charge (in cents for Stripe)
-      const amountInCents = Math.round(
-        (booking.total_amount + serviceFee) * 100
-      );
+      if (existingPayments.some((payment) => payment.status === "succeeded")) {
+        logger.warn(`Payment already exists for booking: ${booking_id}`);
+        return res.status(409).json({
+          status: "error",
+          message: "A payment already exists for this booking",
+        });
+      }
 
       // Get customer information
       const host = await User.getById(booking.host_id);
@@ -248,32 +281,67 @@ const PaymentController = {
         await User.update(host.id, { stripe_customer_id: customer });
       }
 
-      // Create payment intent
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: amountInCents,
-        currency: "usd",
-        customer: customer,
-        payment_method_types: ["card"],
-        description: `Booking #${booking_id} - DJ Service for ${booking.duration_hours} hours`,
-        metadata: {
-          booking_id: booking_id,
-          dj_profile_id: booking.dj_profile_id,
-          host_id: booking.host_id,
-          service_fee: serviceFee,
-        },
-      });
+      // A promo code lowers the price before tax; it stays on the booking
+      const currency = booking.currency || config.booking.defaultCurrency;
+      const promotion = await applyPromoCode(booking, req.body.promo_code);
+
+      if (promotion.error) {
+        logger.warn(`Promo code rejected: ${promotion.error}`);
+        return res.status(promotion.status).json({
+          status: "error",
+          message: promotion.error,
+        });
+      }
 
-      // Create payment record in database
-      const newPayment = await Payment.create({
-        booking_id,
-        stripe_payment_intent_id: paymentIntent.id,
-        amount: booking.total_amount,
-        service_fee: serviceFee,
-        total_amount: booking.total_amount + serviceFee,
-        status: "pending",
-        created_at: new Date().toISOString(),
+      const total = roundCurrency(
+        Number(booking.total_amount) - promotion.discount_amount,
+        currency
+      );
+
+      // A deposit plan charges part now and schedules the rest once it is paid
+      const amount =
+        paymentPlan === "deposit"
+          ? splitDeposit(total, currency).deposit
+          : total;
+
+      // Taxes are worked out now, from the host's current billing details
+      const taxLines = await calculateTaxes({
+        subtotal: amount,
+        currency,
+        djProfile: await DjProfile.getById(booking.dj_profile_id),
+        host,
       });
 
+      // Gift credit pays towards the total, tax included
+      const creditAmount = await applyGiftCredit(
+        booking,
+        roundCurrency(amount + sumTaxes(taxLines, currency), currency),
+        req.body.use_credit === true
+      );
+
+      // Create payment intent; this also releases the reservation hold
+      const { payment, client_secret, setup_client_secret } =
+        await Payment.createPaymentIntent({
+          booking_id,
+          host_id: booking.host_id,
+          dj_profile_id: booking.dj_profile_id,
+          amount,
+          currency,
+          tax_lines: taxLines,
+          discount_amount: promotion.discount_amount,
+          credit_amount: creditAmount,
+          kind: paymentPlan === "deposit" ? "deposit" : "full",
+          save_payment_method: paymentPlan === "deposit",
+          customer,
+          description: `Booking #${booking_id} - DJ Service for ${booking.duration_hours} hours`,
+        });
+
+      // Nothing was left to charge to the card
+      const balance =
+        payment.status === "succeeded"
+          ? await Payment.completeBooking(payment, "Paid with gift credit")
+          : null;
+
       logger.info(
         `Payment intent created successfully for booking: ${booking_id}`
       );
@@ -282,13 +350,22 @@ const PaymentController = {
         status: "success",
         message: "Payment intent created successfully",
         data: {
-          payment: newPayment[0],
-          client_secret: paymentIntent.client_secret,
+          payment,
+          client_secret,
+          setup_client_secret,
+          balance,
         },
       });
     } catch (error) {
       logger.error(`Create payment intent error: ${error.message}`);
 
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         status: "error",
         message: "Failed to create payment intent",
@@ -297,6 +374,74 @@ const PaymentController = {
     }
   },
 
+  /**
+   * Pay a booking's outstanding balance now, e.g. with a new card after the
+   * saved one was declined
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  payBalance: async (req, res) => {
+    try {
+      const { bookingId } = req.params;
+
+      logger.info(`Balance payment request for booking: ${bookingId}`);
+
+      const booking = await Booking.getById(bookingId);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${bookingId}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      if (req.user.role !== "admin" && booking.host_id !== req.user.id) {
+        logger.warn(
+          `User ${req.user.id} not authorized to pay balance for booking ${bookingId}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Only the host can pay the balance for this booking",
+        });
+      }
+
+      const balance = BALANCE_BOOKING_STATUSES.includes(booking.status)
+        ? await Payment.getOutstandingBalance(bookingId)
+        : null;
+
+      if (!balance) {
+        return res.status(409).json({
+          status: "error",
+          message: "This booking has no balance left to pay",
+        });
+      }
+
+      const host = await User.getById(booking.host_id);
+      const { payment, client_secret } = await Payment.startBalancePayment(
+        balance,
+        host.stripe_customer_id
+      );
+
+      res.status(201).json({
+        status: "success",
+        message: "Balance payment started",
+        data: {
+          payment,
+          client_secret,
+        },
+      });
+    } catch (error) {
+      logger.error(`Pay balance error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to start balance payment",
+        error: error.message,
+      });
+    }
+  },
+
   /**
    * Handle Stripe webhook events
    * @param {Object} req - Express request
@@ -309,12 +454,20 @@ const PaymentController = {
 
     try {
       // Verify the webhook signature
-      event = stripe.webhooks.constructEvent(
+      event = constructWebhookEvent(
         req.rawBody, // Note: requires bodyParser raw handler
-        signature,
-        process.env.STRIPE_WEBHOOK_SECRET
+        signature
       );
     } catch (error) {
+      // A missing secret is our fault, not the sender's
+      if (error.status === 500) {
+        logger.error(error.message);
+        return res.status(500).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
       logger.error(
         `Stripe webhook signature verification failed: ${error.message}`
       );
@@ -323,18 +476,27 @@ const PaymentController = {
 
     logger.info(`Received Stripe webhook event: ${event.type}`);
 
-    // Handle the event
-    switch (event.type) {
-      case "payment_intent.succeeded":
-        await handlePaymentSuccess(event.data.object);
-        break;
+    try {
+      // Stripe redelivers events, so each one is only processed once
+      const claimed = await StripeEvent.claim(event);
 
-      case "payment_intent.payment_failed":
-        await handlePaymentFailed(event.data.object);
-        break;
+      if (!claimed) {
+        return res.status(200).json({ received: true, duplicate: true });
+      }
 
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
+      await processEvent(event);
+      await StripeEvent.markProcessed(event.id);
+    } catch (error) {
+      logger.error(`Stripe webhook ${event.id} failed: ${error.message}`);
+
+      // A failed event is retried when Stripe redelivers it
+      await StripeEvent.markFailed(event.id, error.message).catch(() => {});
+
+      return res.status(500).json({
+        status: "error",
+        message: "Failed to process webhook event",
+        error: error.message,
+      });
     }
 
     // Return a response to acknowledge receipt of the event
@@ -342,6 +504,62 @@ const PaymentController = {
   },
 };
 
+/**
+ * Route a verified Stripe event to its handler
+ * @param {Object} event - Stripe event
+ */
+async function processEvent(event) {
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      await handlePaymentSuccess(event.data.object);
+      break;
+
+    case "payment_intent.payment_failed":
+      await handlePaymentFailed(event.data.object);
+      break;
+
+    case "payment_intent.processing":
+      await handlePaymentProcessing(event.data.object);
+      break;
+
+    case "payment_intent.canceled":
+      await handlePaymentCanceled(event.data.object);
+      break;
+
+    case "setup_intent.succeeded":
+      await handleSetupSucceeded(event.data.object);
+      break;
+
+    case "charge.refunded":
+      await handleChargeRefunded(event.data.object);
+      break;
+
+    case "charge.dispute.created":
+      await handleDisputeCreated(event.data.object);
+      break;
+
+    case "charge.dispute.closed":
+      await handleDisputeClosed(event.data.object);
+      break;
+
+    // Connect events about DJs' connected accounts
+    case "account.updated":
+      await handleAccountUpdated(event.data.object);
+      break;
+
+    case "payout.created":
+    case "payout.updated":
+    case "payout.paid":
+    case "payout.failed":
+    case "payout.canceled":
+      await handlePayoutEvent(event.account, event.data.object);
+      break;
+
+    default:
+      logger.info(`Unhandled event type: ${event.type}`);
+  }
+}
+
 /**
  * Handle successful payment
  * @param {Object} paymentIntent - Stripe payment intent object
@@ -368,20 +586,45 @@ async function handlePaymentSuccess(paymentIntent) {
       return;
     }
 
-    await Payment.updateStatus(
-      payment.id,
-      "succeeded",
-      new Date().toISOString()
-    );
+    // Refund and dispute events can be delivered before this one
+    if (
+      ["partially_refunded", "refunded", "disputed"].includes(payment.status)
+    ) {
+      logger.info(`Payment ${payment.id} already ${payment.status}`);
+      return;
+    }
 
-    // Update booking payment status
-    await Booking.updatePaymentStatus(booking_id, "paid");
+    // The card is kept so a deposit's balance can be charged off-session
+    const [succeeded] = await Payment.updateStatus(payment.id, "succeeded", {
+      stripe_charge_id: paymentIntent.latest_charge || null,
+      payment_method_id:
+        paymentIntent.payment_method || payment.payment_method_id || null,
+      ...(payment.kind === "balance" ? { next_attempt_at: null } : {}),
+    });
+
+    // The booking was cancelled while the host paid, so nothing is owed
+    const booking = await Booking.getById(payment.booking_id);
+
+    if (booking && isFinalStatus(booking.status)) {
+      await Payment.refund(succeeded.id, {
+        note: `Booking was ${booking.status} before the payment succeeded`,
+        actor: { role: "system" },
+        cancelBooking: false,
+      });
+      logger.info(
+        `Refunded payment ${paymentIntent.id} for ${booking.status} booking`
+      );
+      return;
+    }
 
-    // If booking was pending, update to confirmed
-    const booking = await Booking.getById(booking_id);
+    await Payment.completeBooking(
+      succeeded,
+      `Payment ${paymentIntent.id} succeeded`
+    );
 
-    if (booking && booking.status === "pending") {
-      await Booking.updateStatus(booking_id, "confirmed");
+    // A reschedule that costs more moves the booking once it is paid for
+    if (payment.reschedule_request_id) {
+      await RescheduleRequest.applyPaidDifference(payment);
     }
 
     logger.info(
@@ -389,9 +632,99 @@ async function handlePaymentSuccess(paymentIntent) {
     );
   } catch (error) {
     logger.error(`Error handling payment success: ${error.message}`);
+    throw error;
   }
 }
 
+/**
+ * Redeem a promo code on a booking, or keep the one already redeemed on it
+ * @param {Object} booking - Booking being paid for
+ * @param {string} code - Promo code the host entered, if any
+ * @returns {Promise} - { discount_amount } or { status, error }
+ */
+async function applyPromoCode(booking, code) {
+  if (booking.promo_code_id) {
+    const applied = await PromoCode.getById(booking.promo_code_id);
+
+    if (code && normalizePromoCode(code) !== applied.code) {
+      return {
+        status: 409,
+        error: "A different promo code has already been applied to this booking",
+      };
+    }
+
+    return { discount_amount: Number(booking.discount_amount || 0) };
+  }
+
+  if (!code) {
+    return { discount_amount: 0 };
+  }
+
+  const promo = await PromoCode.getByCode(code);
+
+  if (!promo) {
+    return { status: 404, error: "Promo code not found" };
+  }
+
+  const redemptions = await PromoCode.countRedemptions(
+    promo.id,
+    booking.host_id
+  );
+  const error = checkPromoCode(promo, {
+    booking,
+    redemptions: redemptions.total,
+    hostRedemptions: redemptions.host,
+    hasPaidBooking: promo.first_booking_only
+      ? await Booking.hasPaidBooking(booking.host_id, booking.id)
+      : false,
+  });
+
+  if (error) {
+    return { status: 409, error };
+  }
+
+  const discountAmount = computeDiscount(
+    promo,
+    booking.total_amount,
+    booking.currency
+  );
+
+  // Re-checks the code's limits atomically and records it on the booking
+  await PromoCode.redeem(promo, booking, discountAmount);
+
+  return { discount_amount: discountAmount };
+}
+
+/**
+ * Spend the host's gift credit on a booking, on top of any already spent
+ * on an earlier attempt to pay for it
+ * @param {Object} booking - Booking being paid for
+ * @param {number} total - Amount due, tax included
+ * @param {boolean} useCredit - Whether the host asked to spend credit
+ * @returns {Promise} - Credit applied to the payment
+ */
+async function applyGiftCredit(booking, total, useCredit) {
+  const currency = booking.currency || config.booking.defaultCurrency;
+  const spent = Number(booking.credit_amount || 0);
+
+  if (!useCredit || spent >= total) {
+    return Math.min(spent, total);
+  }
+
+  const balances = await GiftCredit.getBalances(booking.host_id);
+  const amount = computeCreditSpend(
+    balances[normalizeCurrency(currency)] || 0,
+    total - spent,
+    currency
+  );
+
+  if (amount > 0) {
+    await GiftCredit.spend(booking, amount);
+  }
+
+  return roundCurrency(spent + amount, currency);
+}
+
 /**
  * Handle failed payment
  * @param {Object} paymentIntent - Stripe payment intent object
@@ -408,12 +741,366 @@ async function handlePaymentFailed(paymentIntent) {
       return;
     }
 
-    await Payment.updateStatus(payment.id, "failed", new Date().toISOString());
+    // A failed attempt reported late must not undo a later success
+    if (!isUnsettled(payment)) {
+      logger.info(`Payment ${payment.id} already ${payment.status}`);
+      return;
+    }
+
+    // The balance job records declined balance charges and retries them;
+    // one that failed after processing (e.g. a bank debit) is retried next run
+    if (payment.kind === "balance") {
+      if (payment.status === "processing") {
+        await Payment.updateStatus(payment.id, "failed", {
+          next_attempt_at: new Date(),
+          last_error: paymentIntent.last_payment_error
+            ? paymentIntent.last_payment_error.message
+            : "Payment failed",
+        });
+      }
+
+      logger.info(`Balance payment ${payment.id} attempt failed`);
+      return;
+    }
+
+    await Payment.updateStatus(payment.id, "failed");
+    await Booking.updatePaymentStatus(payment.booking_id, "failed");
+
+    // Give the host a fresh hold to retry payment before the slot is released
+    const booking = await Booking.getById(payment.booking_id);
+
+    if (booking && booking.status === "accepted") {
+      await Booking.renewHold(payment.booking_id);
+    }
 
     logger.info(`Payment updated for failed payment: ${paymentIntent.id}`);
   } catch (error) {
     logger.error(`Error handling payment failure: ${error.message}`);
+    throw error;
   }
 }
 
+/**
+ * Handle a payment that is waiting on the bank (e.g. SEPA or ACH debits)
+ * @param {Object} paymentIntent - Stripe payment intent object
+ */
+async function handlePaymentProcessing(paymentIntent) {
+  try {
+    logger.info(`Payment processing: ${paymentIntent.id}`);
+
+    const payment = await Payment.getByStripePaymentIntentId(paymentIntent.id);
+
+    if (!payment) {
+      logger.error(`Payment not found for payment intent: ${paymentIntent.id}`);
+      return;
+    }
+
+    if (!isUnsettled(payment)) {
+      logger.info(`Payment ${payment.id} already ${payment.status}`);
+      return;
+    }
+
+    await Payment.updateStatus(payment.id, "processing");
+    await Booking.updatePaymentStatus(payment.booking_id, "processing");
+
+    logger.info(`Payment updated for processing payment: ${paymentIntent.id}`);
+  } catch (error) {
+    logger.error(`Error handling payment processing: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Handle a payment intent that was canceled before it succeeded
+ * @param {Object} paymentIntent - Stripe payment intent object
+ */
+async function handlePaymentCanceled(paymentIntent) {
+  try {
+    logger.info(`Payment canceled: ${paymentIntent.id}`);
+
+    const payment = await Payment.getByStripePaymentIntentId(paymentIntent.id);
+
+    if (!payment) {
+      logger.error(`Payment not found for payment intent: ${paymentIntent.id}`);
+      return;
+    }
+
+    // A balance stays due until it is paid or the booking is cancelled
+    if (!isUnsettled(payment) || payment.kind === "balance") {
+      logger.info(`Payment ${payment.id} already ${payment.status}`);
+      return;
+    }
+
+    await Payment.updateStatus(payment.id, "canceled");
+
+    // The reschedule is open again, to be accepted again or declined
+    if (payment.reschedule_request_id) {
+      await RescheduleRequest.reopen(payment.reschedule_request_id);
+    }
+
+    // The host can still pay for the booking with a new payment intent
+    const booking = await Booking.getById(payment.booking_id);
+
+    if (booking && booking.status === "accepted") {
+      await Booking.updatePaymentStatus(payment.booking_id, "pending");
+    }
+
+    logger.info(`Payment updated for canceled payment: ${paymentIntent.id}`);
+  } catch (error) {
+    logger.error(`Error handling payment cancellation: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Save a card set up for a booking's balance (when its deposit was covered
+ * by gift credit, so there was no charge to save it from)
+ * @param {Object} setupIntent - Stripe setup intent object
+ */
+async function handleSetupSucceeded(setupIntent) {
+  try {
+    logger.info(`Setup intent succeeded: ${setupIntent.id}`);
+
+    const { booking_id } = setupIntent.metadata || {};
+
+    if (!booking_id) {
+      logger.info(`Setup intent ${setupIntent.id} is not for a booking`);
+      return;
+    }
+
+    const balance = await Payment.savePaymentMethod(
+      booking_id,
+      setupIntent.payment_method
+    );
+
+    if (!balance) {
+      logger.warn(`No balance due for booking ${booking_id}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling setup intent: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Sync refunds with Stripe, including refunds issued from the Stripe
+ * dashboard rather than through the API
+ * @param {Object} charge - Stripe charge object
+ */
+async function handleChargeRefunded(charge) {
+  try {
+    logger.info(`Charge refunded: ${charge.id}`);
+
+    const payment = await Payment.getByStripePaymentIntentId(
+      charge.payment_intent
+    );
+
+    if (!payment) {
+      logger.error(`Payment not found for charge: ${charge.id}`);
+      return;
+    }
+
+    // Events don't carry the charge's refunds, so list them; ones already
+    // in the ledger are skipped
+    const refunds = await stripe.refunds.list({
+      payment_intent: charge.payment_intent,
+      limit: 100,
+    });
+    const updatedPayment = await Payment.syncRefunds(payment, refunds.data);
+
+    // Refunds new to the ledger were issued outside the API (e.g. from the
+    // Stripe dashboard). Cancelling the booking is left to an admin; the
+    // refund may have been a goodwill gesture for a party that goes ahead
+    if (updatedPayment !== payment) {
+      await Booking.updatePaymentStatus(
+        payment.booking_id,
+        updatedPayment.status
+      );
+    }
+
+    logger.info(`Payment ${payment.id} synced for refunded charge`);
+  } catch (error) {
+    logger.error(`Error handling charge refund: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Handle a chargeback: the payment and booking are disputed, which also
+ * keeps the DJ's payout held
+ * @param {Object} dispute - Stripe dispute object
+ */
+async function handleDisputeCreated(dispute) {
+  try {
+    logger.info(`Dispute created: ${dispute.id} on charge ${dispute.charge}`);
+
+    const payment = await Payment.getByStripePaymentIntentId(
+      dispute.payment_intent
+    );
+
+    if (!payment) {
+      logger.error(`Payment not found for dispute: ${dispute.id}`);
+      return;
+    }
+
+    await Payment.recordDispute(payment, dispute);
+    await Booking.updatePaymentStatus(payment.booking_id, "disputed");
+
+    const booking = await Booking.getById(payment.booking_id);
+
+    if (
+      booking &&
+      getAllowedTransitions(booking.status, "system").includes("disputed")
+    ) {
+      await Booking.updateStatus(payment.booking_id, "disputed", {
+        role: "system",
+        reason: `Chargeback ${dispute.id} opened`,
+      });
+    }
+
+    logger.info(`Payment ${payment.id} marked disputed`);
+  } catch (error) {
+    logger.error(`Error handling dispute: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Settle a chargeback once Stripe closes it; the booking stays disputed
+ * until an admin resolves it
+ * @param {Object} dispute - Stripe dispute object
+ */
+async function handleDisputeClosed(dispute) {
+  try {
+    logger.info(`Dispute closed: ${dispute.id} (${dispute.status})`);
+
+    const payment = await Payment.getByStripePaymentIntentId(
+      dispute.payment_intent
+    );
+
+    if (!payment) {
+      logger.error(`Payment not found for dispute: ${dispute.id}`);
+      return;
+    }
+
+    // An admin may already have settled it from our side
+    if (payment.status !== "disputed") {
+      logger.info(`Payment ${payment.id} is no longer disputed`);
+      return;
+    }
+
+    // Inquiries that never became chargebacks close as warning_closed
+    await Payment.closeDispute(
+      payment,
+      dispute.status === "lost" ? "lost" : "won"
+    );
+
+    logger.info(`Payment ${payment.id} dispute closed as ${dispute.status}`);
+  } catch (error) {
+    logger.error(`Error handling dispute closure: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Keep a DJ profile's Connect onboarding flags in sync with Stripe
+ * @param {Object} account - Stripe account object
+ */
+async function handleAccountUpdated(account) {
+  try {
+    const djProfile = await DjProfile.getByStripeAccountId(account.id);
+
+    if (!djProfile) {
+      logger.warn(`No DJ profile for Stripe account: ${account.id}`);
+      return;
+    }
+
+    await DjProfile.update(djProfile.id, accountStatus(account));
+
+    logger.info(`Stripe account ${account.id} synced to DJ ${djProfile.id}`);
+  } catch (error) {
+    logger.error(`Error handling account update: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Move payout ledger entries along as Stripe pays out a DJ's balance
+ * @param {string} stripeAccountId - Connected account the payout belongs to
+ * @param {Object} stripePayout - Stripe payout object
+ */
+async function handlePayoutEvent(stripeAccountId, stripePayout) {
+  try {
+    if (!stripeAccountId) {
+      logger.info(`Ignoring platform payout: ${stripePayout.id}`);
+      return;
+    }
+
+    const entries = await Payout.applyStripePayout(
+      stripeAccountId,
+      stripePayout
+    );
+
+    logger.info(
+      `Payout ${stripePayout.id} (${stripePayout.status}) updated ${entries.length} ledger entries`
+    );
+  } catch (error) {
+    logger.error(`Error handling payout event: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a payment is still waiting to be paid, so late lifecycle
+ * events may update it
+ * @param {Object} payment - Payment
+ * @returns {boolean} - True for pending, processing and failed payments
+ */
+function isUnsettled(payment) {
+  return ["pending", "processing", "failed"].includes(payment.status);
+}
+
+/**
+ * Verify a webhook against the platform endpoint secret, falling back to the
+ * Connect endpoint secret for events about connected accounts
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} - Verified Stripe event
+ */
+function constructWebhookEvent(rawBody, signature) {
+  const secret = getWebhookSecret("STRIPE_WEBHOOK_SECRET", "webhookSecret");
+
+  try {
+    return stripe.webhooks.constructEvent(rawBody, signature, secret);
+  } catch (error) {
+    const connectSecret = getWebhookSecret(
+      "STRIPE_CONNECT_WEBHOOK_SECRET",
+      "connectWebhookSecret"
+    );
+
+    return stripe.webhooks.constructEvent(rawBody, signature, connectSecret);
+  }
+}
+
+/**
+ * Read a webhook endpoint secret from the environment, then config
+ * @param {string} envName - Environment variable holding the secret
+ * @param {string} configKey - Key of the secret under stripe in config
+ * @returns {string} - Endpoint secret
+ * @throws {Error} - With status 500 when the secret is not configured
+ */
+function getWebhookSecret(envName, configKey) {
+  const secret = process.env[envName] || config.stripe[configKey];
+
+  if (!secret) {
+    const configError = new Error(
+      `Stripe webhook secret is not configured; set ${envName}`
+    );
+    configError.status = 500;
+    throw configError;
+  }
+
+  return secret;
+}
+
 module.exports = PaymentController;
@@ -0,0 +1,207 @@
+const DjProfile = require("../models/DjProfile");
+const Payout = require("../models/Payout");
+const User = require("../models/User");
+const { logger } = require("../utils/database");
+const { stripeClient: stripe } = require("../utils/stripe");
+const {
+  PAYOUT_STATUSES,
+  accountStatus,
+  canReceivePayments,
+  summarizePayouts,
+} = require("../services/connect.service");
+const fs = require("fs");
+const path = require("path");
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Payout Controller - Handlers for DJ Stripe Connect onboarding and payouts
+ */
+const PayoutController = {
+  /**
+   * Create the DJ's Stripe Express account if needed and return an
+   * onboarding link
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  startOnboarding: async (req, res) => {
+    try {
+      logger.info(`Stripe onboarding request for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      let stripeAccountId = djProfile.stripe_account_id;
+
+      if (!stripeAccountId) {
+        const user = await User.getById(req.user.id);
+
+        const account = await stripe.accounts.create({
+          type: "express",
+          country: config.stripe.connect.country,
+          email: user.email,
+          capabilities: {
+            card_payments: { requested: true },
+            transfers: { requested: true },
+          },
+          metadata: {
+            dj_profile_id: djProfile.id,
+            user_id: req.user.id,
+          },
+        });
+
+        stripeAccountId = account.id;
+
+        await DjProfile.update(djProfile.id, accountStatus(account));
+
+        logger.info(
+          `Stripe account ${stripeAccountId} created for DJ: ${djProfile.id}`
+        );
+      }
+
+      // Links are single-use and short-lived, so create one per request
+      const frontendUrl = process.env.FRONTEND_URL || config.frontend.url;
+      const accountLink = await stripe.accountLinks.create({
+        account: stripeAccountId,
+        refresh_url: `${frontendUrl}${config.stripe.connect.refreshPath}`,
+        return_url: `${frontendUrl}${config.stripe.connect.returnPath}`,
+        type: "account_onboarding",
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          stripe_account_id: stripeAccountId,
+          url: accountLink.url,
+          expires_at: new Date(accountLink.expires_at * 1000),
+        },
+      });
+    } catch (error) {
+      logger.error(`Stripe onboarding error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to start payout onboarding",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the DJ's Stripe Connect onboarding status, refreshed from Stripe
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getConnectStatus: async (req, res) => {
+    try {
+      logger.info(`Stripe account status request for user: ${req.user.id}`);
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      if (!djProfile.stripe_account_id) {
+        return res.status(200).json({
+          status: "success",
+          data: {
+            connected: false,
+            can_receive_payments: false,
+          },
+        });
+      }
+
+      const account = await stripe.accounts.retrieve(
+        djProfile.stripe_account_id
+      );
+      const flags = accountStatus(account);
+
+      await DjProfile.update(djProfile.id, flags);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          connected: true,
+          ...flags,
+          can_receive_payments: canReceivePayments(flags),
+          requirements: account.requirements
+            ? account.requirements.currently_due
+            : [],
+        },
+      });
+    } catch (error) {
+      logger.error(`Stripe account status error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get payout account status",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the DJ's payout ledger with totals per status
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getMyPayouts: async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      logger.info(`Payout ledger request for user: ${req.user.id}`);
+
+      if (status && !PAYOUT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          status: "error",
+          message: `Status must be one of: ${PAYOUT_STATUSES.join(", ")}`,
+        });
+      }
+
+      const djProfile = await DjProfile.getByUserId(req.user.id);
+
+      if (!djProfile) {
+        logger.warn(`DJ profile not found for user: ${req.user.id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "DJ profile not found",
+        });
+      }
+
+      const payouts = await Payout.getByDjProfileId(djProfile.id, status);
+      const allPayouts = status
+        ? await Payout.getByDjProfileId(djProfile.id)
+        : payouts;
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          payouts,
+          totals: summarizePayouts(allPayouts),
+        },
+      });
+    } catch (error) {
+      logger.error(`Payout ledger error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get payouts",
+        error: error.message,
+      });
+    }
+  },
+};
+
+module.exports = PayoutController;
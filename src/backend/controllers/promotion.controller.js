@@ -0,0 +1,318 @@
+const PromoCode = require("../models/PromoCode");
+const GiftCredit = require("../models/GiftCredit");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { logger } = require("../utils/database");
+const {
+  PROMO_CODE_UPDATE_FIELDS,
+  validatePromoCode,
+  summarizeCredits,
+} = require("../services/promotion.service");
+const {
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  normalizeCurrency,
+  roundCurrency,
+} = require("../services/currency.service");
+
+// Fields admins set when creating a promo code
+const PROMO_CODE_FIELDS = [
+  "code",
+  "discount_type",
+  "discount_value",
+  "currency",
+  "dj_profile_id",
+  "first_booking_only",
+  ...PROMO_CODE_UPDATE_FIELDS,
+];
+
+/**
+ * Pick the given fields present in a request body
+ * @param {Object} body - Request body
+ * @param {Array} fields - Allowed fields
+ * @returns {Object} - Fields that were provided
+ */
+const pickFields = (body, fields) =>
+  fields.reduce((picked, field) => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+    return picked;
+  }, {});
+
+/**
+ * Promotion Controller - Handlers for promo codes and gift credit
+ */
+const PromotionController = {
+  /**
+   * List promo codes
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  listPromoCodes: async (req, res) => {
+    try {
+      logger.info(`Admin promo code list request from: ${req.user.id}`);
+
+      const { active } = req.query;
+      const promoCodes = await PromoCode.getAll(
+        active === undefined ? {} : { active: active === "true" }
+      );
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          promo_codes: promoCodes,
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin promo code list error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to list promo codes",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Create a promo code
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  createPromoCode: async (req, res) => {
+    try {
+      logger.info(`Admin promo code creation by: ${req.user.id}`);
+
+      const promoData = pickFields(req.body, PROMO_CODE_FIELDS);
+      const validationError = validatePromoCode(promoData);
+
+      if (validationError) {
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      if (promoData.currency && !isSupportedCurrency(promoData.currency)) {
+        return res.status(400).json({
+          status: "error",
+          message: `Currency must be one of: ${getSupportedCurrencies().join(", ")}`,
+        });
+      }
+
+      const promoCode = await PromoCode.create({
+        ...promoData,
+        created_by: req.user.id,
+      });
+
+      await AuditLog.record({
+        actor: req.user,
+        action: "promo_code.create",
+        entityType: "promo_code",
+        entityId: promoCode.id,
+        details: promoData,
+      });
+
+      res.status(201).json({
+        status: "success",
+        message: "Promo code created",
+        data: {
+          promo_code: promoCode,
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin promo code creation error: ${error.message}`);
+
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to create promo code",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Update a promo code's limits, window or active flag; the discount itself
+   * cannot change once hosts may have used it
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  updatePromoCode: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Admin promo code update for: ${id}`);
+
+      const promoData = pickFields(req.body, PROMO_CODE_UPDATE_FIELDS);
+
+      if (Object.keys(promoData).length === 0) {
+        return res.status(400).json({
+          status: "error",
+          message: `Nothing to update; allowed fields are: ${PROMO_CODE_UPDATE_FIELDS.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const existing = await PromoCode.getById(id);
+
+      if (!existing) {
+        return res.status(404).json({
+          status: "error",
+          message: "Promo code not found",
+        });
+      }
+
+      const validationError = validatePromoCode(
+        { ...existing, ...promoData },
+        true
+      );
+
+      if (validationError) {
+        return res.status(400).json({
+          status: "error",
+          message: validationError,
+        });
+      }
+
+      const promoCode = await PromoCode.update(id, promoData);
+
+      await AuditLog.record({
+        actor: req.user,
+        action: "promo_code.update",
+        entityType: "promo_code",
+        entityId: id,
+        details: promoData,
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Promo code updated",
+        data: {
+          promo_code: promoCode,
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin promo code update error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update promo code",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Grant gift credit to a host
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  grantCredit: async (req, res) => {
+    try {
+      const { user_id, currency, note } = req.body;
+      const amount = roundCurrency(parseFloat(req.body.amount), currency);
+
+      logger.info(`Admin gift credit grant to ${user_id} by: ${req.user.id}`);
+
+      if (!user_id || !(amount > 0)) {
+        return res.status(400).json({
+          status: "error",
+          message: "user_id and a positive amount are required",
+        });
+      }
+
+      if (!isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          status: "error",
+          message: `Currency must be one of: ${getSupportedCurrencies().join(", ")}`,
+        });
+      }
+
+      const user = await User.getById(user_id);
+
+      if (!user) {
+        return res.status(404).json({
+          status: "error",
+          message: "User not found",
+        });
+      }
+
+      const transaction = await GiftCredit.grant({
+        userId: user_id,
+        amount,
+        currency,
+        note,
+        createdBy: req.user.id,
+      });
+
+      await AuditLog.record({
+        actor: req.user,
+        action: "gift_credit.grant",
+        entityType: "user",
+        entityId: user_id,
+        details: {
+          amount,
+          currency: normalizeCurrency(currency),
+          note: note || null,
+        },
+      });
+
+      res.status(201).json({
+        status: "success",
+        message: "Gift credit granted",
+        data: {
+          transaction,
+          balances: await GiftCredit.getBalances(user_id),
+        },
+      });
+    } catch (error) {
+      logger.error(`Admin gift credit grant error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to grant gift credit",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the current user's gift credit balances and transactions
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getMyCredits: async (req, res) => {
+    try {
+      logger.info(`Gift credit request for user: ${req.user.id}`);
+
+      const transactions = await GiftCredit.getByUserId(req.user.id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          balances: summarizeCredits(transactions),
+          transactions,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get gift credit error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get gift credit",
+        error: error.message,
+      });
+    }
+  },
+};
+
+module.exports = PromotionController;
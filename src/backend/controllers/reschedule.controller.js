@@ -0,0 +1,806 @@
+const Booking = require("../models/Booking");
+const DjProfile = require("../models/DjProfile");
+const Payment = require("../models/Payment");
+const PromoCode = require("../models/PromoCode");
+const RescheduleRequest = require("../models/RescheduleRequest");
+const User = require("../models/User");
+const { logger } = require("../utils/database");
+const {
+  parseLocalTime,
+  resolveTimezone,
+  withLocalTimes,
+} = require("../services/timezone.service");
+const { computeQuote } = require("../services/pricing.service");
+const {
+  normalizeCurrency,
+  roundCurrency,
+} = require("../services/currency.service");
+const { getExchangeRate } = require("../services/fx-rate.service");
+const { calculateTaxes } = require("../services/tax.service");
+const { getBalanceDueAt } = require("../services/deposit.service");
+const { computeDiscount } = require("../services/promotion.service");
+const {
+  validateBookingTimes,
+} = require("../services/booking-validation.service");
+const {
+  isRefundable,
+  getRefundableAmount,
+} = require("../services/refund.service");
+const moment = require("moment-timezone");
+const fs = require("fs");
+const path = require("path");
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+// Bookings whose times can still be moved
+const RESCHEDULABLE_STATUSES = ["requested", "accepted", "paid", "confirmed"];
+
+/**
+ * Reschedule Controller - Handlers for proposing and answering new booking times
+ */
+const RescheduleController = {
+  /**
+   * Get reschedule requests for a booking
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getRescheduleRequests: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Getting reschedule requests for booking: ${id}`);
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (!role) {
+        logger.warn(`User ${req.user.id} not authorized to view booking ${id}`);
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to view this booking",
+        });
+      }
+
+      const requests = await RescheduleRequest.getByBookingId(id);
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          reschedule_requests: requests,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get reschedule requests error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get reschedule requests",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Propose new times for a booking
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  proposeReschedule: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Reschedule proposal for booking: ${id}`);
+
+      const booking = await Booking.getById(id);
+
+      if (!booking) {
+        logger.warn(`Booking not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Booking not found",
+        });
+      }
+
+      const role = await Booking.getParticipantRole(booking, req.user);
+
+      if (role !== "host" && role !== "dj") {
+        logger.warn(
+          `User ${req.user.id} not authorized to reschedule booking ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Only the host or DJ can propose new times",
+        });
+      }
+
+      const pending = await RescheduleRequest.getPendingByBookingId(id);
+
+      if (pending) {
+        return res.status(409).json({
+          status: "error",
+          message:
+            "This booking already has an open reschedule request; accept, decline or counter it",
+        });
+      }
+
+      const proposal = await buildProposal(booking, role, req.body);
+
+      if (proposal.error) {
+        logger.warn(`Reschedule proposal failed: ${proposal.error}`);
+        return res.status(proposal.status).json({
+          status: "error",
+          message: proposal.error,
+          errors: proposal.errors,
+        });
+      }
+
+      const newRequest = await RescheduleRequest.create({
+        ...proposal.data,
+        booking_id: id,
+        proposed_by: req.user.id,
+        proposer_role: role,
+        reason: req.body.reason,
+      });
+
+      logger.info(`Reschedule request created: ${newRequest[0].id}`);
+
+      res.status(201).json({
+        status: "success",
+        message: "Reschedule request created successfully",
+        data: {
+          reschedule_request: newRequest[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Propose reschedule error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to create reschedule request",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Accept a reschedule request and move the booking
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  acceptReschedule: async (req, res) => {
+    try {
+      const context = await loadResponseContext(req, res);
+
+      if (!context) {
+        return;
+      }
+
+      const { booking, request } = context;
+
+      // A proposal can go stale while it waits for an answer
+      const errors = validateBookingTimes({
+        startTime: request.start_time,
+        endTime: request.end_time,
+        djProfile: await DjProfile.getById(booking.dj_profile_id),
+      });
+
+      if (errors.length > 0) {
+        logger.warn(`Accept reschedule failed: ${errors[0].message}`);
+        return res.status(400).json({
+          status: "error",
+          message: errors[0].message,
+          errors,
+        });
+      }
+
+      // Price the new times at the DJ's current rates
+      const quote = await quoteFor(
+        booking,
+        moment(request.start_time),
+        moment(request.end_time)
+      );
+
+      // Work out what the new price means for what the host has paid
+      const plan = await planSettlement(booking, quote.subtotal);
+      const pricedQuote = { ...quote, discount_amount: plan.discount_amount };
+
+      // A higher price is paid before the booking moves
+      if (plan.action === "charge") {
+        const charge = await chargePriceDifference(
+          booking,
+          request,
+          pricedQuote,
+          plan,
+          req.user.id
+        );
+
+        logger.info(
+          `Reschedule request ${request.id} awaiting payment of ${plan.difference}`
+        );
+
+        return res.status(202).json({
+          status: "success",
+          message:
+            "Reschedule accepted; the booking moves once the host pays the difference",
+          data: {
+            reschedule_request: charge.request,
+            settlement: {
+              difference: plan.difference,
+              action: "charge",
+              payment: charge.payment,
+              client_secret: charge.client_secret,
+            },
+          },
+        });
+      }
+
+      // Re-checks availability and moves the booking atomically
+      const updatedBooking = await RescheduleRequest.accept(
+        request.id,
+        pricedQuote,
+        req.user.id
+      );
+
+      logger.info(
+        `Reschedule request ${request.id} accepted for booking ${booking.id}`
+      );
+
+      const settlement = await settlePriceDifference(
+        booking,
+        request,
+        plan,
+        updatedBooking[0]
+      );
+
+      res.status(200).json({
+        status: "success",
+        message: "Booking rescheduled successfully",
+        data: {
+          booking: withLocalTimes(updatedBooking[0]),
+          settlement,
+        },
+      });
+    } catch (error) {
+      logger.error(`Accept reschedule error: ${error.message}`);
+
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to accept reschedule request",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Decline a reschedule request
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  declineReschedule: async (req, res) => {
+    try {
+      // The host may no longer want to pay for a move that was accepted
+      const context = await loadResponseContext(req, res, {
+        allowAwaitingPayment: true,
+      });
+
+      if (!context) {
+        return;
+      }
+
+      const declined = await RescheduleRequest.close(
+        context.request.id,
+        "declined",
+        req.user.id
+      );
+
+      logger.info(`Reschedule request declined: ${context.request.id}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Reschedule request declined",
+        data: {
+          reschedule_request: declined[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Decline reschedule error: ${error.message}`);
+
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to decline reschedule request",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Answer a reschedule request with different times
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  counterReschedule: async (req, res) => {
+    try {
+      const context = await loadResponseContext(req, res);
+
+      if (!context) {
+        return;
+      }
+
+      const { booking, request, role } = context;
+
+      if (role === "admin") {
+        return res.status(403).json({
+          status: "error",
+          message: "Only the host or DJ can counter-propose new times",
+        });
+      }
+
+      const proposal = await buildProposal(booking, role, req.body);
+
+      if (proposal.error) {
+        logger.warn(`Reschedule counter-proposal failed: ${proposal.error}`);
+        return res.status(proposal.status).json({
+          status: "error",
+          message: proposal.error,
+          errors: proposal.errors,
+        });
+      }
+
+      await RescheduleRequest.close(request.id, "countered", req.user.id);
+
+      const counter = await RescheduleRequest.create({
+        ...proposal.data,
+        booking_id: booking.id,
+        parent_id: request.id,
+        proposed_by: req.user.id,
+        proposer_role: role,
+        reason: req.body.reason,
+      });
+
+      logger.info(
+        `Reschedule request ${request.id} countered with ${counter[0].id}`
+      );
+
+      res.status(201).json({
+        status: "success",
+        message: "Counter-proposal created successfully",
+        data: {
+          reschedule_request: counter[0],
+        },
+      });
+    } catch (error) {
+      logger.error(`Counter reschedule error: ${error.message}`);
+
+      if (error.status === 409) {
+        return res.status(409).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to counter reschedule request",
+        error: error.message,
+      });
+    }
+  },
+};
+
+/**
+ * Load the booking and pending request a user is responding to, sending
+ * the error response if they cannot respond
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - allowAwaitingPayment lets either party respond to
+ *   a request still waiting on the host's payment
+ * @returns {Promise} - { booking, request, role }, or null once a response was sent
+ */
+async function loadResponseContext(req, res, options = {}) {
+  const { id, requestId } = req.params;
+
+  const booking = await Booking.getById(id);
+  const request = booking ? await RescheduleRequest.getById(requestId) : null;
+
+  if (!booking || !request || request.booking_id !== booking.id) {
+    logger.warn(`Reschedule request ${requestId} not found for booking ${id}`);
+    res.status(404).json({
+      status: "error",
+      message: "Reschedule request not found",
+    });
+    return null;
+  }
+
+  const role = await Booking.getParticipantRole(booking, req.user);
+  const awaitingPayment =
+    options.allowAwaitingPayment && request.status === "awaiting_payment";
+
+  // The other party answers a proposal; admins can settle either side
+  if (!role || (role === request.proposer_role && !awaitingPayment)) {
+    logger.warn(
+      `User ${req.user.id} not authorized to respond to reschedule request ${requestId}`
+    );
+    res.status(403).json({
+      status: "error",
+      message: "Only the other party can respond to this reschedule request",
+    });
+    return null;
+  }
+
+  if (request.status !== "pending" && !awaitingPayment) {
+    res.status(409).json({
+      status: "error",
+      message: `Reschedule request is already ${request.status}`,
+    });
+    return null;
+  }
+
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    res.status(400).json({
+      status: "error",
+      message: `Cannot reschedule booking with status: ${booking.status}`,
+    });
+    return null;
+  }
+
+  return { booking, request, role };
+}
+
+/**
+ * Validate proposed times and price them
+ * @param {Object} booking - Booking being rescheduled
+ * @param {string} role - Proposing party; wall-clock times are in their timezone
+ * @param {Object} body - Request body with start_time and end_time
+ * @returns {Promise} - { data } with request fields, or { status, error }
+ */
+async function buildProposal(booking, role, body) {
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    return {
+      status: 400,
+      error: `Cannot reschedule booking with status: ${booking.status}`,
+    };
+  }
+
+  if (!body.start_time || !body.end_time) {
+    return { status: 400, error: "Start time and end time are required" };
+  }
+
+  const timezone = resolveTimezone(
+    role === "dj" ? booking.dj_timezone : booking.host_timezone,
+    config.timeZone.default
+  );
+  const start = parseLocalTime(body.start_time, timezone);
+  const end = parseLocalTime(body.end_time, timezone);
+
+  if (start.error || end.error) {
+    return { status: 400, error: start.error || end.error };
+  }
+
+  // New times must respect the same limits as a new booking
+  const djProfile = await DjProfile.getById(booking.dj_profile_id);
+  const errors = validateBookingTimes({
+    startTime: start.time,
+    endTime: end.time,
+    djProfile,
+  });
+
+  if (errors.length > 0) {
+    return { status: 400, error: errors[0].message, errors };
+  }
+
+  // Catch obvious clashes early; acceptance re-checks atomically
+  const hasConflict = await Booking.checkConflicts(
+    booking.dj_profile_id,
+    start.time,
+    end.time,
+    booking.id
+  );
+
+  if (hasConflict) {
+    return {
+      status: 409,
+      error: "DJ is not available during the selected time",
+    };
+  }
+
+  const quote = await quoteFor(booking, start.time, end.time);
+
+  return {
+    data: {
+      start_time: start.time.toISOString(),
+      end_time: end.time.toISOString(),
+      duration_hours: end.time.diff(start.time, "hours", true),
+      total_amount: quote.subtotal,
+    },
+  };
+}
+
+/**
+ * Price new times for a booking, keeping the add-ons it was booked with
+ * @param {Object} booking - Booking being rescheduled
+ * @param {Object} startTime - New start (moment)
+ * @param {Object} endTime - New end (moment)
+ * @returns {Promise} - Quote with subtotal and line_items
+ */
+async function quoteFor(booking, startTime, endTime) {
+  const djProfile = await DjProfile.getById(booking.dj_profile_id);
+  const addOns = (await Booking.getLineItems(booking.id))
+    .filter((item) => item.type === "add_on")
+    .map((item) => ({
+      id: item.add_on_id,
+      name: item.description,
+      price: Number(item.unit_amount),
+    }));
+
+  return computeQuote({
+    djProfile: {
+      ...(await ratesInCurrency(djProfile, booking.currency)),
+      timezone: resolveTimezone(djProfile.timezone, config.timeZone.default),
+    },
+    startTime,
+    endTime,
+    addOns,
+  });
+}
+
+/**
+ * Restate a DJ's rates in a booking's currency; bookings keep the currency
+ * they were made in even if the DJ has since switched
+ * @param {Object} djProfile - DJ profile with pricing fields
+ * @param {string} currency - Booking currency
+ * @returns {Promise} - DJ profile with rates in that currency
+ */
+async function ratesInCurrency(djProfile, currency) {
+  if (
+    !currency ||
+    normalizeCurrency(currency) === normalizeCurrency(djProfile.currency)
+  ) {
+    return djProfile;
+  }
+
+  const { rate } = await getExchangeRate(djProfile.currency, currency);
+  const convert = (amount) =>
+    amount === null || amount === undefined
+      ? amount
+      : roundCurrency(Number(amount) * rate, currency);
+
+  return {
+    ...djProfile,
+    currency,
+    hourly_rate: convert(djProfile.hourly_rate),
+    event_fee: convert(djProfile.event_fee),
+    minimum_fee: convert(djProfile.minimum_fee),
+  };
+}
+
+/**
+ * Work out how much of a payment to refund to return a pre-tax amount; the
+ * tax charged on that amount goes back with it
+ * @param {Object} payment - Payment, possibly with tax_amount
+ * @param {number} amount - Pre-tax amount to return
+ * @returns {number} - Amount to refund, tax included
+ */
+function withPaymentTax(payment, amount) {
+  const gross = Number(payment.amount);
+  const net = gross - Number(payment.tax_amount || 0);
+
+  return roundCurrency(
+    net > 0 ? (amount * gross) / net : amount,
+    payment.currency
+  );
+}
+
+/**
+ * Work out what a new price means for what the host has paid, net of their
+ * promo code, which is re-applied to the new price. A balance that has not
+ * been charged yet takes the difference; otherwise an increase is charged
+ * and a decrease refunded from the newest payments first
+ * @param {Object} booking - Booking as it was before rescheduling
+ * @param {number} newTotal - New booking total, before any discount
+ * @returns {Promise} - { difference, discount_amount, action } where action
+ *   is balance (with the new balance amount), charge, refund (with the
+ *   refund amount and payments to refund) or none, and cancel_balance says
+ *   whether a decrease swallows the balance
+ */
+async function planSettlement(booking, newTotal) {
+  const currency = booking.currency || config.booking.defaultCurrency;
+  const previousDiscount = Number(booking.discount_amount || 0);
+  const promo = booking.promo_code_id
+    ? await PromoCode.getById(booking.promo_code_id)
+    : null;
+  const discountAmount = promo
+    ? computeDiscount(promo, newTotal, currency)
+    : roundCurrency(Math.min(previousDiscount, newTotal), currency);
+  const difference = roundCurrency(
+    newTotal -
+      discountAmount -
+      (Number(booking.total_amount) - previousDiscount),
+    currency
+  );
+  const plan = { difference, discount_amount: discountAmount };
+
+  let owed = difference;
+  const balance = await Payment.getOutstandingBalance(booking.id);
+
+  if (balance) {
+    const amount = roundCurrency(
+      Number(balance.amount) - Number(balance.tax_amount || 0) + difference,
+      balance.currency
+    );
+
+    if (amount > 0) {
+      return { ...plan, action: "balance", balance, amount };
+    }
+
+    // The decrease swallows the whole balance; what is left is refunded
+    plan.cancel_balance = true;
+    owed = amount;
+  }
+
+  const payments = (await Payment.getByBookingId(booking.id))
+    .filter(isRefundable)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  // Unpaid bookings are simply charged the new total later
+  if (owed === 0 || payments.length === 0) {
+    return { ...plan, action: "none" };
+  }
+
+  if (owed > 0) {
+    return { ...plan, action: "charge" };
+  }
+
+  return { ...plan, action: "refund", refund_amount: -owed, payments };
+}
+
+/**
+ * Charge the host a reschedule's price increase. The request waits for the
+ * payment and the booking keeps its times until the payment succeeds (see
+ * RescheduleRequest.applyPaidDifference); if the charge can't be created the
+ * request is pending again
+ * @param {Object} booking - Booking being rescheduled
+ * @param {Object} request - Reschedule request being accepted
+ * @param {Object} quote - Price for the new times, with its discount
+ * @param {Object} plan - Settlement plan from planSettlement
+ * @param {string|number} respondedBy - User who accepted
+ * @returns {Promise} - { request, payment, client_secret }
+ */
+async function chargePriceDifference(
+  booking,
+  request,
+  quote,
+  plan,
+  respondedBy
+) {
+  const [awaiting] = await RescheduleRequest.awaitPayment(
+    request.id,
+    quote,
+    respondedBy
+  );
+
+  try {
+    const currency = booking.currency || config.booking.defaultCurrency;
+    const host = await User.getById(booking.host_id);
+    const { payment, client_secret } = await Payment.createPaymentIntent({
+      booking_id: booking.id,
+      host_id: booking.host_id,
+      dj_profile_id: booking.dj_profile_id,
+      amount: plan.difference,
+      currency,
+      tax_lines: await calculateTaxes({
+        subtotal: plan.difference,
+        currency,
+        djProfile: await DjProfile.getById(booking.dj_profile_id),
+        host,
+      }),
+      kind: "adjustment",
+      reschedule_request_id: request.id,
+      customer: host.stripe_customer_id,
+      description: `Booking #${booking.id} - reschedule price difference`,
+    });
+
+    return { request: awaiting, payment, client_secret };
+  } catch (error) {
+    // Nothing was charged, so the request can be answered again
+    await RescheduleRequest.reopen(request.id);
+    throw error;
+  }
+}
+
+/**
+ * Settle a price difference once a booking has moved: a balance that has not
+ * been charged yet takes the difference instead and moves with the party,
+ * and a decrease is refunded, tax included. If settling fails the booking
+ * stays moved and the error is recorded on the request for an admin
+ * @param {Object} booking - Booking as it was before rescheduling
+ * @param {Object} request - Accepted reschedule request
+ * @param {Object} plan - Settlement plan from planSettlement
+ * @param {Object} rescheduled - Booking at its new times
+ * @returns {Promise} - What was done about the difference
+ */
+async function settlePriceDifference(booking, request, plan, rescheduled) {
+  const { difference } = plan;
+
+  try {
+    if (plan.action === "balance") {
+      const payment = await Payment.updateBalance(plan.balance, {
+        amount: plan.amount,
+        taxLines: await calculateTaxes({
+          subtotal: plan.amount,
+          currency: plan.balance.currency,
+          djProfile: await DjProfile.getById(booking.dj_profile_id),
+          host: await User.getById(booking.host_id),
+        }),
+        dueAt: getBalanceDueAt(rescheduled),
+      });
+
+      return { difference, action: "balance", payment };
+    }
+
+    if (plan.cancel_balance) {
+      await Payment.cancelBalance(booking.id);
+      await Booking.updatePaymentStatus(booking.id, "completed");
+    }
+
+    if (plan.action !== "refund") {
+      return { difference, action: "none" };
+    }
+
+    // Refund the newest payments first until the difference is covered
+    const refunds = [];
+    let remaining = plan.refund_amount;
+
+    for (const payment of plan.payments) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const owed = withPaymentTax(payment, remaining);
+      const amount = Math.min(owed, getRefundableAmount(payment));
+      refunds.push(
+        await Payment.refund(payment.id, {
+          amount,
+          cancelBooking: false,
+        })
+      );
+      remaining = roundCurrency(
+        remaining - (remaining * amount) / owed,
+        booking.currency
+      );
+    }
+
+    return { difference, action: "refund", refunds };
+  } catch (error) {
+    logger.error(
+      `Settling reschedule request ${request.id} failed: ${error.message}`
+    );
+    await RescheduleRequest.recordSettlementError(request.id, error.message);
+
+    return { difference, action: plan.action, error: error.message };
+  }
+}
+
+module.exports = RescheduleController;
@@ -1,29 +1,23 @@
 const Stream = require("../models/Stream");
 const Booking = require("../models/Booking");
+const BookingGuest = require("../models/BookingGuest");
 const DjProfile = require("../models/DjProfile");
+const StreamEvent = require("../models/StreamEvent");
 const { logger } = require("../utils/database");
 const {
-  IvsClient,
-  CreateChannelCommand,
-  DeleteChannelCommand,
-  GetStreamCommand,
-  GetStreamKeyCommand,
-  CreateStreamKeyCommand,
-} = require("@aws-sdk/client-ivs");
+  STREAM_EVENT_SOURCES,
+  STREAM_EVENT_TYPES,
+  FINISHED_STREAM_STATUSES,
+  canTransitionStream,
+  getStreamEventChanges,
+  toStreamStatusEvent,
+} = require("../services/stream-lifecycle.service");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const configPath = path.join(__dirname, "../../config/config.json");
 const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
 
-// Initialize AWS IVS client
-const ivsClient = new IvsClient({
-  region: config.aws.region,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
-
 /**
  * Stream Controller - Handlers for streaming-related API endpoints
  */
@@ -69,7 +63,12 @@ const StreamController = {
         isDj = djProfile && djProfile.id === booking.dj_profile_id;
       }
 
-      if (req.user.role !== "admin" && !isHost && !isDj) {
+      const isGuest =
+        !isHost &&
+        !isDj &&
+        !!(await BookingGuest.getActive(booking.id, req.user.id));
+
+      if (req.user.role !== "admin" && !isHost && !isDj && !isGuest) {
         logger.warn(`User ${req.user.id} not authorized to view stream ${id}`);
         return res.status(403).json({
           status: "error",
@@ -77,46 +76,14 @@ const StreamController = {
         });
       }
 
-      // If stream is active, get current metrics from AWS IVS
-      if (stream.status === "active") {
-        try {
-          const getStreamCommand = new GetStreamCommand({
-            channelArn: stream.channel_arn,
-          });
-
-          const awsStreamData = await ivsClient.send(getStreamCommand);
-
-          if (awsStreamData.stream) {
-            stream.viewer_count = awsStreamData.stream.viewerCount || 0;
-            stream.health = awsStreamData.stream.health || "UNKNOWN";
-          }
-        } catch (awsError) {
-          logger.warn(`Failed to get AWS IVS stream data: ${awsError.message}`);
-          // Don't return an error, just continue with the database data
-        }
-      }
-
-      // For DJ role, include streaming credentials
-      if (isDj) {
-        try {
-          const getStreamKeyCommand = new GetStreamKeyCommand({
-            arn: stream.stream_key_arn,
-          });
-
-          const streamKeyData = await ivsClient.send(getStreamKeyCommand);
-          stream.rtmp_url = `rtmps://${
-            streamKeyData.streamKey.channelArn.split("/")[1]
-          }.global-contribute.live-video.net:443/app/`;
-          stream.stream_key = streamKeyData.streamKey.value;
-        } catch (awsError) {
-          logger.warn(`Failed to get AWS IVS stream key: ${awsError.message}`);
-        }
-      }
+      // If stream is live, get current metrics from the provider
+      await addLiveMetrics(stream);
 
       res.status(200).json({
         status: "success",
         data: {
-          stream,
+          // Only the DJ gets the streaming credentials
+          stream: presentStream(stream, isDj),
         },
       });
     } catch (error) {
@@ -161,7 +128,12 @@ const StreamController = {
         isDj = djProfile && djProfile.id === booking.dj_profile_id;
       }
 
-      if (req.user.role !== "admin" && !isHost && !isDj) {
+      const isGuest =
+        !isHost &&
+        !isDj &&
+        !!(await BookingGuest.getActive(booking.id, req.user.id));
+
+      if (req.user.role !== "admin" && !isHost && !isDj && !isGuest) {
         logger.warn(
           `User ${req.user.id} not authorized to view stream for booking ${bookingId}`
         );
@@ -181,54 +153,102 @@ const StreamController = {
         });
       }
 
-      // If stream is active, get current metrics from AWS IVS
-      if (stream.status === "active") {
-        try {
-          const getStreamCommand = new GetStreamCommand({
-            channelArn: stream.channel_arn,
-          });
+      // If stream is live, get current metrics from the provider
+      await addLiveMetrics(stream);
 
-          const awsStreamData = await ivsClient.send(getStreamCommand);
+      res.status(200).json({
+        status: "success",
+        data: {
+          // Only the DJ gets the streaming credentials
+          stream: presentStream(stream, isDj),
+        },
+      });
+    } catch (error) {
+      logger.error(`Get stream by booking error: ${error.message}`);
 
-          if (awsStreamData.stream) {
-            stream.viewer_count = awsStreamData.stream.viewerCount || 0;
-            stream.health = awsStreamData.stream.health || "UNKNOWN";
-          }
-        } catch (awsError) {
-          logger.warn(`Failed to get AWS IVS stream data: ${awsError.message}`);
-          // Don't return an error, just continue with the database data
-        }
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get stream",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Mint a short-lived playback token for the host, the DJ or an invited guest
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  createPlaybackToken: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Creating playback token for stream: ${id}`);
+
+      const stream = await Stream.getById(id);
+
+      if (!stream) {
+        logger.warn(`Stream not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Stream not found",
+        });
       }
 
-      // For DJ role, include streaming credentials
-      if (isDj) {
-        try {
-          const getStreamKeyCommand = new GetStreamKeyCommand({
-            arn: stream.stream_key_arn,
-          });
+      if (["ended", "failed"].includes(stream.status)) {
+        return res.status(409).json({
+          status: "error",
+          message: `Cannot watch a stream that has ${stream.status}`,
+        });
+      }
 
-          const streamKeyData = await ivsClient.send(getStreamKeyCommand);
-          stream.rtmp_url = `rtmps://${
-            streamKeyData.streamKey.channelArn.split("/")[1]
-          }.global-contribute.live-video.net:443/app/`;
-          stream.stream_key = streamKeyData.streamKey.value;
-        } catch (awsError) {
-          logger.warn(`Failed to get AWS IVS stream key: ${awsError.message}`);
+      const booking = await Booking.getById(stream.booking_id);
+
+      if (!booking) {
+        logger.warn(`Associated booking not found for stream: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Associated booking not found",
+        });
+      }
+
+      // Admins are not let in unless they are on the guest list
+      const role = await Booking.getParticipantRole(booking, req.user);
+      let sessionVersion = 0;
+
+      if (role !== "host" && role !== "dj") {
+        const guest = await BookingGuest.getActive(booking.id, req.user.id);
+
+        if (!guest) {
+          logger.warn(
+            `User ${req.user.id} not authorized to watch stream ${id}`
+          );
+          return res.status(403).json({
+            status: "error",
+            message:
+              "Only the host, DJ and invited guests can watch this stream",
+          });
         }
+
+        sessionVersion = guest.session_version;
       }
 
-      res.status(200).json({
+      const playback = await Stream.createPlaybackUrl(stream, {
+        viewerId: req.user.id,
+        sessionVersion,
+        origin: process.env.FRONTEND_URL || config.frontend.url,
+      });
+
+      res.status(201).json({
         status: "success",
-        data: {
-          stream,
-        },
+        data: playback,
       });
     } catch (error) {
-      logger.error(`Get stream by booking error: ${error.message}`);
+      logger.error(`Create playback token error: ${error.message}`);
 
       res.status(500).json({
         status: "error",
-        message: "Failed to get stream",
+        message: "Failed to create playback token",
         error: error.message,
       });
     }
@@ -304,48 +324,14 @@ const StreamController = {
         });
       }
 
-      // Create an IVS channel
-      const createChannelParams = {
-        name: `PartyStream-${booking_id}-${new Date().getTime()}`,
-        type: "STANDARD", // Use STANDARD or BASIC based on requirements
-        latencyMode: "LOW", // LOW latency for DJ streaming
-        authorized: false, // No need for extra authorization since we control access
-      };
-
-      const createChannelCommand = new CreateChannelCommand(
-        createChannelParams
-      );
-      const channelData = await ivsClient.send(createChannelCommand);
-
-      // Create a stream key for the channel
-      const createStreamKeyCommand = new CreateStreamKeyCommand({
-        channelArn: channelData.channel.arn,
-        name: `StreamKey-${booking_id}-${new Date().getTime()}`,
-      });
-
-      const streamKeyData = await ivsClient.send(createStreamKeyCommand);
-
-      // Create the stream record in our database
       const newStream = await Stream.create({
         booking_id,
         dj_profile_id: booking.dj_profile_id,
         host_id: booking.host_id,
-        status: "created",
-        channel_arn: channelData.channel.arn,
-        stream_key_arn: streamKeyData.streamKey.arn,
-        playback_url: channelData.channel.playbackUrl,
-        start_time: null,
-        end_time: null,
-        viewers_peak: 0,
-        recorded: false,
       });
 
-      // Return stream data with credentials for the DJ
-      const streamResponse = {
-        ...newStream[0],
-        rtmp_url: `rtmps://${channelData.channel.ingestEndpoint}/app/`,
-        stream_key: streamKeyData.streamKey.value,
-      };
+      // Only the DJ gets the streaming credentials, not an admin
+      const streamResponse = presentStream(newStream[0], isDj);
 
       logger.info(`Stream created successfully: ${newStream[0].id}`);
 
@@ -388,8 +374,8 @@ const StreamController = {
         });
       }
 
-      // Check if stream is in created status
-      if (stream.status !== "created") {
+      // Check if stream can go live
+      if (!canTransitionStream(stream.status, "live")) {
         logger.warn(`Cannot start stream with status: ${stream.status}`);
         return res.status(400).json({
           status: "error",
@@ -413,12 +399,27 @@ const StreamController = {
         });
       }
 
+      const booking = await Booking.getById(stream.booking_id);
+
+      if (!["confirmed", "in_progress"].includes(booking.status)) {
+        logger.warn(`Cannot start stream for booking ${booking.id}`);
+        return res.status(409).json({
+          status: "error",
+          message: `Cannot start a stream for a ${booking.status} booking`,
+        });
+      }
+
       // Update stream status
-      const updatedStream = await Stream.updateStatus(
-        id,
-        "active",
-        new Date().toISOString()
-      );
+      const updatedStream = await Stream.updateStatus(id, "live");
+
+      // The booking is now under way, unless the encoder already started it
+      if (booking.status === "confirmed") {
+        await Booking.updateStatus(booking.id, "in_progress", {
+          id: req.user.id,
+          role: "system",
+          reason: "Stream started",
+        });
+      }
 
       logger.info(`Stream started successfully: ${id}`);
 
@@ -426,12 +427,19 @@ const StreamController = {
         status: "success",
         message: "Stream started successfully",
         data: {
-          stream: updatedStream[0],
+          stream: presentStream(updatedStream[0], isDj),
         },
       });
     } catch (error) {
       logger.error(`Start stream error: ${error.message}`);
 
+      if (error.status) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         status: "error",
         message: "Failed to start stream",
@@ -461,8 +469,8 @@ const StreamController = {
         });
       }
 
-      // Check if stream is in active status
-      if (stream.status !== "active") {
+      // Check if stream can be ended
+      if (!canTransitionStream(stream.status, "ended")) {
         logger.warn(`Cannot end stream with status: ${stream.status}`);
         return res.status(400).json({
           status: "error",
@@ -489,39 +497,21 @@ const StreamController = {
         });
       }
 
-      // Get current stream info from AWS
-      try {
-        const getStreamCommand = new GetStreamCommand({
-          channelArn: stream.channel_arn,
-        });
-
-        const awsStreamData = await ivsClient.send(getStreamCommand);
-
-        if (awsStreamData.stream) {
-          // Update viewers peak if higher than current value
-          if (awsStreamData.stream.viewerCount > stream.viewers_peak) {
-            await Stream.updateViewersPeak(
-              id,
-              awsStreamData.stream.viewerCount
-            );
-          }
-        }
-      } catch (awsError) {
-        logger.warn(`Failed to get AWS IVS stream data: ${awsError.message}`);
-        // Continue with ending the stream even if we can't get viewer count
-      }
+      // Take a last viewer count before the channel goes quiet
+      await addLiveMetrics(stream);
 
       // Update stream status
-      const updatedStream = await Stream.updateStatus(
-        id,
-        "ended",
-        null,
-        new Date().toISOString()
-      );
+      const updatedStream = await Stream.updateStatus(id, "ended");
+
+      // A party that was under way is over once its stream ends, whoever
+      // ended it
+      const booking = await Booking.getById(stream.booking_id);
 
-      // Update the associated booking status to completed if the DJ ended it
-      if (isDj || req.user.role === "admin") {
-        await Booking.updateStatus(stream.booking_id, "completed");
+      if (booking.status === "in_progress") {
+        await Booking.updateStatus(stream.booking_id, "completed", {
+          role: "system",
+          reason: "Stream ended",
+        });
       }
 
       logger.info(`Stream ended successfully: ${id}`);
@@ -530,12 +520,19 @@ const StreamController = {
         status: "success",
         message: "Stream ended successfully",
         data: {
-          stream: updatedStream[0],
+          stream: presentStream(updatedStream[0], isDj),
         },
       });
     } catch (error) {
       logger.error(`End stream error: ${error.message}`);
 
+      if (error.status) {
+        return res.status(error.status).json({
+          status: "error",
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         status: "error",
         message: "Failed to end stream",
@@ -545,7 +542,138 @@ const StreamController = {
   },
 
   /**
-   * Delete a stream (and its AWS IVS channel)
+   * Rotate a stream's key, e.g. when it leaked while setting up the encoder
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  rotateStreamKey: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Rotating stream key for stream: ${id}`);
+
+      const stream = await Stream.getById(id);
+
+      if (!stream) {
+        logger.warn(`Stream not found: ${id}`);
+        return res.status(404).json({
+          status: "error",
+          message: "Stream not found",
+        });
+      }
+
+      // Keys are only ever handed to the stream's own DJ
+      let isDj = false;
+
+      if (req.user.role === "dj") {
+        const djProfile = await DjProfile.getByUserId(req.user.id);
+        isDj = djProfile && djProfile.id === stream.dj_profile_id;
+      }
+
+      if (!isDj) {
+        logger.warn(
+          `User ${req.user.id} not authorized to rotate key of stream ${id}`
+        );
+        return res.status(403).json({
+          status: "error",
+          message: "Only the stream's DJ can rotate its key",
+        });
+      }
+
+      if (FINISHED_STREAM_STATUSES.includes(stream.status)) {
+        return res.status(409).json({
+          status: "error",
+          message: `Cannot rotate the key of a stream that has ${stream.status}`,
+        });
+      }
+
+      const updatedStream = await Stream.rotateStreamKey(stream);
+
+      logger.info(`Stream key rotated: ${id}`);
+
+      res.status(200).json({
+        status: "success",
+        message: "Stream key rotated",
+        data: {
+          stream: presentStream(updatedStream, true),
+        },
+      });
+    } catch (error) {
+      logger.error(`Rotate stream key error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to rotate stream key",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Receive a stream state or health change from IVS through EventBridge (or
+   * from the local media server) and apply it to the stream
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  handleStreamEvent: async (req, res) => {
+    if (!isAuthorizedEventSender(req)) {
+      logger.warn("Stream event rejected: bad or missing API key");
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid API key",
+      });
+    }
+
+    const event = req.body || {};
+
+    if (
+      !event.id ||
+      !STREAM_EVENT_SOURCES.includes(event.source) ||
+      !STREAM_EVENT_TYPES.includes(event["detail-type"])
+    ) {
+      return res.status(200).json({ received: true, ignored: true });
+    }
+
+    logger.info(`Received stream event: ${event["detail-type"]} (${event.id})`);
+
+    try {
+      const channelId = (event.resources || [])[0];
+      const stream = channelId ? await Stream.getByChannelId(channelId) : null;
+
+      if (!stream) {
+        logger.warn(`No stream for channel: ${channelId}`);
+        return res.status(200).json({ received: true, ignored: true });
+      }
+
+      // EventBridge delivers at least once, so each event is applied once
+      const recorded = await StreamEvent.record(event, stream.id);
+
+      if (!recorded) {
+        return res.status(200).json({ received: true, duplicate: true });
+      }
+
+      try {
+        await applyStreamEvent(stream, event, req.app.get("io"));
+      } catch (error) {
+        // Let the redelivery try again
+        await StreamEvent.forget(event.id).catch(() => {});
+        throw error;
+      }
+
+      res.status(200).json({ received: true });
+    } catch (error) {
+      logger.error(`Stream event ${event.id} failed: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to process stream event",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Delete a stream (and its channel)
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
@@ -576,28 +704,16 @@ const StreamController = {
         });
       }
 
-      // Cannot delete active streams
-      if (stream.status === "active") {
-        logger.warn(`Cannot delete an active stream: ${id}`);
+      // Cannot delete live streams
+      if (stream.status === "live") {
+        logger.warn(`Cannot delete a live stream: ${id}`);
         return res.status(400).json({
           status: "error",
-          message: "Cannot delete an active stream",
+          message: "Cannot delete a live stream",
         });
       }
 
-      // Delete IVS channel
-      try {
-        const deleteChannelCommand = new DeleteChannelCommand({
-          arn: stream.channel_arn,
-        });
-
-        await ivsClient.send(deleteChannelCommand);
-      } catch (awsError) {
-        logger.warn(`Error deleting AWS IVS channel: ${awsError.message}`);
-        // Continue with deletion in our database, even if AWS deletion fails
-      }
-
-      // Delete stream from database
+      // Delete the channel and the stream record
       await Stream.delete(id);
 
       logger.info(`Stream deleted successfully: ${id}`);
@@ -618,4 +734,116 @@ const StreamController = {
   },
 };
 
+/**
+ * Check the API key EventBridge (or the local media server) sends with
+ * stream events
+ * @param {Object} req - Express request
+ * @returns {boolean} - True if the key matches STREAM_EVENTS_API_KEY
+ */
+function isAuthorizedEventSender(req) {
+  const expected = process.env.STREAM_EVENTS_API_KEY;
+  const given = req.headers["x-api-key"];
+
+  if (!expected || !given) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const givenBuffer = Buffer.from(String(given));
+
+  return (
+    expectedBuffer.length === givenBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, givenBuffer)
+  );
+}
+
+/**
+ * Apply a provider event to its stream, start the booking when the DJ goes
+ * live and tell the booking room
+ * @param {Object} stream - Stream record
+ * @param {Object} event - EventBridge event
+ * @param {Object} io - Socket.io server, if any
+ */
+async function applyStreamEvent(stream, event, io) {
+  const changes = getStreamEventChanges(stream, event);
+
+  if (!changes) {
+    logger.info(`Stream event ${event.id} does not change stream ${stream.id}`);
+    return;
+  }
+
+  const { status, ...fields } = changes;
+  const wentLive = status === "live" && stream.status !== "live";
+
+  // A reconnecting encoder leaves the status alone
+  const updated = wentLive
+    ? await Stream.updateStatus(stream.id, status, fields)
+    : await Stream.update(stream.id, fields);
+
+  // A DJ who just starts their encoder has started the party
+  if (wentLive) {
+    const booking = await Booking.getById(stream.booking_id);
+
+    if (booking && booking.status === "confirmed") {
+      await Booking.updateStatus(booking.id, "in_progress", {
+        role: "system",
+        reason: "Stream went live",
+      });
+    }
+  }
+
+  if (io) {
+    io.to(`booking:${stream.booking_id}`).emit("stream:status", {
+      ...toStreamStatusEvent(updated[0]),
+      event: (event.detail && event.detail.event_name) || event["detail-type"],
+    });
+  }
+}
+
+/**
+ * Add the provider's current viewer count and health to a live stream, and
+ * keep its viewer peak up to date
+ * @param {Object} stream - Stream record, updated in place
+ */
+async function addLiveMetrics(stream) {
+  if (stream.status !== "live") {
+    return;
+  }
+
+  try {
+    const liveStatus = await Stream.getLiveStatus(stream);
+
+    stream.viewer_count = liveStatus.viewer_count;
+    stream.health = liveStatus.health || stream.health || "UNKNOWN";
+
+    if (liveStatus.viewer_count > (stream.viewers_peak || 0)) {
+      await Stream.updateViewersPeak(stream.id, liveStatus.viewer_count);
+      stream.viewers_peak = liveStatus.viewer_count;
+    }
+  } catch (providerError) {
+    // Don't return an error, just continue with the database data
+    logger.warn(`Failed to get live stream data: ${providerError.message}`);
+  }
+}
+
+/**
+ * Shape a stream for a response; streaming credentials are only for the DJ
+ * @param {Object} stream - Stream record
+ * @param {boolean} isDj - Whether the requester is the stream's DJ
+ * @returns {Object} - Stream to return
+ */
+function presentStream(stream, isDj) {
+  const { stream_key_encrypted, stream_key_id, ...publicStream } = stream;
+
+  if (!isDj) {
+    return publicStream;
+  }
+
+  return {
+    ...publicStream,
+    rtmp_url: stream.ingest_endpoint,
+    stream_key: Stream.getStreamKey(stream),
+  };
+}
+
 module.exports = StreamController;
@@ -1,5 +1,16 @@
 const User = require("../models/User");
+const Notification = require("../models/Notification");
 const { logger } = require("../utils/database");
+const { isValidTimezone } = require("../services/timezone.service");
+const {
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  normalizeCurrency,
+} = require("../services/currency.service");
+const {
+  BILLING_DETAIL_FIELDS,
+  pickBillingDetails,
+} = require("../services/invoice.service");
 
 /**
  * User Controller - Handlers for user-related API endpoints
@@ -196,12 +207,66 @@ const UserController = {
     try {
       logger.info(`Update profile request for user: ${req.user.id}`);
 
-      const { first_name, last_name } = req.body;
+      const {
+        first_name,
+        last_name,
+        timezone,
+        preferred_currency,
+        billing_details,
+      } = req.body;
+
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        logger.warn(`Update profile failed: Unknown timezone ${timezone}`);
+        return res.status(400).json({
+          status: "error",
+          message: `Unknown timezone: ${timezone}`,
+        });
+      }
+
+      // Quotes are shown in this currency; null clears the preference
+      if (
+        preferred_currency !== undefined &&
+        preferred_currency !== null &&
+        !isSupportedCurrency(preferred_currency)
+      ) {
+        logger.warn(
+          `Update profile failed: Unsupported currency ${preferred_currency}`
+        );
+        return res.status(400).json({
+          status: "error",
+          message: `Preferred currency must be one of: ${getSupportedCurrencies().join(", ")}`,
+        });
+      }
+
+      // Billing details are printed on invoices issued from now on
+      if (
+        billing_details !== undefined &&
+        (typeof billing_details !== "object" ||
+          billing_details === null ||
+          Array.isArray(billing_details) ||
+          Object.keys(billing_details).some(
+            (field) =>
+              !BILLING_DETAIL_FIELDS.includes(field) ||
+              String(billing_details[field] || "").length > 200
+          ))
+      ) {
+        logger.warn("Update profile failed: Invalid billing details");
+        return res.status(400).json({
+          status: "error",
+          message: `Billing details may only contain: ${BILLING_DETAIL_FIELDS.join(", ")} (up to 200 characters each)`,
+        });
+      }
 
       // Update user
       const updatedUser = await User.update(req.user.id, {
         first_name,
         last_name,
+        timezone,
+        preferred_currency: preferred_currency
+          ? normalizeCurrency(preferred_currency)
+          : preferred_currency,
+        billing_details:
+          billing_details && pickBillingDetails(billing_details),
       });
 
       if (!updatedUser) {
@@ -297,6 +362,73 @@ const UserController = {
       });
     }
   },
+
+  /**
+   * Get the current user's notifications
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getNotifications: async (req, res) => {
+    try {
+      logger.info(`Get notifications request for user: ${req.user.id}`);
+
+      const notifications = await Notification.getByUserId(req.user.id, {
+        unread: req.query.unread === "true",
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          notifications,
+        },
+      });
+    } catch (error) {
+      logger.error(`Get notifications error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get notifications",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Mark one of the current user's notifications as read
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  markNotificationRead: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Mark notification ${id} read for user: ${req.user.id}`);
+
+      const notification = await Notification.markRead(id, req.user.id);
+
+      if (!notification) {
+        return res.status(404).json({
+          status: "error",
+          message: "Notification not found",
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          notification,
+        },
+      });
+    } catch (error) {
+      logger.error(`Mark notification read error: ${error.message}`);
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to mark notification read",
+        error: error.message,
+      });
+    }
+  },
 };
 
 module.exports = UserController;
@@ -0,0 +1,192 @@
+const Booking = require("../models/Booking");
+const DjProfile = require("../models/DjProfile");
+const Notification = require("../models/Notification");
+const Payment = require("../models/Payment");
+const User = require("../models/User");
+const { logger } = require("../utils/database");
+const { formatAmount } = require("../services/currency.service");
+const {
+  BALANCE_BOOKING_STATUSES,
+  getNextAttemptAt,
+} = require("../services/deposit.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Charge every booking balance that is due to the host's saved card, retry
+ * declined ones and cancel bookings whose retries have run out
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Promise} - { charged, retrying, cancelled, failed } counts
+ */
+const chargeDueBalances = async (now = new Date()) => {
+  const summary = { charged: 0, retrying: 0, cancelled: 0, failed: 0 };
+  const balances = await Payment.getDueBalances(now);
+
+  for (const balance of balances) {
+    try {
+      const booking = await Booking.getById(balance.booking_id);
+
+      // Cancelled, disputed or finished bookings have nothing left to collect
+      if (!booking || !BALANCE_BOOKING_STATUSES.includes(booking.status)) {
+        await Payment.cancelBalance(balance.booking_id);
+        continue;
+      }
+
+      summary[await chargeBalance(balance, booking, now)] += 1;
+    } catch (error) {
+      // One failed booking should not hold up everyone else's balances
+      logger.error(`Failed to charge balance ${balance.id}: ${error.message}`);
+      summary.failed += 1;
+    }
+  }
+
+  logger.info(`Balance charge run: ${JSON.stringify(summary)}`);
+
+  return summary;
+};
+
+/**
+ * Run the balance charge on an interval
+ * @returns {Object} - Timer, so callers can stop the job
+ */
+const startBalanceChargeJob = () => {
+  const intervalMs = config.deposits.chargeIntervalMinutes * 60 * 1000;
+
+  const timer = setInterval(() => {
+    chargeDueBalances().catch((error) =>
+      logger.error(`Balance charge run failed: ${error.message}`)
+    );
+  }, intervalMs);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  logger.info(
+    `Balance charge job scheduled every ${config.deposits.chargeIntervalMinutes} minutes`
+  );
+
+  return timer;
+};
+
+/**
+ * Charge one balance off-session and deal with a decline
+ * @param {Object} balance - Balance payment that is due
+ * @param {Object} booking - Booking it pays for
+ * @param {Date} now - Current time
+ * @returns {Promise} - Summary key: charged, retrying or cancelled
+ */
+async function chargeBalance(balance, booking, now) {
+  const host = await User.getById(booking.host_id);
+
+  try {
+    const payment = await Payment.chargeBalance(
+      balance,
+      host.stripe_customer_id
+    );
+
+    // Otherwise the webhook completes it once the bank confirms
+    if (payment.status === "succeeded") {
+      await Payment.completeBooking(
+        payment,
+        `Balance payment ${payment.payment_intent_id} succeeded`
+      );
+    }
+
+    return "charged";
+  } catch (error) {
+    if (error.status !== 402) {
+      throw error;
+    }
+
+    const nextAttemptAt = getNextAttemptAt(
+      balance.attempt_count + 1,
+      booking,
+      now
+    );
+
+    await Payment.recordBalanceFailure(balance, {
+      message: error.message,
+      paymentIntentId: error.paymentIntentId,
+      nextAttemptAt,
+    });
+
+    if (nextAttemptAt) {
+      await Notification.create(booking.host_id, {
+        type: "balance_payment_failed",
+        message: `We couldn't charge the ${formatAmount(balance.amount, balance.currency)} balance for your booking: ${error.message}. We'll try again on ${nextAttemptAt.toISOString()}, or you can pay it now with another card.`,
+        bookingId: booking.id,
+        data: {
+          payment_id: balance.id,
+          amount: Number(balance.amount),
+          currency: balance.currency,
+          next_attempt_at: nextAttemptAt,
+        },
+      });
+
+      return "retrying";
+    }
+
+    await cancelUnpaidBooking(booking, balance, error.message);
+
+    return "cancelled";
+  }
+}
+
+/**
+ * Cancel a booking whose balance could not be charged; the host is held to
+ * the DJ's cancellation policy, so the deposit is refunded as if they had
+ * cancelled
+ * @param {Object} booking - Booking
+ * @param {Object} balance - Balance payment that failed
+ * @param {string} reason - Why the last charge failed
+ */
+async function cancelUnpaidBooking(booking, balance, reason) {
+  const cancellation = await Payment.getCancellationQuote(booking, "host");
+
+  await Booking.updateStatus(booking.id, "cancelled", {
+    role: "system",
+    reason: `Balance payment failed: ${reason}`,
+  });
+
+  const result = await Payment.refundCancellation(cancellation, {
+    role: "system",
+  });
+
+  logger.info(
+    `Booking ${booking.id} cancelled after failed balance; refunded ${cancellation.quote.refund_amount}`
+  );
+
+  const djProfile = await DjProfile.getById(booking.dj_profile_id);
+  const details = {
+    bookingId: booking.id,
+    data: {
+      payment_id: balance.id,
+      refund_amount: cancellation.quote.refund_amount,
+      refund_error: result.refund_error || null,
+    },
+  };
+
+  await Notification.create(booking.host_id, {
+    type: "booking_cancelled_unpaid",
+    message: `Your booking was cancelled because its ${formatAmount(balance.amount, balance.currency)} balance could not be charged. ${formatAmount(cancellation.quote.refund_amount, balance.currency)} of your deposit will be refunded under the DJ's cancellation policy.`,
+    ...details,
+  });
+
+  if (djProfile) {
+    await Notification.create(djProfile.user_id, {
+      type: "booking_cancelled_unpaid",
+      message:
+        "A booking was cancelled because the host's balance payment failed.",
+      ...details,
+    });
+  }
+}
+
+module.exports = {
+  chargeDueBalances,
+  startBalanceChargeJob,
+};
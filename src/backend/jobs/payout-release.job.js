@@ -0,0 +1,101 @@
+const Booking = require("../models/Booking");
+const NoShowClaim = require("../models/NoShowClaim");
+const Payment = require("../models/Payment");
+const Payout = require("../models/Payout");
+const Stream = require("../models/Stream");
+const { logger } = require("../utils/database");
+const { getReleaseBlocker } = require("../services/connect.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Release every held payout whose party has happened and whose dispute
+ * window has closed
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Promise} - { released, held, failed } counts
+ */
+const releaseDuePayouts = async (now = new Date()) => {
+  const summary = { released: 0, held: 0, failed: 0 };
+  const entries = await Payout.getHeld();
+
+  for (const entry of entries) {
+    try {
+      const booking = await Booking.getById(entry.booking_id);
+      const blocker = getReleaseBlocker({
+        booking,
+        // A DJ who reconnected has several streams; the last one counts
+        stream: booking ? await Stream.getLatestByBookingId(booking.id) : null,
+        openClaim: await NoShowClaim.getOpenByBookingId(entry.booking_id),
+        completedAt: booking ? await getCompletedAt(booking.id) : null,
+        now,
+      });
+
+      if (blocker) {
+        summary.held += 1;
+        continue;
+      }
+
+      const payment = await Payment.getById(entry.payment_id);
+
+      // Gift credit was paid from the platform's balance, not the charge
+      await Payout.release(
+        entry,
+        Number(payment.credit_amount || 0) > 0 ? null : payment.stripe_charge_id
+      );
+      summary.released += 1;
+    } catch (error) {
+      // One failed transfer should not hold up everyone else's payouts
+      logger.error(`Failed to release payout ${entry.id}: ${error.message}`);
+      summary.failed += 1;
+    }
+  }
+
+  logger.info(`Payout release run: ${JSON.stringify(summary)}`);
+
+  return summary;
+};
+
+/**
+ * Run the payout release on an interval
+ * @returns {Object} - Timer, so callers can stop the job
+ */
+const startPayoutReleaseJob = () => {
+  const intervalMs = config.payouts.releaseIntervalMinutes * 60 * 1000;
+
+  const timer = setInterval(() => {
+    releaseDuePayouts().catch((error) =>
+      logger.error(`Payout release run failed: ${error.message}`)
+    );
+  }, intervalMs);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  logger.info(
+    `Payout release job scheduled every ${config.payouts.releaseIntervalMinutes} minutes`
+  );
+
+  return timer;
+};
+
+/**
+ * Find when a booking was completed; the dispute window runs from the first
+ * completion so a rejected claim does not restart it
+ * @param {string|number} bookingId - Booking ID
+ * @returns {Promise} - Completion time or null
+ */
+async function getCompletedAt(bookingId) {
+  const history = await Booking.getStatusHistory(bookingId);
+  const completion = history.find((change) => change.to_status === "completed");
+
+  return completion ? completion.created_at : null;
+}
+
+module.exports = {
+  releaseDuePayouts,
+  startPayoutReleaseJob,
+};
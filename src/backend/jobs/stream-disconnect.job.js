@@ -0,0 +1,98 @@
+const Booking = require("../models/Booking");
+const Stream = require("../models/Stream");
+const { logger } = require("../utils/database");
+const {
+  getDisconnectOutcome,
+  toStreamStatusEvent,
+} = require("../services/stream-lifecycle.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Finish every live stream whose encoder dropped and did not come back within
+ * the disconnect grace period
+ * @param {Date} now - Current time (defaults to now)
+ * @param {Object} io - Socket.io server to tell the booking rooms, if any
+ * @returns {Promise} - { ended, failed, errors } counts
+ */
+const finishDisconnectedStreams = async (now = new Date(), io = null) => {
+  const summary = { ended: 0, failed: 0, errors: 0 };
+  const graceStart = new Date(
+    now.getTime() - config.streaming.disconnectGraceMinutes * 60 * 1000
+  );
+  const streams = await Stream.getDisconnected(graceStart);
+
+  for (const stream of streams) {
+    try {
+      const booking = await Booking.getById(stream.booking_id);
+      const outcome = booking && getDisconnectOutcome(stream, booking, now);
+
+      if (!outcome) {
+        continue;
+      }
+
+      const updated = await Stream.updateStatus(stream.id, outcome, {
+        end_time: stream.disconnected_at,
+      });
+
+      // The party ran its course, so the booking is done
+      if (outcome === "ended" && booking.status === "in_progress") {
+        await Booking.updateStatus(booking.id, "completed", {
+          role: "system",
+          reason: "Stream ended",
+        });
+      }
+
+      if (io) {
+        io.to(`booking:${stream.booking_id}`).emit(
+          "stream:status",
+          toStreamStatusEvent(updated[0])
+        );
+      }
+
+      summary[outcome] += 1;
+    } catch (error) {
+      // One stream failing should not hold up the others
+      logger.error(`Failed to finish stream ${stream.id}: ${error.message}`);
+      summary.errors += 1;
+    }
+  }
+
+  logger.info(`Stream disconnect run: ${JSON.stringify(summary)}`);
+
+  return summary;
+};
+
+/**
+ * Run the disconnect check on an interval
+ * @param {Object} io - Socket.io server to tell the booking rooms
+ * @returns {Object} - Timer, so callers can stop the job
+ */
+const startStreamDisconnectJob = (io) => {
+  const intervalMs =
+    config.streaming.disconnectCheckIntervalMinutes * 60 * 1000;
+
+  const timer = setInterval(() => {
+    finishDisconnectedStreams(new Date(), io).catch((error) =>
+      logger.error(`Stream disconnect run failed: ${error.message}`)
+    );
+  }, intervalMs);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  logger.info(
+    `Stream disconnect job scheduled every ${config.streaming.disconnectCheckIntervalMinutes} minutes`
+  );
+
+  return timer;
+};
+
+module.exports = {
+  finishDisconnectedStreams,
+  startStreamDisconnectJob,
+};
@@ -0,0 +1,28 @@
+-- Create DJ availability rules table (weekly recurring working hours)
+CREATE TABLE IF NOT EXISTS dj_availability_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  days_of_week INTEGER[] NOT NULL CHECK (days_of_week <@ ARRAY[0, 1, 2, 3, 4, 5, 6]),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create DJ blackouts table (one-off unavailable periods)
+CREATE TABLE IF NOT EXISTS dj_blackouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+  end_time TIMESTAMP WITH TIME ZONE NOT NULL CHECK (end_time > start_time),
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_dj_availability_rules_dj_profile_id ON dj_availability_rules(dj_profile_id);
+CREATE INDEX IF NOT EXISTS idx_dj_blackouts_dj_profile_id_start_time ON dj_blackouts(dj_profile_id, start_time);
+
+ALTER TABLE dj_availability_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dj_blackouts ENABLE ROW LEVEL SECURITY;
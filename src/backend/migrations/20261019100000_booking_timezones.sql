@@ -0,0 +1,5 @@
+-- Record the IANA timezone of hosts, DJs and each side of a booking
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS host_timezone TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS dj_timezone TEXT NOT NULL DEFAULT 'UTC';
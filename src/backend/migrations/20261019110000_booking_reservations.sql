@@ -0,0 +1,79 @@
+-- Reservation holds for pending bookings
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_bookings_dj_profile_id_start_time ON bookings(dj_profile_id, start_time);
+
+-- Reserve a booking slot atomically: expire stale holds, check blackouts and
+-- overlapping bookings (including buffer), then insert, all under a per-DJ lock
+CREATE OR REPLACE FUNCTION reserve_booking(
+  p_host_id UUID,
+  p_dj_profile_id UUID,
+  p_start_time TIMESTAMP WITH TIME ZONE,
+  p_end_time TIMESTAMP WITH TIME ZONE,
+  p_host_timezone TEXT,
+  p_dj_timezone TEXT,
+  p_duration_hours DECIMAL,
+  p_total_amount DECIMAL,
+  p_notes TEXT,
+  p_buffer_minutes INTEGER,
+  p_hold_minutes INTEGER
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  new_booking bookings;
+BEGIN
+  -- Serialize reservations for the same DJ
+  PERFORM 1 FROM dj_profiles WHERE id = p_dj_profile_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DJ profile not found' USING ERRCODE = 'no_data_found';
+  END IF;
+
+  UPDATE bookings
+     SET status = 'expired', updated_at = NOW()
+   WHERE dj_profile_id = p_dj_profile_id
+     AND status = 'pending'
+     AND hold_expires_at IS NOT NULL
+     AND hold_expires_at <= NOW();
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = p_dj_profile_id
+       AND start_time < p_end_time
+       AND end_time > p_start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('pending', 'confirmed')
+       AND start_time < p_end_time + buffer
+       AND end_time > p_start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    host_id, dj_profile_id, start_time, end_time, host_timezone, dj_timezone,
+    duration_hours, status, total_amount, payment_status, notes,
+    hold_expires_at, created_at
+  ) VALUES (
+    p_host_id, p_dj_profile_id, p_start_time, p_end_time, p_host_timezone,
+    p_dj_timezone, p_duration_hours, 'pending', p_total_amount, 'pending',
+    p_notes, NOW() + make_interval(mins => p_hold_minutes), NOW()
+  )
+  RETURNING * INTO new_booking;
+
+  RETURN new_booking;
+END;
+$$;
@@ -0,0 +1,140 @@
+-- Booking lifecycle state machine with status history
+UPDATE bookings SET status = 'requested' WHERE status = 'pending';
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('requested', 'accepted', 'declined', 'paid', 'confirmed', 'in_progress', 'completed', 'cancelled', 'expired', 'disputed'));
+
+-- Create booking status history table (audit trail of lifecycle transitions)
+CREATE TABLE IF NOT EXISTS booking_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role TEXT NOT NULL CHECK (actor_role IN ('host', 'dj', 'admin', 'system')),
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON booking_status_history(booking_id, created_at);
+
+ALTER TABLE booking_status_history ENABLE ROW LEVEL SECURITY;
+
+-- Reserve a booking slot atomically: expire stale holds, check blackouts and
+-- overlapping bookings (including buffer), then insert, all under a per-DJ lock
+CREATE OR REPLACE FUNCTION reserve_booking(
+  p_host_id UUID,
+  p_dj_profile_id UUID,
+  p_start_time TIMESTAMP WITH TIME ZONE,
+  p_end_time TIMESTAMP WITH TIME ZONE,
+  p_host_timezone TEXT,
+  p_dj_timezone TEXT,
+  p_duration_hours DECIMAL,
+  p_total_amount DECIMAL,
+  p_notes TEXT,
+  p_buffer_minutes INTEGER,
+  p_hold_minutes INTEGER
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  new_booking bookings;
+BEGIN
+  -- Serialize reservations for the same DJ
+  PERFORM 1 FROM dj_profiles WHERE id = p_dj_profile_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DJ profile not found' USING ERRCODE = 'no_data_found';
+  END IF;
+
+  WITH stale AS (
+    SELECT id, status FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted')
+       AND hold_expires_at IS NOT NULL
+       AND hold_expires_at <= NOW()
+       FOR UPDATE
+  ), expired AS (
+    UPDATE bookings b
+       SET status = 'expired', updated_at = NOW()
+      FROM stale
+     WHERE b.id = stale.id
+    RETURNING b.id, stale.status AS from_status
+  )
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_role, reason)
+  SELECT id, from_status, 'expired', 'system', 'Reservation hold expired'
+    FROM expired;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = p_dj_profile_id
+       AND start_time < p_end_time
+       AND end_time > p_start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND start_time < p_end_time + buffer
+       AND end_time > p_start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    host_id, dj_profile_id, start_time, end_time, host_timezone, dj_timezone,
+    duration_hours, status, total_amount, payment_status, notes,
+    hold_expires_at, created_at
+  ) VALUES (
+    p_host_id, p_dj_profile_id, p_start_time, p_end_time, p_host_timezone,
+    p_dj_timezone, p_duration_hours, 'requested', p_total_amount, 'pending',
+    p_notes, NOW() + make_interval(mins => p_hold_minutes), NOW()
+  )
+  RETURNING * INTO new_booking;
+
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role)
+  VALUES (new_booking.id, NULL, 'requested', p_host_id, 'host');
+
+  RETURN new_booking;
+END;
+$$;
+
+-- Change a booking's status and record it in the history in one transaction.
+-- Fails with serialization_failure if the status moved on since it was read.
+CREATE OR REPLACE FUNCTION change_booking_status(
+  p_booking_id UUID,
+  p_from_status TEXT,
+  p_to_status TEXT,
+  p_actor_id UUID,
+  p_actor_role TEXT,
+  p_reason TEXT
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  updated_booking bookings;
+BEGIN
+  UPDATE bookings
+     SET status = p_to_status, updated_at = NOW()
+   WHERE id = p_booking_id
+     AND status = p_from_status
+  RETURNING * INTO updated_booking;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking status has changed, please retry'
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role, reason)
+  VALUES (p_booking_id, p_from_status, p_to_status, p_actor_id, p_actor_role, p_reason);
+
+  RETURN updated_booking;
+END;
+$$;
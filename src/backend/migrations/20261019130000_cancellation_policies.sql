@@ -0,0 +1,92 @@
+-- Cancellation policies: per-DJ choice, snapshotted onto each booking
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS cancellation_policy TEXT
+  CHECK (cancellation_policy IN ('flexible', 'moderate', 'strict'));
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_policy TEXT;
+
+-- Reserve a booking slot atomically: expire stale holds, check blackouts and
+-- overlapping bookings (including buffer), then insert, all under a per-DJ lock
+CREATE OR REPLACE FUNCTION reserve_booking(
+  p_host_id UUID,
+  p_dj_profile_id UUID,
+  p_start_time TIMESTAMP WITH TIME ZONE,
+  p_end_time TIMESTAMP WITH TIME ZONE,
+  p_host_timezone TEXT,
+  p_dj_timezone TEXT,
+  p_duration_hours DECIMAL,
+  p_total_amount DECIMAL,
+  p_notes TEXT,
+  p_buffer_minutes INTEGER,
+  p_hold_minutes INTEGER
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  dj_policy TEXT;
+  new_booking bookings;
+BEGIN
+  -- Serialize reservations for the same DJ
+  SELECT cancellation_policy INTO dj_policy
+    FROM dj_profiles WHERE id = p_dj_profile_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DJ profile not found' USING ERRCODE = 'no_data_found';
+  END IF;
+
+  WITH stale AS (
+    SELECT id, status FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted')
+       AND hold_expires_at IS NOT NULL
+       AND hold_expires_at <= NOW()
+       FOR UPDATE
+  ), expired AS (
+    UPDATE bookings b
+       SET status = 'expired', updated_at = NOW()
+      FROM stale
+     WHERE b.id = stale.id
+    RETURNING b.id, stale.status AS from_status
+  )
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_role, reason)
+  SELECT id, from_status, 'expired', 'system', 'Reservation hold expired'
+    FROM expired;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = p_dj_profile_id
+       AND start_time < p_end_time
+       AND end_time > p_start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND start_time < p_end_time + buffer
+       AND end_time > p_start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    host_id, dj_profile_id, start_time, end_time, host_timezone, dj_timezone,
+    duration_hours, status, total_amount, payment_status, notes,
+    cancellation_policy, hold_expires_at, created_at
+  ) VALUES (
+    p_host_id, p_dj_profile_id, p_start_time, p_end_time, p_host_timezone,
+    p_dj_timezone, p_duration_hours, 'requested', p_total_amount, 'pending',
+    p_notes, dj_policy, NOW() + make_interval(mins => p_hold_minutes), NOW()
+  )
+  RETURNING * INTO new_booking;
+
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role)
+  VALUES (new_booking.id, NULL, 'requested', p_host_id, 'host');
+
+  RETURN new_booking;
+END;
+$$;
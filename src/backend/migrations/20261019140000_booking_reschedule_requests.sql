@@ -0,0 +1,103 @@
+-- Booking reschedule requests
+CREATE TABLE IF NOT EXISTS booking_reschedule_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES booking_reschedule_requests(id) ON DELETE SET NULL,
+  proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  proposer_role TEXT NOT NULL CHECK (proposer_role IN ('host', 'dj', 'admin')),
+  start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+  end_time TIMESTAMP WITH TIME ZONE NOT NULL CHECK (end_time > start_time),
+  duration_hours DECIMAL(5, 2) NOT NULL,
+  total_amount DECIMAL(10, 2) NOT NULL,
+  previous_total_amount DECIMAL(10, 2),
+  reason TEXT,
+  status TEXT NOT NULL CHECK (status IN ('pending', 'awaiting_payment', 'accepted', 'declined', 'countered', 'failed')),
+  settlement_error TEXT,
+  responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_reschedule_requests_booking_id ON booking_reschedule_requests(booking_id);
+
+-- The payment for a reschedule's price increase
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS reschedule_request_id UUID REFERENCES booking_reschedule_requests(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_reschedule_request_id ON payments(reschedule_request_id) WHERE reschedule_request_id IS NOT NULL;
+
+ALTER TABLE booking_reschedule_requests ENABLE ROW LEVEL SECURITY;
+
+-- Apply an accepted reschedule request: re-check blackouts and overlapping
+-- bookings (including buffer) for the new times under the per-DJ lock, then
+-- move the booking and close the request
+CREATE OR REPLACE FUNCTION apply_reschedule_request(
+  p_request_id UUID,
+  p_total_amount DECIMAL,
+  p_buffer_minutes INTEGER,
+  p_responded_by UUID
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  request booking_reschedule_requests;
+  target bookings;
+BEGIN
+  SELECT * INTO request FROM booking_reschedule_requests
+   WHERE id = p_request_id FOR UPDATE;
+
+  -- A reschedule that costs more is applied once the difference is paid
+  IF NOT FOUND OR request.status NOT IN ('pending', 'awaiting_payment') THEN
+    RAISE EXCEPTION 'Reschedule request is no longer pending'
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  SELECT * INTO target FROM bookings WHERE id = request.booking_id;
+
+  -- Serialize with reservations for the same DJ
+  PERFORM 1 FROM dj_profiles WHERE id = target.dj_profile_id FOR UPDATE;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = target.dj_profile_id
+       AND start_time < request.end_time
+       AND end_time > request.start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = target.dj_profile_id
+       AND id <> target.id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND (hold_expires_at IS NULL OR hold_expires_at > NOW())
+       AND start_time < request.end_time + buffer
+       AND end_time > request.start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  UPDATE booking_reschedule_requests
+     SET status = 'accepted',
+         total_amount = p_total_amount,
+         previous_total_amount = target.total_amount,
+         responded_by = p_responded_by,
+         responded_at = NOW(),
+         updated_at = NOW()
+   WHERE id = p_request_id;
+
+  UPDATE bookings
+     SET start_time = request.start_time,
+         end_time = request.end_time,
+         duration_hours = request.duration_hours,
+         total_amount = p_total_amount,
+         updated_at = NOW()
+   WHERE id = target.id
+  RETURNING * INTO target;
+
+  RETURN target;
+END;
+$$;
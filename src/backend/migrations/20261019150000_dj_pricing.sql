@@ -0,0 +1,240 @@
+-- DJ pricing models, add-ons and itemized booking prices
+ALTER TABLE dj_profiles ALTER COLUMN hourly_rate DROP NOT NULL;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS pricing_model TEXT NOT NULL DEFAULT 'hourly'
+  CHECK (pricing_model IN ('hourly', 'per_event'));
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS event_fee DECIMAL(10, 2);
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS minimum_fee DECIMAL(10, 2);
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS weekend_surcharge_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS holiday_surcharge_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS late_night_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 1;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS late_night_start TIME NOT NULL DEFAULT '00:00';
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS late_night_end TIME NOT NULL DEFAULT '06:00';
+
+-- Create DJ add-ons table (optional extras hosts can book)
+CREATE TABLE IF NOT EXISTS dj_add_ons (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create booking line items table (itemized price of each booking)
+CREATE TABLE IF NOT EXISTS booking_line_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('base', 'late_night', 'weekend_surcharge', 'holiday_surcharge', 'minimum_fee', 'add_on')),
+  description TEXT NOT NULL,
+  quantity DECIMAL(10, 2) NOT NULL,
+  unit_amount DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  add_on_id UUID REFERENCES dj_add_ons(id) ON DELETE SET NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Reschedules waiting on the host's payment keep the line items they were
+-- priced with
+ALTER TABLE booking_reschedule_requests ADD COLUMN IF NOT EXISTS line_items JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_dj_add_ons_dj_profile_id ON dj_add_ons(dj_profile_id);
+CREATE INDEX IF NOT EXISTS idx_booking_line_items_booking_id ON booking_line_items(booking_id);
+
+ALTER TABLE dj_add_ons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_line_items ENABLE ROW LEVEL SECURITY;
+
+-- Both functions gain a p_line_items parameter
+DROP FUNCTION IF EXISTS reserve_booking(UUID, UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, DECIMAL, DECIMAL, TEXT, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS apply_reschedule_request(UUID, DECIMAL, INTEGER, UUID);
+
+-- Reserve a booking slot atomically: expire stale holds, check blackouts and
+-- overlapping bookings (including buffer), then insert, all under a per-DJ lock
+CREATE OR REPLACE FUNCTION reserve_booking(
+  p_host_id UUID,
+  p_dj_profile_id UUID,
+  p_start_time TIMESTAMP WITH TIME ZONE,
+  p_end_time TIMESTAMP WITH TIME ZONE,
+  p_host_timezone TEXT,
+  p_dj_timezone TEXT,
+  p_duration_hours DECIMAL,
+  p_total_amount DECIMAL,
+  p_notes TEXT,
+  p_buffer_minutes INTEGER,
+  p_hold_minutes INTEGER,
+  p_line_items JSONB DEFAULT '[]'
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  dj_policy TEXT;
+  new_booking bookings;
+BEGIN
+  -- Serialize reservations for the same DJ
+  SELECT cancellation_policy INTO dj_policy
+    FROM dj_profiles WHERE id = p_dj_profile_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DJ profile not found' USING ERRCODE = 'no_data_found';
+  END IF;
+
+  WITH stale AS (
+    SELECT id, status FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted')
+       AND hold_expires_at IS NOT NULL
+       AND hold_expires_at <= NOW()
+       FOR UPDATE
+  ), expired AS (
+    UPDATE bookings b
+       SET status = 'expired', updated_at = NOW()
+      FROM stale
+     WHERE b.id = stale.id
+    RETURNING b.id, stale.status AS from_status
+  )
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_role, reason)
+  SELECT id, from_status, 'expired', 'system', 'Reservation hold expired'
+    FROM expired;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = p_dj_profile_id
+       AND start_time < p_end_time
+       AND end_time > p_start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND start_time < p_end_time + buffer
+       AND end_time > p_start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    host_id, dj_profile_id, start_time, end_time, host_timezone, dj_timezone,
+    duration_hours, status, total_amount, payment_status, notes,
+    cancellation_policy, hold_expires_at, created_at
+  ) VALUES (
+    p_host_id, p_dj_profile_id, p_start_time, p_end_time, p_host_timezone,
+    p_dj_timezone, p_duration_hours, 'requested', p_total_amount, 'pending',
+    p_notes, dj_policy, NOW() + make_interval(mins => p_hold_minutes), NOW()
+  )
+  RETURNING * INTO new_booking;
+
+  INSERT INTO booking_line_items (
+    booking_id, type, description, quantity, unit_amount, amount, add_on_id,
+    position
+  )
+  SELECT new_booking.id, item->>'type', item->>'description',
+         (item->>'quantity')::DECIMAL, (item->>'unit_amount')::DECIMAL,
+         (item->>'amount')::DECIMAL, (item->>'add_on_id')::UUID,
+         item_position::INTEGER
+    FROM jsonb_array_elements(p_line_items)
+      WITH ORDINALITY AS items(item, item_position);
+
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role)
+  VALUES (new_booking.id, NULL, 'requested', p_host_id, 'host');
+
+  RETURN new_booking;
+END;
+$$;
+
+-- Apply an accepted reschedule request: re-check blackouts and overlapping
+-- bookings (including buffer) for the new times under the per-DJ lock, then
+-- move and re-price the booking and close the request
+CREATE OR REPLACE FUNCTION apply_reschedule_request(
+  p_request_id UUID,
+  p_total_amount DECIMAL,
+  p_buffer_minutes INTEGER,
+  p_responded_by UUID,
+  p_line_items JSONB DEFAULT '[]'
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  request booking_reschedule_requests;
+  target bookings;
+BEGIN
+  SELECT * INTO request FROM booking_reschedule_requests
+   WHERE id = p_request_id FOR UPDATE;
+
+  -- A reschedule that costs more is applied once the difference is paid
+  IF NOT FOUND OR request.status NOT IN ('pending', 'awaiting_payment') THEN
+    RAISE EXCEPTION 'Reschedule request is no longer pending'
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  SELECT * INTO target FROM bookings WHERE id = request.booking_id;
+
+  -- Serialize with reservations for the same DJ
+  PERFORM 1 FROM dj_profiles WHERE id = target.dj_profile_id FOR UPDATE;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = target.dj_profile_id
+       AND start_time < request.end_time
+       AND end_time > request.start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = target.dj_profile_id
+       AND id <> target.id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND (hold_expires_at IS NULL OR hold_expires_at > NOW())
+       AND start_time < request.end_time + buffer
+       AND end_time > request.start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  UPDATE booking_reschedule_requests
+     SET status = 'accepted',
+         total_amount = p_total_amount,
+         previous_total_amount = target.total_amount,
+         responded_by = p_responded_by,
+         responded_at = NOW(),
+         updated_at = NOW()
+   WHERE id = p_request_id;
+
+  UPDATE bookings
+     SET start_time = request.start_time,
+         end_time = request.end_time,
+         duration_hours = request.duration_hours,
+         total_amount = p_total_amount,
+         updated_at = NOW()
+   WHERE id = target.id
+  RETURNING * INTO target;
+
+  -- Re-price the booking from scratch
+  DELETE FROM booking_line_items WHERE booking_id = target.id;
+
+  INSERT INTO booking_line_items (
+    booking_id, type, description, quantity, unit_amount, amount, add_on_id,
+    position
+  )
+  SELECT target.id, item->>'type', item->>'description',
+         (item->>'quantity')::DECIMAL, (item->>'unit_amount')::DECIMAL,
+         (item->>'amount')::DECIMAL, (item->>'add_on_id')::UUID,
+         item_position::INTEGER
+    FROM jsonb_array_elements(p_line_items)
+      WITH ORDINALITY AS items(item, item_position);
+
+  RETURN target;
+END;
+$$;
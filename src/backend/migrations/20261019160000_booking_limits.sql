@@ -0,0 +1,9 @@
+-- Per-DJ overrides of the platform booking limits (NULL uses config.booking)
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS min_duration_hours DECIMAL(5, 2)
+  CHECK (min_duration_hours > 0);
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS max_duration_hours DECIMAL(5, 2)
+  CHECK (max_duration_hours > 0);
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS min_lead_time_hours DECIMAL(7, 2)
+  CHECK (min_lead_time_hours >= 0);
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS max_advance_days INTEGER
+  CHECK (max_advance_days > 0);
@@ -0,0 +1,33 @@
+-- Stripe Connect: DJ Express accounts, destination charges and a payout ledger
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT;
+
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS stripe_account_id TEXT UNIQUE;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS stripe_charges_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS stripe_payouts_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS stripe_details_submitted BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_account_id TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_charge_id TEXT;
+
+-- Create DJ payouts table (ledger of what each DJ is owed and has been paid)
+CREATE TABLE IF NOT EXISTS dj_payouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  payment_id UUID NOT NULL UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  stripe_account_id TEXT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_transit', 'paid', 'reversed')),
+  stripe_transfer_id TEXT,
+  stripe_payout_id TEXT,
+  arrival_date TIMESTAMP WITH TIME ZONE,
+  paid_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_dj_payouts_dj_profile_id ON dj_payouts(dj_profile_id, status);
+CREATE INDEX IF NOT EXISTS idx_dj_payouts_stripe_payout_id ON dj_payouts(stripe_payout_id);
+
+ALTER TABLE dj_payouts ENABLE ROW LEVEL SECURITY;
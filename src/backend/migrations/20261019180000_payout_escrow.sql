@@ -0,0 +1,26 @@
+-- Payout escrow: DJ payouts are held until the party completes and the
+-- dispute window closes; hosts can block a payout with a no-show claim
+ALTER TABLE dj_payouts DROP CONSTRAINT IF EXISTS dj_payouts_status_check;
+ALTER TABLE dj_payouts ADD CONSTRAINT dj_payouts_status_check
+  CHECK (status IN ('held', 'pending', 'in_transit', 'paid', 'reversed'));
+ALTER TABLE dj_payouts ALTER COLUMN status SET DEFAULT 'held';
+ALTER TABLE dj_payouts ADD COLUMN IF NOT EXISTS released_at TIMESTAMP WITH TIME ZONE;
+
+-- Create no-show claims table (hosts reporting a DJ who did not perform)
+CREATE TABLE IF NOT EXISTS no_show_claims (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  host_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'rejected')),
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolution_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_dj_payouts_status ON dj_payouts(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_no_show_claims_booking_id ON no_show_claims(booking_id, status);
+
+ALTER TABLE no_show_claims ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,29 @@
+-- Stripe webhooks: idempotent event processing, refund and dispute sync
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  account TEXT,
+  status TEXT NOT NULL CHECK (status IN ('processing', 'processed', 'failed')),
+  last_error TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'canceled', 'refunded', 'disputed'));
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_dispute_id TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS dispute_status TEXT;
+
+-- Refunds issued before this migration
+UPDATE payments SET amount_refunded = amount WHERE status = 'refunded';
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_payment_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_payment_status_check
+  CHECK (payment_status IN ('pending', 'processing', 'completed', 'failed', 'refunded', 'disputed'));
+
+CREATE INDEX IF NOT EXISTS idx_payments_payment_intent_id ON payments(payment_intent_id);
+
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,28 @@
+-- Refund ledger: one row per Stripe refund, so a payment can be refunded in
+-- several steps
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  stripe_refund_id TEXT NOT NULL UNIQUE,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL,
+  reason TEXT,
+  note TEXT,
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_by_role TEXT CHECK (requested_by_role IN ('host', 'dj', 'admin', 'system')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'canceled', 'partially_refunded', 'refunded', 'disputed'));
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_payment_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_payment_status_check
+  CHECK (payment_status IN ('pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'));
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id, created_at);
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,31 @@
+-- Numbered invoices for paid payments and billing details for hosts
+ALTER TABLE users ADD COLUMN IF NOT EXISTS billing_details JSONB NOT NULL DEFAULT '{}';
+
+CREATE SEQUENCE IF NOT EXISTS invoice_number_seq;
+
+-- Create invoices table (numbered invoice per paid payment, frozen when issued)
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  number TEXT NOT NULL UNIQUE DEFAULT ('INV-' || to_char(NOW(), 'YYYY') || '-' || lpad(nextval('invoice_number_seq')::TEXT, 6, '0')),
+  payment_id UUID NOT NULL UNIQUE REFERENCES payments(id) ON DELETE RESTRICT,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  host_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  dj_profile_id UUID REFERENCES dj_profiles(id) ON DELETE SET NULL,
+  currency TEXT NOT NULL,
+  billed_to JSONB NOT NULL DEFAULT '{}',
+  performer JSONB NOT NULL DEFAULT '{}',
+  service_start TIMESTAMP WITH TIME ZONE,
+  service_end TIMESTAMP WITH TIME ZONE,
+  line_items JSONB NOT NULL DEFAULT '[]',
+  subtotal DECIMAL(10, 2) NOT NULL,
+  platform_fee DECIMAL(10, 2) NOT NULL,
+  tax_lines JSONB NOT NULL DEFAULT '[]',
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  total DECIMAL(10, 2) NOT NULL,
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_dj_profile_id ON invoices(dj_profile_id, issued_at);
+CREATE INDEX IF NOT EXISTS idx_payments_dj_profile_id ON payments(dj_profile_id, created_at);
+
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,6 @@
+-- Taxes: DJs record where they are based, and payments store the tax lines
+-- charged on top of the booking amount
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS country TEXT;
+ALTER TABLE dj_profiles ADD COLUMN IF NOT EXISTS region TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tax_lines JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,404 @@
+-- Promo codes and gift credits applied at checkout and recorded on bookings
+
+-- Create promo codes table (percentage or fixed discounts with limits)
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code TEXT NOT NULL UNIQUE,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+  currency TEXT,
+  dj_profile_id UUID REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  first_booking_only BOOLEAN NOT NULL DEFAULT FALSE,
+  starts_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  per_user_limit INTEGER CHECK (per_user_limit > 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create promo redemptions table (one redeemed code per booking)
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  host_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'redeemed' CHECK (status IN ('redeemed', 'released')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  released_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create gift credit ledger (balance is the sum of amounts per currency)
+CREATE TABLE IF NOT EXISTS gift_credit_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('grant', 'spend', 'restore')),
+  note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS promo_code_id UUID REFERENCES promo_codes(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS credit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS credit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Reschedules waiting on the host's payment keep the re-applied discount
+ALTER TABLE booking_reschedule_requests ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2);
+
+-- Payments covered entirely by gift credit never reach Stripe
+ALTER TABLE payments ALTER COLUMN payment_intent_id DROP NOT NULL;
+ALTER TABLE payments ALTER COLUMN payment_intent_client_secret DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_redemptions_booking_id ON promo_redemptions(booking_id) WHERE status = 'redeemed';
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo_code_id ON promo_redemptions(promo_code_id, host_id);
+CREATE INDEX IF NOT EXISTS idx_gift_credit_transactions_user_id ON gift_credit_transactions(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_gift_credit_transactions_booking_id ON gift_credit_transactions(booking_id);
+
+-- Redeem a promo code on a booking and record the discount on it. The code's
+-- limits are re-checked under a lock so concurrent checkouts cannot overrun them
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+  p_promo_code_id UUID,
+  p_booking_id UUID,
+  p_host_id UUID,
+  p_discount_amount DECIMAL,
+  p_currency TEXT
+) RETURNS promo_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  promo promo_codes;
+  redemption promo_redemptions;
+BEGIN
+  SELECT * INTO promo FROM promo_codes WHERE id = p_promo_code_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT promo.active THEN
+    RAISE EXCEPTION 'This promo code is no longer active'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF promo.max_redemptions IS NOT NULL AND (
+    SELECT COUNT(*) FROM promo_redemptions
+     WHERE promo_code_id = p_promo_code_id
+       AND status = 'redeemed'
+  ) >= promo.max_redemptions THEN
+    RAISE EXCEPTION 'This promo code has been used up'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF promo.per_user_limit IS NOT NULL AND (
+    SELECT COUNT(*) FROM promo_redemptions
+     WHERE promo_code_id = p_promo_code_id
+       AND host_id = p_host_id
+       AND status = 'redeemed'
+  ) >= promo.per_user_limit THEN
+    RAISE EXCEPTION 'You have already used this promo code'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO promo_redemptions (promo_code_id, booking_id, host_id, discount_amount, currency)
+  VALUES (p_promo_code_id, p_booking_id, p_host_id, p_discount_amount, p_currency)
+  RETURNING * INTO redemption;
+
+  UPDATE bookings
+     SET promo_code_id = p_promo_code_id,
+         discount_amount = p_discount_amount,
+         updated_at = NOW()
+   WHERE id = p_booking_id;
+
+  RETURN redemption;
+END;
+$$;
+
+-- Spend a user's gift credit on a booking, checking the balance under a
+-- per-user lock so two checkouts cannot spend the same credit
+CREATE OR REPLACE FUNCTION spend_gift_credit(
+  p_user_id UUID,
+  p_booking_id UUID,
+  p_amount DECIMAL,
+  p_currency TEXT
+) RETURNS gift_credit_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  balance DECIMAL;
+  spent gift_credit_transactions;
+BEGIN
+  PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+
+  SELECT COALESCE(SUM(amount), 0) INTO balance
+    FROM gift_credit_transactions
+   WHERE user_id = p_user_id
+     AND currency = p_currency;
+
+  IF balance < p_amount THEN
+    RAISE EXCEPTION 'Not enough gift credit'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO gift_credit_transactions (user_id, booking_id, amount, currency, type)
+  VALUES (p_user_id, p_booking_id, -p_amount, p_currency, 'spend')
+  RETURNING * INTO spent;
+
+  UPDATE bookings
+     SET credit_amount = credit_amount + p_amount, updated_at = NOW()
+   WHERE id = p_booking_id;
+
+  RETURN spent;
+END;
+$$;
+
+-- Give gift credit spent on a booking back to the host, never more than is
+-- still outstanding; returns NULL when there is nothing left to restore
+CREATE OR REPLACE FUNCTION restore_gift_credit(
+  p_booking_id UUID,
+  p_amount DECIMAL
+) RETURNS gift_credit_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  booking bookings;
+  outstanding DECIMAL;
+  restored gift_credit_transactions;
+BEGIN
+  SELECT * INTO booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+  SELECT COALESCE(-SUM(amount), 0) INTO outstanding
+    FROM gift_credit_transactions
+   WHERE booking_id = p_booking_id
+     AND type IN ('spend', 'restore');
+
+  IF LEAST(p_amount, outstanding) <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO gift_credit_transactions (user_id, booking_id, amount, currency, type)
+  VALUES (booking.host_id, p_booking_id, LEAST(p_amount, outstanding), booking.currency, 'restore')
+  RETURNING * INTO restored;
+
+  RETURN restored;
+END;
+$$;
+
+-- reserve_booking now frees the promo codes and gift credit of the unpaid
+-- bookings it expires
+
+-- Reserve a booking slot atomically: expire stale holds, check blackouts and
+-- overlapping bookings (including buffer), then insert, all under a per-DJ lock
+CREATE OR REPLACE FUNCTION reserve_booking(
+  p_host_id UUID,
+  p_dj_profile_id UUID,
+  p_start_time TIMESTAMP WITH TIME ZONE,
+  p_end_time TIMESTAMP WITH TIME ZONE,
+  p_host_timezone TEXT,
+  p_dj_timezone TEXT,
+  p_duration_hours DECIMAL,
+  p_total_amount DECIMAL,
+  p_notes TEXT,
+  p_buffer_minutes INTEGER,
+  p_hold_minutes INTEGER,
+  p_line_items JSONB DEFAULT '[]'
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  dj_policy TEXT;
+  dj_currency TEXT;
+  new_booking bookings;
+BEGIN
+  -- Serialize reservations for the same DJ
+  SELECT cancellation_policy, currency INTO dj_policy, dj_currency
+    FROM dj_profiles WHERE id = p_dj_profile_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DJ profile not found' USING ERRCODE = 'no_data_found';
+  END IF;
+
+  WITH stale AS (
+    SELECT id, status FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted')
+       AND hold_expires_at IS NOT NULL
+       AND hold_expires_at <= NOW()
+       FOR UPDATE
+  ), expired AS (
+    UPDATE bookings b
+       SET status = 'expired', updated_at = NOW()
+      FROM stale
+     WHERE b.id = stale.id
+    RETURNING b.id, stale.status AS from_status
+  ), released AS (
+    -- Expired bookings were never paid: free their promo codes and credit
+    UPDATE promo_redemptions r
+       SET status = 'released', released_at = NOW()
+      FROM expired
+     WHERE r.booking_id = expired.id
+       AND r.status = 'redeemed'
+  ), restored AS (
+    INSERT INTO gift_credit_transactions (user_id, booking_id, amount, currency, type)
+    SELECT b.host_id, b.id, b.credit_amount, b.currency, 'restore'
+      FROM bookings b
+      JOIN expired ON expired.id = b.id
+     WHERE b.credit_amount > 0
+  )
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_role, reason)
+  SELECT id, from_status, 'expired', 'system', 'Reservation hold expired'
+    FROM expired;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = p_dj_profile_id
+       AND start_time < p_end_time
+       AND end_time > p_start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND start_time < p_end_time + buffer
+       AND end_time > p_start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    host_id, dj_profile_id, start_time, end_time, host_timezone, dj_timezone,
+    duration_hours, status, total_amount, currency, payment_status, notes,
+    cancellation_policy, hold_expires_at, created_at
+  ) VALUES (
+    p_host_id, p_dj_profile_id, p_start_time, p_end_time, p_host_timezone,
+    p_dj_timezone, p_duration_hours, 'requested', p_total_amount, dj_currency,
+    'pending', p_notes, dj_policy,
+    NOW() + make_interval(mins => p_hold_minutes), NOW()
+  )
+  RETURNING * INTO new_booking;
+
+  INSERT INTO booking_line_items (
+    booking_id, type, description, quantity, unit_amount, amount, add_on_id,
+    position
+  )
+  SELECT new_booking.id, item->>'type', item->>'description',
+         (item->>'quantity')::DECIMAL, (item->>'unit_amount')::DECIMAL,
+         (item->>'amount')::DECIMAL, (item->>'add_on_id')::UUID,
+         item_position::INTEGER
+    FROM jsonb_array_elements(p_line_items)
+      WITH ORDINALITY AS items(item, item_position);
+
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role)
+  VALUES (new_booking.id, NULL, 'requested', p_host_id, 'host');
+
+  RETURN new_booking;
+END;
+$$;
+
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gift_credit_transactions ENABLE ROW LEVEL SECURITY;
+
+-- Re-pricing a rescheduled booking also re-applies its promo code
+DROP FUNCTION IF EXISTS apply_reschedule_request(UUID, DECIMAL, INTEGER, UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION apply_reschedule_request(
+  p_request_id UUID,
+  p_total_amount DECIMAL,
+  p_buffer_minutes INTEGER,
+  p_responded_by UUID,
+  p_line_items JSONB DEFAULT '[]',
+  p_discount_amount DECIMAL DEFAULT NULL
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  request booking_reschedule_requests;
+  target bookings;
+BEGIN
+  SELECT * INTO request FROM booking_reschedule_requests
+   WHERE id = p_request_id FOR UPDATE;
+
+  -- A reschedule that costs more is applied once the difference is paid
+  IF NOT FOUND OR request.status NOT IN ('pending', 'awaiting_payment') THEN
+    RAISE EXCEPTION 'Reschedule request is no longer pending'
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  SELECT * INTO target FROM bookings WHERE id = request.booking_id;
+
+  -- Serialize with reservations for the same DJ
+  PERFORM 1 FROM dj_profiles WHERE id = target.dj_profile_id FOR UPDATE;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = target.dj_profile_id
+       AND start_time < request.end_time
+       AND end_time > request.start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = target.dj_profile_id
+       AND id <> target.id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND (hold_expires_at IS NULL OR hold_expires_at > NOW())
+       AND start_time < request.end_time + buffer
+       AND end_time > request.start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  UPDATE booking_reschedule_requests
+     SET status = 'accepted',
+         total_amount = p_total_amount,
+         previous_total_amount = target.total_amount,
+         responded_by = p_responded_by,
+         responded_at = NOW(),
+         updated_at = NOW()
+   WHERE id = p_request_id;
+
+  UPDATE bookings
+     SET start_time = request.start_time,
+         end_time = request.end_time,
+         duration_hours = request.duration_hours,
+         total_amount = p_total_amount,
+         discount_amount = COALESCE(p_discount_amount, discount_amount),
+         updated_at = NOW()
+   WHERE id = target.id
+  RETURNING * INTO target;
+
+  -- Re-price the booking from scratch
+  DELETE FROM booking_line_items WHERE booking_id = target.id;
+
+  INSERT INTO booking_line_items (
+    booking_id, type, description, quantity, unit_amount, amount, add_on_id,
+    position
+  )
+  SELECT target.id, item->>'type', item->>'description',
+         (item->>'quantity')::DECIMAL, (item->>'unit_amount')::DECIMAL,
+         (item->>'amount')::DECIMAL, (item->>'add_on_id')::UUID,
+         item_position::INTEGER
+    FROM jsonb_array_elements(p_line_items)
+      WITH ORDINALITY AS items(item, item_position);
+
+  RETURN target;
+END;
+$$;
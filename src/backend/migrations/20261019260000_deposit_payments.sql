@@ -0,0 +1,35 @@
+-- Deposit plus balance payments: a booking can have several payments, each
+-- with a kind, and the balance is charged off-session before the party
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'full'
+  CHECK (kind IN ('full', 'deposit', 'balance', 'adjustment'));
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS payment_method_id TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS attempt_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('scheduled', 'pending', 'processing', 'succeeded', 'failed', 'canceled', 'partially_refunded', 'refunded', 'disputed'));
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_payment_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_payment_status_check
+  CHECK (payment_status IN ('pending', 'processing', 'deposit_paid', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'));
+
+-- Notifications for users about their bookings (e.g. a failed balance charge)
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_booking_balance ON payments(booking_id) WHERE kind = 'balance' AND status <> 'canceled';
+CREATE INDEX IF NOT EXISTS idx_payments_next_attempt_at ON payments(next_attempt_at) WHERE kind = 'balance' AND status IN ('scheduled', 'failed');
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,19 @@
+-- Private streams: the host invites guests to a booking, and only the host,
+-- the DJ and current guests are given playback tokens. Tokens carry the guest's
+-- session version: removing a guest revokes every version up to the current
+-- one, and inviting them back moves them on to the next.
+CREATE TABLE IF NOT EXISTS booking_guests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  session_version INTEGER NOT NULL DEFAULT 1,
+  removed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (booking_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_guests_user_id ON booking_guests(user_id);
+
+ALTER TABLE booking_guests ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,11 @@
+-- Streams can run on more than one streaming provider (Amazon IVS or the
+-- local RTMP/HLS media server), so channel columns lose their IVS prefix and
+-- each stream records the provider its channel lives on
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS provider TEXT NOT NULL DEFAULT 'ivs';
+ALTER TABLE streams RENAME COLUMN ivs_channel_arn TO channel_id;
+ALTER TABLE streams RENAME COLUMN ivs_ingest_endpoint TO ingest_endpoint;
+ALTER TABLE streams RENAME COLUMN ivs_playback_url TO playback_url;
+ALTER TABLE streams RENAME COLUMN ivs_stream_key TO stream_key;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS stream_key_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_streams_channel_id ON streams(channel_id);
@@ -0,0 +1,24 @@
+-- Stream lifecycle driven by provider events: the stream records when its
+-- session started and ended, when the encoder last dropped and its health,
+-- and every delivered event is logged so redeliveries are ignored
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS start_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS end_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS disconnected_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS health TEXT;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS last_event_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS stream_events (
+  id TEXT PRIMARY KEY,
+  stream_id UUID NOT NULL REFERENCES streams(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  event_name TEXT,
+  session_id TEXT,
+  detail JSONB NOT NULL DEFAULT '{}',
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_streams_disconnected_at ON streams(disconnected_at) WHERE status = 'live';
+CREATE INDEX IF NOT EXISTS idx_stream_events_stream_id ON stream_events(stream_id, occurred_at);
+
+ALTER TABLE stream_events ENABLE ROW LEVEL SECURITY;
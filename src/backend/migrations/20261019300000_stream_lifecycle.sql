@@ -0,0 +1,5 @@
+-- One stream lifecycle (created -> live -> ended | failed): streams keep the
+-- most viewers they had, and a booking has at most one unfinished stream
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS viewers_peak INTEGER NOT NULL DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streams_booking_unfinished ON streams(booking_id) WHERE status IN ('created', 'live');
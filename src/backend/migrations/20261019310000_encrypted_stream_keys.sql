@@ -0,0 +1,7 @@
+-- Stream keys are stored encrypted with STREAM_KEY_ENCRYPTION_KEY, and
+-- cleared once a stream is finished. Plaintext keys are dropped rather than
+-- encrypted: DJs of unfinished streams rotate their key to get a new one,
+-- which also deletes the old key on the streaming provider.
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS stream_key_encrypted TEXT;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS stream_key_rotated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE streams DROP COLUMN IF EXISTS stream_key;
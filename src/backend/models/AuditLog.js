@@ -0,0 +1,68 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+
+/**
+ * Audit Log Model - Record of what support staff did and to what
+ */
+const AuditLog = {
+  /**
+   * Record an audit entry
+   * @param {Object} entry - Entry details
+   * @param {Object} entry.actor - User who acted ({ id, role })
+   * @param {string} entry.action - What was done, e.g. payment.refund
+   * @param {string} entry.entityType - Kind of record acted on, e.g. payment
+   * @param {string} entry.entityId - ID of the record acted on, if any
+   * @param {Object} entry.details - Action-specific details
+   * @returns {Promise} - New audit entry
+   */
+  record: async ({ actor, action, entityType, entityId = null, details = {} }) => {
+    try {
+      logger.info(`Audit: ${actor.id} ${action} ${entityType} ${entityId}`);
+
+      const result = await db.insert(TABLES.AUDIT_LOG, {
+        actor_id: actor.id,
+        actor_role: actor.role,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        details,
+        created_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error recording audit entry: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the audit trail of a record
+   * @param {string} entityType - Kind of record, e.g. payment
+   * @param {string} entityId - Record ID
+   * @returns {Promise} - Array of audit entries, newest first
+   */
+  getByEntity: async (entityType, entityId) => {
+    try {
+      logger.info(`Getting audit trail for ${entityType} ${entityId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.AUDIT_LOG)
+        .select("*")
+        .eq("entity_type", entityType)
+        .eq("entity_id", entityId)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        logger.error(`Error getting audit trail: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting audit trail: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = AuditLog;
@@ -1,5 +1,40 @@
-const { db, TABLES, logger } = require("../utils/database");
+const { supabase, db, TABLES, logger } = require("../utils/database");
+const DjAvailability = require("./DjAvailability");
+const Stream = require("./Stream");
 const moment = require("moment-timezone");
+const {
+  parseLocalTime,
+  resolveTimezone,
+} = require("../services/timezone.service");
+const { BLOCKING_BOOKING_STATUSES } = require("../services/availability.service");
+const { checkTransition } = require("../services/booking-state.service");
+const {
+  validateBookingTimes,
+} = require("../services/booking-validation.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+// Postgres SQLSTATE raised by reserve_booking when the slot is taken
+const EXCLUSION_VIOLATION = "23P01";
+
+// Postgres SQLSTATE raised by change_booking_status on a concurrent change
+const SERIALIZATION_FAILURE = "40001";
+
+// Unpaid statuses that only hold the slot until hold_expires_at
+const HELD_STATUSES = ["requested", "accepted"];
+
+// Payment statuses of bookings the host has paid for
+const PAID_PAYMENT_STATUSES = [
+  "deposit_paid",
+  "completed",
+  "partially_refunded",
+  "refunded",
+  "disputed",
+];
 
 /**
  * Booking Model - Functions for booking operations
@@ -86,42 +121,87 @@ const Booking = {
         throw new Error("Missing required booking fields");
       }
 
-      // Validate booking times
-      const startTime = moment(bookingData.start_time);
-      const endTime = moment(bookingData.end_time);
+      const hostTimezone = resolveTimezone(bookingData.host_timezone);
+      const djTimezone = resolveTimezone(bookingData.dj_timezone);
 
-      if (!startTime.isValid() || !endTime.isValid()) {
-        throw new Error("Invalid booking times");
-      }
+      // Validate booking times; wall-clock times are in the host's timezone
+      const start = parseLocalTime(bookingData.start_time, hostTimezone);
+      const end = parseLocalTime(bookingData.end_time, hostTimezone);
 
-      if (endTime.isBefore(startTime)) {
-        throw new Error("End time must be after start time");
+      if (start.error || end.error) {
+        throw new Error(start.error || end.error);
       }
 
+      const startTime = start.time;
+      const endTime = end.time;
+
+      await assertValidTimes(bookingData.dj_profile_id, startTime, endTime);
+
       // Calculate duration in hours
       const durationHours = endTime.diff(startTime, "hours", true);
 
-      // Create booking data
-      const newBooking = {
-        host_id: bookingData.host_id,
-        dj_profile_id: bookingData.dj_profile_id,
-        start_time: startTime.toISOString(),
-        end_time: endTime.toISOString(),
-        duration_hours: durationHours,
-        status: bookingData.status || "pending",
-        total_amount: bookingData.total_amount,
-        payment_status: bookingData.payment_status || "pending",
-        notes: bookingData.notes || "",
-        created_at: new Date(),
-      };
+      // Check conflicts and insert in one transaction so two hosts
+      // cannot reserve the same slot
+      const { data, error } = await supabase.rpc("reserve_booking", {
+        p_host_id: bookingData.host_id,
+        p_dj_profile_id: bookingData.dj_profile_id,
+        p_start_time: startTime.toISOString(),
+        p_end_time: endTime.toISOString(),
+        p_host_timezone: hostTimezone,
+        p_dj_timezone: djTimezone,
+        p_duration_hours: durationHours,
+        p_total_amount: bookingData.total_amount,
+        p_notes: bookingData.notes || "",
+        p_buffer_minutes: config.booking.bufferMinutes || 0,
+        p_hold_minutes: config.booking.requestHoldMinutes,
+        p_line_items: bookingData.line_items || [],
+      });
+
+      if (error) {
+        if (error.code === EXCLUSION_VIOLATION) {
+          const conflictError = new Error(error.message);
+          conflictError.status = 409;
+          throw conflictError;
+        }
+
+        logger.error(`Error reserving booking: ${error.message}`);
+        throw error;
+      }
 
-      return await db.insert(TABLES.BOOKINGS, newBooking);
+      return [data];
     } catch (error) {
       logger.error(`Error creating booking: ${error.message}`);
       throw error;
     }
   },
 
+  /**
+   * Get the itemized price of a booking
+   * @param {string|number} id - Booking ID
+   * @returns {Promise} - Array of line items
+   */
+  getLineItems: async (id) => {
+    try {
+      logger.info(`Getting line items for booking: ${id}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_LINE_ITEMS)
+        .select("*")
+        .eq("booking_id", id)
+        .order("position", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting booking line items: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting booking line items: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Update a booking
    * @param {string|number} id - Booking ID
@@ -134,19 +214,21 @@ const Booking = {
 
       // If updating times, validate them
       if (bookingData.start_time && bookingData.end_time) {
-        const startTime = moment(bookingData.start_time);
-        const endTime = moment(bookingData.end_time);
+        const timezone = resolveTimezone(bookingData.host_timezone);
+        const start = parseLocalTime(bookingData.start_time, timezone);
+        const end = parseLocalTime(bookingData.end_time, timezone);
 
-        if (!startTime.isValid() || !endTime.isValid()) {
-          throw new Error("Invalid booking times");
+        if (start.error || end.error) {
+          throw new Error(start.error || end.error);
         }
 
-        if (endTime.isBefore(startTime)) {
-          throw new Error("End time must be after start time");
-        }
+        const booking = await Booking.getById(id);
+        await assertValidTimes(booking.dj_profile_id, start.time, end.time);
 
-        // Recalculate duration in hours
-        bookingData.duration_hours = endTime.diff(startTime, "hours", true);
+        // Store absolute times and recalculate duration in hours
+        bookingData.start_time = start.time.toISOString();
+        bookingData.end_time = end.time.toISOString();
+        bookingData.duration_hours = end.time.diff(start.time, "hours", true);
       }
 
       // Update booking data
@@ -178,31 +260,110 @@ const Booking = {
   },
 
   /**
-   * Update booking status
+   * Move a booking through its lifecycle and record the change in its history
    * @param {string|number} id - Booking ID
    * @param {string} status - New status
+   * @param {Object} actor - { id, role, reason }; role is host, dj, admin or system
    * @returns {Promise} - Updated booking object
    */
-  updateStatus: async (id, status) => {
+  updateStatus: async (id, status, actor = { role: "system" }) => {
     try {
-      logger.info(`Updating booking ${id} status to: ${status}`);
+      logger.info(
+        `Updating booking ${id} status to: ${status} (by ${actor.role})`
+      );
 
-      // Validate status
-      const validStatuses = ["pending", "confirmed", "cancelled", "completed"];
-      if (!validStatuses.includes(status)) {
-        throw new Error(`Invalid status: ${status}`);
+      const booking = await db.getById(TABLES.BOOKINGS, id);
+
+      if (!booking) {
+        const notFoundError = new Error("Booking not found");
+        notFoundError.status = 404;
+        throw notFoundError;
       }
 
-      return await db.update(TABLES.BOOKINGS, id, {
-        status,
-        updated_at: new Date(),
+      const transition = checkTransition(booking.status, status, actor.role);
+
+      if (!transition.allowed) {
+        const transitionError = new Error(transition.error);
+        transitionError.status = transition.status;
+        throw transitionError;
+      }
+
+      // A lapsed hold means the slot is no longer reserved for this booking
+      if (
+        Booking.isHoldExpired(booking) &&
+        !["cancelled", "expired"].includes(status)
+      ) {
+        const expiredError = new Error(
+          "The reservation hold for this booking has expired"
+        );
+        expiredError.status = 409;
+        throw expiredError;
+      }
+
+      // Update only if nobody else moved the booking since we read it
+      const { data, error } = await supabase.rpc("change_booking_status", {
+        p_booking_id: id,
+        p_from_status: booking.status,
+        p_to_status: status,
+        p_actor_id: actor.id || null,
+        p_actor_role: actor.role,
+        p_reason: actor.reason || null,
       });
+
+      if (error) {
+        if (error.code === SERIALIZATION_FAILURE) {
+          const conflictError = new Error(error.message);
+          conflictError.status = 409;
+          throw conflictError;
+        }
+
+        throw error;
+      }
+
+      // A cancelled party won't be streamed, so its stream key goes too
+      if (status === "cancelled") {
+        await endCancelledStream(id);
+      }
+
+      // Once accepted, the host gets a fresh window to start payment
+      if (status === "accepted") {
+        return await Booking.renewHold(id);
+      }
+
+      return [data];
     } catch (error) {
       logger.error(`Error updating booking status: ${error.message}`);
       throw error;
     }
   },
 
+  /**
+   * Get the status history of a booking
+   * @param {string|number} id - Booking ID
+   * @returns {Promise} - Array of status changes, oldest first
+   */
+  getStatusHistory: async (id) => {
+    try {
+      logger.info(`Getting status history for booking: ${id}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_STATUS_HISTORY)
+        .select("*")
+        .eq("booking_id", id)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting booking status history: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting booking status history: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Update payment status
    * @param {string|number} id - Booking ID
@@ -217,9 +378,12 @@ const Booking = {
       const validPaymentStatuses = [
         "pending",
         "processing",
+        "deposit_paid",
         "completed",
         "failed",
+        "partially_refunded",
         "refunded",
+        "disputed",
       ];
       if (!validPaymentStatuses.includes(paymentStatus)) {
         throw new Error(`Invalid payment status: ${paymentStatus}`);
@@ -236,14 +400,14 @@ const Booking = {
   },
 
   /**
-   * Check for booking conflicts
+   * Get bookings that occupy a DJ's calendar within a time range
    * @param {string|number} djProfileId - DJ profile ID
-   * @param {Date} startTime - Start time
-   * @param {Date} endTime - End time
-   * @param {string|number} excludeBookingId - Optional booking ID to exclude from check
-   * @returns {Promise} - Boolean indicating if conflict exists
+   * @param {Date} startTime - Range start
+   * @param {Date} endTime - Range end
+   * @param {string|number} excludeBookingId - Optional booking ID to leave out
+   * @returns {Promise} - Array of active bookings and live unpaid holds
    */
-  checkConflicts: async (
+  getBlockingBookings: async (
     djProfileId,
     startTime,
     endTime,
@@ -251,22 +415,22 @@ const Booking = {
   ) => {
     try {
       logger.info(
-        `Checking booking conflicts for DJ ${djProfileId} from ${startTime} to ${endTime}`
+        `Getting blocking bookings for DJ ${djProfileId} from ${startTime} to ${endTime}`
       );
 
-      // Format times
-      const start = moment(startTime).toISOString();
-      const end = moment(endTime).toISOString();
+      const now = new Date().toISOString();
 
-      // Query for conflicting bookings
-      let query = db.supabase
+      // Two intervals overlap when each starts before the other ends
+      let query = supabase
         .from(TABLES.BOOKINGS)
         .select("*")
         .eq("dj_profile_id", djProfileId)
-        .eq("status", "confirmed")
-        .or(`start_time.lte.${end},end_time.gte.${start}`);
+        .in("status", BLOCKING_BOOKING_STATUSES)
+        .lt("start_time", moment(endTime).toISOString())
+        .gt("end_time", moment(startTime).toISOString())
+        // Unpaid bookings only block while their reservation hold is live
+        .or(`hold_expires_at.is.null,hold_expires_at.gt.${now}`);
 
-      // Exclude the current booking if provided
       if (excludeBookingId) {
         query = query.neq("id", excludeBookingId);
       }
@@ -274,12 +438,164 @@ const Booking = {
       const { data, error } = await query;
 
       if (error) {
-        logger.error(`Error checking booking conflicts: ${error.message}`);
+        logger.error(`Error getting blocking bookings: ${error.message}`);
         throw error;
       }
 
-      // If any bookings are found, there's a conflict
-      return data && data.length > 0;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting blocking bookings: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Clear the reservation hold once payment has started
+   * @param {string|number} id - Booking ID
+   * @returns {Promise} - Updated booking object
+   */
+  clearHold: async (id) => {
+    try {
+      logger.info(`Clearing reservation hold for booking: ${id}`);
+      return await db.update(TABLES.BOOKINGS, id, {
+        hold_expires_at: null,
+        updated_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error clearing reservation hold: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a host has paid for any booking other than this one
+   * @param {string} hostId - Host ID
+   * @param {string} excludeId - Booking to leave out (the one being paid for)
+   * @returns {Promise} - True if the host has paid for another booking
+   */
+  hasPaidBooking: async (hostId, excludeId) => {
+    try {
+      logger.info(`Checking paid bookings for host: ${hostId}`);
+
+      const { count, error } = await supabase
+        .from(TABLES.BOOKINGS)
+        .select("id", { count: "exact", head: true })
+        .eq("host_id", hostId)
+        .neq("id", excludeId)
+        .in("payment_status", PAID_PAYMENT_STATUSES);
+
+      if (error) {
+        logger.error(`Error checking paid bookings: ${error.message}`);
+        throw error;
+      }
+
+      return (count || 0) > 0;
+    } catch (error) {
+      logger.error(`Error checking paid bookings: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Give an unpaid booking a fresh payment window (on acceptance or failed payment)
+   * @param {string|number} id - Booking ID
+   * @returns {Promise} - Updated booking object
+   */
+  renewHold: async (id) => {
+    try {
+      logger.info(`Renewing reservation hold for booking: ${id}`);
+      return await db.update(TABLES.BOOKINGS, id, {
+        hold_expires_at: moment()
+          .add(config.booking.holdMinutes, "minutes")
+          .toISOString(),
+        updated_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error renewing reservation hold: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a booking's reservation hold has lapsed
+   * @param {Object} booking - Booking record
+   * @returns {boolean} - True if the booking is unpaid and its hold expired
+   */
+  isHoldExpired: (booking) => {
+    return (
+      HELD_STATUSES.includes(booking.status) &&
+      Boolean(booking.hold_expires_at) &&
+      moment(booking.hold_expires_at).isSameOrBefore(moment())
+    );
+  },
+
+  /**
+   * Work out which party a user is on a booking
+   * @param {Object} booking - Booking record
+   * @param {Object} user - Authenticated user
+   * @returns {Promise} - "admin", "host", "dj", or null if unrelated
+   */
+  getParticipantRole: async (booking, user) => {
+    if (user.role === "admin") {
+      return "admin";
+    }
+
+    if (booking.host_id === user.id) {
+      return "host";
+    }
+
+    if (user.role === "dj") {
+      const DjProfile = require("./DjProfile");
+      const djProfile = await DjProfile.getByUserId(user.id);
+
+      if (djProfile && djProfile.id === booking.dj_profile_id) {
+        return "dj";
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Check for booking conflicts
+   * @param {string|number} djProfileId - DJ profile ID
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {string|number} excludeBookingId - Optional booking ID to exclude from check
+   * @returns {Promise} - Boolean indicating if a booking or blackout conflicts
+   */
+  checkConflicts: async (
+    djProfileId,
+    startTime,
+    endTime,
+    excludeBookingId = null
+  ) => {
+    try {
+      logger.info(
+        `Checking booking conflicts for DJ ${djProfileId} from ${startTime} to ${endTime}`
+      );
+
+      // A blackout makes the DJ unavailable regardless of bookings
+      const inBlackout = await DjAvailability.hasBlackoutOverlap(
+        djProfileId,
+        startTime,
+        endTime
+      );
+
+      if (inBlackout) {
+        return true;
+      }
+
+      // Other bookings must also leave the buffer free on either side
+      const bufferMinutes = config.booking.bufferMinutes || 0;
+      const bookings = await Booking.getBlockingBookings(
+        djProfileId,
+        moment(startTime).subtract(bufferMinutes, "minutes"),
+        moment(endTime).add(bufferMinutes, "minutes"),
+        excludeBookingId
+      );
+
+      return bookings.length > 0;
     } catch (error) {
       logger.error(`Error checking booking conflicts: ${error.message}`);
       throw error;
@@ -287,4 +603,43 @@ const Booking = {
   },
 };
 
+/**
+ * Reject booking times that break the DJ's booking limits
+ * @param {string|number} djProfileId - DJ profile ID
+ * @param {Object} startTime - Booking start (moment)
+ * @param {Object} endTime - Booking end (moment)
+ * @throws {Error} - 400 error carrying field-level `errors`
+ */
+async function assertValidTimes(djProfileId, startTime, endTime) {
+  const DjProfile = require("./DjProfile");
+  const djProfile = await DjProfile.getById(djProfileId);
+  const errors = validateBookingTimes({ startTime, endTime, djProfile });
+
+  if (errors.length > 0) {
+    const validationError = new Error(errors[0].message);
+    validationError.status = 400;
+    validationError.errors = errors;
+    throw validationError;
+  }
+}
+
+/**
+ * End the unfinished stream of a cancelled booking, which revokes its key
+ * @param {string|number} bookingId - Booking ID
+ */
+async function endCancelledStream(bookingId) {
+  try {
+    const stream = await Stream.getActiveByBookingId(bookingId);
+
+    if (stream) {
+      await Stream.updateStatus(stream.id, "ended");
+    }
+  } catch (error) {
+    // The booking is cancelled either way
+    logger.error(
+      `Failed to end stream of cancelled booking ${bookingId}: ${error.message}`
+    );
+  }
+}
+
 module.exports = Booking;
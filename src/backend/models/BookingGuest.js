@@ -0,0 +1,138 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+
+/**
+ * Booking Guest Model - Users the host has invited to watch a booking's
+ * private stream; each invitation carries the session version stamped on the
+ * guest's playback tokens so they can be revoked when the guest is removed
+ */
+const BookingGuest = {
+  /**
+   * Get the current guests of a booking
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Array of guests, oldest first
+   */
+  getByBookingId: async (bookingId) => {
+    try {
+      logger.info(`Getting guests for booking: ${bookingId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_GUESTS)
+        .select("*")
+        .eq("booking_id", bookingId)
+        .is("removed_at", null)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting booking guests: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting booking guests: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's invitation to a booking, if they are still a guest
+   * @param {string|number} bookingId - Booking ID
+   * @param {string|number} userId - User ID
+   * @returns {Promise} - Guest record or null
+   */
+  getActive: async (bookingId, userId) => {
+    try {
+      logger.info(`Getting guest ${userId} of booking: ${bookingId}`);
+
+      const guests = await db.getAll(TABLES.BOOKING_GUESTS, {
+        booking_id: bookingId,
+        user_id: userId,
+      });
+      const guest = guests && guests[0];
+
+      return guest && !guest.removed_at ? guest : null;
+    } catch (error) {
+      logger.error(`Error getting booking guest: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Invite a user to a booking; a guest who was removed earlier comes back on
+   * a new session version, so tokens revoked at their removal stay revoked
+   * @param {string|number} bookingId - Booking ID
+   * @param {string|number} userId - User to invite
+   * @param {string|number} invitedBy - User who invited them
+   * @returns {Promise} - Guest record
+   */
+  invite: async (bookingId, userId, invitedBy) => {
+    try {
+      logger.info(`Inviting user ${userId} to booking: ${bookingId}`);
+
+      const guests = await db.getAll(TABLES.BOOKING_GUESTS, {
+        booking_id: bookingId,
+        user_id: userId,
+      });
+      const existing = guests && guests[0];
+
+      if (!existing) {
+        const result = await db.insert(TABLES.BOOKING_GUESTS, {
+          booking_id: bookingId,
+          user_id: userId,
+          invited_by: invitedBy,
+          created_at: new Date(),
+        });
+
+        return result[0];
+      }
+
+      if (!existing.removed_at) {
+        return existing;
+      }
+
+      const result = await db.update(TABLES.BOOKING_GUESTS, existing.id, {
+        invited_by: invitedBy,
+        session_version: existing.session_version + 1,
+        removed_at: null,
+        updated_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error inviting booking guest: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a guest from a booking
+   * @param {string|number} bookingId - Booking ID
+   * @param {string|number} userId - Guest's user ID
+   * @returns {Promise} - Removed guest record, or null if they were not a guest
+   */
+  remove: async (bookingId, userId) => {
+    try {
+      logger.info(`Removing guest ${userId} from booking: ${bookingId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_GUESTS)
+        .update({ removed_at: new Date(), updated_at: new Date() })
+        .eq("booking_id", bookingId)
+        .eq("user_id", userId)
+        .is("removed_at", null)
+        .select();
+
+      if (error) {
+        logger.error(`Error removing booking guest: ${error.message}`);
+        throw error;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error(`Error removing booking guest: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = BookingGuest;
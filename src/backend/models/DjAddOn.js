@@ -0,0 +1,120 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+
+/**
+ * DJ Add-On Model - Functions for optional extras a DJ offers (e.g. custom intro)
+ */
+const DjAddOn = {
+  /**
+   * Get add-ons offered by a DJ
+   * @param {string|number} djProfileId - DJ profile ID
+   * @param {boolean} activeOnly - Only return add-ons hosts can book
+   * @returns {Promise} - Array of add-ons
+   */
+  getByDjProfileId: async (djProfileId, activeOnly = false) => {
+    try {
+      logger.info(`Getting add-ons for DJ profile: ${djProfileId}`);
+
+      let query = supabase
+        .from(TABLES.DJ_ADD_ONS)
+        .select("*")
+        .eq("dj_profile_id", djProfileId)
+        .order("created_at", { ascending: true });
+
+      if (activeOnly) {
+        query = query.eq("active", true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error(`Error getting add-ons: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting add-ons: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get an add-on by ID
+   * @param {string|number} id - Add-on ID
+   * @returns {Promise} - Add-on
+   */
+  getById: async (id) => {
+    try {
+      logger.info(`Getting add-on by ID: ${id}`);
+      return await db.getById(TABLES.DJ_ADD_ONS, id);
+    } catch (error) {
+      logger.error(`Error getting add-on by ID: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Create an add-on
+   * @param {Object} addOnData - Add-on data
+   * @returns {Promise} - New add-on
+   */
+  create: async (addOnData) => {
+    try {
+      logger.info(`Creating add-on: ${JSON.stringify(addOnData)}`);
+
+      if (!addOnData.dj_profile_id) {
+        throw new Error("DJ profile ID is required");
+      }
+
+      const newAddOn = {
+        dj_profile_id: addOnData.dj_profile_id,
+        name: addOnData.name,
+        description: addOnData.description || "",
+        price: addOnData.price,
+        active: addOnData.active !== false,
+        created_at: new Date(),
+      };
+
+      return await db.insert(TABLES.DJ_ADD_ONS, newAddOn);
+    } catch (error) {
+      logger.error(`Error creating add-on: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Update an add-on
+   * @param {string|number} id - Add-on ID
+   * @param {Object} addOnData - Updated add-on data
+   * @returns {Promise} - Updated add-on
+   */
+  update: async (id, addOnData) => {
+    try {
+      logger.info(`Updating add-on ${id}: ${JSON.stringify(addOnData)}`);
+      return await db.update(TABLES.DJ_ADD_ONS, id, {
+        ...addOnData,
+        updated_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error updating add-on: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an add-on
+   * @param {string|number} id - Add-on ID
+   * @returns {Promise} - Result of deletion
+   */
+  delete: async (id) => {
+    try {
+      logger.info(`Deleting add-on: ${id}`);
+      return await db.delete(TABLES.DJ_ADD_ONS, id);
+    } catch (error) {
+      logger.error(`Error deleting add-on: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = DjAddOn;
@@ -0,0 +1,257 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+
+/**
+ * DJ Availability Model - Functions for DJ working hours and blackout periods
+ */
+const DjAvailability = {
+  /**
+   * Get recurring working-hour rules for a DJ
+   * @param {string|number} djProfileId - DJ profile ID
+   * @returns {Promise} - Array of availability rules
+   */
+  getRulesByDjProfileId: async (djProfileId) => {
+    try {
+      logger.info(`Getting availability rules for DJ profile: ${djProfileId}`);
+      return await db.getAll(TABLES.DJ_AVAILABILITY_RULES, {
+        dj_profile_id: djProfileId,
+      });
+    } catch (error) {
+      logger.error(`Error getting availability rules: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get an availability rule by ID
+   * @param {string|number} id - Rule ID
+   * @returns {Promise} - Availability rule
+   */
+  getRuleById: async (id) => {
+    try {
+      logger.info(`Getting availability rule by ID: ${id}`);
+      return await db.getById(TABLES.DJ_AVAILABILITY_RULES, id);
+    } catch (error) {
+      logger.error(`Error getting availability rule by ID: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a recurring availability rule
+   * @param {Object} ruleData - Rule data
+   * @returns {Promise} - New availability rule
+   */
+  createRule: async (ruleData) => {
+    try {
+      logger.info(`Creating availability rule: ${JSON.stringify(ruleData)}`);
+
+      if (!ruleData.dj_profile_id) {
+        throw new Error("DJ profile ID is required");
+      }
+
+      const newRule = {
+        dj_profile_id: ruleData.dj_profile_id,
+        days_of_week: ruleData.days_of_week,
+        start_time: ruleData.start_time,
+        end_time: ruleData.end_time,
+        timezone: ruleData.timezone || "UTC",
+        created_at: new Date(),
+      };
+
+      return await db.insert(TABLES.DJ_AVAILABILITY_RULES, newRule);
+    } catch (error) {
+      logger.error(`Error creating availability rule: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a recurring availability rule
+   * @param {string|number} id - Rule ID
+   * @param {Object} ruleData - Updated rule data
+   * @returns {Promise} - Updated availability rule
+   */
+  updateRule: async (id, ruleData) => {
+    try {
+      logger.info(`Updating availability rule ${id}: ${JSON.stringify(ruleData)}`);
+      return await db.update(TABLES.DJ_AVAILABILITY_RULES, id, {
+        ...ruleData,
+        updated_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error updating availability rule: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a recurring availability rule
+   * @param {string|number} id - Rule ID
+   * @returns {Promise} - Result of deletion
+   */
+  deleteRule: async (id) => {
+    try {
+      logger.info(`Deleting availability rule: ${id}`);
+      return await db.delete(TABLES.DJ_AVAILABILITY_RULES, id);
+    } catch (error) {
+      logger.error(`Error deleting availability rule: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all blackout periods for a DJ
+   * @param {string|number} djProfileId - DJ profile ID
+   * @returns {Promise} - Array of blackout periods ordered by start time
+   */
+  getBlackoutsByDjProfileId: async (djProfileId) => {
+    try {
+      logger.info(`Getting blackouts for DJ profile: ${djProfileId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.DJ_BLACKOUTS)
+        .select("*")
+        .eq("dj_profile_id", djProfileId)
+        .order("start_time", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting blackouts: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting blackouts: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get blackout periods for a DJ that overlap a date range
+   * @param {string|number} djProfileId - DJ profile ID
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise} - Array of blackout periods
+   */
+  getBlackoutsInRange: async (djProfileId, startDate, endDate) => {
+    try {
+      logger.info(
+        `Getting blackouts for DJ profile ${djProfileId} from ${startDate} to ${endDate}`
+      );
+
+      const { data, error } = await supabase
+        .from(TABLES.DJ_BLACKOUTS)
+        .select("*")
+        .eq("dj_profile_id", djProfileId)
+        .lt("start_time", endDate.toISOString())
+        .gt("end_time", startDate.toISOString())
+        .order("start_time", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting blackouts: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting blackouts: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a time range overlaps any of a DJ's blackouts
+   * @param {string|number} djProfileId - DJ profile ID
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @returns {Promise} - Boolean indicating if a blackout overlaps the range
+   */
+  hasBlackoutOverlap: async (djProfileId, startTime, endTime) => {
+    const blackouts = await DjAvailability.getBlackoutsInRange(
+      djProfileId,
+      new Date(startTime),
+      new Date(endTime)
+    );
+
+    return blackouts.length > 0;
+  },
+
+  /**
+   * Get a blackout period by ID
+   * @param {string|number} id - Blackout ID
+   * @returns {Promise} - Blackout period
+   */
+  getBlackoutById: async (id) => {
+    try {
+      logger.info(`Getting blackout by ID: ${id}`);
+      return await db.getById(TABLES.DJ_BLACKOUTS, id);
+    } catch (error) {
+      logger.error(`Error getting blackout by ID: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a blackout period
+   * @param {Object} blackoutData - Blackout data
+   * @returns {Promise} - New blackout period
+   */
+  createBlackout: async (blackoutData) => {
+    try {
+      logger.info(`Creating blackout: ${JSON.stringify(blackoutData)}`);
+
+      if (!blackoutData.dj_profile_id) {
+        throw new Error("DJ profile ID is required");
+      }
+
+      const newBlackout = {
+        dj_profile_id: blackoutData.dj_profile_id,
+        start_time: blackoutData.start_time,
+        end_time: blackoutData.end_time,
+        reason: blackoutData.reason || "",
+        created_at: new Date(),
+      };
+
+      return await db.insert(TABLES.DJ_BLACKOUTS, newBlackout);
+    } catch (error) {
+      logger.error(`Error creating blackout: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a blackout period
+   * @param {string|number} id - Blackout ID
+   * @param {Object} blackoutData - Updated blackout data
+   * @returns {Promise} - Updated blackout period
+   */
+  updateBlackout: async (id, blackoutData) => {
+    try {
+      logger.info(`Updating blackout ${id}: ${JSON.stringify(blackoutData)}`);
+      return await db.update(TABLES.DJ_BLACKOUTS, id, {
+        ...blackoutData,
+        updated_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error updating blackout: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a blackout period
+   * @param {string|number} id - Blackout ID
+   * @returns {Promise} - Result of deletion
+   */
+  deleteBlackout: async (id) => {
+    try {
+      logger.info(`Deleting blackout: ${id}`);
+      return await db.delete(TABLES.DJ_BLACKOUTS, id);
+    } catch (error) {
+      logger.error(`Error deleting blackout: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = DjAvailability;
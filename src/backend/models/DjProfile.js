@@ -1,4 +1,17 @@
 const { db, TABLES, logger } = require("../utils/database");
+const Booking = require("./Booking");
+const DjAvailability = require("./DjAvailability");
+const { computeAvailableSlots } = require("../services/availability.service");
+const {
+  getBookingLimits,
+} = require("../services/booking-validation.service");
+const moment = require("moment-timezone");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
 
 /**
  * DJ Profile Model - Functions for DJ profile operations
@@ -58,6 +71,32 @@ const DjProfile = {
     }
   },
 
+  /**
+   * Get DJ profile by Stripe connected account ID
+   * @param {string} stripeAccountId - Stripe account ID
+   * @returns {Promise} - DJ profile object or null
+   */
+  getByStripeAccountId: async (stripeAccountId) => {
+    try {
+      logger.info(`Getting DJ profile by Stripe account: ${stripeAccountId}`);
+
+      const profiles = await db.getAll(TABLES.DJ_PROFILES, {
+        stripe_account_id: stripeAccountId,
+      });
+
+      if (!profiles || profiles.length === 0) {
+        return null;
+      }
+
+      return profiles[0];
+    } catch (error) {
+      logger.error(
+        `Error getting DJ profile by Stripe account: ${error.message}`
+      );
+      throw error;
+    }
+  },
+
   /**
    * Create a new DJ profile
    * @param {Object} profileData - DJ profile data
@@ -76,13 +115,35 @@ const DjProfile = {
       const newProfile = {
         user_id: profileData.user_id,
         stage_name: profileData.stage_name,
-        hourly_rate: profileData.hourly_rate,
+        pricing_model: profileData.pricing_model || "hourly",
+        hourly_rate: profileData.hourly_rate || null,
+        event_fee: profileData.event_fee || null,
+        minimum_fee: profileData.minimum_fee || null,
+        currency: profileData.currency || config.booking.defaultCurrency,
+        weekend_surcharge_percentage:
+          profileData.weekend_surcharge_percentage || 0,
+        holiday_surcharge_percentage:
+          profileData.holiday_surcharge_percentage || 0,
+        late_night_multiplier: profileData.late_night_multiplier || 1,
+        late_night_start: profileData.late_night_start || "00:00",
+        late_night_end: profileData.late_night_end || "06:00",
+        min_duration_hours: profileData.min_duration_hours || null,
+        max_duration_hours: profileData.max_duration_hours || null,
+        min_lead_time_hours:
+          profileData.min_lead_time_hours !== undefined
+            ? profileData.min_lead_time_hours
+            : null,
+        max_advance_days: profileData.max_advance_days || null,
         genres: profileData.genres || [],
         bio: profileData.bio || "",
         experience: profileData.experience || "",
         equipment: profileData.equipment || "",
         video_links: profileData.video_links || [],
         languages: profileData.languages || ["English"],
+        timezone: profileData.timezone || config.timeZone.default,
+        country: profileData.country || null,
+        region: profileData.region || null,
+        cancellation_policy: profileData.cancellation_policy || null,
         created_at: new Date(),
       };
 
@@ -183,7 +244,7 @@ const DjProfile = {
    * @param {string|number} djId - DJ profile ID
    * @param {Date} startDate - Start date for availability check
    * @param {Date} endDate - End date for availability check
-   * @returns {Promise} - Array of available time slots
+   * @returns {Promise} - Available time slots within the range
    */
   getAvailability: async (djId, startDate, endDate) => {
     try {
@@ -198,25 +259,50 @@ const DjProfile = {
         throw new Error("DJ profile not found");
       }
 
-      // Get bookings for this DJ in the date range
-      const { data: bookings, error } = await db.supabase
-        .from(TABLES.BOOKINGS)
-        .select("*")
-        .eq("dj_profile_id", djId)
-        .gte("start_time", startDate.toISOString())
-        .lte("end_time", endDate.toISOString());
+      const bufferMinutes = config.booking.bufferMinutes || 0;
+      const limits = getBookingLimits(djProfile);
 
-      if (error) {
-        logger.error(`Error getting bookings for DJ: ${error.message}`);
-        throw error;
-      }
+      // Bookings just outside the range still push their buffer into it
+      const bufferedStart = moment(startDate).subtract(bufferMinutes, "minutes");
+      const bufferedEnd = moment(endDate).add(bufferMinutes, "minutes");
+
+      const bookings = await Booking.getBlockingBookings(
+        djId,
+        bufferedStart,
+        bufferedEnd
+      );
+
+      const rules = await DjAvailability.getRulesByDjProfileId(djId);
+      const blackouts = await DjAvailability.getBlackoutsInRange(
+        djId,
+        startDate,
+        endDate
+      );
+
+      const slots = computeAvailableSlots({
+        rules: rules || [],
+        blackouts,
+        bookings,
+        rangeStart: startDate,
+        rangeEnd: endDate,
+        bufferMinutes,
+        minDurationHours: limits.minDuration,
+        maxDurationHours: limits.maxDuration,
+        // Only offer slots the DJ could actually be booked for
+        minLeadTimeHours: limits.minLeadTimeHours,
+        maxAdvanceDays: limits.maxAdvanceDays,
+      });
 
-      // TODO: Implement availability calculation based on bookings
-      // For now, return a simple structure
       return {
         dj_profile_id: djId,
-        bookings: bookings || [],
-        // Additional availability logic would go here
+        start_date: startDate.toISOString(),
+        end_date: endDate.toISOString(),
+        buffer_minutes: bufferMinutes,
+        min_duration_hours: limits.minDuration,
+        max_duration_hours: limits.maxDuration,
+        min_lead_time_hours: limits.minLeadTimeHours,
+        max_advance_days: limits.maxAdvanceDays,
+        slots,
       };
     } catch (error) {
       logger.error(`Error getting DJ availability: ${error.message}`);
@@ -0,0 +1,141 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+const { normalizeCurrency } = require("../services/currency.service");
+const { summarizeCredits } = require("../services/promotion.service");
+
+// Postgres SQLSTATE raised by spend_gift_credit when the balance is too low
+const CHECK_VIOLATION = "23514";
+
+/**
+ * Gift Credit Model - Ledger of credit granted to and spent by hosts
+ */
+const GiftCredit = {
+  /**
+   * Get a user's gift credit transactions, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise} - Array of transactions
+   */
+  getByUserId: async (userId) => {
+    try {
+      logger.info(`Getting gift credit for user: ${userId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.GIFT_CREDIT_TRANSACTIONS)
+        .select("*")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        logger.error(`Error getting gift credit: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting gift credit: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's gift credit balance in each currency
+   * @param {string} userId - User ID
+   * @returns {Promise} - Balance per currency code
+   */
+  getBalances: async (userId) =>
+    summarizeCredits(await GiftCredit.getByUserId(userId)),
+
+  /**
+   * Grant gift credit to a user
+   * @param {Object} grant - Grant details
+   * @param {string} grant.userId - User receiving the credit
+   * @param {number} grant.amount - Amount in major currency units
+   * @param {string} grant.currency - Currency of the credit
+   * @param {string} grant.note - Why the credit was granted
+   * @param {string} grant.createdBy - Admin granting it
+   * @returns {Promise} - New transaction
+   */
+  grant: async ({ userId, amount, currency, note, createdBy }) => {
+    try {
+      logger.info(`Granting ${amount} ${currency} gift credit to ${userId}`);
+
+      const result = await db.insert(TABLES.GIFT_CREDIT_TRANSACTIONS, {
+        user_id: userId,
+        amount,
+        currency: normalizeCurrency(currency),
+        type: "grant",
+        note: note || null,
+        created_by: createdBy || null,
+        created_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error granting gift credit: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Spend a host's gift credit on a booking and record it on the booking;
+   * the balance is checked atomically
+   * @param {Object} booking - Booking being paid for
+   * @param {number} amount - Amount to spend
+   * @returns {Promise} - Spend transaction
+   */
+  spend: async (booking, amount) => {
+    try {
+      logger.info(`Spending ${amount} gift credit on booking ${booking.id}`);
+
+      const { data, error } = await supabase.rpc("spend_gift_credit", {
+        p_user_id: booking.host_id,
+        p_booking_id: booking.id,
+        p_amount: amount,
+        p_currency: normalizeCurrency(booking.currency),
+      });
+
+      if (error) {
+        if (error.code === CHECK_VIOLATION) {
+          const conflictError = new Error(error.message);
+          conflictError.status = 409;
+          throw conflictError;
+        }
+
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error spending gift credit: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Give gift credit spent on a booking back to the host, up to what is
+   * still outstanding
+   * @param {Object} booking - Booking the credit was spent on
+   * @param {number} amount - Amount to restore
+   * @returns {Promise} - Restore transaction, or null if nothing was left
+   */
+  restore: async (booking, amount) => {
+    try {
+      logger.info(`Restoring ${amount} gift credit from booking ${booking.id}`);
+
+      const { data, error } = await supabase.rpc("restore_gift_credit", {
+        p_booking_id: booking.id,
+        p_amount: amount,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return data && data.id ? data : null;
+    } catch (error) {
+      logger.error(`Error restoring gift credit: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = GiftCredit;
@@ -0,0 +1,99 @@
+const { supabase, TABLES, logger } = require("../utils/database");
+
+// Postgres SQLSTATE for a duplicate key
+const UNIQUE_VIOLATION = "23505";
+
+/**
+ * Invoice Model - Numbered invoices, one per paid payment, frozen once issued
+ */
+const Invoice = {
+  /**
+   * Get the invoice issued for a payment
+   * @param {string|number} paymentId - Payment ID
+   * @returns {Promise} - Invoice, or null if none has been issued
+   */
+  getByPaymentId: async (paymentId) => {
+    try {
+      logger.info(`Getting invoice for payment: ${paymentId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.INVOICES)
+        .select("*")
+        .eq("payment_id", paymentId)
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error getting invoice: ${error.message}`);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error getting invoice: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the invoices issued for a set of payments
+   * @param {Array} paymentIds - Payment IDs
+   * @returns {Promise} - Array of invoices
+   */
+  getByPaymentIds: async (paymentIds) => {
+    try {
+      logger.info(`Getting invoices for ${paymentIds.length} payments`);
+
+      if (paymentIds.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.INVOICES)
+        .select("*")
+        .in("payment_id", paymentIds);
+
+      if (error) {
+        logger.error(`Error getting invoices: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting invoices: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Issue an invoice; the database assigns the next invoice number. If the
+   * payment was invoiced concurrently, the existing invoice is returned
+   * @param {Object} invoiceData - Result of buildInvoice
+   * @returns {Promise} - Issued invoice
+   */
+  issue: async (invoiceData) => {
+    try {
+      logger.info(`Issuing invoice for payment: ${invoiceData.payment_id}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.INVOICES)
+        .insert({ ...invoiceData, issued_at: new Date() })
+        .select()
+        .single();
+
+      if (!error) {
+        return data;
+      }
+
+      if (error.code !== UNIQUE_VIOLATION) {
+        throw error;
+      }
+
+      return await Invoice.getByPaymentId(invoiceData.payment_id);
+    } catch (error) {
+      logger.error(`Error issuing invoice: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = Invoice;
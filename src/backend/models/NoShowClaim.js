@@ -0,0 +1,133 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+
+/**
+ * No-Show Claim Model - Hosts reporting a DJ who did not perform; an open
+ * claim keeps the DJ's payout in escrow until an admin resolves it
+ */
+const NoShowClaim = {
+  /**
+   * Get a no-show claim by ID
+   * @param {string|number} id - Claim ID
+   * @returns {Promise} - No-show claim
+   */
+  getById: async (id) => {
+    try {
+      logger.info(`Getting no-show claim by ID: ${id}`);
+      return await db.getById(TABLES.NO_SHOW_CLAIMS, id);
+    } catch (error) {
+      logger.error(`Error getting no-show claim by ID: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all no-show claims for a booking
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Array of no-show claims, oldest first
+   */
+  getByBookingId: async (bookingId) => {
+    try {
+      logger.info(`Getting no-show claims for booking: ${bookingId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.NO_SHOW_CLAIMS)
+        .select("*")
+        .eq("booking_id", bookingId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting no-show claims: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting no-show claims: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the open no-show claim for a booking, if any
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Open no-show claim or null
+   */
+  getOpenByBookingId: async (bookingId) => {
+    const claims = await NoShowClaim.getByBookingId(bookingId);
+    return claims.find((claim) => claim.status === "open") || null;
+  },
+
+  /**
+   * File a no-show claim
+   * @param {Object} claimData - Booking ID, host ID and reason
+   * @returns {Promise} - New no-show claim
+   */
+  create: async (claimData) => {
+    try {
+      logger.info(`Creating no-show claim: ${JSON.stringify(claimData)}`);
+
+      if (!claimData.booking_id || !claimData.host_id || !claimData.reason) {
+        throw new Error("Missing required no-show claim fields");
+      }
+
+      return await db.insert(TABLES.NO_SHOW_CLAIMS, {
+        booking_id: claimData.booking_id,
+        host_id: claimData.host_id,
+        reason: claimData.reason,
+        status: "open",
+        created_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error creating no-show claim: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Resolve an open no-show claim
+   * @param {string|number} id - Claim ID
+   * @param {string} status - upheld or rejected
+   * @param {string|number} resolvedBy - Admin who resolved the claim
+   * @param {string} note - Optional resolution note
+   * @returns {Promise} - Updated no-show claim
+   */
+  resolve: async (id, status, resolvedBy, note = null) => {
+    try {
+      logger.info(`Resolving no-show claim ${id} as: ${status}`);
+
+      if (!["upheld", "rejected"].includes(status)) {
+        throw new Error(`Invalid status: ${status}`);
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.NO_SHOW_CLAIMS)
+        .update({
+          status,
+          resolved_by: resolvedBy,
+          resolved_at: new Date(),
+          resolution_note: note,
+          updated_at: new Date(),
+        })
+        .eq("id", id)
+        .eq("status", "open")
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        const conflictError = new Error("No-show claim is no longer open");
+        conflictError.status = 409;
+        throw conflictError;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error resolving no-show claim: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = NoShowClaim;
@@ -0,0 +1,102 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+
+/**
+ * Notification Model - Messages for users about their bookings and payments
+ */
+const Notification = {
+  /**
+   * Notify a user
+   * @param {string} userId - User to notify
+   * @param {Object} notification - Notification details
+   * @param {string} notification.type - What happened, e.g. balance_payment_failed
+   * @param {string} notification.message - Message shown to the user
+   * @param {string} notification.bookingId - Booking it is about, if any
+   * @param {Object} notification.data - Type-specific details
+   * @returns {Promise} - New notification
+   */
+  create: async (userId, { type, message, bookingId = null, data = {} }) => {
+    try {
+      logger.info(`Notifying user ${userId}: ${type}`);
+
+      const result = await db.insert(TABLES.NOTIFICATIONS, {
+        user_id: userId,
+        booking_id: bookingId,
+        type,
+        message,
+        data,
+        created_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error creating notification: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - Optional filters (unread)
+   * @returns {Promise} - Array of notifications
+   */
+  getByUserId: async (userId, filters = {}) => {
+    try {
+      logger.info(`Getting notifications for user: ${userId}`);
+
+      let query = supabase
+        .from(TABLES.NOTIFICATIONS)
+        .select("*")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .limit(100);
+
+      if (filters.unread) {
+        query = query.is("read_at", null);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error(`Error getting notifications: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting notifications: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} id - Notification ID
+   * @param {string} userId - User the notification belongs to
+   * @returns {Promise} - Updated notification, or null if it is not theirs
+   */
+  markRead: async (id, userId) => {
+    try {
+      logger.info(`Marking notification ${id} read for user: ${userId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.NOTIFICATIONS)
+        .update({ read_at: new Date() })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select();
+
+      if (error) {
+        logger.error(`Error marking notification read: ${error.message}`);
+        throw error;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error(`Error marking notification read: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = Notification;
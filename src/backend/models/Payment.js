@@ -1,5 +1,34 @@
-const { db, TABLES, logger } = require("../utils/database");
-const stripe = require("stripe");
+const { supabase, db, TABLES, logger } = require("../utils/database");
+const { stripeClient } = require("../utils/stripe");
+const Payout = require("./Payout");
+const Refund = require("./Refund");
+const PromoCode = require("./PromoCode");
+const GiftCredit = require("./GiftCredit");
+const { getAllowedTransitions } = require("../services/booking-state.service");
+const { computePlatformFee } = require("../services/pricing.service");
+const {
+  computeCancellationQuote,
+} = require("../services/cancellation.service");
+const { getBalanceDueAt } = require("../services/deposit.service");
+const {
+  normalizeCurrency,
+  roundCurrency,
+} = require("../services/currency.service");
+const {
+  buildEscrowCharge,
+  canReceivePayments,
+  fromStripeAmount,
+  toStripeAmount,
+} = require("../services/connect.service");
+const {
+  PAYMENT_STATUSES,
+  isRefundable,
+  sumRefunds,
+  getRefundableAmount,
+  getRefundedStatus,
+} = require("../services/refund.service");
+const { INVOICEABLE_STATUSES } = require("../services/invoice.service");
+const { calculateTaxes, sumTaxes } = require("../services/tax.service");
 const fs = require("fs");
 const path = require("path");
 
@@ -7,8 +36,14 @@ const path = require("path");
 const configPath = path.join(__dirname, "../../config/config.json");
 const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
 
-// Initialize Stripe
-const stripeClient = stripe(config.stripe.secretKey);
+// Postgres SQLSTATE for a duplicate key (a booking's balance already scheduled)
+const UNIQUE_VIOLATION = "23505";
+
+// Balance payments that still have to be charged
+const OUTSTANDING_BALANCE_STATUSES = ["scheduled", "failed"];
+
+// Payments the host may still pay
+const OPEN_STATUSES = ["scheduled", "pending", "processing", "failed"];
 
 /**
  * Payment Model - Functions for payment operations
@@ -31,6 +66,90 @@ const Payment = {
     }
   },
 
+  /**
+   * Search payments, newest first
+   * @param {Object} searchParams - status, from, to, djProfileId, hostId,
+   *   limit and offset
+   * @returns {Promise} - { payments, total } where total ignores paging
+   */
+  search: async (searchParams = {}) => {
+    try {
+      logger.info(`Searching payments: ${JSON.stringify(searchParams)}`);
+
+      const { limit = 50, offset = 0 } = searchParams;
+
+      let query = supabase
+        .from(TABLES.PAYMENTS)
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (searchParams.status) {
+        query = query.eq("status", searchParams.status);
+      }
+
+      if (searchParams.from) {
+        query = query.gte("created_at", searchParams.from.toISOString());
+      }
+
+      if (searchParams.to) {
+        query = query.lt("created_at", searchParams.to.toISOString());
+      }
+
+      if (searchParams.djProfileId) {
+        query = query.eq("dj_profile_id", searchParams.djProfileId);
+      }
+
+      if (searchParams.hostId) {
+        query = query.eq("host_id", searchParams.hostId);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        logger.error(`Error searching payments: ${error.message}`);
+        throw error;
+      }
+
+      return { payments: data || [], total: count || 0 };
+    } catch (error) {
+      logger.error(`Error searching payments: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a DJ's payments that took the host's money within a period
+   * @param {string} djProfileId - DJ profile ID
+   * @param {Date} from - Start of the period (inclusive)
+   * @param {Date} to - End of the period (exclusive)
+   * @returns {Promise} - Array of payments, oldest first
+   */
+  getPaidByDjProfileId: async (djProfileId, from, to) => {
+    try {
+      logger.info(`Getting paid payments for DJ profile: ${djProfileId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.PAYMENTS)
+        .select("*")
+        .eq("dj_profile_id", djProfileId)
+        .in("status", INVOICEABLE_STATUSES)
+        .gte("created_at", from.toISOString())
+        .lt("created_at", to.toISOString())
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting paid payments: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting paid payments: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Get payment by ID
    * @param {string|number} id - Payment ID
@@ -62,9 +181,46 @@ const Payment = {
   },
 
   /**
-   * Create a payment intent
-   * @param {Object} paymentData - Payment data
-   * @returns {Promise} - Payment intent and client secret
+   * Get payment by Stripe payment intent ID
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @returns {Promise} - Payment object or null
+   */
+  getByStripePaymentIntentId: async (paymentIntentId) => {
+    try {
+      logger.info(`Getting payment by payment intent ID: ${paymentIntentId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.PAYMENTS)
+        .select("*")
+        .eq("payment_intent_id", paymentIntentId)
+        .limit(1);
+
+      if (error) {
+        logger.error(
+          `Error getting payment by payment intent ID: ${error.message}`
+        );
+        throw error;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error(
+        `Error getting payment by payment intent ID: ${error.message}`
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Create a payment intent and release the booking's reservation hold. A
+   * payment covered entirely by gift credit succeeds without reaching Stripe
+   * @param {Object} paymentData - Payment data (pre-tax amount in major
+   *   currency units after any discount, tax_lines charged on top, the
+   *   discount_amount and credit_amount applied, its kind, the
+   *   reschedule_request_id an adjustment pays for, and save_payment_method
+   *   to keep the card for a later off-session charge)
+   * @returns {Promise} - Payment, client secret (null if nothing is charged)
+   *   and, when the card is saved without a charge, a SetupIntent client secret
    */
   createPaymentIntent: async (paymentData) => {
     try {
@@ -73,52 +229,132 @@ const Payment = {
       // Ensure required fields
       if (
         !paymentData.booking_id ||
-        !paymentData.amount ||
+        paymentData.amount === undefined ||
+        paymentData.amount === null ||
         !paymentData.currency
       ) {
         throw new Error("Missing required payment fields");
       }
 
-      // Calculate platform fee
-      const platformFeePercentage = config.stripe.platformFeePercentage || 15;
-      const platformFeeAmount = Math.round(
-        paymentData.amount * (platformFeePercentage / 100)
+      // The DJ must be able to receive the transfer
+      const DjProfile = require("./DjProfile");
+      const djProfile = await DjProfile.getById(paymentData.dj_profile_id);
+
+      if (!canReceivePayments(djProfile)) {
+        const onboardingError = new Error(
+          "This DJ has not finished setting up payouts yet"
+        );
+        onboardingError.status = 409;
+        throw onboardingError;
+      }
+
+      // Stripe takes lower-case codes; amounts are in this currency's units
+      const currency = normalizeCurrency(paymentData.currency).toLowerCase();
+
+      // Calculate platform fee on the pre-tax amount; taxes are charged on top
+      const platformFeeAmount = computePlatformFee(
+        paymentData.amount,
+        currency
+      );
+      const taxLines = paymentData.tax_lines || [];
+      const taxAmount = sumTaxes(taxLines, currency);
+      const amount = roundCurrency(
+        Number(paymentData.amount) + taxAmount,
+        currency
       );
 
-      // Create payment intent with Stripe
-      const paymentIntent = await stripeClient.paymentIntents.create({
-        amount: paymentData.amount,
-        currency: paymentData.currency || "usd",
-        description: `Booking ID: ${paymentData.booking_id}`,
-        metadata: {
-          booking_id: paymentData.booking_id,
-          host_id: paymentData.host_id,
-          dj_profile_id: paymentData.dj_profile_id,
-          platform_fee: platformFeeAmount,
-        },
-      });
+      // Gift credit pays first; the card is charged the rest
+      const creditAmount = roundCurrency(
+        Math.min(Number(paymentData.credit_amount || 0), amount),
+        currency
+      );
+      const chargeAmount = roundCurrency(amount - creditAmount, currency);
+      const kind = paymentData.kind || "full";
+
+      // Funds stay on the platform account until the payout is released
+      const paymentIntent =
+        chargeAmount > 0
+          ? await stripeClient.paymentIntents.create({
+              ...buildEscrowCharge({
+                amount: chargeAmount,
+                currency,
+                platformFee: platformFeeAmount,
+                customer: paymentData.customer,
+                description:
+                  paymentData.description ||
+                  `Booking ID: ${paymentData.booking_id}`,
+                bookingId: paymentData.booking_id,
+                metadata: {
+                  host_id: paymentData.host_id,
+                  dj_profile_id: paymentData.dj_profile_id,
+                  payment_kind: kind,
+                  tax_amount: taxAmount,
+                  discount_amount: Number(paymentData.discount_amount || 0),
+                  credit_amount: creditAmount,
+                  ...(paymentData.reschedule_request_id
+                    ? {
+                        reschedule_request_id: paymentData.reschedule_request_id,
+                      }
+                    : {}),
+                },
+              }),
+              // Keeps the card so a later balance can be charged off-session
+              ...(paymentData.save_payment_method
+                ? { setup_future_usage: "off_session" }
+                : {}),
+            })
+          : null;
+
+      if (paymentIntent) {
+        logger.info(`Payment intent created: ${paymentIntent.id}`);
+      }
 
-      logger.info(`Payment intent created: ${paymentIntent.id}`);
+      // With nothing to charge now, the card is saved on its own
+      const setupIntent =
+        !paymentIntent && paymentData.save_payment_method
+          ? await stripeClient.setupIntents.create({
+              customer: paymentData.customer,
+              usage: "off_session",
+              metadata: {
+                booking_id: paymentData.booking_id,
+                host_id: paymentData.host_id,
+              },
+            })
+          : null;
 
       // Create payment record in database
       const newPayment = {
         booking_id: paymentData.booking_id,
         host_id: paymentData.host_id,
         dj_profile_id: paymentData.dj_profile_id,
-        amount: paymentData.amount,
-        currency: paymentData.currency || "usd",
+        amount,
+        currency,
         platform_fee: platformFeeAmount,
-        payment_intent_id: paymentIntent.id,
-        payment_intent_client_secret: paymentIntent.client_secret,
-        status: "pending",
+        tax_amount: taxAmount,
+        tax_lines: taxLines,
+        discount_amount: Number(paymentData.discount_amount || 0),
+        credit_amount: creditAmount,
+        kind,
+        reschedule_request_id: paymentData.reschedule_request_id || null,
+        stripe_account_id: djProfile.stripe_account_id,
+        payment_intent_id: paymentIntent ? paymentIntent.id : null,
+        payment_intent_client_secret: paymentIntent
+          ? paymentIntent.client_secret
+          : null,
+        status: paymentIntent ? "pending" : "succeeded",
         created_at: new Date(),
       };
 
       const result = await db.insert(TABLES.PAYMENTS, newPayment);
 
+      // Payment has started, so the slot no longer needs a reservation hold
+      const Booking = require("./Booking");
+      await Booking.clearHold(paymentData.booking_id);
+
       return {
         payment: result[0],
-        client_secret: paymentIntent.client_secret,
+        client_secret: paymentIntent ? paymentIntent.client_secret : null,
+        setup_client_secret: setupIntent ? setupIntent.client_secret : null,
       };
     } catch (error) {
       logger.error(`Error creating payment intent: ${error.message}`);
@@ -127,132 +363,519 @@ const Payment = {
   },
 
   /**
-   * Update payment status
-   * @param {string|number} id - Payment ID
-   * @param {string} status - New status
-   * @returns {Promise} - Updated payment object
+   * Get a booking's balance payment that has not been charged yet
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Scheduled or failed balance payment, or null
    */
-  updateStatus: async (id, status) => {
+  getOutstandingBalance: async (bookingId) => {
     try {
-      logger.info(`Updating payment ${id} status to: ${status}`);
+      logger.info(`Getting outstanding balance for booking: ${bookingId}`);
 
-      // Validate status
-      const validStatuses = [
-        "pending",
-        "processing",
-        "succeeded",
-        "failed",
-        "refunded",
-      ];
-      if (!validStatuses.includes(status)) {
-        throw new Error(`Invalid status: ${status}`);
+      const { data, error } = await supabase
+        .from(TABLES.PAYMENTS)
+        .select("*")
+        .eq("booking_id", bookingId)
+        .eq("kind", "balance")
+        .in("status", OUTSTANDING_BALANCE_STATUSES)
+        .limit(1);
+
+      if (error) {
+        logger.error(`Error getting outstanding balance: ${error.message}`);
+        throw error;
       }
 
-      return await db.update(TABLES.PAYMENTS, id, {
-        status,
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error(`Error getting outstanding balance: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get balance payments whose next charge attempt is due
+   * @param {Date} now - Current time
+   * @returns {Promise} - Array of balance payments, longest overdue first
+   */
+  getDueBalances: async (now = new Date()) => {
+    try {
+      logger.info(`Getting balance payments due by: ${now.toISOString()}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.PAYMENTS)
+        .select("*")
+        .eq("kind", "balance")
+        .in("status", OUTSTANDING_BALANCE_STATUSES)
+        .lte("next_attempt_at", now.toISOString())
+        .order("next_attempt_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting due balances: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting due balances: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Schedule the rest of a booking's price once its deposit is paid; taxes
+   * are worked out now so the host knows what will be charged
+   * @param {Object} deposit - Succeeded deposit payment
+   * @param {Object} booking - Booking the deposit paid towards
+   * @returns {Promise} - Scheduled balance payment, or null if nothing is left
+   */
+  scheduleBalance: async (deposit, booking) => {
+    try {
+      logger.info(`Scheduling balance for booking: ${booking.id}`);
+
+      const currency = deposit.currency;
+      const amount = roundCurrency(
+        Number(booking.total_amount) -
+          Number(booking.discount_amount || 0) -
+          (Number(deposit.amount) - Number(deposit.tax_amount || 0)),
+        currency
+      );
+
+      if (amount <= 0) {
+        return null;
+      }
+
+      const DjProfile = require("./DjProfile");
+      const User = require("./User");
+      const taxLines = await calculateTaxes({
+        subtotal: amount,
+        currency,
+        djProfile: await DjProfile.getById(booking.dj_profile_id),
+        host: await User.getById(booking.host_id),
+      });
+      const taxAmount = sumTaxes(taxLines, currency);
+      const dueAt = getBalanceDueAt(booking);
+
+      const { data, error } = await supabase
+        .from(TABLES.PAYMENTS)
+        .insert({
+          booking_id: booking.id,
+          host_id: deposit.host_id,
+          dj_profile_id: deposit.dj_profile_id,
+          amount: roundCurrency(amount + taxAmount, currency),
+          currency,
+          platform_fee: computePlatformFee(amount, currency),
+          tax_amount: taxAmount,
+          tax_lines: taxLines,
+          kind: "balance",
+          stripe_account_id: deposit.stripe_account_id,
+          payment_method_id: deposit.payment_method_id || null,
+          due_at: dueAt,
+          next_attempt_at: dueAt,
+          status: "scheduled",
+          created_at: new Date(),
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // Webhooks can be delivered more than once
+        if (error.code === UNIQUE_VIOLATION) {
+          return await Payment.getOutstandingBalance(booking.id);
+        }
+
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error scheduling balance: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Change an uncharged balance after the booking was rescheduled
+   * @param {Object} payment - Outstanding balance payment
+   * @param {Object} balance - New balance
+   * @param {number} balance.amount - Pre-tax amount
+   * @param {Array} balance.taxLines - Taxes charged on top
+   * @param {Date} balance.dueAt - When to charge it
+   * @returns {Promise} - Updated balance payment
+   */
+  updateBalance: async (payment, { amount, taxLines, dueAt }) => {
+    try {
+      logger.info(`Updating balance payment: ${payment.id}`);
+
+      const taxAmount = sumTaxes(taxLines, payment.currency);
+
+      const result = await db.update(TABLES.PAYMENTS, payment.id, {
+        amount: roundCurrency(amount + taxAmount, payment.currency),
+        platform_fee: computePlatformFee(amount, payment.currency),
+        tax_amount: taxAmount,
+        tax_lines: taxLines,
+        due_at: dueAt,
+        // A failed balance keeps its retry schedule
+        next_attempt_at:
+          payment.status === "scheduled" ? dueAt : payment.next_attempt_at,
         updated_at: new Date(),
       });
+
+      return result[0];
     } catch (error) {
-      logger.error(`Error updating payment status: ${error.message}`);
+      logger.error(`Error updating balance payment: ${error.message}`);
       throw error;
     }
   },
 
   /**
-   * Process Stripe webhook event
-   * @param {Object} event - Stripe webhook event
-   * @returns {Promise} - Result of webhook processing
+   * Save the card a booking's balance will be charged to
+   * @param {string|number} bookingId - Booking ID
+   * @param {string} paymentMethodId - Stripe payment method ID
+   * @returns {Promise} - Updated balance payment, or null if none is due
    */
-  processWebhook: async (event) => {
+  savePaymentMethod: async (bookingId, paymentMethodId) => {
     try {
-      logger.info(`Processing Stripe webhook event: ${event.type}`);
+      logger.info(`Saving balance payment method for booking: ${bookingId}`);
 
-      switch (event.type) {
-        case "payment_intent.succeeded": {
-          const paymentIntent = event.data.object;
+      const balance = await Payment.getOutstandingBalance(bookingId);
 
-          // Find payment in database
-          const { data: payments, error } = await db.supabase
-            .from(TABLES.PAYMENTS)
-            .select("*")
-            .eq("payment_intent_id", paymentIntent.id);
+      if (!balance) {
+        return null;
+      }
 
-          if (error || !payments || payments.length === 0) {
-            logger.error(
-              `Payment not found for payment intent: ${paymentIntent.id}`
-            );
-            return { success: false, message: "Payment not found" };
-          }
+      const result = await db.update(TABLES.PAYMENTS, balance.id, {
+        payment_method_id: paymentMethodId,
+        updated_at: new Date(),
+      });
 
-          const payment = payments[0];
+      return result[0];
+    } catch (error) {
+      logger.error(`Error saving payment method: ${error.message}`);
+      throw error;
+    }
+  },
 
-          // Update payment status
-          await Payment.updateStatus(payment.id, "succeeded");
+  /**
+   * Charge a balance to the host's saved card without them being present.
+   * Declines and cards that need the host to authenticate are thrown with
+   * status 402 so they can be retried
+   * @param {Object} payment - Outstanding balance payment
+   * @param {string} customer - Host's Stripe customer ID
+   * @returns {Promise} - Updated balance payment
+   */
+  chargeBalance: async (payment, customer) => {
+    try {
+      logger.info(`Charging balance payment: ${payment.id}`);
 
-          // Update booking payment status
-          const { data: bookings, error: bookingError } = await db.supabase
-            .from(TABLES.BOOKINGS)
-            .select("*")
-            .eq("id", payment.booking_id);
+      if (!payment.payment_method_id || !customer) {
+        const missingError = new Error(
+          "No saved card to charge the balance to"
+        );
+        missingError.status = 402;
+        throw missingError;
+      }
 
-          if (!bookingError && bookings && bookings.length > 0) {
-            const Booking = require("./Booking");
-            await Booking.updatePaymentStatus(payment.booking_id, "completed");
-            await Booking.updateStatus(payment.booking_id, "confirmed");
-          }
+      let paymentIntent;
 
-          return { success: true, message: "Payment succeeded" };
+      try {
+        paymentIntent = await stripeClient.paymentIntents.create(
+          {
+            ...buildEscrowCharge({
+              amount: Number(payment.amount),
+              currency: payment.currency,
+              platformFee: Number(payment.platform_fee),
+              customer,
+              description: `Booking #${payment.booking_id} - balance`,
+              bookingId: payment.booking_id,
+              metadata: {
+                host_id: payment.host_id,
+                dj_profile_id: payment.dj_profile_id,
+                payment_kind: "balance",
+                tax_amount: Number(payment.tax_amount || 0),
+              },
+            }),
+            payment_method: payment.payment_method_id,
+            off_session: true,
+            confirm: true,
+          },
+          // A retried run must not charge the same attempt twice
+          {
+            idempotencyKey: `balance_${payment.id}_${payment.attempt_count}`,
+          }
+        );
+      } catch (error) {
+        if (error.type !== "StripeCardError") {
+          throw error;
         }
 
-        case "payment_intent.payment_failed": {
-          const paymentIntent = event.data.object;
+        const declinedError = new Error(error.message);
+        declinedError.status = 402;
+        declinedError.paymentIntentId =
+          error.raw && error.raw.payment_intent
+            ? error.raw.payment_intent.id
+            : null;
+        throw declinedError;
+      }
+
+      logger.info(`Balance payment intent created: ${paymentIntent.id}`);
 
-          // Find payment in database
-          const { data: payments, error } = await db.supabase
-            .from(TABLES.PAYMENTS)
-            .select("*")
-            .eq("payment_intent_id", paymentIntent.id);
+      const result = await db.update(TABLES.PAYMENTS, payment.id, {
+        payment_intent_id: paymentIntent.id,
+        status:
+          paymentIntent.status === "succeeded" ? "succeeded" : "processing",
+        stripe_charge_id: paymentIntent.latest_charge || null,
+        attempt_count: payment.attempt_count + 1,
+        next_attempt_at: null,
+        last_error: null,
+        updated_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error charging balance: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a failed balance charge
+   * @param {Object} payment - Balance payment
+   * @param {Object} failure - Failure details
+   * @param {string} failure.message - Why the charge failed
+   * @param {string} failure.paymentIntentId - Declined payment intent, if any
+   * @param {Date} failure.nextAttemptAt - Next retry, or null if none is left
+   * @returns {Promise} - Updated balance payment
+   */
+  recordBalanceFailure: async (
+    payment,
+    { message, paymentIntentId, nextAttemptAt }
+  ) => {
+    try {
+      logger.info(`Recording failed balance charge: ${payment.id}`);
+
+      const result = await db.update(TABLES.PAYMENTS, payment.id, {
+        payment_intent_id: paymentIntentId || payment.payment_intent_id,
+        status: nextAttemptAt ? "failed" : "canceled",
+        attempt_count: payment.attempt_count + 1,
+        next_attempt_at: nextAttemptAt,
+        last_error: message,
+        updated_at: new Date(),
+      });
 
-          if (error || !payments || payments.length === 0) {
-            logger.error(
-              `Payment not found for payment intent: ${paymentIntent.id}`
+      return result[0];
+    } catch (error) {
+      logger.error(`Error recording balance failure: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Start an on-session payment of an outstanding balance, e.g. after the
+   * saved card was declined. The new card replaces the saved one, and
+   * off-session retries wait while the host pays
+   * @param {Object} payment - Outstanding balance payment
+   * @param {string} customer - Host's Stripe customer ID
+   * @returns {Promise} - Payment and client secret
+   */
+  startBalancePayment: async (payment, customer) => {
+    try {
+      logger.info(`Starting on-session balance payment: ${payment.id}`);
+
+      const paymentIntent = await stripeClient.paymentIntents.create({
+        ...buildEscrowCharge({
+          amount: Number(payment.amount),
+          currency: payment.currency,
+          platformFee: Number(payment.platform_fee),
+          customer,
+          description: `Booking #${payment.booking_id} - balance`,
+          bookingId: payment.booking_id,
+          metadata: {
+            host_id: payment.host_id,
+            dj_profile_id: payment.dj_profile_id,
+            payment_kind: "balance",
+            tax_amount: Number(payment.tax_amount || 0),
+          },
+        }),
+        setup_future_usage: "off_session",
+      });
+
+      const retryAfter = new Date(
+        Date.now() + config.booking.holdMinutes * 60 * 1000
+      );
+
+      const result = await db.update(TABLES.PAYMENTS, payment.id, {
+        payment_intent_id: paymentIntent.id,
+        payment_intent_client_secret: paymentIntent.client_secret,
+        next_attempt_at:
+          payment.next_attempt_at &&
+          new Date(payment.next_attempt_at) > retryAfter
+            ? payment.next_attempt_at
+            : retryAfter,
+        updated_at: new Date(),
+      });
+
+      return {
+        payment: result[0],
+        client_secret: paymentIntent.client_secret,
+      };
+    } catch (error) {
+      logger.error(`Error starting balance payment: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop collecting a booking's balance, e.g. because it was cancelled
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Canceled balance payment, or null if none was due
+   */
+  cancelBalance: async (bookingId) => {
+    try {
+      logger.info(`Canceling balance for booking: ${bookingId}`);
+
+      const balance = await Payment.getOutstandingBalance(bookingId);
+
+      if (!balance) {
+        return null;
+      }
+
+      // The host may have an on-session payment of it open
+      if (balance.payment_intent_id) {
+        await stripeClient.paymentIntents
+          .cancel(balance.payment_intent_id)
+          .catch((error) =>
+            logger.warn(
+              `Could not cancel payment intent ${balance.payment_intent_id}: ${error.message}`
+            )
+          );
+      }
+
+      const result = await Payment.updateStatus(balance.id, "canceled", {
+        next_attempt_at: null,
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error canceling balance: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop collecting every payment a cancelled booking still has open, so the
+   * host can no longer pay a deposit, full payment or balance for it
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Payments marked canceled
+   */
+  cancelOpenPayments: async (bookingId) => {
+    try {
+      logger.info(`Canceling open payments for booking: ${bookingId}`);
+
+      const open = (await Payment.getByBookingId(bookingId)).filter(
+        (payment) => OPEN_STATUSES.includes(payment.status)
+      );
+      const canceled = [];
+
+      for (const payment of open) {
+        if (payment.payment_intent_id) {
+          try {
+            await stripeClient.paymentIntents.cancel(payment.payment_intent_id);
+          } catch (error) {
+            // Stripe refuses once the intent is being paid; the payment is
+            // refunded if it then succeeds
+            logger.warn(
+              `Could not cancel payment intent ${payment.payment_intent_id}: ${error.message}`
             );
-            return { success: false, message: "Payment not found" };
+            continue;
           }
+        }
 
-          const payment = payments[0];
+        const result = await Payment.updateStatus(payment.id, "canceled", {
+          next_attempt_at: null,
+        });
+        canceled.push(result[0]);
+      }
 
-          // Update payment status
-          await Payment.updateStatus(payment.id, "failed");
+      return canceled;
+    } catch (error) {
+      logger.error(`Error canceling open payments: ${error.message}`);
+      throw error;
+    }
+  },
 
-          // Update booking payment status
-          const { data: bookings, error: bookingError } = await db.supabase
-            .from(TABLES.BOOKINGS)
-            .select("*")
-            .eq("id", payment.booking_id);
+  /**
+   * Mark a booking paid once one of its payments has succeeded. A deposit
+   * leaves the booking part-paid and schedules the balance
+   * @param {Object} payment - Succeeded payment
+   * @param {string} reason - Reason recorded in the booking's history
+   * @returns {Promise} - Scheduled balance payment, if any
+   */
+  completeBooking: async (payment, reason) => {
+    try {
+      logger.info(`Completing booking payment: ${payment.id}`);
 
-          if (!bookingError && bookings && bookings.length > 0) {
-            const Booking = require("./Booking");
-            await Booking.updatePaymentStatus(payment.booking_id, "failed");
-          }
+      const Booking = require("./Booking");
 
-          return { success: true, message: "Payment failed" };
-        }
+      // Hold the DJ's share until the party has happened
+      await Payout.recordPayment({ ...payment, status: "succeeded" });
+
+      const booking = await Booking.getById(payment.booking_id);
+      const balance =
+        payment.kind === "deposit"
+          ? await Payment.scheduleBalance(payment, booking)
+          : null;
+
+      await Booking.updatePaymentStatus(
+        payment.booking_id,
+        balance ? "deposit_paid" : "completed"
+      );
 
-        default:
-          logger.info(`Unhandled webhook event type: ${event.type}`);
-          return { success: true, message: "Unhandled event type" };
+      // Accepted bookings become paid; the DJ then confirms
+      if (booking && booking.status === "accepted") {
+        await Booking.updateStatus(payment.booking_id, "paid", {
+          role: "system",
+          reason,
+        });
       }
+
+      return balance;
+    } catch (error) {
+      logger.error(`Error completing booking payment: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Update payment status
+   * @param {string|number} id - Payment ID
+   * @param {string} status - New status
+   * @param {Object} details - Extra fields to store (e.g. stripe_charge_id)
+   * @returns {Promise} - Updated payment object
+   */
+  updateStatus: async (id, status, details = {}) => {
+    try {
+      logger.info(`Updating payment ${id} status to: ${status}`);
+
+      // Validate status
+      if (!PAYMENT_STATUSES.includes(status)) {
+        throw new Error(`Invalid status: ${status}`);
+      }
+
+      return await db.update(TABLES.PAYMENTS, id, {
+        ...details,
+        status,
+        updated_at: new Date(),
+      });
     } catch (error) {
-      logger.error(`Error processing webhook: ${error.message}`);
+      logger.error(`Error updating payment status: ${error.message}`);
       throw error;
     }
   },
 
   /**
-   * Refund a payment
+   * Refund a payment in full or in part; a payment can be refunded several
+   * times until nothing is left
    * @param {string|number} id - Payment ID
-   * @param {Object} refundData - Refund data
+   * @param {Object} refundData - Refund data (amount, reason, note, actor, cancelBooking)
    * @returns {Promise} - Refund result
    */
   refund: async (id, refundData = {}) => {
@@ -266,50 +889,350 @@ const Payment = {
         throw new Error("Payment not found or missing payment intent ID");
       }
 
+      if (!isRefundable(payment)) {
+        const conflictError = new Error(
+          `Cannot refund a payment that is ${payment.status}`
+        );
+        conflictError.status = 409;
+        throw conflictError;
+      }
+
+      // Refund whatever is left by default; amounts are in major units
+      const refundable = getRefundableAmount(payment);
+      const amount =
+        refundData.amount !== undefined
+          ? roundCurrency(Number(refundData.amount), payment.currency)
+          : refundable;
+
+      if (!(amount > 0) || amount > refundable) {
+        const validationError = new Error(
+          `Refund amount must be more than 0 and at most ${refundable}`
+        );
+        validationError.status = 400;
+        throw validationError;
+      }
+
       // Create refund with Stripe
       const refund = await stripeClient.refunds.create({
         payment_intent: payment.payment_intent_id,
-        amount: refundData.amount || payment.amount, // Full refund by default
+        amount: toStripeAmount(amount, payment.currency),
         reason: refundData.reason || "requested_by_customer",
+        metadata: {
+          payment_id: payment.id,
+          booking_id: payment.booking_id,
+        },
       });
 
       logger.info(`Refund created: ${refund.id}`);
 
-      // Update payment status
-      await Payment.updateStatus(id, "refunded");
+      const updatedPayment = await Payment.syncRefunds(payment, [refund], {
+        note: refundData.note,
+        actor: refundData.actor,
+      });
 
-      // Update booking status if needed
-      if (payment.booking_id) {
+      // Bookings that carry on (e.g. a reschedule refunding one of several
+      // payments) keep their payment status
+      if (payment.booking_id && refundData.cancelBooking !== false) {
         const Booking = require("./Booking");
-        await Booking.updatePaymentStatus(payment.booking_id, "refunded");
-
-        // If the booking is not yet completed, also cancel it
-        const { data: bookings, error } = await db.supabase
-          .from(TABLES.BOOKINGS)
-          .select("*")
-          .eq("id", payment.booking_id);
-
-        if (
-          !error &&
-          bookings &&
-          bookings.length > 0 &&
-          bookings[0].status !== "completed"
-        ) {
-          await Booking.updateStatus(payment.booking_id, "cancelled");
+
+        if (updatedPayment.status === "partially_refunded") {
+          await Booking.updatePaymentStatus(
+            payment.booking_id,
+            "partially_refunded"
+          );
+        }
+
+        // Only a full refund settles the booking
+        if (updatedPayment.status === "refunded") {
+          await Booking.updatePaymentStatus(payment.booking_id, "refunded");
+
+          // If the refunding party may still cancel the booking, also cancel it
+          const { data: bookings, error } = await supabase
+            .from(TABLES.BOOKINGS)
+            .select("*")
+            .eq("id", payment.booking_id);
+
+          const actor = refundData.actor || { role: "admin" };
+
+          if (
+            !error &&
+            bookings &&
+            bookings.length > 0 &&
+            getAllowedTransitions(bookings[0].status, actor.role).includes(
+              "cancelled"
+            )
+          ) {
+            await Booking.updateStatus(payment.booking_id, "cancelled", {
+              ...actor,
+              reason: actor.reason || "Payment refunded",
+            });
+          }
         }
       }
 
       return {
         success: true,
         refund_id: refund.id,
-        amount: refund.amount,
+        amount: fromStripeAmount(refund.amount, refund.currency),
         status: refund.status,
+        payment_status: updatedPayment.status,
+        amount_refunded: Number(updatedPayment.amount_refunded),
       };
     } catch (error) {
       logger.error(`Error refunding payment: ${error.message}`);
       throw error;
     }
   },
+
+  /**
+   * Record Stripe refunds in the refund ledger and bring the payment's
+   * refunded total and status in line, taking new refunds back out of the
+   * DJ's payout
+   * @param {Object} payment - Payment
+   * @param {Array} stripeRefunds - Stripe refund objects for the payment
+   * @param {Object} details - Optional note and actor for refunds issued here
+   * @returns {Promise} - Updated payment
+   */
+  syncRefunds: async (payment, stripeRefunds, details = {}) => {
+    try {
+      logger.info(
+        `Syncing ${stripeRefunds.length} refunds for payment ${payment.id}`
+      );
+
+      const actor = details.actor || {};
+
+      // Replays and webhooks for refunds issued here are skipped
+      const recorded = await Refund.recordMany(
+        stripeRefunds.map((refund) => ({
+          payment_id: payment.id,
+          booking_id: payment.booking_id,
+          stripe_refund_id: refund.id,
+          amount: fromStripeAmount(refund.amount, refund.currency),
+          currency: refund.currency,
+          status: refund.status,
+          reason: refund.reason || null,
+          note: details.note || null,
+          requested_by: actor.id || null,
+          requested_by_role: actor.role || null,
+          created_at: new Date(refund.created * 1000),
+        }))
+      );
+
+      const newlyRefunded = sumRefunds(recorded);
+
+      if (newlyRefunded <= 0) {
+        return payment;
+      }
+
+      await Payout.recordRefund(payment, newlyRefunded);
+
+      const amountRefunded = sumRefunds(await Refund.getByPaymentId(payment.id));
+
+      // Disputed payments keep their status until the dispute closes
+      const result = await db.update(TABLES.PAYMENTS, payment.id, {
+        amount_refunded: amountRefunded,
+        status: isRefundable(payment)
+          ? getRefundedStatus(payment, amountRefunded)
+          : payment.status,
+        updated_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error syncing refunds: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a chargeback opened against a payment
+   * @param {Object} payment - Payment
+   * @param {Object} dispute - Stripe dispute object
+   * @returns {Promise} - Updated payment
+   */
+  recordDispute: async (payment, dispute) => {
+    try {
+      logger.info(`Recording dispute ${dispute.id} on payment ${payment.id}`);
+
+      const result = await Payment.updateStatus(payment.id, "disputed", {
+        stripe_dispute_id: dispute.id,
+        dispute_status: dispute.status,
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error recording dispute: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Settle a chargeback: a won dispute restores the payment, a lost one
+   * returns whatever was left of it to the host
+   * @param {Object} payment - Disputed payment
+   * @param {string} outcome - won or lost
+   * @returns {Promise} - Updated payment
+   */
+  closeDispute: async (payment, outcome) => {
+    try {
+      logger.info(`Closing dispute on payment ${payment.id} as: ${outcome}`);
+
+      if (!["won", "lost"].includes(outcome)) {
+        throw new Error(`Invalid dispute outcome: ${outcome}`);
+      }
+
+      if (payment.status !== "disputed") {
+        const conflictError = new Error("Payment is not disputed");
+        conflictError.status = 409;
+        throw conflictError;
+      }
+
+      if (outcome === "lost") {
+        await Payout.recordRefund(payment, getRefundableAmount(payment));
+      }
+
+      const status =
+        outcome === "won"
+          ? getRefundedStatus(payment, Number(payment.amount_refunded || 0))
+          : "refunded";
+      const result = await Payment.updateStatus(payment.id, status, {
+        dispute_status: outcome,
+      });
+
+      if (payment.booking_id) {
+        const Booking = require("./Booking");
+        await Booking.updatePaymentStatus(
+          payment.booking_id,
+          status === "succeeded" ? "completed" : status
+        );
+      }
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error closing dispute: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Work out the refund owed if a party cancels a booking now
+   * @param {Object} booking - Booking record
+   * @param {string} role - Party the cancellation counts against (host, dj,
+   *   admin or system)
+   * @returns {Promise} - { quote, payments, booking } with the payments that can be refunded
+   */
+  getCancellationQuote: async (booking, role) => {
+    try {
+      const payments = (await Payment.getByBookingId(booking.id)).filter(
+        isRefundable
+      );
+      const amountPaid = payments.reduce(
+        (sum, payment) => sum + getRefundableAmount(payment),
+        0
+      );
+
+      return {
+        quote: computeCancellationQuote({
+          booking,
+          policyName: booking.cancellation_policy,
+          cancelledBy: role,
+          amountPaid,
+        }),
+        payments,
+        booking,
+      };
+    } catch (error) {
+      logger.error(`Error getting cancellation quote: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Refund a cancelled booking's payments according to its quote and stop
+   * collecting any payment still open
+   * @param {Object} cancellation - Result of getCancellationQuote
+   * @param {Object} actor - Who cancelled ({ id, role })
+   * @returns {Promise} - Refunds issued and gift credit restored, or the error
+   *   if Stripe refused
+   */
+  refundCancellation: async (cancellation, actor) => {
+    const { quote, payments, booking } = cancellation;
+    const refunds = [];
+    let creditRestored = 0;
+
+    try {
+      await Payment.cancelOpenPayments(booking.id);
+
+      creditRestored = await returnPromotions(cancellation);
+
+      for (const payment of payments) {
+        const amount = roundCurrency(
+          (getRefundableAmount(payment) * quote.refund_percentage) / 100,
+          payment.currency
+        );
+
+        if (amount > 0) {
+          refunds.push(
+            await Payment.refund(payment.id, {
+              amount,
+              actor: { id: actor.id, role: actor.role },
+            })
+          );
+        }
+      }
+
+      return { refunds, credit_restored: creditRestored };
+    } catch (error) {
+      // The booking stays cancelled; the refund can be retried by an admin
+      logger.error(`Cancellation refund error: ${error.message}`);
+      return {
+        refunds,
+        credit_restored: creditRestored,
+        refund_error: error.message,
+      };
+    }
+  },
 };
 
+/**
+ * Give back what a cancelled booking was paid for with other than the card:
+ * gift credit comes back in the same proportion as the refund, and a booking
+ * that was never paid frees its promo code and all of its credit
+ * @param {Object} cancellation - Result of getCancellationQuote
+ * @returns {Promise} - Gift credit restored to the host
+ */
+async function returnPromotions({ quote, payments, booking }) {
+  if (payments.length === 0) {
+    if (booking.promo_code_id) {
+      await PromoCode.release(booking);
+    }
+
+    const restored =
+      Number(booking.credit_amount || 0) > 0
+        ? await GiftCredit.restore(booking, Number(booking.credit_amount))
+        : null;
+
+    return restored ? Number(restored.amount) : 0;
+  }
+
+  let total = 0;
+
+  for (const payment of payments) {
+    const amount = roundCurrency(
+      (Number(payment.credit_amount || 0) * quote.refund_percentage) / 100,
+      payment.currency
+    );
+    const restored =
+      amount > 0 ? await GiftCredit.restore(booking, amount) : null;
+
+    if (restored) {
+      // Credit paid the DJ's share too, so it comes out of the payout
+      await Payout.recordRefund(payment, Number(restored.amount));
+      total += Number(restored.amount);
+    }
+  }
+
+  return roundCurrency(total, booking.currency);
+}
+
 module.exports = Payment;
@@ -0,0 +1,307 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+const { stripeClient } = require("../utils/stripe");
+const {
+  STRIPE_PAYOUT_STATUSES,
+  buildTransfer,
+  djShare,
+  toStripeAmount,
+} = require("../services/connect.service");
+const { roundCurrency } = require("../services/currency.service");
+
+/**
+ * Payout Model - Ledger of what each DJ is owed through Stripe Connect
+ */
+const Payout = {
+  /**
+   * Get payout ledger entries for a DJ
+   * @param {string|number} djProfileId - DJ profile ID
+   * @param {string} status - Optional ledger status filter
+   * @returns {Promise} - Array of ledger entries, newest first
+   */
+  getByDjProfileId: async (djProfileId, status = null) => {
+    try {
+      logger.info(`Getting payouts for DJ profile: ${djProfileId}`);
+
+      let query = supabase
+        .from(TABLES.DJ_PAYOUTS)
+        .select("*")
+        .eq("dj_profile_id", djProfileId)
+        .order("created_at", { ascending: false });
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error(`Error getting payouts: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting payouts: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the ledger entry for a payment
+   * @param {string|number} paymentId - Payment ID
+   * @returns {Promise} - Ledger entry or null
+   */
+  getByPaymentId: async (paymentId) => {
+    try {
+      logger.info(`Getting payout for payment: ${paymentId}`);
+
+      const entries = await db.getAll(TABLES.DJ_PAYOUTS, {
+        payment_id: paymentId,
+      });
+
+      return entries && entries.length > 0 ? entries[0] : null;
+    } catch (error) {
+      logger.error(`Error getting payout for payment: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the ledger entries for a booking
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Array of ledger entries
+   */
+  getByBookingId: async (bookingId) => {
+    try {
+      logger.info(`Getting payouts for booking: ${bookingId}`);
+      return await db.getAll(TABLES.DJ_PAYOUTS, { booking_id: bookingId });
+    } catch (error) {
+      logger.error(`Error getting payouts for booking: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get payouts still held in escrow
+   * @returns {Promise} - Held ledger entries, oldest first
+   */
+  getHeld: async () => {
+    try {
+      logger.info("Getting held payouts");
+
+      const { data, error } = await supabase
+        .from(TABLES.DJ_PAYOUTS)
+        .select("*")
+        .eq("status", "held")
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting held payouts: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting held payouts: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Hold the DJ's share of a succeeded payment until the party has happened
+   * @param {Object} payment - Succeeded payment
+   * @returns {Promise} - Ledger entry
+   */
+  recordPayment: async (payment) => {
+    try {
+      logger.info(`Recording payout for payment: ${payment.id}`);
+
+      // Webhooks can be delivered more than once
+      const existing = await Payout.getByPaymentId(payment.id);
+
+      if (existing) {
+        return existing;
+      }
+
+      if (!payment.stripe_account_id) {
+        logger.warn(`Payment ${payment.id} has no connected account`);
+        return null;
+      }
+
+      const result = await db.insert(TABLES.DJ_PAYOUTS, {
+        dj_profile_id: payment.dj_profile_id,
+        payment_id: payment.id,
+        booking_id: payment.booking_id,
+        stripe_account_id: payment.stripe_account_id,
+        amount: djShare(payment),
+        currency: payment.currency,
+        status: "held",
+        created_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error recording payout: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Transfer a held payout to the DJ's connected account
+   * @param {Object} entry - Held ledger entry
+   * @param {string} chargeId - Charge the funds came from
+   * @returns {Promise} - Updated ledger entry, or null if already released
+   */
+  release: async (entry, chargeId) => {
+    try {
+      logger.info(`Releasing payout ${entry.id} to ${entry.stripe_account_id}`);
+
+      // The idempotency key keeps overlapping job runs from paying twice
+      const transfer = await stripeClient.transfers.create(
+        buildTransfer(entry, chargeId),
+        { idempotencyKey: `payout_release_${entry.id}` }
+      );
+
+      const released = await updateEntries(
+        {
+          status: "pending",
+          stripe_transfer_id: transfer.id,
+          released_at: new Date(),
+        },
+        (query) => query.eq("id", entry.id).eq("status", "held")
+      );
+
+      return released[0] || null;
+    } catch (error) {
+      logger.error(`Error releasing payout: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Take a refund back out of the DJ's ledger entry, reversing the DJ's
+   * share of the transfer if the payout was already released
+   * @param {Object} payment - Refunded payment
+   * @param {number} refundAmount - Amount refunded to the host
+   * @returns {Promise} - Updated ledger entry or null
+   */
+  recordRefund: async (payment, refundAmount) => {
+    try {
+      logger.info(`Recording refund of ${refundAmount} for ${payment.id}`);
+
+      const entry = await Payout.getByPaymentId(payment.id);
+
+      if (!entry) {
+        return null;
+      }
+
+      const reversed = roundCurrency(
+        (djShare(payment) * refundAmount) / Number(payment.amount),
+        payment.currency
+      );
+      const remaining = roundCurrency(
+        Math.max(entry.amount - reversed, 0),
+        payment.currency
+      );
+
+      if (entry.stripe_transfer_id && reversed > 0) {
+        await stripeClient.transfers.createReversal(entry.stripe_transfer_id, {
+          amount: toStripeAmount(
+            Math.min(reversed, entry.amount),
+            entry.currency
+          ),
+        });
+      }
+
+      const result = await db.update(TABLES.DJ_PAYOUTS, entry.id, {
+        amount: remaining,
+        status: remaining > 0 ? entry.status : "reversed",
+        updated_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error recording payout refund: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Apply a Stripe payout on a DJ's connected account to the ledger
+   * @param {string} stripeAccountId - Connected account ID
+   * @param {Object} stripePayout - Stripe payout object
+   * @returns {Promise} - Updated ledger entries
+   */
+  applyStripePayout: async (stripeAccountId, stripePayout) => {
+    try {
+      const status = STRIPE_PAYOUT_STATUSES[stripePayout.status];
+
+      logger.info(
+        `Applying Stripe payout ${stripePayout.id} (${stripePayout.status}) for ${stripeAccountId}`
+      );
+
+      if (!status) {
+        return [];
+      }
+
+      if (status === "pending") {
+        // Failed or canceled payouts put the money back to pending
+        return await updateEntries(
+          { status, stripe_payout_id: null, arrival_date: null },
+          (query) => query.eq("stripe_payout_id", stripePayout.id)
+        );
+      }
+
+      // A payout sweeps everything released to the account before it was
+      // created; paid events may arrive without an earlier in-transit one
+      const swept = await updateEntries(
+        {
+          status: "in_transit",
+          stripe_payout_id: stripePayout.id,
+          arrival_date: new Date(stripePayout.arrival_date * 1000),
+        },
+        (query) =>
+          query
+            .eq("stripe_account_id", stripeAccountId)
+            .eq("status", "pending")
+            .lte(
+              "released_at",
+              new Date(stripePayout.created * 1000).toISOString()
+            )
+      );
+
+      if (status === "in_transit") {
+        return swept;
+      }
+
+      return await updateEntries({ status, paid_at: new Date() }, (query) =>
+        query.eq("stripe_payout_id", stripePayout.id)
+      );
+    } catch (error) {
+      logger.error(`Error applying Stripe payout: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Update the ledger entries matched by a filter
+ * @param {Object} changes - Fields to set
+ * @param {Function} filter - Adds conditions to the update query
+ * @returns {Promise} - Updated ledger entries
+ */
+async function updateEntries(changes, filter) {
+  const { data, error } = await filter(
+    supabase
+      .from(TABLES.DJ_PAYOUTS)
+      .update({ ...changes, updated_at: new Date() })
+  ).select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+module.exports = Payout;
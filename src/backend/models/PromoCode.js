@@ -0,0 +1,264 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+const { normalizePromoCode } = require("../services/promotion.service");
+
+// Postgres SQLSTATE raised by redeem_promo_code when a limit is reached
+const CHECK_VIOLATION = "23514";
+
+// Postgres SQLSTATE for a duplicate key (a code already redeemed on the booking)
+const UNIQUE_VIOLATION = "23505";
+
+/**
+ * Promo Code Model - Discount codes and their redemptions on bookings
+ */
+const PromoCode = {
+  /**
+   * Get all promo codes, newest first
+   * @param {Object} filters - Optional filters (active)
+   * @returns {Promise} - Array of promo codes
+   */
+  getAll: async (filters = {}) => {
+    try {
+      logger.info(`Getting promo codes: ${JSON.stringify(filters)}`);
+
+      let query = supabase
+        .from(TABLES.PROMO_CODES)
+        .select("*")
+        .order("created_at", { ascending: false });
+
+      if (filters.active !== undefined) {
+        query = query.eq("active", filters.active);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error(`Error getting promo codes: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting promo codes: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get promo code by ID
+   * @param {string|number} id - Promo code ID
+   * @returns {Promise} - Promo code
+   */
+  getById: async (id) => {
+    try {
+      logger.info(`Getting promo code by ID: ${id}`);
+      return await db.getById(TABLES.PROMO_CODES, id);
+    } catch (error) {
+      logger.error(`Error getting promo code by ID: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a promo code as a host typed it
+   * @param {string} code - Promo code in any case
+   * @returns {Promise} - Promo code, or null if there is none
+   */
+  getByCode: async (code) => {
+    try {
+      logger.info(`Getting promo code: ${code}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.PROMO_CODES)
+        .select("*")
+        .eq("code", normalizePromoCode(code))
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error getting promo code: ${error.message}`);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error getting promo code: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a promo code
+   * @param {Object} promoData - Promo code fields
+   * @returns {Promise} - New promo code
+   */
+  create: async (promoData) => {
+    try {
+      logger.info(`Creating promo code: ${promoData.code}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.PROMO_CODES)
+        .insert({
+          ...promoData,
+          code: normalizePromoCode(promoData.code),
+          currency: promoData.currency
+            ? String(promoData.currency).toUpperCase()
+            : null,
+          created_at: new Date(),
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          const conflictError = new Error("A promo code with this code exists");
+          conflictError.status = 409;
+          throw conflictError;
+        }
+
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error creating promo code: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a promo code
+   * @param {string|number} id - Promo code ID
+   * @param {Object} promoData - Fields to change
+   * @returns {Promise} - Updated promo code
+   */
+  update: async (id, promoData) => {
+    try {
+      logger.info(`Updating promo code: ${id}`);
+
+      const result = await db.update(TABLES.PROMO_CODES, id, {
+        ...promoData,
+        updated_at: new Date(),
+      });
+
+      return result[0];
+    } catch (error) {
+      logger.error(`Error updating promo code: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Count a promo code's live redemptions, overall and by one host
+   * @param {string} promoCodeId - Promo code ID
+   * @param {string} hostId - Host ID
+   * @returns {Promise} - { total, host }
+   */
+  countRedemptions: async (promoCodeId, hostId) => {
+    try {
+      logger.info(`Counting redemptions of promo code: ${promoCodeId}`);
+
+      const count = async (filter) => {
+        const { count: total, error } = await filter(
+          supabase
+            .from(TABLES.PROMO_REDEMPTIONS)
+            .select("id", { count: "exact", head: true })
+            .eq("promo_code_id", promoCodeId)
+            .eq("status", "redeemed")
+        );
+
+        if (error) {
+          throw error;
+        }
+
+        return total || 0;
+      };
+
+      return {
+        total: await count((query) => query),
+        host: await count((query) => query.eq("host_id", hostId)),
+      };
+    } catch (error) {
+      logger.error(`Error counting redemptions: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Redeem a promo code on a booking and record the discount on it; the
+   * code's limits are re-checked atomically
+   * @param {Object} promo - Promo code
+   * @param {Object} booking - Booking being paid for
+   * @param {number} discountAmount - Discount on the booking
+   * @returns {Promise} - Redemption
+   */
+  redeem: async (promo, booking, discountAmount) => {
+    try {
+      logger.info(`Redeeming promo code ${promo.code} on ${booking.id}`);
+
+      const { data, error } = await supabase.rpc("redeem_promo_code", {
+        p_promo_code_id: promo.id,
+        p_booking_id: booking.id,
+        p_host_id: booking.host_id,
+        p_discount_amount: discountAmount,
+        p_currency: booking.currency,
+      });
+
+      if (error) {
+        if (
+          error.code === CHECK_VIOLATION ||
+          error.code === UNIQUE_VIOLATION
+        ) {
+          const conflictError = new Error(
+            error.code === UNIQUE_VIOLATION
+              ? "A promo code has already been applied to this booking"
+              : error.message
+          );
+          conflictError.status = 409;
+          throw conflictError;
+        }
+
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error redeeming promo code: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Release the promo code redeemed on a booking that was never paid, so the
+   * use no longer counts towards the code's limits
+   * @param {Object} booking - Booking
+   * @returns {Promise} - Released redemptions
+   */
+  release: async (booking) => {
+    try {
+      logger.info(`Releasing promo code on booking: ${booking.id}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.PROMO_REDEMPTIONS)
+        .update({ status: "released", released_at: new Date() })
+        .eq("booking_id", booking.id)
+        .eq("status", "redeemed")
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      await db.update(TABLES.BOOKINGS, booking.id, {
+        promo_code_id: null,
+        discount_amount: 0,
+        updated_at: new Date(),
+      });
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error releasing promo code: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = PromoCode;
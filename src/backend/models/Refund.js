@@ -0,0 +1,69 @@
+const { supabase, TABLES, logger } = require("../utils/database");
+
+/**
+ * Refund Model - Ledger with one row per Stripe refund
+ */
+const Refund = {
+  /**
+   * Get the refunds issued against a payment
+   * @param {string|number} paymentId - Payment ID
+   * @returns {Promise} - Array of refunds, oldest first
+   */
+  getByPaymentId: async (paymentId) => {
+    try {
+      logger.info(`Getting refunds for payment: ${paymentId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.REFUNDS)
+        .select("*")
+        .eq("payment_id", paymentId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting refunds: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting refunds: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Record Stripe refunds, skipping any already in the ledger; a refund
+   * issued through the API is also reported by the charge.refunded webhook
+   * @param {Array} refunds - Refund rows keyed by stripe_refund_id
+   * @returns {Promise} - Only the rows that were newly recorded
+   */
+  recordMany: async (refunds) => {
+    try {
+      logger.info(`Recording ${refunds.length} refunds`);
+
+      if (refunds.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.REFUNDS)
+        .upsert(refunds, {
+          onConflict: "stripe_refund_id",
+          ignoreDuplicates: true,
+        })
+        .select();
+
+      if (error) {
+        logger.error(`Error recording refunds: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error recording refunds: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = Refund;
@@ -0,0 +1,376 @@
+const { supabase, db, TABLES, logger } = require("../utils/database");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+// Postgres SQLSTATEs raised by apply_reschedule_request
+const EXCLUSION_VIOLATION = "23P01";
+const SERIALIZATION_FAILURE = "40001";
+
+// Requests still waiting on the other party or on the host's payment
+const OPEN_STATUSES = ["pending", "awaiting_payment"];
+
+/**
+ * Reschedule Request Model - Functions for proposing new booking times
+ */
+const RescheduleRequest = {
+  /**
+   * Get a reschedule request by ID
+   * @param {string|number} id - Reschedule request ID
+   * @returns {Promise} - Reschedule request
+   */
+  getById: async (id) => {
+    try {
+      logger.info(`Getting reschedule request by ID: ${id}`);
+      return await db.getById(TABLES.BOOKING_RESCHEDULE_REQUESTS, id);
+    } catch (error) {
+      logger.error(
+        `Error getting reschedule request by ID: ${error.message}`
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Get all reschedule requests for a booking
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Array of reschedule requests, oldest first
+   */
+  getByBookingId: async (bookingId) => {
+    try {
+      logger.info(`Getting reschedule requests for booking: ${bookingId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_RESCHEDULE_REQUESTS)
+        .select("*")
+        .eq("booking_id", bookingId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error getting reschedule requests: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting reschedule requests: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the open reschedule request for a booking, if any
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Pending or awaiting-payment reschedule request, or
+   *   null
+   */
+  getPendingByBookingId: async (bookingId) => {
+    const requests = await RescheduleRequest.getByBookingId(bookingId);
+    return (
+      requests.find((request) => OPEN_STATUSES.includes(request.status)) ||
+      null
+    );
+  },
+
+  /**
+   * Propose new times for a booking
+   * @param {Object} requestData - Booking ID, proposer, new times and quoted price
+   * @returns {Promise} - New reschedule request
+   */
+  create: async (requestData) => {
+    try {
+      logger.info(
+        `Creating reschedule request: ${JSON.stringify(requestData)}`
+      );
+
+      if (
+        !requestData.booking_id ||
+        !requestData.proposed_by ||
+        !requestData.start_time ||
+        !requestData.end_time
+      ) {
+        throw new Error("Missing required reschedule request fields");
+      }
+
+      const newRequest = {
+        booking_id: requestData.booking_id,
+        parent_id: requestData.parent_id || null,
+        proposed_by: requestData.proposed_by,
+        proposer_role: requestData.proposer_role,
+        start_time: requestData.start_time,
+        end_time: requestData.end_time,
+        duration_hours: requestData.duration_hours,
+        total_amount: requestData.total_amount,
+        reason: requestData.reason || "",
+        status: "pending",
+        created_at: new Date(),
+      };
+
+      return await db.insert(TABLES.BOOKING_RESCHEDULE_REQUESTS, newRequest);
+    } catch (error) {
+      logger.error(`Error creating reschedule request: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Close an open reschedule request without applying it
+   * @param {string|number} id - Reschedule request ID
+   * @param {string} status - declined, countered, or failed when the booking
+   *   could not be moved after the host paid
+   * @param {string|number} respondedBy - User who responded, if any
+   * @returns {Promise} - Updated reschedule request
+   */
+  close: async (id, status, respondedBy) => {
+    try {
+      logger.info(`Closing reschedule request ${id} as: ${status}`);
+
+      if (!["declined", "countered", "failed"].includes(status)) {
+        throw new Error(`Invalid status: ${status}`);
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_RESCHEDULE_REQUESTS)
+        .update({
+          status,
+          // A failed request keeps the user who accepted it
+          ...(respondedBy
+            ? { responded_by: respondedBy, responded_at: new Date() }
+            : {}),
+          updated_at: new Date(),
+        })
+        .eq("id", id)
+        .in("status", OPEN_STATUSES)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        const conflictError = new Error(
+          "Reschedule request is no longer pending"
+        );
+        conflictError.status = 409;
+        throw conflictError;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error closing reschedule request: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Accept a reschedule request: check availability and move the booking
+   * in one transaction
+   * @param {string|number} id - Reschedule request ID
+   * @param {Object} quote - Recomputed price for the new times (subtotal,
+   *   line_items, and the discount_amount if a promo code was re-applied)
+   * @param {string|number} respondedBy - User who accepted
+   * @returns {Promise} - Updated booking object
+   */
+  accept: async (id, quote, respondedBy) => {
+    try {
+      logger.info(`Accepting reschedule request: ${id}`);
+
+      const { data, error } = await supabase.rpc("apply_reschedule_request", {
+        p_request_id: id,
+        p_total_amount: quote.subtotal,
+        p_buffer_minutes: config.booking.bufferMinutes || 0,
+        p_responded_by: respondedBy,
+        p_line_items: quote.line_items,
+        p_discount_amount:
+          quote.discount_amount === undefined ? null : quote.discount_amount,
+      });
+
+      if (error) {
+        if (
+          error.code === EXCLUSION_VIOLATION ||
+          error.code === SERIALIZATION_FAILURE
+        ) {
+          const conflictError = new Error(error.message);
+          conflictError.status = 409;
+          throw conflictError;
+        }
+
+        throw error;
+      }
+
+      return [data];
+    } catch (error) {
+      logger.error(`Error accepting reschedule request: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Hold an accepted reschedule until the host pays the price difference;
+   * the booking keeps its times until then
+   * @param {string|number} id - Reschedule request ID
+   * @param {Object} quote - Price for the new times (subtotal, line_items,
+   *   discount_amount)
+   * @param {string|number} respondedBy - User who accepted
+   * @returns {Promise} - Updated reschedule request
+   */
+  awaitPayment: async (id, quote, respondedBy) => {
+    try {
+      logger.info(`Reschedule request ${id} awaiting payment`);
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_RESCHEDULE_REQUESTS)
+        .update({
+          status: "awaiting_payment",
+          total_amount: quote.subtotal,
+          line_items: quote.line_items,
+          discount_amount:
+            quote.discount_amount === undefined ? null : quote.discount_amount,
+          responded_by: respondedBy,
+          responded_at: new Date(),
+          updated_at: new Date(),
+        })
+        .eq("id", id)
+        .eq("status", "pending")
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        const conflictError = new Error(
+          "Reschedule request is no longer pending"
+        );
+        conflictError.status = 409;
+        throw conflictError;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(
+        `Error holding reschedule request for payment: ${error.message}`
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Put a reschedule request back to pending, e.g. when the charge for its
+   * price difference could not be created
+   * @param {string|number} id - Reschedule request ID
+   * @returns {Promise} - Updated reschedule request
+   */
+  reopen: async (id) => {
+    try {
+      logger.info(`Reopening reschedule request: ${id}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.BOOKING_RESCHEDULE_REQUESTS)
+        .update({
+          status: "pending",
+          responded_by: null,
+          responded_at: null,
+          updated_at: new Date(),
+        })
+        .eq("id", id)
+        .eq("status", "awaiting_payment")
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error reopening reschedule request: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Record that the price difference of an applied reschedule could not be
+   * settled, so an admin can settle it by hand
+   * @param {string|number} id - Reschedule request ID
+   * @param {string} message - What went wrong
+   * @returns {Promise} - Updated reschedule request
+   */
+  recordSettlementError: async (id, message) => {
+    try {
+      logger.info(`Recording settlement error on reschedule request: ${id}`);
+
+      return await db.update(TABLES.BOOKING_RESCHEDULE_REQUESTS, id, {
+        settlement_error: message,
+        updated_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error recording settlement error: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a booking once the host has paid a reschedule's price difference.
+   * If the booking can no longer move there (the slot was taken, or the
+   * request was closed meanwhile), the difference is refunded
+   * @param {Object} payment - Succeeded adjustment payment
+   * @returns {Promise} - Updated booking object, or null if it was refunded
+   */
+  applyPaidDifference: async (payment) => {
+    try {
+      logger.info(
+        `Applying reschedule request ${payment.reschedule_request_id} paid by ${payment.id}`
+      );
+
+      const request = await RescheduleRequest.getById(
+        payment.reschedule_request_id
+      );
+
+      if (request && request.status === "accepted") {
+        logger.info(`Reschedule request ${request.id} already applied`);
+        return null;
+      }
+
+      if (request && request.status === "awaiting_payment") {
+        try {
+          return await RescheduleRequest.accept(
+            request.id,
+            {
+              subtotal: request.total_amount,
+              line_items: request.line_items || [],
+              discount_amount: request.discount_amount,
+            },
+            request.responded_by
+          );
+        } catch (error) {
+          if (error.status !== 409) {
+            throw error;
+          }
+
+          logger.warn(
+            `Reschedule request ${request.id} could not be applied: ${error.message}`
+          );
+          await RescheduleRequest.close(request.id, "failed", null);
+        }
+      }
+
+      // The booking keeps its times, so the difference goes back
+      const Payment = require("./Payment");
+      await Payment.refund(payment.id, {
+        note: "Reschedule could not be applied",
+        actor: { role: "system" },
+        cancelBooking: false,
+      });
+
+      return null;
+    } catch (error) {
+      logger.error(`Error applying paid reschedule: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = RescheduleRequest;
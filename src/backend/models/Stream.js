@@ -1,22 +1,15 @@
-const { db, TABLES, logger } = require("../utils/database");
+const { supabase, db, TABLES, logger } = require("../utils/database");
+const { getStreamingProvider } = require("../services/streaming.service");
 const {
-  IvsClient,
-  CreateChannelCommand,
-  DeleteChannelCommand,
-  GetStreamCommand,
-  GetStreamSessionCommand,
-} = require("@aws-sdk/client-ivs");
-const fs = require("fs");
-const path = require("path");
-
-// Load configuration
-const configPath = path.join(__dirname, "../../config/config.json");
-const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
-
-// Initialize AWS IVS client
-const ivsClient = new IvsClient({
-  region: config.aws.region,
-});
+  STREAM_STATUSES,
+  FINISHED_STREAM_STATUSES,
+  canTransitionStream,
+} = require("../services/stream-lifecycle.service");
+const {
+  getStreamKeyEncryptionKey,
+  encryptStreamKey,
+  decryptStreamKey,
+} = require("../services/stream-key.service");
 
 /**
  * Stream Model - Functions for streaming operations
@@ -78,10 +71,118 @@ const Stream = {
     }
   },
 
+  /**
+   * Get a booking's most recent stream, finished or not
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Stream object, or null if the booking has none
+   */
+  getLatestByBookingId: async (bookingId) => {
+    try {
+      logger.info(`Getting latest stream by booking ID: ${bookingId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.STREAMS)
+        .select("*")
+        .eq("booking_id", bookingId)
+        .order("created_at", { ascending: false })
+        .limit(1);
+
+      if (error) {
+        logger.error(`Error getting latest stream: ${error.message}`);
+        throw error;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error(
+        `Error getting latest stream by booking ID: ${error.message}`
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Get a booking's unfinished (created or live) stream
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise} - Stream object, or null if the booking has none
+   */
+  getActiveByBookingId: async (bookingId) => {
+    try {
+      logger.info(`Getting active stream by booking ID: ${bookingId}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.STREAMS)
+        .select("*")
+        .eq("booking_id", bookingId)
+        .not("status", "in", `(${FINISHED_STREAM_STATUSES.join(",")})`)
+        .order("created_at", { ascending: false })
+        .limit(1);
+
+      if (error) {
+        logger.error(`Error getting active stream: ${error.message}`);
+        throw error;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error(
+        `Error getting active stream by booking ID: ${error.message}`
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Get stream by its provider channel ID
+   * @param {string} channelId - Channel ID on the streaming provider
+   * @returns {Promise} - Stream object, or null if none uses the channel
+   */
+  getByChannelId: async (channelId) => {
+    try {
+      logger.info(`Getting stream by channel ID: ${channelId}`);
+
+      const streams = await db.getAll(TABLES.STREAMS, {
+        channel_id: channelId,
+      });
+
+      return streams && streams.length > 0 ? streams[0] : null;
+    } catch (error) {
+      logger.error(`Error getting stream by channel ID: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get live streams whose encoder dropped at or before a time
+   * @param {Date} before - Latest disconnect time to include
+   * @returns {Promise} - Array of streams
+   */
+  getDisconnected: async (before) => {
+    try {
+      logger.info(`Getting streams disconnected before: ${before}`);
+
+      const { data, error } = await supabase
+        .from(TABLES.STREAMS)
+        .select("*")
+        .eq("status", "live")
+        .lte("disconnected_at", before.toISOString());
+
+      if (error) {
+        logger.error(`Error getting disconnected streams: ${error.message}`);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Error getting disconnected streams: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Create a new stream
    * @param {Object} streamData - Stream data
-   * @returns {Promise} - New stream object with IVS channel details
+   * @returns {Promise} - New stream object with its channel details
    */
   create: async (streamData) => {
     try {
@@ -92,18 +193,18 @@ const Stream = {
         throw new Error("Missing required stream fields");
       }
 
-      // Create IVS channel
-      const channelParams = {
-        name: `party-stream-${streamData.booking_id}`,
-        type: config.aws.ivs.type,
-        latencyMode: config.aws.ivs.latencyMode,
-        authorized: false, // Public channel for MVP
-      };
+      // Fail before making a channel whose key could not be stored
+      if (!getStreamKeyEncryptionKey()) {
+        throw new Error("No stream key encryption key is configured");
+      }
 
-      const createChannelCommand = new CreateChannelCommand(channelParams);
-      const ivsResponse = await ivsClient.send(createChannelCommand);
+      // Create the channel on the streaming provider
+      const provider = getStreamingProvider();
+      const { stream_key, ...channel } = await provider.createChannel({
+        name: `party-stream-${streamData.booking_id}`,
+      });
 
-      logger.info(`IVS channel created: ${JSON.stringify(ivsResponse)}`);
+      logger.info(`${provider.name} channel created: ${channel.channel_id}`);
 
       // Create stream data
       const newStream = {
@@ -112,10 +213,10 @@ const Stream = {
         host_id: streamData.host_id,
         title: streamData.title || "Private Party Stream",
         status: "created",
-        ivs_channel_arn: ivsResponse.channel.arn,
-        ivs_ingest_endpoint: ivsResponse.channel.ingestEndpoint,
-        ivs_playback_url: ivsResponse.channel.playbackUrl,
-        ivs_stream_key: ivsResponse.streamKey.value,
+        provider: provider.name,
+        ...channel,
+        // Stream keys are only stored encrypted
+        stream_key_encrypted: encryptStreamKey(stream_key),
         created_at: new Date(),
       };
 
@@ -161,21 +262,18 @@ const Stream = {
     try {
       logger.info(`Deleting stream: ${id}`);
 
-      // Get stream to find IVS channel ARN
       const stream = await Stream.getById(id);
 
       if (!stream) {
         throw new Error("Stream not found");
       }
 
-      // Delete IVS channel
-      if (stream.ivs_channel_arn) {
-        const deleteChannelCommand = new DeleteChannelCommand({
-          arn: stream.ivs_channel_arn,
-        });
-
-        await ivsClient.send(deleteChannelCommand);
-        logger.info(`IVS channel deleted: ${stream.ivs_channel_arn}`);
+      try {
+        await getStreamingProvider(stream.provider).deleteChannel(stream);
+        logger.info(`Channel deleted: ${stream.channel_id}`);
+      } catch (providerError) {
+        // Still delete the record; the channel can be cleaned up by hand
+        logger.warn(`Error deleting channel: ${providerError.message}`);
       }
 
       // Delete from database
@@ -187,31 +285,129 @@ const Stream = {
   },
 
   /**
-   * Update stream status
+   * Move a stream through its lifecycle, stamping when it went live or
+   * finished
    * @param {string|number} id - Stream ID
    * @param {string} status - New status
+   * @param {Object} changes - Other fields to set with the status, e.g. an
+   *   end_time other than now
    * @returns {Promise} - Updated stream object
    */
-  updateStatus: async (id, status) => {
+  updateStatus: async (id, status, changes = {}) => {
     try {
       logger.info(`Updating stream ${id} status to: ${status}`);
 
-      // Validate status
-      const validStatuses = ["created", "live", "ended", "failed"];
-      if (!validStatuses.includes(status)) {
-        throw new Error(`Invalid status: ${status}`);
+      if (!STREAM_STATUSES.includes(status)) {
+        const invalidError = new Error(`Invalid status: ${status}`);
+        invalidError.status = 400;
+        throw invalidError;
       }
 
-      return await db.update(TABLES.STREAMS, id, {
-        status,
-        updated_at: new Date(),
-      });
+      const stream = await db.getById(TABLES.STREAMS, id);
+
+      if (!stream) {
+        const notFoundError = new Error("Stream not found");
+        notFoundError.status = 404;
+        throw notFoundError;
+      }
+
+      if (!canTransitionStream(stream.status, status)) {
+        const transitionError = new Error(
+          `Cannot change stream status from ${stream.status} to ${status}`
+        );
+        transitionError.status = 409;
+        throw transitionError;
+      }
+
+      const times =
+        status === "live"
+          ? {
+              start_time: stream.start_time || new Date(),
+              disconnected_at: null,
+            }
+          : { end_time: new Date() };
+
+      // Update only if nobody else moved the stream since we read it
+      const { data, error } = await supabase
+        .from(TABLES.STREAMS)
+        .update({
+          ...times,
+          ...changes,
+          status,
+          updated_at: new Date(),
+        })
+        .eq("id", id)
+        .eq("status", stream.status)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        const conflictError = new Error(
+          `Stream ${id} changed status while updating it`
+        );
+        conflictError.status = 409;
+        throw conflictError;
+      }
+
+      // A finished stream can never publish again
+      if (FINISHED_STREAM_STATUSES.includes(status)) {
+        return [await Stream.revokeStreamKey(data[0])];
+      }
+
+      return data;
     } catch (error) {
       logger.error(`Error updating stream status: ${error.message}`);
       throw error;
     }
   },
 
+  /**
+   * Raise a stream's peak viewer count, if the new count is higher
+   * @param {string|number} id - Stream ID
+   * @param {number} viewerCount - Current viewer count
+   * @returns {Promise} - Updated stream, or null if the peak was not beaten
+   */
+  updateViewersPeak: async (id, viewerCount) => {
+    try {
+      logger.info(`Updating stream ${id} viewers peak: ${viewerCount}`);
+
+      // Conditional, so concurrent readings never lower the peak
+      const { data, error } = await supabase
+        .from(TABLES.STREAMS)
+        .update({ viewers_peak: viewerCount, updated_at: new Date() })
+        .eq("id", id)
+        .lt("viewers_peak", viewerCount)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      logger.error(`Error updating stream viewers peak: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Ask the streaming provider whether a stream is live right now
+   * @param {Object} stream - Stream record
+   * @returns {Promise} - { live, viewer_count, health, started_at }
+   */
+  getLiveStatus: async (stream) => {
+    try {
+      logger.info(`Getting live status of stream ${stream.id}`);
+      return await getStreamingProvider(stream.provider).getLiveStatus(stream);
+    } catch (error) {
+      logger.error(`Error getting stream live status: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Check if a stream is currently live
    * @param {string|number} id - Stream ID
@@ -221,40 +417,132 @@ const Stream = {
     try {
       logger.info(`Checking if stream ${id} is live`);
 
-      // Get stream from database
       const stream = await Stream.getById(id);
 
-      if (!stream || !stream.ivs_channel_arn) {
+      if (!stream || !stream.channel_id) {
         return false;
       }
 
-      // Check with IVS API
-      const getStreamCommand = new GetStreamCommand({
-        channelArn: stream.ivs_channel_arn,
+      const status = await Stream.getLiveStatus(stream);
+
+      return status.live;
+    } catch (error) {
+      logger.error(`Error checking if stream is live: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a stream's key, for its DJ
+   * @param {Object} stream - Stream record
+   * @returns {string|null} - Stream key, or null once it has been revoked
+   */
+  getStreamKey: (stream) =>
+    stream.stream_key_encrypted
+      ? decryptStreamKey(stream.stream_key_encrypted)
+      : null,
+
+  /**
+   * Replace a stream's key, so the old one can no longer publish
+   * @param {Object} stream - Stream record
+   * @returns {Promise} - Updated stream, including the new encrypted key
+   */
+  rotateStreamKey: async (stream) => {
+    try {
+      logger.info(`Rotating stream key of stream ${stream.id}`);
+
+      const { stream_key, stream_key_id } = await getStreamingProvider(
+        stream.provider
+      ).rotateStreamKey(stream);
+      const result = await db.update(TABLES.STREAMS, stream.id, {
+        stream_key_encrypted: encryptStreamKey(stream_key),
+        stream_key_id,
+        stream_key_rotated_at: new Date(),
+        updated_at: new Date(),
       });
 
-      try {
-        const streamResponse = await ivsClient.send(getStreamCommand);
-        logger.info(
-          `Stream status from IVS: ${JSON.stringify(streamResponse)}`
-        );
+      return result[0];
+    } catch (error) {
+      logger.error(`Error rotating stream key: ${error.message}`);
+      throw error;
+    }
+  },
 
-        // If we get a response without error, the stream is live
-        return true;
-      } catch (ivsError) {
-        // If we get a ResourceNotFoundException, the stream is not live
-        if (ivsError.name === "ResourceNotFoundException") {
-          return false;
-        }
+  /**
+   * Revoke a stream's key for good: it is forgotten here first, so it is
+   * never handed out again, then deleted on the streaming provider
+   * @param {Object} stream - Stream record
+   * @returns {Promise} - Updated stream, without a key
+   */
+  revokeStreamKey: async (stream) => {
+    try {
+      logger.info(`Revoking stream key of stream ${stream.id}`);
+
+      const result = await db.update(TABLES.STREAMS, stream.id, {
+        stream_key_encrypted: null,
+        stream_key_id: null,
+        updated_at: new Date(),
+      });
 
-        // For other errors, log and rethrow
+      try {
+        await getStreamingProvider(stream.provider).revokeStreamKey(stream);
+      } catch (providerError) {
+        // The stream is already finished, so don't undo that; the key has to
+        // be deleted on the provider by hand
         logger.error(
-          `Error checking stream status with IVS: ${ivsError.message}`
+          `Failed to revoke stream key of stream ${stream.id} on ${stream.provider}: ${providerError.message}`
         );
-        throw ivsError;
       }
+
+      return result[0];
     } catch (error) {
-      logger.error(`Error checking if stream is live: ${error.message}`);
+      logger.error(`Error revoking stream key: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a playback URL for one viewer of a stream
+   * @param {Object} stream - Stream record
+   * @param {Object} viewer - { viewerId, sessionVersion, origin }
+   * @returns {Promise} - { playback_url, token, expires_at }
+   */
+  createPlaybackUrl: async (stream, viewer) => {
+    try {
+      logger.info(
+        `Creating playback URL for viewer ${viewer.viewerId} on stream ${stream.id}`
+      );
+
+      return await getStreamingProvider(stream.provider).createPlaybackUrl(
+        stream,
+        viewer
+      );
+    } catch (error) {
+      logger.error(`Error creating playback URL: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a viewer's playback tokens for a stream
+   * @param {Object} stream - Stream record
+   * @param {string} viewerId - Viewer ID the tokens were signed for
+   * @param {number} sessionVersion - Revoke tokens up to this session version
+   * @returns {Promise} - Resolves once the provider has started the revocation
+   */
+  revokeViewer: async (stream, viewerId, sessionVersion) => {
+    try {
+      logger.info(
+        `Revoking playback for viewer ${viewerId} on stream ${stream.id}`
+      );
+
+      await getStreamingProvider(stream.provider).revokeViewer(
+        stream,
+        viewerId,
+        sessionVersion
+      );
+    } catch (error) {
+      logger.error(`Error revoking viewer session: ${error.message}`);
       throw error;
     }
   },
@@ -271,12 +559,12 @@ const Stream = {
       // Get stream from database
       const stream = await Stream.getById(id);
 
-      if (!stream || !stream.ivs_channel_arn) {
-        throw new Error("Stream not found or missing IVS channel ARN");
+      if (!stream || !stream.channel_id) {
+        throw new Error("Stream not found or missing channel");
       }
 
       // For MVP, we'll return basic metrics
-      // In a production app, you would integrate with CloudWatch metrics
+      // In a production app, you would integrate with the provider's metrics
       return {
         id: stream.id,
         status: stream.status,
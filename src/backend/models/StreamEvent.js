@@ -0,0 +1,75 @@
+const { supabase, TABLES, logger } = require("../utils/database");
+
+// Postgres SQLSTATE for a duplicate primary key
+const UNIQUE_VIOLATION = "23505";
+
+/**
+ * Stream Event Model - Log of streaming provider events (state and health
+ * changes), used to make redelivered events no-ops
+ */
+const StreamEvent = {
+  /**
+   * Record an event for a stream
+   * @param {Object} event - EventBridge event
+   * @param {string} streamId - Stream the event is about
+   * @returns {Promise} - True if the event is new, false if it was already
+   *   recorded
+   */
+  record: async (event, streamId) => {
+    try {
+      logger.info(
+        `Recording stream event: ${event.id} (${event["detail-type"]})`
+      );
+
+      const detail = event.detail || {};
+      const { error } = await supabase.from(TABLES.STREAM_EVENTS).insert({
+        id: event.id,
+        stream_id: streamId,
+        type: event["detail-type"],
+        event_name: detail.event_name || null,
+        session_id: detail.stream_id || null,
+        detail,
+        occurred_at: new Date(event.time),
+        received_at: new Date(),
+      });
+
+      if (!error) {
+        return true;
+      }
+
+      if (error.code === UNIQUE_VIOLATION) {
+        logger.info(`Skipping recorded stream event: ${event.id}`);
+        return false;
+      }
+
+      throw error;
+    } catch (error) {
+      logger.error(`Error recording stream event: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Forget an event that could not be applied, so its redelivery is retried
+   * @param {string} id - Event ID
+   */
+  forget: async (id) => {
+    try {
+      logger.info(`Forgetting stream event: ${id}`);
+
+      const { error } = await supabase
+        .from(TABLES.STREAM_EVENTS)
+        .delete()
+        .eq("id", id);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error(`Error forgetting stream event: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+module.exports = StreamEvent;
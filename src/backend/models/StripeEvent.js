@@ -0,0 +1,135 @@
+const { supabase, TABLES, logger } = require("../utils/database");
+
+// Postgres SQLSTATE for a duplicate primary key
+const UNIQUE_VIOLATION = "23505";
+
+// A delivery still processing after this long is assumed to have crashed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Stripe Event Model - Log of received webhook events, used to make
+ * redelivered events no-ops
+ */
+const StripeEvent = {
+  /**
+   * Claim a webhook event for processing
+   * @param {Object} event - Verified Stripe event
+   * @returns {Promise} - True if the caller should process the event, false
+   *   if it was already processed or another delivery is processing it
+   */
+  claim: async (event) => {
+    try {
+      logger.info(`Claiming Stripe event: ${event.id} (${event.type})`);
+
+      const { error } = await supabase.from(TABLES.STRIPE_EVENTS).insert({
+        id: event.id,
+        type: event.type,
+        account: event.account || null,
+        status: "processing",
+        received_at: new Date(),
+        updated_at: new Date(),
+      });
+
+      if (!error) {
+        return true;
+      }
+
+      if (error.code !== UNIQUE_VIOLATION) {
+        throw error;
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from(TABLES.STRIPE_EVENTS)
+        .select("*")
+        .eq("id", event.id)
+        .single();
+
+      if (fetchError) {
+        throw fetchError;
+      }
+
+      const stalled =
+        existing.status === "processing" &&
+        new Date(existing.updated_at).getTime() + STALE_PROCESSING_MS <
+          Date.now();
+
+      if (existing.status !== "failed" && !stalled) {
+        logger.info(`Skipping ${existing.status} Stripe event: ${event.id}`);
+        return false;
+      }
+
+      // Only one redelivery gets to retry a failed or stalled event
+      const { data, error: claimError } = await supabase
+        .from(TABLES.STRIPE_EVENTS)
+        .update({ status: "processing", updated_at: new Date() })
+        .eq("id", event.id)
+        .eq("status", existing.status)
+        .eq("updated_at", existing.updated_at)
+        .select();
+
+      if (claimError) {
+        throw claimError;
+      }
+
+      return Boolean(data && data.length > 0);
+    } catch (error) {
+      logger.error(`Error claiming Stripe event: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a claimed event as processed
+   * @param {string} id - Stripe event ID
+   * @returns {Promise} - Updated event record
+   */
+  markProcessed: async (id) => {
+    try {
+      return await updateEvent(id, {
+        status: "processed",
+        last_error: null,
+        processed_at: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Error marking Stripe event processed: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a claimed event as failed so Stripe's next delivery retries it
+   * @param {string} id - Stripe event ID
+   * @param {string} message - Error message
+   * @returns {Promise} - Updated event record
+   */
+  markFailed: async (id, message) => {
+    try {
+      return await updateEvent(id, { status: "failed", last_error: message });
+    } catch (error) {
+      logger.error(`Error marking Stripe event failed: ${error.message}`);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Update a Stripe event record
+ * @param {string} id - Stripe event ID
+ * @param {Object} changes - Fields to set
+ * @returns {Promise} - Updated event records
+ */
+async function updateEvent(id, changes) {
+  const { data, error } = await supabase
+    .from(TABLES.STRIPE_EVENTS)
+    .update({ ...changes, updated_at: new Date() })
+    .eq("id", id)
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = StripeEvent;
@@ -1,6 +1,9 @@
 const express = require("express");
 const BookingController = require("../controllers/booking.controller");
-const { authenticateJWT } = require("../middleware/auth");
+const RescheduleController = require("../controllers/reschedule.controller");
+const ClaimController = require("../controllers/claim.controller");
+const GuestController = require("../controllers/guest.controller");
+const { authenticateJWT, authorizeRole } = require("../middleware/auth");
 const { rateLimiter } = require("../middleware/rate-limiter");
 
 const router = express.Router();
@@ -17,6 +20,18 @@ const router = express.Router();
  */
 router.get("/me", authenticateJWT, BookingController.getMyBookings);
 
+/**
+ * @route   POST /api/bookings/quote
+ * @desc    Price a prospective booking without creating it
+ * @access  Private (Host only)
+ */
+router.post(
+  "/quote",
+  authenticateJWT,
+  rateLimiter("booking_quote", 60, 60 * 60), // 60 requests per hour
+  BookingController.getQuote
+);
+
 /**
  * @route   GET /api/bookings/:id
  * @desc    Get booking by ID
@@ -38,7 +53,7 @@ router.post(
 
 /**
  * @route   PUT /api/bookings/:id
- * @desc    Update booking
+ * @desc    Update booking notes (times change via reschedule requests)
  * @access  Private (Host of this booking)
  */
 router.put(
@@ -60,6 +75,146 @@ router.patch(
   BookingController.updateBookingStatus
 );
 
+/**
+ * @route   GET /api/bookings/:id/cancellation-quote
+ * @desc    Preview the refund for cancelling a booking
+ * @access  Private (Host or DJ of this booking, Admin)
+ */
+router.get(
+  "/:id/cancellation-quote",
+  authenticateJWT,
+  BookingController.getCancellationQuote
+);
+
+/**
+ * @route   GET /api/bookings/:id/history
+ * @desc    Get the status history of a booking
+ * @access  Private (Host or DJ of this booking, Admin)
+ */
+router.get("/:id/history", authenticateJWT, BookingController.getBookingHistory);
+
+/**
+ * @route   GET /api/bookings/:id/reschedule-requests
+ * @desc    Get reschedule requests for a booking
+ * @access  Private (Host or DJ of this booking, Admin)
+ */
+router.get(
+  "/:id/reschedule-requests",
+  authenticateJWT,
+  RescheduleController.getRescheduleRequests
+);
+
+/**
+ * @route   POST /api/bookings/:id/reschedule-requests
+ * @desc    Propose new times for a booking
+ * @access  Private (Host or DJ of this booking)
+ */
+router.post(
+  "/:id/reschedule-requests",
+  authenticateJWT,
+  rateLimiter("booking_reschedule", 10, 60 * 60), // 10 requests per hour
+  RescheduleController.proposeReschedule
+);
+
+/**
+ * @route   POST /api/bookings/:id/reschedule-requests/:requestId/accept
+ * @desc    Accept proposed times, re-pricing the booking
+ * @access  Private (Other party of the proposal, Admin)
+ */
+router.post(
+  "/:id/reschedule-requests/:requestId/accept",
+  authenticateJWT,
+  RescheduleController.acceptReschedule
+);
+
+/**
+ * @route   POST /api/bookings/:id/reschedule-requests/:requestId/decline
+ * @desc    Decline proposed times
+ * @access  Private (Other party of the proposal, Admin)
+ */
+router.post(
+  "/:id/reschedule-requests/:requestId/decline",
+  authenticateJWT,
+  RescheduleController.declineReschedule
+);
+
+/**
+ * @route   POST /api/bookings/:id/reschedule-requests/:requestId/counter
+ * @desc    Answer proposed times with a counter-proposal
+ * @access  Private (Other party of the proposal)
+ */
+router.post(
+  "/:id/reschedule-requests/:requestId/counter",
+  authenticateJWT,
+  rateLimiter("booking_reschedule", 10, 60 * 60), // 10 requests per hour
+  RescheduleController.counterReschedule
+);
+
+/**
+ * @route   GET /api/bookings/:id/no-show-claims
+ * @desc    Get no-show claims for a booking
+ * @access  Private (Host or DJ of this booking, Admin)
+ */
+router.get(
+  "/:id/no-show-claims",
+  authenticateJWT,
+  ClaimController.getNoShowClaims
+);
+
+/**
+ * @route   POST /api/bookings/:id/no-show-claims
+ * @desc    Report that the DJ did not show up, holding their payout
+ * @access  Private (Host of this booking)
+ */
+router.post(
+  "/:id/no-show-claims",
+  authenticateJWT,
+  rateLimiter("booking_claim", 5, 60 * 60), // 5 requests per hour
+  ClaimController.fileNoShowClaim
+);
+
+/**
+ * @route   POST /api/bookings/:id/no-show-claims/:claimId/resolve
+ * @desc    Uphold (refund the host) or reject (pay the DJ) a no-show claim
+ * @access  Private (Admin only)
+ */
+router.post(
+  "/:id/no-show-claims/:claimId/resolve",
+  authenticateJWT,
+  authorizeRole("admin"),
+  ClaimController.resolveNoShowClaim
+);
+
+/**
+ * @route   GET /api/bookings/:id/guests
+ * @desc    Get the guests invited to watch a booking's stream
+ * @access  Private (Host or DJ of this booking, Admin)
+ */
+router.get("/:id/guests", authenticateJWT, GuestController.getGuests);
+
+/**
+ * @route   POST /api/bookings/:id/guests
+ * @desc    Invite a user, by email, to watch a booking's stream
+ * @access  Private (Host of this booking, Admin)
+ */
+router.post(
+  "/:id/guests",
+  authenticateJWT,
+  rateLimiter("booking_guest", 50, 60 * 60), // 50 requests per hour
+  GuestController.inviteGuest
+);
+
+/**
+ * @route   DELETE /api/bookings/:id/guests/:userId
+ * @desc    Remove a guest and revoke their playback tokens
+ * @access  Private (Host of this booking, Admin, or the guest)
+ */
+router.delete(
+  "/:id/guests/:userId",
+  authenticateJWT,
+  GuestController.removeGuest
+);
+
 /**
  * @route   DELETE /api/bookings/:id
  * @desc    Delete booking
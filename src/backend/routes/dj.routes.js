@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const DjController = require("../controllers/dj.controller");
+const AvailabilityController = require("../controllers/availability.controller");
+const AddOnController = require("../controllers/addon.controller");
 const { authenticateJWT, authorizeRole } = require("../middleware/auth");
 
 /**
@@ -53,6 +55,150 @@ router.put(
   DjController.updateProfile
 );
 
+/**
+ * @route   GET /api/djs/profile/availability-rules
+ * @desc    Get current DJ's recurring availability rules
+ * @access  Private (DJ only)
+ */
+router.get(
+  "/profile/availability-rules",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.getMyRules
+);
+
+/**
+ * @route   POST /api/djs/profile/availability-rules
+ * @desc    Create a recurring availability rule
+ * @access  Private (DJ only)
+ */
+router.post(
+  "/profile/availability-rules",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.createRule
+);
+
+/**
+ * @route   PUT /api/djs/profile/availability-rules/:ruleId
+ * @desc    Update a recurring availability rule
+ * @access  Private (DJ only)
+ */
+router.put(
+  "/profile/availability-rules/:ruleId",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.updateRule
+);
+
+/**
+ * @route   DELETE /api/djs/profile/availability-rules/:ruleId
+ * @desc    Delete a recurring availability rule
+ * @access  Private (DJ only)
+ */
+router.delete(
+  "/profile/availability-rules/:ruleId",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.deleteRule
+);
+
+/**
+ * @route   GET /api/djs/profile/blackouts
+ * @desc    Get current DJ's blackout periods
+ * @access  Private (DJ only)
+ */
+router.get(
+  "/profile/blackouts",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.getMyBlackouts
+);
+
+/**
+ * @route   POST /api/djs/profile/blackouts
+ * @desc    Create a blackout period
+ * @access  Private (DJ only)
+ */
+router.post(
+  "/profile/blackouts",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.createBlackout
+);
+
+/**
+ * @route   PUT /api/djs/profile/blackouts/:blackoutId
+ * @desc    Update a blackout period
+ * @access  Private (DJ only)
+ */
+router.put(
+  "/profile/blackouts/:blackoutId",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.updateBlackout
+);
+
+/**
+ * @route   DELETE /api/djs/profile/blackouts/:blackoutId
+ * @desc    Delete a blackout period
+ * @access  Private (DJ only)
+ */
+router.delete(
+  "/profile/blackouts/:blackoutId",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AvailabilityController.deleteBlackout
+);
+
+/**
+ * @route   GET /api/djs/profile/add-ons
+ * @desc    Get current DJ's add-ons
+ * @access  Private (DJ only)
+ */
+router.get(
+  "/profile/add-ons",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AddOnController.getMyAddOns
+);
+
+/**
+ * @route   POST /api/djs/profile/add-ons
+ * @desc    Create an add-on
+ * @access  Private (DJ only)
+ */
+router.post(
+  "/profile/add-ons",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AddOnController.createAddOn
+);
+
+/**
+ * @route   PUT /api/djs/profile/add-ons/:addOnId
+ * @desc    Update an add-on
+ * @access  Private (DJ only)
+ */
+router.put(
+  "/profile/add-ons/:addOnId",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AddOnController.updateAddOn
+);
+
+/**
+ * @route   DELETE /api/djs/profile/add-ons/:addOnId
+ * @desc    Delete an add-on
+ * @access  Private (DJ only)
+ */
+router.delete(
+  "/profile/add-ons/:addOnId",
+  authenticateJWT,
+  authorizeRole("dj"),
+  AddOnController.deleteAddOn
+);
+
 /**
  * @route   GET /api/djs/:id
  * @desc    Get DJ profile by ID
@@ -67,4 +213,11 @@ router.get("/:id", DjController.getProfileById);
  */
 router.get("/:id/availability", DjController.getAvailability);
 
+/**
+ * @route   GET /api/djs/:id/add-ons
+ * @desc    Get a DJ's bookable add-ons
+ * @access  Public
+ */
+router.get("/:id/add-ons", AddOnController.getAddOnsByDjId);
+
 module.exports = router;
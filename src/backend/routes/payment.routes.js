@@ -1,6 +1,10 @@
 const express = require("express");
 const PaymentController = require("../controllers/payment.controller");
-const { authenticateJWT } = require("../middleware/auth");
+const PayoutController = require("../controllers/payout.controller");
+const AdminPaymentController = require("../controllers/admin-payment.controller");
+const InvoiceController = require("../controllers/invoice.controller");
+const PromotionController = require("../controllers/promotion.controller");
+const { authenticateJWT, authorizeRole } = require("../middleware/auth");
 const { rateLimiter } = require("../middleware/rate-limiter");
 const { rawBodyMiddleware } = require("../middleware/raw-body");
 
@@ -11,6 +15,161 @@ const router = express.Router();
  * Base path: /api/payments
  */
 
+/**
+ * @route   POST /api/payments/connect/onboard
+ * @desc    Start or resume Stripe Connect onboarding for the current DJ
+ * @access  Private (DJ only)
+ */
+router.post(
+  "/connect/onboard",
+  authenticateJWT,
+  authorizeRole("dj"),
+  rateLimiter("connect_onboard", 10, 60 * 60), // 10 requests per hour
+  PayoutController.startOnboarding
+);
+
+/**
+ * @route   GET /api/payments/connect/status
+ * @desc    Get the current DJ's Stripe Connect account status
+ * @access  Private (DJ only)
+ */
+router.get(
+  "/connect/status",
+  authenticateJWT,
+  authorizeRole("dj"),
+  PayoutController.getConnectStatus
+);
+
+/**
+ * @route   GET /api/payments/payouts
+ * @desc    Get the current DJ's payout ledger (pending, in transit, paid)
+ * @access  Private (DJ only)
+ */
+router.get(
+  "/payouts",
+  authenticateJWT,
+  authorizeRole("dj"),
+  PayoutController.getMyPayouts
+);
+
+/**
+ * @route   GET /api/payments/statements
+ * @desc    Get the current DJ's monthly statement of paid bookings (JSON or PDF)
+ * @access  Private (DJ only)
+ */
+router.get(
+  "/statements",
+  authenticateJWT,
+  authorizeRole("dj"),
+  rateLimiter("statement", 30, 60 * 60), // 30 requests per hour
+  InvoiceController.getStatement
+);
+
+/**
+ * @route   GET /api/payments/credits
+ * @desc    Get the current user's gift credit balances and transactions
+ * @access  Private
+ */
+router.get("/credits", authenticateJWT, PromotionController.getMyCredits);
+
+/**
+ * @route   GET /api/payments/admin/promo-codes
+ * @desc    List promo codes
+ * @access  Private (Admin only)
+ */
+router.get(
+  "/admin/promo-codes",
+  authenticateJWT,
+  authorizeRole("admin"),
+  PromotionController.listPromoCodes
+);
+
+/**
+ * @route   POST /api/payments/admin/promo-codes
+ * @desc    Create a promo code
+ * @access  Private (Admin only)
+ */
+router.post(
+  "/admin/promo-codes",
+  authenticateJWT,
+  authorizeRole("admin"),
+  PromotionController.createPromoCode
+);
+
+/**
+ * @route   PUT /api/payments/admin/promo-codes/:id
+ * @desc    Change a promo code's limits, validity window or active flag
+ * @access  Private (Admin only)
+ */
+router.put(
+  "/admin/promo-codes/:id",
+  authenticateJWT,
+  authorizeRole("admin"),
+  PromotionController.updatePromoCode
+);
+
+/**
+ * @route   POST /api/payments/admin/credits
+ * @desc    Grant gift credit to a user
+ * @access  Private (Admin only)
+ */
+router.post(
+  "/admin/credits",
+  authenticateJWT,
+  authorizeRole("admin"),
+  rateLimiter("admin_credit", 30, 60 * 60), // 30 requests per hour
+  PromotionController.grantCredit
+);
+
+/**
+ * @route   GET /api/payments/admin
+ * @desc    List payments filtered by status, date range, DJ and host
+ * @access  Private (Admin only)
+ */
+router.get(
+  "/admin",
+  authenticateJWT,
+  authorizeRole("admin"),
+  AdminPaymentController.listPayments
+);
+
+/**
+ * @route   POST /api/payments/admin/:id/refund
+ * @desc    Refund a payment in full or in part, with a reason
+ * @access  Private (Admin only)
+ */
+router.post(
+  "/admin/:id/refund",
+  authenticateJWT,
+  authorizeRole("admin"),
+  rateLimiter("admin_refund", 30, 60 * 60), // 30 requests per hour
+  AdminPaymentController.refundPayment
+);
+
+/**
+ * @route   POST /api/payments/admin/:id/dispute
+ * @desc    Mark a payment's chargeback as won or lost
+ * @access  Private (Admin only)
+ */
+router.post(
+  "/admin/:id/dispute",
+  authenticateJWT,
+  authorizeRole("admin"),
+  AdminPaymentController.resolveDispute
+);
+
+/**
+ * @route   GET /api/payments/admin/:id/audit
+ * @desc    Get the audit trail of a payment
+ * @access  Private (Admin only)
+ */
+router.get(
+  "/admin/:id/audit",
+  authenticateJWT,
+  authorizeRole("admin"),
+  AdminPaymentController.getPaymentAudit
+);
+
 /**
  * @route   GET /api/payments/:id
  * @desc    Get payment by ID
@@ -18,6 +177,18 @@ const router = express.Router();
  */
 router.get("/:id", authenticateJWT, PaymentController.getPaymentById);
 
+/**
+ * @route   GET /api/payments/:id/invoice
+ * @desc    Get the invoice for a payment (JSON or PDF)
+ * @access  Private (Host or DJ of this payment, or admin)
+ */
+router.get(
+  "/:id/invoice",
+  authenticateJWT,
+  rateLimiter("invoice", 60, 60 * 60), // 60 requests per hour
+  InvoiceController.getInvoice
+);
+
 /**
  * @route   GET /api/payments/booking/:bookingId
  * @desc    Get payments for a booking
@@ -41,6 +212,18 @@ router.post(
   PaymentController.createPaymentIntent
 );
 
+/**
+ * @route   POST /api/payments/balance/:bookingId
+ * @desc    Pay a booking's outstanding balance now instead of off-session
+ * @access  Private (Host only)
+ */
+router.post(
+  "/balance/:bookingId",
+  authenticateJWT,
+  rateLimiter("payment_intent", 10, 60 * 60), // 10 requests per hour
+  PaymentController.payBalance
+);
+
 /**
  * @route   POST /api/payments/webhook
  * @desc    Handle Stripe webhook events
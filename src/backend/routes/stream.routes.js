@@ -28,6 +28,30 @@ router.get(
   StreamController.getStreamByBookingId
 );
 
+/**
+ * @route   POST /api/streams/:id/playback-token
+ * @desc    Get a short-lived signed playback URL for a private stream
+ * @access  Private (Host, DJ or invited guest of this stream)
+ */
+router.post(
+  "/:id/playback-token",
+  authenticateJWT,
+  rateLimiter("playback_token", 60, 60 * 60), // 60 requests per hour
+  StreamController.createPlaybackToken
+);
+
+/**
+ * @route   POST /api/streams/:id/rotate-key
+ * @desc    Replace the stream key, revoking the old one
+ * @access  Private (DJ of this stream only)
+ */
+router.post(
+  "/:id/rotate-key",
+  authenticateJWT,
+  rateLimiter("stream_key_rotate", 10, 60 * 60), // 10 requests per hour
+  StreamController.rotateStreamKey
+);
+
 /**
  * @route   POST /api/streams
  * @desc    Create a new stream
@@ -64,6 +88,13 @@ router.patch(
   StreamController.endStream
 );
 
+/**
+ * @route   POST /api/streams/events
+ * @desc    Handle IVS stream state and health change events
+ * @access  Public (authenticated by API key)
+ */
+router.post("/events", StreamController.handleStreamEvent);
+
 /**
  * @route   DELETE /api/streams/:id
  * @desc    Delete stream
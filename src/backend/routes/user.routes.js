@@ -38,4 +38,22 @@ router.put("/profile", authenticateJWT, UserController.updateProfile);
  */
 router.put("/change-password", authenticateJWT, UserController.changePassword);
 
+/**
+ * @route   GET /api/users/notifications
+ * @desc    Get current user's notifications (?unread=true for unread only)
+ * @access  Private
+ */
+router.get("/notifications", authenticateJWT, UserController.getNotifications);
+
+/**
+ * @route   PUT /api/users/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put(
+  "/notifications/:id/read",
+  authenticateJWT,
+  UserController.markNotificationRead
+);
+
 module.exports = router;
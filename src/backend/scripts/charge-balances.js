@@ -0,0 +1,29 @@
+// Load environment variables first
+require('dotenv').config();
+
+const { chargeDueBalances } = require("../jobs/balance-charge.job");
+
+/**
+ * Charge due booking balances once, e.g. from an external scheduler
+ */
+async function chargeBalances() {
+  try {
+    console.log("Charging due balances...");
+
+    const summary = await chargeDueBalances();
+
+    console.log(
+      `Charged ${summary.charged}, retrying ${summary.retrying}, cancelled ${summary.cancelled}, failed ${summary.failed}`
+    );
+
+    if (summary.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error("Error charging balances:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the charge
+chargeBalances();
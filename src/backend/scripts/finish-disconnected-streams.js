@@ -0,0 +1,29 @@
+// Load environment variables first
+require('dotenv').config();
+
+const { finishDisconnectedStreams } = require("../jobs/stream-disconnect.job");
+
+/**
+ * Finish dropped streams once, e.g. from an external scheduler
+ */
+async function finishStreams() {
+  try {
+    console.log("Finishing disconnected streams...");
+
+    const summary = await finishDisconnectedStreams();
+
+    console.log(
+      `Ended ${summary.ended}, failed ${summary.failed}, errors ${summary.errors}`
+    );
+
+    if (summary.errors > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error("Error finishing disconnected streams:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the check
+finishStreams();
@@ -0,0 +1,46 @@
+// Load environment variables first
+require('dotenv').config();
+
+const crypto = require("crypto");
+const {
+  IvsClient,
+  ImportPlaybackKeyPairCommand,
+} = require("@aws-sdk/client-ivs");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Generate the platform's playback key pair and import its public key into
+ * IVS, printing the private key to set as IVS_PLAYBACK_PRIVATE_KEY
+ */
+async function importPlaybackKeyPair() {
+  try {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "secp384r1",
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+      publicKeyEncoding: { type: "spki", format: "pem" },
+    });
+
+    const ivsClient = new IvsClient({ region: config.aws.region });
+    const response = await ivsClient.send(
+      new ImportPlaybackKeyPairCommand({
+        name: `partystream-playback-${Date.now()}`,
+        publicKeyMaterial: publicKey,
+      })
+    );
+
+    console.log(`Imported playback key pair: ${response.keyPair.arn}`);
+    console.log("Set this private key as IVS_PLAYBACK_PRIVATE_KEY:");
+    console.log(privateKey.trim().replace(/\n/g, "\\n"));
+  } catch (error) {
+    console.error("Error importing playback key pair:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the import
+importPlaybackKeyPair();
@@ -0,0 +1,191 @@
+// Load environment variables first
+require('dotenv').config();
+
+const crypto = require("crypto");
+const http = require("http");
+const NodeMediaServer = require("node-media-server");
+const Stream = require("../models/Stream");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+const { rtmpPort, httpPort, app, mediaRoot, ffmpeg } = config.streaming.local;
+
+const eventsUrl =
+  process.env.STREAM_EVENTS_URL ||
+  `http://localhost:${
+    process.env.PORT || config.server.port
+  }/api/streams/events`;
+
+/**
+ * Check a publisher's stream key against the stream using the channel it
+ * publishes to; keys look like "<channel_id>?key=<secret>"
+ * @param {string} streamPath - Publish path, e.g. /live/<channel_id>
+ * @param {Object} args - Query arguments of the stream key
+ * @returns {Promise} - True if the publisher may go live
+ */
+async function isAuthorizedPublisher(streamPath, args) {
+  const [, publishApp, channelId] = streamPath.split("/");
+
+  if (publishApp !== app || !channelId) {
+    return false;
+  }
+
+  const stream = await Stream.getByChannelId(channelId);
+
+  if (
+    !stream ||
+    stream.provider !== "local" ||
+    ["ended", "failed"].includes(stream.status)
+  ) {
+    return false;
+  }
+
+  const streamKey = Stream.getStreamKey(stream);
+
+  // Finished streams have had their key revoked
+  if (!streamKey) {
+    return false;
+  }
+
+  const expected = Buffer.from(streamKey);
+  const given = Buffer.from(`${channelId}?key=${args.key || ""}`);
+
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * Tell the API a stream started or ended, in the shape IVS sends its state
+ * change events through EventBridge
+ * @param {string} streamPath - Publish path, e.g. /live/<channel_id>
+ * @param {string} eventName - "Stream Start" or "Stream End"
+ */
+function sendStreamEvent(streamPath, eventName) {
+  const [, , channelId] = streamPath.split("/");
+  const body = JSON.stringify({
+    id: crypto.randomUUID(),
+    source: "partystream.local",
+    "detail-type": "IVS Stream State Change",
+    time: new Date().toISOString(),
+    resources: [channelId],
+    detail: { event_name: eventName, channel_name: channelId },
+  });
+
+  const req = http.request(eventsUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      "x-api-key": process.env.STREAM_EVENTS_API_KEY || "",
+    },
+    timeout: 5000,
+  });
+
+  req.on("response", (res) => {
+    if (res.statusCode !== 200) {
+      console.warn(`Stream event for ${streamPath} got ${res.statusCode}`);
+    }
+    res.resume();
+  });
+  req.on("timeout", () => req.destroy(new Error("API timed out")));
+  req.on("error", (error) =>
+    console.error(`Error sending stream event: ${error.message}`)
+  );
+  req.end(body);
+}
+
+/**
+ * Run the self-hosted media server used by the "local" streaming provider:
+ * RTMP ingest, transmuxed to HLS by ffmpeg and served over HTTP
+ */
+function startMediaServer() {
+  const nms = new NodeMediaServer({
+    logType: 2,
+    rtmp: {
+      port: rtmpPort,
+      chunk_size: 60000,
+      gop_cache: true,
+      ping: 30,
+      ping_timeout: 60,
+    },
+    http: {
+      port: httpPort,
+      mediaroot: path.resolve(path.dirname(configPath), mediaRoot),
+      allow_origin: "*",
+    },
+    trans: {
+      ffmpeg,
+      tasks: [
+        {
+          app,
+          hls: true,
+          hlsFlags: "[hls_time=2:hls_list_size=3:hls_flags=delete_segments]",
+        },
+      ],
+    },
+  });
+
+  // Drop a publisher's session, unless it has already gone
+  const reject = (id) => {
+    const session = nms.getSession(id);
+
+    if (session) {
+      session.reject();
+    }
+  };
+
+  // Publisher checks by session, so only authorized publishers send events
+  const checks = new Map();
+
+  // The check is async, so an unknown publisher is dropped once it fails
+  nms.on("prePublish", (id, streamPath, args) => {
+    const check = isAuthorizedPublisher(streamPath, args)
+      .then((authorized) => {
+        if (!authorized) {
+          console.warn(`Rejected publisher on ${streamPath}`);
+          reject(id);
+        }
+        return authorized;
+      })
+      .catch((error) => {
+        console.error("Error checking publisher:", error.message);
+        reject(id);
+        return false;
+      });
+
+    checks.set(id, check);
+  });
+
+  nms.on("postPublish", (id, streamPath) => {
+    (checks.get(id) || Promise.resolve(false)).then((authorized) => {
+      if (authorized) {
+        sendStreamEvent(streamPath, "Stream Start");
+      }
+    });
+  });
+
+  nms.on("donePublish", (id, streamPath) => {
+    const check = checks.get(id) || Promise.resolve(false);
+    checks.delete(id);
+
+    check.then((authorized) => {
+      if (authorized) {
+        sendStreamEvent(streamPath, "Stream End");
+      }
+    });
+  });
+
+  nms.run();
+
+  console.log(
+    `Media server: RTMP on port ${rtmpPort}, HLS on port ${httpPort}`
+  );
+}
+
+// Run the media server
+startMediaServer();
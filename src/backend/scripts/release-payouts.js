@@ -0,0 +1,29 @@
+// Load environment variables first
+require('dotenv').config();
+
+const { releaseDuePayouts } = require("../jobs/payout-release.job");
+
+/**
+ * Release due DJ payouts once, e.g. from an external scheduler
+ */
+async function releasePayouts() {
+  try {
+    console.log("Releasing due payouts...");
+
+    const summary = await releaseDuePayouts();
+
+    console.log(
+      `Released ${summary.released}, still held ${summary.held}, failed ${summary.failed}`
+    );
+
+    if (summary.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error("Error releasing payouts:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the release
+releasePayouts();
@@ -57,6 +57,10 @@ CREATE TABLE IF NOT EXISTS users (
   auth_id UUID,
   first_name TEXT,
   last_name TEXT,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  preferred_currency TEXT,
+  billing_details JSONB NOT NULL DEFAULT '{}',
+  stripe_customer_id TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE
 );
@@ -66,13 +70,54 @@ CREATE TABLE IF NOT EXISTS dj_profiles (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   stage_name TEXT NOT NULL,
-  hourly_rate DECIMAL(10, 2) NOT NULL,
+  hourly_rate DECIMAL(10, 2),
+  pricing_model TEXT NOT NULL DEFAULT 'hourly' CHECK (pricing_model IN ('hourly', 'per_event')),
+  event_fee DECIMAL(10, 2),
+  minimum_fee DECIMAL(10, 2),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  country TEXT,
+  region TEXT,
+  weekend_surcharge_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0,
+  holiday_surcharge_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0,
+  late_night_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 1,
+  late_night_start TIME NOT NULL DEFAULT '00:00',
+  late_night_end TIME NOT NULL DEFAULT '06:00',
+  min_duration_hours DECIMAL(5, 2) CHECK (min_duration_hours > 0),
+  max_duration_hours DECIMAL(5, 2) CHECK (max_duration_hours > 0),
+  min_lead_time_hours DECIMAL(7, 2) CHECK (min_lead_time_hours >= 0),
+  max_advance_days INTEGER CHECK (max_advance_days > 0),
+  stripe_account_id TEXT UNIQUE,
+  stripe_charges_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  stripe_payouts_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  stripe_details_submitted BOOLEAN NOT NULL DEFAULT FALSE,
   genres TEXT[] DEFAULT '{}',
   bio TEXT,
   experience TEXT,
   equipment TEXT,
   video_links TEXT[] DEFAULT '{}',
   languages TEXT[] DEFAULT '{English}',
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  cancellation_policy TEXT CHECK (cancellation_policy IN ('flexible', 'moderate', 'strict')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create promo codes table (percentage or fixed discounts with limits)
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code TEXT NOT NULL UNIQUE,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+  currency TEXT,
+  dj_profile_id UUID REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  first_booking_only BOOLEAN NOT NULL DEFAULT FALSE,
+  starts_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  per_user_limit INTEGER CHECK (per_user_limit > 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE
 );
@@ -84,11 +129,19 @@ CREATE TABLE IF NOT EXISTS bookings (
   dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
   start_time TIMESTAMP WITH TIME ZONE NOT NULL,
   end_time TIMESTAMP WITH TIME ZONE NOT NULL,
+  host_timezone TEXT NOT NULL DEFAULT 'UTC',
+  dj_timezone TEXT NOT NULL DEFAULT 'UTC',
   duration_hours DECIMAL(5, 2) NOT NULL,
-  status TEXT NOT NULL CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed')),
+  status TEXT NOT NULL CHECK (status IN ('requested', 'accepted', 'declined', 'paid', 'confirmed', 'in_progress', 'completed', 'cancelled', 'expired', 'disputed')),
   total_amount DECIMAL(10, 2) NOT NULL,
-  payment_status TEXT NOT NULL CHECK (payment_status IN ('pending', 'processing', 'completed', 'failed', 'refunded')),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  payment_status TEXT NOT NULL CHECK (payment_status IN ('pending', 'processing', 'deposit_paid', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed')),
   notes TEXT,
+  cancellation_policy TEXT,
+  hold_expires_at TIMESTAMP WITH TIME ZONE,
+  promo_code_id UUID REFERENCES promo_codes(id) ON DELETE SET NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  credit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE
 );
@@ -101,14 +154,36 @@ CREATE TABLE IF NOT EXISTS streams (
   host_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   title TEXT NOT NULL,
   status TEXT NOT NULL CHECK (status IN ('created', 'live', 'ended', 'failed')),
-  ivs_channel_arn TEXT NOT NULL,
-  ivs_ingest_endpoint TEXT NOT NULL,
-  ivs_playback_url TEXT NOT NULL,
-  ivs_stream_key TEXT NOT NULL,
+  provider TEXT NOT NULL DEFAULT 'ivs',
+  channel_id TEXT NOT NULL,
+  ingest_endpoint TEXT NOT NULL,
+  playback_url TEXT NOT NULL,
+  stream_key_encrypted TEXT,
+  stream_key_id TEXT,
+  stream_key_rotated_at TIMESTAMP WITH TIME ZONE,
+  start_time TIMESTAMP WITH TIME ZONE,
+  end_time TIMESTAMP WITH TIME ZONE,
+  disconnected_at TIMESTAMP WITH TIME ZONE,
+  health TEXT,
+  last_event_at TIMESTAMP WITH TIME ZONE,
+  viewers_peak INTEGER NOT NULL DEFAULT 0,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE
 );
 
+-- Create stream events table (provider state and health changes, one row per
+-- delivered event so redeliveries are ignored)
+CREATE TABLE IF NOT EXISTS stream_events (
+  id TEXT PRIMARY KEY,
+  stream_id UUID NOT NULL REFERENCES streams(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  event_name TEXT,
+  session_id TEXT,
+  detail JSONB NOT NULL DEFAULT '{}',
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create payments table
 CREATE TABLE IF NOT EXISTS payments (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -118,13 +193,76 @@ CREATE TABLE IF NOT EXISTS payments (
   amount DECIMAL(10, 2) NOT NULL,
   currency TEXT NOT NULL,
   platform_fee DECIMAL(10, 2) NOT NULL,
-  payment_intent_id TEXT NOT NULL,
-  payment_intent_client_secret TEXT NOT NULL,
-  status TEXT NOT NULL CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'refunded')),
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_lines JSONB NOT NULL DEFAULT '[]',
+  discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  credit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  kind TEXT NOT NULL DEFAULT 'full' CHECK (kind IN ('full', 'deposit', 'balance', 'adjustment')),
+  reschedule_request_id UUID,
+  payment_intent_id TEXT,
+  payment_intent_client_secret TEXT,
+  payment_method_id TEXT,
+  due_at TIMESTAMP WITH TIME ZONE,
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  status TEXT NOT NULL CHECK (status IN ('scheduled', 'pending', 'processing', 'succeeded', 'failed', 'canceled', 'partially_refunded', 'refunded', 'disputed')),
+  stripe_account_id TEXT,
+  stripe_charge_id TEXT,
+  amount_refunded DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  stripe_dispute_id TEXT,
+  dispute_status TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE
 );
 
+-- Create refunds table (one row per Stripe refund of a payment)
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  stripe_refund_id TEXT NOT NULL UNIQUE,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL,
+  reason TEXT,
+  note TEXT,
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_by_role TEXT CHECK (requested_by_role IN ('host', 'dj', 'admin', 'system')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create DJ payouts table (ledger of what each DJ is owed and has been paid)
+CREATE TABLE IF NOT EXISTS dj_payouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  payment_id UUID NOT NULL UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  stripe_account_id TEXT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'pending', 'in_transit', 'paid', 'reversed')),
+  stripe_transfer_id TEXT,
+  stripe_payout_id TEXT,
+  released_at TIMESTAMP WITH TIME ZONE,
+  arrival_date TIMESTAMP WITH TIME ZONE,
+  paid_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create Stripe events table (webhook events received, so redeliveries are no-ops)
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  account TEXT,
+  status TEXT NOT NULL CHECK (status IN ('processing', 'processed', 'failed')),
+  last_error TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
 -- Create chat_messages table
 CREATE TABLE IF NOT EXISTS chat_messages (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -135,18 +273,599 @@ CREATE TABLE IF NOT EXISTS chat_messages (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create DJ availability rules table (weekly recurring working hours)
+CREATE TABLE IF NOT EXISTS dj_availability_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  days_of_week INTEGER[] NOT NULL CHECK (days_of_week <@ ARRAY[0, 1, 2, 3, 4, 5, 6]),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create DJ blackouts table (one-off unavailable periods)
+CREATE TABLE IF NOT EXISTS dj_blackouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+  end_time TIMESTAMP WITH TIME ZONE NOT NULL CHECK (end_time > start_time),
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create booking status history table (audit trail of lifecycle transitions)
+CREATE TABLE IF NOT EXISTS booking_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role TEXT NOT NULL CHECK (actor_role IN ('host', 'dj', 'admin', 'system')),
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create booking reschedule requests table (proposals and counter-proposals)
+CREATE TABLE IF NOT EXISTS booking_reschedule_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES booking_reschedule_requests(id) ON DELETE SET NULL,
+  proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  proposer_role TEXT NOT NULL CHECK (proposer_role IN ('host', 'dj', 'admin')),
+  start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+  end_time TIMESTAMP WITH TIME ZONE NOT NULL CHECK (end_time > start_time),
+  duration_hours DECIMAL(5, 2) NOT NULL,
+  total_amount DECIMAL(10, 2) NOT NULL,
+  previous_total_amount DECIMAL(10, 2),
+  line_items JSONB,
+  discount_amount DECIMAL(10, 2),
+  reason TEXT,
+  status TEXT NOT NULL CHECK (status IN ('pending', 'awaiting_payment', 'accepted', 'declined', 'countered', 'failed')),
+  settlement_error TEXT,
+  responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create DJ add-ons table (optional extras hosts can book)
+CREATE TABLE IF NOT EXISTS dj_add_ons (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dj_profile_id UUID NOT NULL REFERENCES dj_profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create booking line items table (itemized price of each booking)
+CREATE TABLE IF NOT EXISTS booking_line_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('base', 'late_night', 'weekend_surcharge', 'holiday_surcharge', 'minimum_fee', 'add_on')),
+  description TEXT NOT NULL,
+  quantity DECIMAL(10, 2) NOT NULL,
+  unit_amount DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  add_on_id UUID REFERENCES dj_add_ons(id) ON DELETE SET NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create no-show claims table (hosts reporting a DJ who did not perform)
+CREATE TABLE IF NOT EXISTS no_show_claims (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  host_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'rejected')),
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolution_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create audit log table (actions taken by support staff)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role TEXT NOT NULL,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Invoice numbers are sequential across all invoices
+CREATE SEQUENCE IF NOT EXISTS invoice_number_seq;
+
+-- Create invoices table (numbered invoice per paid payment, frozen when issued)
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  number TEXT NOT NULL UNIQUE DEFAULT ('INV-' || to_char(NOW(), 'YYYY') || '-' || lpad(nextval('invoice_number_seq')::TEXT, 6, '0')),
+  payment_id UUID NOT NULL UNIQUE REFERENCES payments(id) ON DELETE RESTRICT,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  host_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  dj_profile_id UUID REFERENCES dj_profiles(id) ON DELETE SET NULL,
+  currency TEXT NOT NULL,
+  billed_to JSONB NOT NULL DEFAULT '{}',
+  performer JSONB NOT NULL DEFAULT '{}',
+  service_start TIMESTAMP WITH TIME ZONE,
+  service_end TIMESTAMP WITH TIME ZONE,
+  line_items JSONB NOT NULL DEFAULT '[]',
+  subtotal DECIMAL(10, 2) NOT NULL,
+  platform_fee DECIMAL(10, 2) NOT NULL,
+  tax_lines JSONB NOT NULL DEFAULT '[]',
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  total DECIMAL(10, 2) NOT NULL,
+  credit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create promo redemptions table (one redeemed code per booking)
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  host_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'redeemed' CHECK (status IN ('redeemed', 'released')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  released_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create gift credit ledger (balance is the sum of amounts per currency)
+CREATE TABLE IF NOT EXISTS gift_credit_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('grant', 'spend', 'restore')),
+  note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create notifications table (messages for users about their bookings)
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create booking guests table (users the host has invited to watch the stream)
+CREATE TABLE IF NOT EXISTS booking_guests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  session_version INTEGER NOT NULL DEFAULT 1,
+  removed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (booking_id, user_id)
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_dj_profiles_user_id ON dj_profiles(user_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_host_id ON bookings(host_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_dj_profile_id ON bookings(dj_profile_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_status ON bookings(status);
+CREATE INDEX IF NOT EXISTS idx_bookings_dj_profile_id_start_time ON bookings(dj_profile_id, start_time);
 CREATE INDEX IF NOT EXISTS idx_streams_booking_id ON streams(booking_id);
 CREATE INDEX IF NOT EXISTS idx_streams_status ON streams(status);
+CREATE INDEX IF NOT EXISTS idx_streams_channel_id ON streams(channel_id);
+CREATE INDEX IF NOT EXISTS idx_streams_disconnected_at ON streams(disconnected_at) WHERE status = 'live';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streams_booking_unfinished ON streams(booking_id) WHERE status IN ('created', 'live');
+CREATE INDEX IF NOT EXISTS idx_stream_events_stream_id ON stream_events(stream_id, occurred_at);
 CREATE INDEX IF NOT EXISTS idx_payments_booking_id ON payments(booking_id);
 CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status);
+CREATE INDEX IF NOT EXISTS idx_payments_payment_intent_id ON payments(payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payments_created_at ON payments(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_invoices_dj_profile_id ON invoices(dj_profile_id, issued_at);
+CREATE INDEX IF NOT EXISTS idx_payments_dj_profile_id ON payments(dj_profile_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_dj_payouts_dj_profile_id ON dj_payouts(dj_profile_id, status);
+CREATE INDEX IF NOT EXISTS idx_dj_payouts_stripe_payout_id ON dj_payouts(stripe_payout_id);
 CREATE INDEX IF NOT EXISTS idx_chat_messages_stream_id ON chat_messages(stream_id);
 CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at ON chat_messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_dj_availability_rules_dj_profile_id ON dj_availability_rules(dj_profile_id);
+CREATE INDEX IF NOT EXISTS idx_dj_blackouts_dj_profile_id_start_time ON dj_blackouts(dj_profile_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON booking_status_history(booking_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_booking_reschedule_requests_booking_id ON booking_reschedule_requests(booking_id);
+CREATE INDEX IF NOT EXISTS idx_payments_reschedule_request_id ON payments(reschedule_request_id) WHERE reschedule_request_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_dj_add_ons_dj_profile_id ON dj_add_ons(dj_profile_id);
+CREATE INDEX IF NOT EXISTS idx_booking_line_items_booking_id ON booking_line_items(booking_id);
+CREATE INDEX IF NOT EXISTS idx_dj_payouts_status ON dj_payouts(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_no_show_claims_booking_id ON no_show_claims(booking_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_redemptions_booking_id ON promo_redemptions(booking_id) WHERE status = 'redeemed';
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo_code_id ON promo_redemptions(promo_code_id, host_id);
+CREATE INDEX IF NOT EXISTS idx_gift_credit_transactions_user_id ON gift_credit_transactions(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_gift_credit_transactions_booking_id ON gift_credit_transactions(booking_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_booking_balance ON payments(booking_id) WHERE kind = 'balance' AND status <> 'canceled';
+CREATE INDEX IF NOT EXISTS idx_payments_next_attempt_at ON payments(next_attempt_at) WHERE kind = 'balance' AND status IN ('scheduled', 'failed');
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_booking_guests_user_id ON booking_guests(user_id);
+
+-- Reserve a booking slot atomically: expire stale holds, check blackouts and
+-- overlapping bookings (including buffer), then insert, all under a per-DJ lock
+CREATE OR REPLACE FUNCTION reserve_booking(
+  p_host_id UUID,
+  p_dj_profile_id UUID,
+  p_start_time TIMESTAMP WITH TIME ZONE,
+  p_end_time TIMESTAMP WITH TIME ZONE,
+  p_host_timezone TEXT,
+  p_dj_timezone TEXT,
+  p_duration_hours DECIMAL,
+  p_total_amount DECIMAL,
+  p_notes TEXT,
+  p_buffer_minutes INTEGER,
+  p_hold_minutes INTEGER,
+  p_line_items JSONB DEFAULT '[]'
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  dj_policy TEXT;
+  dj_currency TEXT;
+  new_booking bookings;
+BEGIN
+  -- Serialize reservations for the same DJ
+  SELECT cancellation_policy, currency INTO dj_policy, dj_currency
+    FROM dj_profiles WHERE id = p_dj_profile_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DJ profile not found' USING ERRCODE = 'no_data_found';
+  END IF;
+
+  WITH stale AS (
+    SELECT id, status FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted')
+       AND hold_expires_at IS NOT NULL
+       AND hold_expires_at <= NOW()
+       FOR UPDATE
+  ), expired AS (
+    UPDATE bookings b
+       SET status = 'expired', updated_at = NOW()
+      FROM stale
+     WHERE b.id = stale.id
+    RETURNING b.id, stale.status AS from_status
+  ), released AS (
+    -- Expired bookings were never paid: free their promo codes and credit
+    UPDATE promo_redemptions r
+       SET status = 'released', released_at = NOW()
+      FROM expired
+     WHERE r.booking_id = expired.id
+       AND r.status = 'redeemed'
+  ), restored AS (
+    INSERT INTO gift_credit_transactions (user_id, booking_id, amount, currency, type)
+    SELECT b.host_id, b.id, b.credit_amount, b.currency, 'restore'
+      FROM bookings b
+      JOIN expired ON expired.id = b.id
+     WHERE b.credit_amount > 0
+  )
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_role, reason)
+  SELECT id, from_status, 'expired', 'system', 'Reservation hold expired'
+    FROM expired;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = p_dj_profile_id
+       AND start_time < p_end_time
+       AND end_time > p_start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = p_dj_profile_id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND start_time < p_end_time + buffer
+       AND end_time > p_start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    host_id, dj_profile_id, start_time, end_time, host_timezone, dj_timezone,
+    duration_hours, status, total_amount, currency, payment_status, notes,
+    cancellation_policy, hold_expires_at, created_at
+  ) VALUES (
+    p_host_id, p_dj_profile_id, p_start_time, p_end_time, p_host_timezone,
+    p_dj_timezone, p_duration_hours, 'requested', p_total_amount, dj_currency,
+    'pending', p_notes, dj_policy,
+    NOW() + make_interval(mins => p_hold_minutes), NOW()
+  )
+  RETURNING * INTO new_booking;
+
+  INSERT INTO booking_line_items (
+    booking_id, type, description, quantity, unit_amount, amount, add_on_id,
+    position
+  )
+  SELECT new_booking.id, item->>'type', item->>'description',
+         (item->>'quantity')::DECIMAL, (item->>'unit_amount')::DECIMAL,
+         (item->>'amount')::DECIMAL, (item->>'add_on_id')::UUID,
+         item_position::INTEGER
+    FROM jsonb_array_elements(p_line_items)
+      WITH ORDINALITY AS items(item, item_position);
+
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role)
+  VALUES (new_booking.id, NULL, 'requested', p_host_id, 'host');
+
+  RETURN new_booking;
+END;
+$$;
+
+-- Change a booking's status and record it in the history in one transaction.
+-- Fails with serialization_failure if the status moved on since it was read.
+CREATE OR REPLACE FUNCTION change_booking_status(
+  p_booking_id UUID,
+  p_from_status TEXT,
+  p_to_status TEXT,
+  p_actor_id UUID,
+  p_actor_role TEXT,
+  p_reason TEXT
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  updated_booking bookings;
+BEGIN
+  UPDATE bookings
+     SET status = p_to_status, updated_at = NOW()
+   WHERE id = p_booking_id
+     AND status = p_from_status
+  RETURNING * INTO updated_booking;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking status has changed, please retry'
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role, reason)
+  VALUES (p_booking_id, p_from_status, p_to_status, p_actor_id, p_actor_role, p_reason);
+
+  RETURN updated_booking;
+END;
+$$;
+
+-- Apply an accepted reschedule request: re-check blackouts and overlapping
+-- bookings (including buffer) for the new times under the per-DJ lock, then
+-- move and re-price the booking and close the request
+CREATE OR REPLACE FUNCTION apply_reschedule_request(
+  p_request_id UUID,
+  p_total_amount DECIMAL,
+  p_buffer_minutes INTEGER,
+  p_responded_by UUID,
+  p_line_items JSONB DEFAULT '[]',
+  p_discount_amount DECIMAL DEFAULT NULL
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  buffer INTERVAL := make_interval(mins => p_buffer_minutes);
+  request booking_reschedule_requests;
+  target bookings;
+BEGIN
+  SELECT * INTO request FROM booking_reschedule_requests
+   WHERE id = p_request_id FOR UPDATE;
+
+  -- A reschedule that costs more is applied once the difference is paid
+  IF NOT FOUND OR request.status NOT IN ('pending', 'awaiting_payment') THEN
+    RAISE EXCEPTION 'Reschedule request is no longer pending'
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  SELECT * INTO target FROM bookings WHERE id = request.booking_id;
+
+  -- Serialize with reservations for the same DJ
+  PERFORM 1 FROM dj_profiles WHERE id = target.dj_profile_id FOR UPDATE;
+
+  IF EXISTS (
+    SELECT 1 FROM dj_blackouts
+     WHERE dj_profile_id = target.dj_profile_id
+       AND start_time < request.end_time
+       AND end_time > request.start_time
+  ) THEN
+    RAISE EXCEPTION 'DJ has blocked out the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE dj_profile_id = target.dj_profile_id
+       AND id <> target.id
+       AND status IN ('requested', 'accepted', 'paid', 'confirmed', 'in_progress')
+       AND (hold_expires_at IS NULL OR hold_expires_at > NOW())
+       AND start_time < request.end_time + buffer
+       AND end_time > request.start_time - buffer
+  ) THEN
+    RAISE EXCEPTION 'DJ is not available during the selected time'
+      USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  UPDATE booking_reschedule_requests
+     SET status = 'accepted',
+         total_amount = p_total_amount,
+         previous_total_amount = target.total_amount,
+         responded_by = p_responded_by,
+         responded_at = NOW(),
+         updated_at = NOW()
+   WHERE id = p_request_id;
+
+  UPDATE bookings
+     SET start_time = request.start_time,
+         end_time = request.end_time,
+         duration_hours = request.duration_hours,
+         total_amount = p_total_amount,
+         discount_amount = COALESCE(p_discount_amount, discount_amount),
+         updated_at = NOW()
+   WHERE id = target.id
+  RETURNING * INTO target;
+
+  -- Re-price the booking from scratch
+  DELETE FROM booking_line_items WHERE booking_id = target.id;
+
+  INSERT INTO booking_line_items (
+    booking_id, type, description, quantity, unit_amount, amount, add_on_id,
+    position
+  )
+  SELECT target.id, item->>'type', item->>'description',
+         (item->>'quantity')::DECIMAL, (item->>'unit_amount')::DECIMAL,
+         (item->>'amount')::DECIMAL, (item->>'add_on_id')::UUID,
+         item_position::INTEGER
+    FROM jsonb_array_elements(p_line_items)
+      WITH ORDINALITY AS items(item, item_position);
+
+  RETURN target;
+END;
+$$;
+
+-- Redeem a promo code on a booking and record the discount on it. The code's
+-- limits are re-checked under a lock so concurrent checkouts cannot overrun them
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+  p_promo_code_id UUID,
+  p_booking_id UUID,
+  p_host_id UUID,
+  p_discount_amount DECIMAL,
+  p_currency TEXT
+) RETURNS promo_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  promo promo_codes;
+  redemption promo_redemptions;
+BEGIN
+  SELECT * INTO promo FROM promo_codes WHERE id = p_promo_code_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT promo.active THEN
+    RAISE EXCEPTION 'This promo code is no longer active'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF promo.max_redemptions IS NOT NULL AND (
+    SELECT COUNT(*) FROM promo_redemptions
+     WHERE promo_code_id = p_promo_code_id
+       AND status = 'redeemed'
+  ) >= promo.max_redemptions THEN
+    RAISE EXCEPTION 'This promo code has been used up'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF promo.per_user_limit IS NOT NULL AND (
+    SELECT COUNT(*) FROM promo_redemptions
+     WHERE promo_code_id = p_promo_code_id
+       AND host_id = p_host_id
+       AND status = 'redeemed'
+  ) >= promo.per_user_limit THEN
+    RAISE EXCEPTION 'You have already used this promo code'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO promo_redemptions (promo_code_id, booking_id, host_id, discount_amount, currency)
+  VALUES (p_promo_code_id, p_booking_id, p_host_id, p_discount_amount, p_currency)
+  RETURNING * INTO redemption;
+
+  UPDATE bookings
+     SET promo_code_id = p_promo_code_id,
+         discount_amount = p_discount_amount,
+         updated_at = NOW()
+   WHERE id = p_booking_id;
+
+  RETURN redemption;
+END;
+$$;
+
+-- Spend a user's gift credit on a booking, checking the balance under a
+-- per-user lock so two checkouts cannot spend the same credit
+CREATE OR REPLACE FUNCTION spend_gift_credit(
+  p_user_id UUID,
+  p_booking_id UUID,
+  p_amount DECIMAL,
+  p_currency TEXT
+) RETURNS gift_credit_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  balance DECIMAL;
+  spent gift_credit_transactions;
+BEGIN
+  PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+
+  SELECT COALESCE(SUM(amount), 0) INTO balance
+    FROM gift_credit_transactions
+   WHERE user_id = p_user_id
+     AND currency = p_currency;
+
+  IF balance < p_amount THEN
+    RAISE EXCEPTION 'Not enough gift credit'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO gift_credit_transactions (user_id, booking_id, amount, currency, type)
+  VALUES (p_user_id, p_booking_id, -p_amount, p_currency, 'spend')
+  RETURNING * INTO spent;
+
+  UPDATE bookings
+     SET credit_amount = credit_amount + p_amount, updated_at = NOW()
+   WHERE id = p_booking_id;
+
+  RETURN spent;
+END;
+$$;
+
+-- Give gift credit spent on a booking back to the host, never more than is
+-- still outstanding; returns NULL when there is nothing left to restore
+CREATE OR REPLACE FUNCTION restore_gift_credit(
+  p_booking_id UUID,
+  p_amount DECIMAL
+) RETURNS gift_credit_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  booking bookings;
+  outstanding DECIMAL;
+  restored gift_credit_transactions;
+BEGIN
+  SELECT * INTO booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+
+  SELECT COALESCE(-SUM(amount), 0) INTO outstanding
+    FROM gift_credit_transactions
+   WHERE booking_id = p_booking_id
+     AND type IN ('spend', 'restore');
+
+  IF LEAST(p_amount, outstanding) <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO gift_credit_transactions (user_id, booking_id, amount, currency, type)
+  VALUES (booking.host_id, p_booking_id, LEAST(p_amount, outstanding), booking.currency, 'restore')
+  RETURNING * INTO restored;
+
+  RETURN restored;
+END;
+$$;
 
 -- Enable row-level security
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
@@ -154,7 +873,25 @@ ALTER TABLE dj_profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE streams ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
-ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;`;
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dj_availability_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dj_blackouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_status_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_reschedule_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dj_add_ons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_line_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dj_payouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE no_show_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gift_credit_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_guests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stream_events ENABLE ROW LEVEL SECURITY;`;
     
     // Write the migration SQL to a file
     const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
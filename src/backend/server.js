@@ -9,6 +9,9 @@ const { createClient } = require("@supabase/supabase-js");
 const http = require("http");
 const { Server } = require("socket.io");
 const ChatController = require("./controllers/chat.controller");
+const { startPayoutReleaseJob } = require("./jobs/payout-release.job");
+const { startBalanceChargeJob } = require("./jobs/balance-charge.job");
+const { startStreamDisconnectJob } = require("./jobs/stream-disconnect.job");
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -123,5 +126,13 @@ server.listen(PORT, () => {
   logger.info(`Socket.io initialized for real-time communication`);
 });
 
+// Release escrowed DJ payouts, charge due balances and finish dropped
+// streams in the background
+if (process.env.NODE_ENV !== "test") {
+  startPayoutReleaseJob();
+  startBalanceChargeJob();
+  startStreamDisconnectJob(io);
+}
+
 // Export for testing
 module.exports = { app, server, io };
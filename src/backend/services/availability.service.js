@@ -0,0 +1,215 @@
+const moment = require("moment-timezone");
+
+/**
+ * Booking statuses that occupy a DJ's calendar
+ */
+const BLOCKING_BOOKING_STATUSES = [
+  "requested",
+  "accepted",
+  "paid",
+  "confirmed",
+  "in_progress",
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Build a moment for a wall-clock time on a given local day
+ * @param {Object} day - Moment at the start of the local day
+ * @param {string} time - Wall-clock time (HH:mm or HH:mm:ss)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - Moment in the given timezone
+ */
+const atLocalTime = (day, time, timezone) => {
+  return moment.tz(`${day.format("YYYY-MM-DD")}T${time}`, timezone);
+};
+
+/**
+ * Merge overlapping or touching intervals
+ * @param {Array} intervals - Array of { start, end } in epoch milliseconds
+ * @returns {Array} - Sorted, non-overlapping intervals
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter((interval) => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+
+    return merged;
+  }, []);
+};
+
+/**
+ * Remove busy intervals from free intervals
+ * @param {Array} free - Sorted, merged free intervals
+ * @param {Array} busy - Busy intervals
+ * @returns {Array} - Remaining free intervals
+ */
+const subtractIntervals = (free, busy) => {
+  const blocked = mergeIntervals(busy);
+
+  return free.reduce((result, interval) => {
+    let pieces = [interval];
+
+    blocked.forEach((block) => {
+      pieces = pieces.flatMap((piece) => {
+        if (block.end <= piece.start || block.start >= piece.end) {
+          return [piece];
+        }
+
+        const remaining = [];
+        if (block.start > piece.start) {
+          remaining.push({ start: piece.start, end: block.start });
+        }
+        if (block.end < piece.end) {
+          remaining.push({ start: block.end, end: piece.end });
+        }
+        return remaining;
+      });
+    });
+
+    return result.concat(pieces);
+  }, []);
+};
+
+/**
+ * Expand weekly recurring working-hour rules into concrete windows
+ * @param {Array} rules - Rules with days_of_week, start_time, end_time, timezone
+ * @param {number} rangeStart - Range start in epoch milliseconds
+ * @param {number} rangeEnd - Range end in epoch milliseconds
+ * @returns {Array} - Working windows as { start, end } in epoch milliseconds
+ */
+const expandRules = (rules, rangeStart, rangeEnd) => {
+  const windows = [];
+
+  rules.forEach((rule) => {
+    const timezone = rule.timezone || "UTC";
+
+    // Start a day early so overnight windows that began before the range are kept
+    const day = moment.tz(rangeStart, timezone).startOf("day").subtract(1, "day");
+    const lastDay = moment.tz(rangeEnd, timezone).endOf("day");
+
+    while (day.isBefore(lastDay)) {
+      if (rule.days_of_week.includes(day.day())) {
+        const start = atLocalTime(day, rule.start_time, timezone);
+        let end = atLocalTime(day, rule.end_time, timezone);
+
+        // An end at or before the start means the window runs past midnight
+        if (!end.isAfter(start)) {
+          end = atLocalTime(day.clone().add(1, "day"), rule.end_time, timezone);
+        }
+
+        windows.push({ start: start.valueOf(), end: end.valueOf() });
+      }
+
+      day.add(1, "day");
+    }
+  });
+
+  return windows;
+};
+
+/**
+ * Compute the open booking slots for a DJ within a date range
+ * @param {Object} options - Availability inputs
+ * @param {Array} options.rules - Weekly recurring working-hour rules
+ * @param {Array} options.blackouts - One-off blackout periods (start_time, end_time)
+ * @param {Array} options.bookings - Bookings that occupy the DJ (start_time, end_time)
+ * @param {Date} options.rangeStart - Start of the requested range
+ * @param {Date} options.rangeEnd - End of the requested range
+ * @param {number} options.bufferMinutes - Gap required before and after each booking
+ * @param {number} options.minDurationHours - Shortest bookable slot
+ * @param {number} options.maxDurationHours - Longest single booking
+ * @param {number} options.minLeadTimeHours - Notice the DJ needs; slots
+ *   never start sooner than this from now
+ * @param {number} options.maxAdvanceDays - How far ahead the DJ takes
+ *   bookings; slots never run past this from now
+ * @param {Date} options.now - Current time; slots never start in the past
+ * @returns {Array} - Open slots ordered by start time
+ */
+const computeAvailableSlots = ({
+  rules = [],
+  blackouts = [],
+  bookings = [],
+  rangeStart,
+  rangeEnd,
+  bufferMinutes = 0,
+  minDurationHours = 0,
+  maxDurationHours = null,
+  minLeadTimeHours = 0,
+  maxAdvanceDays = null,
+  now = new Date(),
+}) => {
+  const nowMs = moment(now).valueOf();
+  const start = Math.max(
+    moment(rangeStart).valueOf(),
+    nowMs + minLeadTimeHours * HOUR_MS
+  );
+  const end =
+    maxAdvanceDays === null
+      ? moment(rangeEnd).valueOf()
+      : Math.min(moment(rangeEnd).valueOf(), nowMs + maxAdvanceDays * DAY_MS);
+
+  if (end <= start) {
+    return [];
+  }
+
+  // A DJ without configured working hours is open around the clock
+  const working =
+    rules.length > 0
+      ? expandRules(rules, start, end)
+      : [{ start, end }];
+
+  const clipped = mergeIntervals(
+    working.map((window) => ({
+      start: Math.max(window.start, start),
+      end: Math.min(window.end, end),
+    }))
+  );
+
+  const bufferMs = bufferMinutes * MINUTE_MS;
+  const busy = [
+    ...blackouts.map((blackout) => ({
+      start: moment(blackout.start_time).valueOf(),
+      end: moment(blackout.end_time).valueOf(),
+    })),
+    ...bookings.map((booking) => ({
+      start: moment(booking.start_time).valueOf() - bufferMs,
+      end: moment(booking.end_time).valueOf() + bufferMs,
+    })),
+  ];
+
+  return subtractIntervals(clipped, busy)
+    .filter((slot) => slot.end - slot.start >= minDurationHours * HOUR_MS)
+    .map((slot) => {
+      const durationHours = (slot.end - slot.start) / HOUR_MS;
+
+      return {
+        start_time: new Date(slot.start).toISOString(),
+        end_time: new Date(slot.end).toISOString(),
+        duration_hours: durationHours,
+        max_booking_hours:
+          maxDurationHours === null
+            ? durationHours
+            : Math.min(durationHours, maxDurationHours),
+      };
+    });
+};
+
+module.exports = {
+  BLOCKING_BOOKING_STATUSES,
+  computeAvailableSlots,
+  expandRules,
+  mergeIntervals,
+  subtractIntervals,
+};
@@ -0,0 +1,138 @@
+/**
+ * Booking lifecycle:
+ *
+ *   requested -> accepted | declined
+ *   accepted  -> paid -> confirmed -> in_progress -> completed
+ *
+ * Any booking that has not started can be cancelled, unpaid bookings expire
+ * when their reservation hold lapses, and finished or running bookings can be
+ * disputed by the host. A chargeback disputes any paid booking.
+ */
+const BOOKING_STATUSES = [
+  "requested",
+  "accepted",
+  "declined",
+  "paid",
+  "confirmed",
+  "in_progress",
+  "completed",
+  "cancelled",
+  "expired",
+  "disputed",
+];
+
+// Statuses a booking never leaves
+const FINAL_STATUSES = ["declined", "cancelled", "expired"];
+
+// Roles that act on bookings; "system" covers webhooks and scheduled jobs
+const ACTOR_ROLES = ["host", "dj", "admin", "system"];
+
+// from -> to -> roles allowed to perform the transition
+const TRANSITIONS = {
+  requested: {
+    accepted: ["dj", "admin"],
+    declined: ["dj", "admin"],
+    cancelled: ["host", "admin"],
+    expired: ["system"],
+  },
+  accepted: {
+    paid: ["system"],
+    cancelled: ["host", "dj", "admin"],
+    expired: ["system"],
+  },
+  paid: {
+    confirmed: ["dj", "admin", "system"],
+    // The system cancels bookings whose balance could not be charged
+    cancelled: ["host", "dj", "admin", "system"],
+    disputed: ["system"],
+  },
+  confirmed: {
+    in_progress: ["dj", "system"],
+    cancelled: ["host", "dj", "admin", "system"],
+    disputed: ["system"],
+  },
+  in_progress: {
+    completed: ["dj", "admin", "system"],
+    disputed: ["host", "admin", "system"],
+  },
+  completed: {
+    disputed: ["host", "admin", "system"],
+  },
+  disputed: {
+    completed: ["admin"],
+    cancelled: ["admin"],
+  },
+};
+
+/**
+ * Check whether a status is part of the booking lifecycle
+ * @param {string} status - Booking status
+ * @returns {boolean} - True if the status is known
+ */
+const isValidStatus = (status) => BOOKING_STATUSES.includes(status);
+
+/**
+ * Check whether a booking status is terminal
+ * @param {string} status - Booking status
+ * @returns {boolean} - True if no further transitions are possible
+ */
+const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+/**
+ * List the statuses a role may move a booking to
+ * @param {string} fromStatus - Current booking status
+ * @param {string} role - Actor role (host, dj, admin or system)
+ * @returns {Array} - Reachable statuses
+ */
+const getAllowedTransitions = (fromStatus, role) => {
+  const targets = TRANSITIONS[fromStatus] || {};
+
+  return Object.keys(targets).filter((status) =>
+    targets[status].includes(role)
+  );
+};
+
+/**
+ * Check whether a role may move a booking between two statuses
+ * @param {string} fromStatus - Current booking status
+ * @param {string} toStatus - Requested booking status
+ * @param {string} role - Actor role (host, dj, admin or system)
+ * @returns {Object} - { allowed: true } or { allowed: false, status, error }
+ *   where status is the HTTP status to report
+ */
+const checkTransition = (fromStatus, toStatus, role) => {
+  if (!isValidStatus(toStatus)) {
+    return { allowed: false, status: 400, error: `Invalid status: ${toStatus}` };
+  }
+
+  const targets = TRANSITIONS[fromStatus] || {};
+
+  if (!targets[toStatus]) {
+    return {
+      allowed: false,
+      status: 409,
+      error: `Cannot change booking status from ${fromStatus} to ${toStatus}`,
+    };
+  }
+
+  if (!targets[toStatus].includes(role)) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Not authorized to change booking status from ${fromStatus} to ${toStatus}`,
+    };
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  FINAL_STATUSES,
+  ACTOR_ROLES,
+  TRANSITIONS,
+  isValidStatus,
+  isFinalStatus,
+  getAllowedTransitions,
+  checkTransition,
+};
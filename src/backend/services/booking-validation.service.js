@@ -0,0 +1,126 @@
+const moment = require("moment-timezone");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+// DJ profile columns that override the platform-wide booking limits
+const LIMIT_OVERRIDES = {
+  minDuration: "min_duration_hours",
+  maxDuration: "max_duration_hours",
+  minLeadTimeHours: "min_lead_time_hours",
+  maxAdvanceDays: "max_advance_days",
+};
+
+/**
+ * Resolve the booking limits that apply to a DJ
+ * @param {Object} djProfile - DJ profile, possibly with limit overrides
+ * @returns {Object} - { minDuration, maxDuration, minLeadTimeHours, maxAdvanceDays }
+ */
+const getBookingLimits = (djProfile = {}) =>
+  Object.keys(LIMIT_OVERRIDES).reduce((limits, limit) => {
+    const override = djProfile && djProfile[LIMIT_OVERRIDES[limit]];
+
+    limits[limit] =
+      override !== undefined && override !== null
+        ? Number(override)
+        : config.booking[limit];
+    return limits;
+  }, {});
+
+/**
+ * Build a field-level validation error
+ * @param {string} field - Request field the error is about
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Object} - { field, code, message }
+ */
+const fieldError = (field, code, message) => ({ field, code, message });
+
+/**
+ * Validate booking times against a DJ's booking limits
+ * @param {Object} options - Validation options
+ * @param {Object} options.startTime - Booking start (moment or Date)
+ * @param {Object} options.endTime - Booking end (moment or Date)
+ * @param {Object} options.djProfile - DJ profile, possibly with limit overrides
+ * @param {Date} options.now - Current time (defaults to now)
+ * @returns {Array} - Field-level errors; empty when the times are valid
+ */
+const validateBookingTimes = ({
+  startTime,
+  endTime,
+  djProfile,
+  now = new Date(),
+}) => {
+  const start = moment(startTime);
+  const end = moment(endTime);
+  const limits = getBookingLimits(djProfile);
+  const errors = [];
+
+  if (!end.isAfter(start)) {
+    errors.push(
+      fieldError(
+        "end_time",
+        "end_before_start",
+        "End time must be after start time"
+      )
+    );
+  } else {
+    const durationHours = end.diff(start, "hours", true);
+
+    if (durationHours < limits.minDuration) {
+      errors.push(
+        fieldError(
+          "end_time",
+          "duration_too_short",
+          `Bookings must last at least ${limits.minDuration} hours`
+        )
+      );
+    }
+
+    if (durationHours > limits.maxDuration) {
+      errors.push(
+        fieldError(
+          "end_time",
+          "duration_too_long",
+          `Bookings cannot last more than ${limits.maxDuration} hours`
+        )
+      );
+    }
+  }
+
+  if (start.isBefore(now)) {
+    errors.push(
+      fieldError("start_time", "in_past", "Start time must be in the future")
+    );
+  } else if (start.diff(now, "hours", true) < limits.minLeadTimeHours) {
+    errors.push(
+      fieldError(
+        "start_time",
+        "lead_time",
+        `Bookings must be made at least ${limits.minLeadTimeHours} hours in advance`
+      )
+    );
+  }
+
+  if (start.diff(now, "days", true) > limits.maxAdvanceDays) {
+    errors.push(
+      fieldError(
+        "start_time",
+        "too_far_ahead",
+        `Bookings cannot be made more than ${limits.maxAdvanceDays} days in advance`
+      )
+    );
+  }
+
+  return errors;
+};
+
+module.exports = {
+  LIMIT_OVERRIDES,
+  getBookingLimits,
+  fieldError,
+  validateBookingTimes,
+};
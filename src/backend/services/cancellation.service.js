@@ -0,0 +1,108 @@
+const moment = require("moment-timezone");
+const { roundCurrency } = require("./currency.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Policy used when a DJ has not picked one: full refund when the host
+ * cancels at least booking.cancellationPeriod hours ahead, nothing after
+ */
+const DEFAULT_POLICY = "standard";
+
+/**
+ * Build the refund tiers for every known policy
+ * @returns {Object} - Policy name -> tiers sorted by notice, longest first
+ */
+const loadPolicies = () => {
+  const policies = {
+    [DEFAULT_POLICY]: [
+      { hoursBefore: config.booking.cancellationPeriod, refundPercentage: 100 },
+    ],
+    ...(config.booking.cancellationPolicies || {}),
+  };
+
+  Object.keys(policies).forEach((name) => {
+    policies[name] = [...policies[name]].sort(
+      (a, b) => b.hoursBefore - a.hoursBefore
+    );
+  });
+
+  return policies;
+};
+
+const POLICIES = loadPolicies();
+
+/**
+ * Policies a DJ can choose for their bookings
+ */
+const CANCELLATION_POLICIES = Object.keys(POLICIES).filter(
+  (name) => name !== DEFAULT_POLICY
+);
+
+/**
+ * Resolve a policy name to its refund tiers
+ * @param {string} name - Policy name (flexible, moderate, strict), or empty for the default
+ * @returns {Object} - { name, tiers }
+ */
+const getPolicy = (name) => {
+  const policyName = POLICIES[name] ? name : DEFAULT_POLICY;
+
+  return { name: policyName, tiers: POLICIES[policyName] };
+};
+
+/**
+ * Work out how much of a booking's payments to refund on cancellation
+ * @param {Object} options - Quote options
+ * @param {Object} options.booking - Booking record
+ * @param {string} options.policyName - DJ's cancellation policy
+ * @param {string} options.cancelledBy - Role cancelling (host, dj, admin or system)
+ * @param {number} options.amountPaid - Total paid and not yet refunded
+ * @param {Date} options.now - Current time
+ * @returns {Object} - Policy, notice in hours, refund percentage and amount
+ */
+const computeCancellationQuote = ({
+  booking,
+  policyName,
+  cancelledBy,
+  amountPaid = 0,
+  now = new Date(),
+}) => {
+  const policy = getPolicy(policyName);
+  const hoursBeforeStart = moment(booking.start_time).diff(
+    moment(now),
+    "hours",
+    true
+  );
+
+  let refundPercentage = 100;
+
+  // Hosts are bound by the policy; DJ, admin and system cancellations
+  // are never the host's fault
+  if (cancelledBy === "host") {
+    const tier = policy.tiers.find((t) => hoursBeforeStart >= t.hoursBefore);
+    refundPercentage = tier ? tier.refundPercentage : 0;
+  }
+
+  return {
+    policy: policy.name,
+    cancelled_by: cancelledBy,
+    hours_before_start: Math.round(hoursBeforeStart * 100) / 100,
+    refund_percentage: refundPercentage,
+    amount_paid: amountPaid,
+    refund_amount: roundCurrency(
+      (amountPaid * refundPercentage) / 100,
+      booking.currency
+    ),
+  };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  CANCELLATION_POLICIES,
+  getPolicy,
+  computeCancellationQuote,
+};
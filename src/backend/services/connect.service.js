@@ -0,0 +1,200 @@
+const {
+  fromMinorUnits,
+  roundCurrency,
+  toMinorUnits,
+} = require("./currency.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+const PAYOUT_STATUSES = ["held", "pending", "in_transit", "paid", "reversed"];
+
+// Stripe payout statuses mapped onto ledger statuses
+const STRIPE_PAYOUT_STATUSES = {
+  pending: "in_transit",
+  in_transit: "in_transit",
+  paid: "paid",
+  failed: "pending",
+  canceled: "pending",
+};
+
+/**
+ * Convert a major-unit amount to Stripe's smallest currency unit
+ * @param {number} amount - Amount in major currency units
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in cents (or whole units for e.g. JPY)
+ */
+const toStripeAmount = (amount, currency) => toMinorUnits(amount, currency);
+
+/**
+ * Convert an amount in Stripe's smallest currency unit to major units
+ * @param {number} amount - Amount in cents (or whole units for e.g. JPY)
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in major currency units
+ */
+const fromStripeAmount = (amount, currency) =>
+  fromMinorUnits(amount, currency);
+
+/**
+ * Build PaymentIntent parameters for a charge held on the platform account
+ * until the party has happened; the platform fee is what it keeps back when
+ * the DJ's share is transferred. Stripe only takes application_fee_amount on
+ * destination or direct charges, so the fee is recorded in the metadata
+ * instead of being reported as an application fee
+ * @param {Object} charge - Charge details
+ * @param {number} charge.amount - Amount in major currency units
+ * @param {string} charge.currency - Currency code
+ * @param {number} charge.platformFee - Platform fee in major currency units
+ * @param {string} charge.customer - Stripe customer ID of the host
+ * @param {string} charge.description - Charge description
+ * @param {string} charge.bookingId - Booking the charge pays for
+ * @param {Object} charge.metadata - Extra metadata
+ * @returns {Object} - Parameters for stripe.paymentIntents.create
+ */
+const buildEscrowCharge = ({
+  amount,
+  currency,
+  platformFee,
+  customer,
+  description,
+  bookingId,
+  metadata = {},
+}) => ({
+  amount: toStripeAmount(amount, currency),
+  currency,
+  customer,
+  description,
+  transfer_group: `booking_${bookingId}`,
+  metadata: {
+    booking_id: bookingId,
+    platform_fee: platformFee,
+    ...metadata,
+  },
+});
+
+/**
+ * Build Transfer parameters releasing a DJ's share of a held charge
+ * @param {Object} entry - Payout ledger entry
+ * @param {string} chargeId - Charge the funds came from
+ * @returns {Object} - Parameters for stripe.transfers.create
+ */
+const buildTransfer = (entry, chargeId) => ({
+  amount: toStripeAmount(entry.amount, entry.currency),
+  currency: entry.currency,
+  destination: entry.stripe_account_id,
+  transfer_group: `booking_${entry.booking_id}`,
+  source_transaction: chargeId || undefined,
+  metadata: {
+    booking_id: entry.booking_id,
+    payment_id: entry.payment_id,
+    payout_id: entry.id,
+  },
+});
+
+/**
+ * Explain why a held payout cannot be released yet
+ * @param {Object} options - Release context
+ * @param {Object} options.booking - Booking the payout is for
+ * @param {Object} options.stream - Booking's stream, if any
+ * @param {Object} options.openClaim - Open no-show claim, if any
+ * @param {Date} options.completedAt - When the booking was completed
+ * @param {Date} options.now - Current time (defaults to now)
+ * @returns {string|null} - Reason the payout stays held, or null to release
+ */
+const getReleaseBlocker = ({
+  booking,
+  stream,
+  openClaim,
+  completedAt,
+  now = new Date(),
+}) => {
+  if (openClaim) {
+    return "Host filed a no-show claim";
+  }
+
+  if (!booking || booking.status !== "completed") {
+    return "Booking is not completed";
+  }
+
+  if (!stream || stream.status !== "ended") {
+    return "Stream has not ended";
+  }
+
+  const windowMs = config.payouts.disputeWindowHours * 60 * 60 * 1000;
+
+  if (!completedAt || new Date(completedAt).getTime() + windowMs > now) {
+    return "Dispute window is still open";
+  }
+
+  return null;
+};
+
+/**
+ * Summarize a connected account's onboarding state
+ * @param {Object} account - Stripe account object
+ * @returns {Object} - Flags stored on the DJ profile
+ */
+const accountStatus = (account) => ({
+  stripe_account_id: account.id,
+  stripe_charges_enabled: Boolean(account.charges_enabled),
+  stripe_payouts_enabled: Boolean(account.payouts_enabled),
+  stripe_details_submitted: Boolean(account.details_submitted),
+});
+
+/**
+ * Check whether a DJ can be paid through Stripe Connect
+ * @param {Object} djProfile - DJ profile with Stripe account flags
+ * @returns {boolean} - True once onboarding is complete
+ */
+const canReceivePayments = (djProfile) =>
+  Boolean(
+    djProfile &&
+      djProfile.stripe_account_id &&
+      djProfile.stripe_charges_enabled &&
+      djProfile.stripe_payouts_enabled
+  );
+
+/**
+ * Work out the DJ's share of a payment; the platform keeps its fee and the
+ * tax it collected, which it remits
+ * @param {Object} payment - Payment with amount, platform_fee and tax_amount
+ * @returns {number} - Amount transferred to the DJ
+ */
+const djShare = (payment) =>
+  roundCurrency(
+    Number(payment.amount) -
+      Number(payment.platform_fee) -
+      Number(payment.tax_amount || 0),
+    payment.currency
+  );
+
+/**
+ * Total payout ledger entries by status
+ * @param {Array} entries - Ledger entries
+ * @returns {Object} - Amount per ledger status
+ */
+const summarizePayouts = (entries) =>
+  entries.reduce(
+    (totals, entry) => ({
+      ...totals,
+      [entry.status]: roundCurrency(totals[entry.status] + Number(entry.amount)),
+    }),
+    PAYOUT_STATUSES.reduce((totals, status) => ({ ...totals, [status]: 0 }), {})
+  );
+
+module.exports = {
+  PAYOUT_STATUSES,
+  STRIPE_PAYOUT_STATUSES,
+  toStripeAmount,
+  fromStripeAmount,
+  buildEscrowCharge,
+  buildTransfer,
+  getReleaseBlocker,
+  accountStatus,
+  canReceivePayments,
+  djShare,
+  summarizePayouts,
+};
@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+// Currencies Stripe charges in whole units (no minor unit)
+const ZERO_DECIMAL_CURRENCIES = [
+  "BIF",
+  "CLP",
+  "DJF",
+  "GNF",
+  "JPY",
+  "KMF",
+  "KRW",
+  "MGA",
+  "PYG",
+  "RWF",
+  "UGX",
+  "VND",
+  "VUV",
+  "XAF",
+  "XOF",
+  "XPF",
+];
+
+/**
+ * Normalize a currency code to upper-case ISO 4217
+ * @param {string} currency - Currency code in any case
+ * @returns {string} - Upper-case currency code
+ */
+const normalizeCurrency = (currency) =>
+  String(currency || "")
+    .trim()
+    .toUpperCase();
+
+/**
+ * Get the currency used when a profile or booking does not name one
+ * @returns {string} - Upper-case currency code
+ */
+const getDefaultCurrency = () =>
+  normalizeCurrency(config.booking.defaultCurrency);
+
+/**
+ * Get the currencies DJs can price in and hosts can view quotes in
+ * @returns {Array} - Upper-case currency codes
+ */
+const getSupportedCurrencies = () =>
+  (config.currency.supported || [getDefaultCurrency()]).map(normalizeCurrency);
+
+/**
+ * Check whether a currency is supported
+ * @param {string} currency - Currency code
+ * @returns {boolean} - True for supported currencies, in any case
+ */
+const isSupportedCurrency = (currency) =>
+  typeof currency === "string" &&
+  getSupportedCurrencies().includes(normalizeCurrency(currency));
+
+/**
+ * Get the number of decimals of a currency's minor unit
+ * @param {string} currency - Currency code (defaults to two decimals)
+ * @returns {number} - 0 for zero-decimal currencies such as JPY, else 2
+ */
+const getMinorUnitDigits = (currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 0 : 2;
+
+/**
+ * Round an amount to a currency's minor unit
+ * @param {number} amount - Amount in major currency units
+ * @param {string} currency - Currency code (defaults to two decimals)
+ * @returns {number} - Amount rounded to cents, or to whole yen etc.
+ */
+const roundCurrency = (amount, currency) => {
+  const factor = 10 ** getMinorUnitDigits(currency);
+  return Math.round(Number(amount) * factor) / factor;
+};
+
+/**
+ * Convert a major-unit amount to the currency's smallest unit, as Stripe
+ * expects amounts
+ * @param {number} amount - Amount in major currency units
+ * @param {string} currency - Currency code
+ * @returns {number} - Integer amount in the smallest currency unit
+ */
+const toMinorUnits = (amount, currency) =>
+  Math.round(Number(amount) * 10 ** getMinorUnitDigits(currency));
+
+/**
+ * Convert an amount in the currency's smallest unit to major units
+ * @param {number} amount - Integer amount in the smallest currency unit
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in major currency units
+ */
+const fromMinorUnits = (amount, currency) =>
+  roundCurrency(Number(amount) / 10 ** getMinorUnitDigits(currency), currency);
+
+/**
+ * Format an amount with its currency code, e.g. "1,234.50 EUR" or "1,500 JPY"
+ * @param {number} amount - Amount in major currency units
+ * @param {string} currency - Currency code
+ * @returns {string} - Formatted amount
+ */
+const formatAmount = (amount, currency) => {
+  const digits = getMinorUnitDigits(currency);
+
+  return `${Number(amount).toLocaleString("en-US", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  })} ${normalizeCurrency(currency)}`;
+};
+
+/**
+ * Restate a quote summary in another currency for display; the host is
+ * still charged the original amounts in the DJ's currency
+ * @param {Object} summary - Result of summarizeQuote
+ * @param {Object} fx - Exchange rate ({ currency, rate, as_of })
+ * @returns {Object} - Converted line items, subtotal, fees, taxes and total
+ */
+const convertQuote = (summary, { currency, rate, as_of }) => {
+  const convert = (amount) => roundCurrency(Number(amount) * rate, currency);
+
+  return {
+    currency,
+    rate,
+    rate_as_of: as_of || null,
+    line_items: summary.line_items.map((item) => ({
+      ...item,
+      unit_amount: convert(item.unit_amount),
+      amount: convert(item.amount),
+    })),
+    subtotal: convert(summary.subtotal),
+    platform_fee: convert(summary.platform_fee),
+    tax_lines: summary.tax_lines.map((line) => ({
+      ...line,
+      amount: convert(line.amount),
+    })),
+    tax_amount: convert(summary.tax_amount),
+    total: convert(summary.total),
+  };
+};
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  normalizeCurrency,
+  getDefaultCurrency,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  getMinorUnitDigits,
+  roundCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  formatAmount,
+  convertQuote,
+};
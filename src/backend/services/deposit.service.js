@@ -0,0 +1,84 @@
+const moment = require("moment-timezone");
+const { roundCurrency } = require("./currency.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+// How a booking can be paid for: all at once, or a deposit now and the
+// balance charged to the saved card before the party
+const PAYMENT_PLANS = ["full", "deposit"];
+
+// What each payment row of a booking pays for
+const PAYMENT_KINDS = ["full", "deposit", "balance", "adjustment"];
+
+// Bookings whose balance is still worth collecting
+const BALANCE_BOOKING_STATUSES = ["paid", "confirmed"];
+
+/**
+ * Check whether a booking starts far enough ahead to be paid with a deposit
+ * @param {Object} booking - Booking record
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if a deposit plan is allowed
+ */
+const isDepositAvailable = (booking, now = new Date()) =>
+  moment(booking.start_time).diff(moment(now), "days", true) >=
+  config.deposits.minDaysAhead;
+
+/**
+ * Split a booking amount into the deposit charged now and the balance
+ * @param {number} amount - Pre-tax amount after any discount
+ * @param {string} currency - Currency of the amount
+ * @returns {Object} - { deposit, balance }
+ */
+const splitDeposit = (amount, currency) => {
+  const deposit = roundCurrency(
+    (Number(amount) * config.deposits.percentage) / 100,
+    currency
+  );
+
+  return {
+    deposit,
+    balance: roundCurrency(Number(amount) - deposit, currency),
+  };
+};
+
+/**
+ * Work out when a booking's balance is charged
+ * @param {Object} booking - Booking record
+ * @returns {Date} - balanceDueDays before the party starts
+ */
+const getBalanceDueAt = (booking) =>
+  moment(booking.start_time)
+    .subtract(config.deposits.balanceDueDays, "days")
+    .toDate();
+
+/**
+ * Work out when to retry a failed balance charge
+ * @param {number} attempts - Charges attempted so far, including the failed one
+ * @param {Object} booking - Booking record
+ * @param {Date} now - Time of the failed attempt
+ * @returns {Date|null} - Next attempt, or null once retries are used up or
+ *   would fall after the party has started
+ */
+const getNextAttemptAt = (attempts, booking, now = new Date()) => {
+  if (attempts >= config.deposits.maxAttempts) {
+    return null;
+  }
+
+  const next = moment(now).add(config.deposits.retryIntervalHours, "hours");
+
+  return next.isBefore(moment(booking.start_time)) ? next.toDate() : null;
+};
+
+module.exports = {
+  PAYMENT_PLANS,
+  PAYMENT_KINDS,
+  BALANCE_BOOKING_STATUSES,
+  isDepositAvailable,
+  splitDeposit,
+  getBalanceDueAt,
+  getNextAttemptAt,
+};
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeCurrency } = require("./currency.service");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * An FX-rate provider is an object with an async getRate(from, to) method
+ * resolving to { rate, as_of }, where one unit of `from` buys `rate` units
+ * of `to`. Providers are registered by name and picked with
+ * config.currency.fx.provider.
+ */
+const providerFactories = {};
+
+let activeProvider = null;
+
+/**
+ * Register an FX-rate provider
+ * @param {string} name - Name used in config.currency.fx.provider
+ * @param {Function} factory - Builds the provider from the fx config section
+ */
+const registerFxProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Build a provider that reads rates from a JSON file of the form
+ * { "base": "USD", "as_of": "...", "rates": { "EUR": 0.92, ... } }; used
+ * offline and in tests
+ * @param {Object} options - Provider options
+ * @param {string} options.ratesFile - Rates file, relative to the config directory
+ * @returns {Object} - FX-rate provider
+ */
+const createStaticFileProvider = ({ ratesFile }) => {
+  const filePath = path.resolve(path.dirname(configPath), ratesFile);
+  const table = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const base = normalizeCurrency(table.base);
+  const rates = { ...table.rates, [base]: 1 };
+
+  return {
+    name: "static",
+    getRate: async (from, to) => {
+      const fromRate = rates[normalizeCurrency(from)];
+      const toRate = rates[normalizeCurrency(to)];
+
+      if (!fromRate || !toRate) {
+        const rateError = new Error(`No exchange rate from ${from} to ${to}`);
+        rateError.status = 400;
+        throw rateError;
+      }
+
+      // Cross rates go through the table's base currency
+      return { rate: toRate / fromRate, as_of: table.as_of || null };
+    },
+  };
+};
+
+registerFxProvider("static", createStaticFileProvider);
+
+/**
+ * Get the configured FX-rate provider
+ * @returns {Object} - FX-rate provider
+ */
+const getFxProvider = () => {
+  if (!activeProvider) {
+    const fxConfig = config.currency.fx;
+    const factory = providerFactories[fxConfig.provider];
+
+    if (!factory) {
+      throw new Error(`Unknown FX-rate provider: ${fxConfig.provider}`);
+    }
+
+    activeProvider = factory(fxConfig);
+  }
+
+  return activeProvider;
+};
+
+/**
+ * Replace the FX-rate provider, e.g. with a live feed or a test double
+ * @param {Object|null} provider - Provider, or null to rebuild from config
+ */
+const setFxProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Get the exchange rate between two currencies
+ * @param {string} from - Currency being converted
+ * @param {string} to - Currency converted into
+ * @returns {Promise} - { currency, rate, as_of }
+ */
+const getExchangeRate = async (from, to) => {
+  const currency = normalizeCurrency(to);
+
+  if (normalizeCurrency(from) === currency) {
+    return { currency, rate: 1, as_of: null };
+  }
+
+  const { rate, as_of } = await getFxProvider().getRate(from, to);
+
+  return { currency, rate, as_of };
+};
+
+module.exports = {
+  registerFxProvider,
+  createStaticFileProvider,
+  getFxProvider,
+  setFxProvider,
+  getExchangeRate,
+};
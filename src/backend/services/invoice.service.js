@@ -0,0 +1,470 @@
+const moment = require("moment-timezone");
+const {
+  formatAmount,
+  normalizeCurrency,
+  roundCurrency,
+} = require("./currency.service");
+const { VOIDED_REFUND_STATUSES } = require("./refund.service");
+const { LINE_WIDTH } = require("./pdf.service");
+
+// Payment statuses that took the host's money and so get an invoice
+const INVOICEABLE_STATUSES = [
+  "succeeded",
+  "partially_refunded",
+  "refunded",
+  "disputed",
+];
+
+// Billing details hosts can add to their profile for invoices
+const BILLING_DETAIL_FIELDS = [
+  "company_name",
+  "tax_id",
+  "address_line1",
+  "address_line2",
+  "city",
+  "postal_code",
+  "region",
+  "country",
+];
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Check whether a payment can be invoiced
+ * @param {Object} payment - Payment
+ * @returns {boolean} - True once the payment has succeeded
+ */
+const isInvoiceable = (payment) => INVOICEABLE_STATUSES.includes(payment.status);
+
+// Payments that pay part of the booking price, as billed on their invoice
+const INSTALMENT_DESCRIPTIONS = {
+  deposit: "Deposit for booking",
+  balance: "Balance for booking",
+};
+
+/**
+ * Itemize what a payment paid for before tax: the booking's line items when
+ * the payment covers the whole booking, otherwise a single line for the
+ * deposit, balance or difference (e.g. a reschedule that made the booking
+ * dearer); a promo code discount is a negative line of its own, except on
+ * deposits and balances, which are worked out after it
+ * @param {Object} payment - Payment
+ * @param {Object} booking - Booking the payment is for
+ * @param {Array} lineItems - Booking line items
+ * @returns {Array} - Invoice line items
+ */
+const invoiceLineItems = (payment, booking, lineItems) => {
+  if (INSTALMENT_DESCRIPTIONS[payment.kind]) {
+    const amount = roundCurrency(
+      Number(payment.amount) - Number(payment.tax_amount || 0),
+      payment.currency
+    );
+
+    return [
+      {
+        type: "charge",
+        description: `${INSTALMENT_DESCRIPTIONS[payment.kind]} ${booking.id}`,
+        quantity: 1,
+        unit_amount: amount,
+        amount,
+      },
+    ];
+  }
+
+  const discount = Number(payment.discount_amount || 0);
+  const discountLines =
+    discount > 0
+      ? [
+          {
+            type: "discount",
+            description: "Promo code discount",
+            quantity: 1,
+            unit_amount: -discount,
+            amount: -discount,
+          },
+        ]
+      : [];
+  const amount = roundCurrency(
+    Number(payment.amount) - Number(payment.tax_amount || 0) + discount,
+    payment.currency
+  );
+  const itemized = roundCurrency(
+    lineItems.reduce((sum, item) => sum + Number(item.amount), 0),
+    payment.currency
+  );
+
+  if (lineItems.length > 0 && itemized === amount) {
+    return [
+      ...lineItems.map((item) => ({
+        type: item.type,
+        description: item.description,
+        quantity: Number(item.quantity),
+        unit_amount: Number(item.unit_amount),
+        amount: Number(item.amount),
+      })),
+      ...discountLines,
+    ];
+  }
+
+  return [
+    {
+      type: "charge",
+      description:
+        lineItems.length > 0
+          ? `Price change to booking ${booking.id}`
+          : "DJ performance",
+      quantity: 1,
+      unit_amount: amount,
+      amount,
+    },
+    ...discountLines,
+  ];
+};
+
+/**
+ * Build the invoice for a payment; the invoice number is assigned when it is
+ * stored
+ * @param {Object} options - Invoice sources
+ * @param {Object} options.payment - Invoiceable payment
+ * @param {Object} options.booking - Booking the payment is for
+ * @param {Array} options.lineItems - Booking line items
+ * @param {Object} options.host - Host being billed
+ * @param {Object} options.djProfile - DJ who performed
+ * @returns {Object} - Invoice record
+ */
+const buildInvoice = ({ payment, booking, lineItems, host, djProfile }) => {
+  const name = [host.first_name, host.last_name].filter(Boolean).join(" ");
+  const taxAmount = Number(payment.tax_amount || 0);
+
+  return {
+    payment_id: payment.id,
+    booking_id: booking.id,
+    host_id: host.id,
+    dj_profile_id: djProfile.id,
+    currency: normalizeCurrency(payment.currency),
+    billed_to: {
+      name: name || host.email,
+      email: host.email,
+      ...pickBillingDetails(host.billing_details || {}),
+    },
+    performer: {
+      stage_name: djProfile.stage_name,
+    },
+    service_start: booking.start_time,
+    service_end: booking.end_time,
+    line_items: invoiceLineItems(payment, booking, lineItems),
+    subtotal: roundCurrency(
+      Number(payment.amount) - taxAmount,
+      payment.currency
+    ),
+    platform_fee: Number(payment.platform_fee),
+    tax_lines: payment.tax_lines || [],
+    tax_amount: taxAmount,
+    total: Number(payment.amount),
+    credit_amount: Number(payment.credit_amount || 0),
+  };
+};
+
+/**
+ * Pick the known billing detail fields from an object
+ * @param {Object} details - Billing details
+ * @returns {Object} - Non-empty known fields
+ */
+const pickBillingDetails = (details) =>
+  BILLING_DETAIL_FIELDS.reduce((picked, field) => {
+    if (details[field]) {
+      picked[field] = String(details[field]);
+    }
+    return picked;
+  }, {});
+
+/**
+ * Sum the refunds that returned money
+ * @param {Array} refunds - Refund ledger rows
+ * @param {string} currency - Currency of the refunds
+ * @returns {number} - Amount refunded
+ */
+const refundedTotal = (refunds, currency) =>
+  roundCurrency(
+    refunds
+      .filter((refund) => !VOIDED_REFUND_STATUSES.includes(refund.status))
+      .reduce((sum, refund) => sum + Number(refund.amount), 0),
+    currency
+  );
+
+/**
+ * Lay out a row of columns in the fixed-width body
+ * @param {string} left - Left-aligned text
+ * @param {Array} right - Right-aligned columns as [text, width]
+ * @returns {string} - Row padded to the page width
+ */
+const row = (left, right = []) => {
+  const columns = right
+    .map(([text, width]) => String(text).padStart(width))
+    .join("");
+  const room = Math.max(LINE_WIDTH - columns.length, 0);
+  const label =
+    left.length > room ? `${left.slice(0, Math.max(room - 4, 0))}... ` : left;
+
+  return label.padEnd(room) + columns;
+};
+
+const rule = () => "-".repeat(LINE_WIDTH);
+
+/**
+ * Lay out an invoice, and the refunds issued against it, as PDF text lines
+ * @param {Object} invoice - Stored invoice
+ * @param {Array} refunds - Refund ledger rows for the payment
+ * @param {Object} issuer - Issuer details from config ({ name, address, email, taxId })
+ * @returns {Array} - Lines for renderTextPdf
+ */
+const invoiceLines = (invoice, refunds, issuer) => {
+  const money = (amount) => formatAmount(amount, invoice.currency);
+  const billedTo = invoice.billed_to || {};
+  const refunded = refundedTotal(refunds, invoice.currency);
+
+  const lines = [
+    { text: `INVOICE ${invoice.number}`, bold: true },
+    `Issued: ${moment.utc(invoice.issued_at).format("YYYY-MM-DD")}`,
+    `Service date: ${moment.utc(invoice.service_start).format("YYYY-MM-DD HH:mm")} UTC`,
+    `Booking: ${invoice.booking_id}`,
+    "",
+    { text: "From", bold: true },
+    issuer.name,
+    ...(issuer.address || []),
+    ...(issuer.email ? [issuer.email] : []),
+    ...(issuer.taxId ? [`Tax ID: ${issuer.taxId}`] : []),
+    `On behalf of: ${invoice.performer.stage_name}`,
+    "",
+    { text: "Bill to", bold: true },
+    ...[
+      billedTo.company_name,
+      billedTo.name,
+      billedTo.address_line1,
+      billedTo.address_line2,
+      [billedTo.postal_code, billedTo.city].filter(Boolean).join(" "),
+      [billedTo.region, billedTo.country].filter(Boolean).join(", "),
+      billedTo.email,
+      billedTo.tax_id && `Tax ID: ${billedTo.tax_id}`,
+    ].filter(Boolean),
+    "",
+    {
+      text: row("Description", [
+        ["Qty", 8],
+        ["Unit price", 18],
+        ["Amount", 18],
+      ]),
+      bold: true,
+    },
+    rule(),
+    ...invoice.line_items.map((item) =>
+      row(item.description, [
+        [item.quantity, 8],
+        [money(item.unit_amount), 18],
+        [money(item.amount), 18],
+      ])
+    ),
+    rule(),
+    row("Subtotal", [[money(invoice.subtotal), 18]]),
+    ...invoice.tax_lines.map((line) =>
+      row(line.description, [[money(line.amount), 18]])
+    ),
+    { text: row("Total", [[money(invoice.total), 18]]), bold: true },
+    row("Of which platform fee", [[money(invoice.platform_fee), 18]]),
+  ];
+
+  if (Number(invoice.credit_amount) > 0) {
+    lines.push(
+      row("Paid with gift credit", [[money(invoice.credit_amount), 18]]),
+      row("Charged to card", [
+        [
+          money(
+            roundCurrency(invoice.total - invoice.credit_amount, invoice.currency)
+          ),
+          18,
+        ],
+      ])
+    );
+  }
+
+  if (refunds.length > 0) {
+    lines.push("", { text: "Refunds", bold: true });
+    refunds.forEach((refund) => {
+      lines.push(
+        row(
+          `${moment.utc(refund.created_at).format("YYYY-MM-DD")} ${
+            refund.note || refund.reason || "Refund"
+          } (${refund.status})`,
+          [[money(-refund.amount), 18]]
+        )
+      );
+    });
+    lines.push({
+      text: row("Net paid", [
+        [money(roundCurrency(invoice.total - refunded, invoice.currency)), 18],
+      ]),
+      bold: true,
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Parse a statement month in a timezone
+ * @param {string} month - Month as YYYY-MM
+ * @param {string} timezone - IANA timezone the month is counted in
+ * @returns {Object|null} - { start, end } as Dates, or null if invalid
+ */
+const parseStatementMonth = (month, timezone) => {
+  if (typeof month !== "string" || !MONTH_PATTERN.test(month)) {
+    return null;
+  }
+
+  const start = moment.tz(`${month}-01`, "YYYY-MM-DD", timezone);
+
+  return {
+    start: start.toDate(),
+    end: start.clone().add(1, "month").toDate(),
+  };
+};
+
+/**
+ * Build a DJ's statement of paid bookings for a month; the platform fee and
+ * the tax collected shrink in proportion to what was refunded, as the DJ's
+ * payout does
+ * @param {Object} options - Statement sources
+ * @param {Object} options.djProfile - DJ profile
+ * @param {string} options.month - Month as YYYY-MM
+ * @param {Array} options.payments - Invoiceable payments for the month
+ * @param {Object} options.invoiceNumbers - Invoice number per payment ID
+ * @returns {Object} - Statement entries and totals per currency
+ */
+const buildStatement = ({ djProfile, month, payments, invoiceNumbers = {} }) => {
+  const entries = payments.map((payment) => {
+    const currency = normalizeCurrency(payment.currency);
+    const gross = Number(payment.amount);
+    const refunded = Math.min(Number(payment.amount_refunded || 0), gross);
+    const retained = (amount) =>
+      roundCurrency(
+        gross > 0 ? (Number(amount || 0) * (gross - refunded)) / gross : 0,
+        currency
+      );
+    const platformFee = retained(payment.platform_fee);
+    const tax = retained(payment.tax_amount);
+
+    return {
+      payment_id: payment.id,
+      booking_id: payment.booking_id,
+      invoice_number: invoiceNumbers[payment.id] || null,
+      paid_at: payment.created_at,
+      status: payment.status,
+      currency,
+      gross,
+      refunded,
+      platform_fee: platformFee,
+      tax,
+      net: roundCurrency(gross - refunded - platformFee - tax, currency),
+    };
+  });
+
+  const totals = entries.reduce((byCurrency, entry) => {
+    const total = byCurrency[entry.currency] || {
+      bookings: 0,
+      gross: 0,
+      refunded: 0,
+      platform_fee: 0,
+      tax: 0,
+      net: 0,
+    };
+
+    byCurrency[entry.currency] = {
+      bookings: total.bookings + 1,
+      gross: roundCurrency(total.gross + entry.gross, entry.currency),
+      refunded: roundCurrency(total.refunded + entry.refunded, entry.currency),
+      platform_fee: roundCurrency(
+        total.platform_fee + entry.platform_fee,
+        entry.currency
+      ),
+      tax: roundCurrency(total.tax + entry.tax, entry.currency),
+      net: roundCurrency(total.net + entry.net, entry.currency),
+    };
+    return byCurrency;
+  }, {});
+
+  return {
+    dj_profile_id: djProfile.id,
+    stage_name: djProfile.stage_name,
+    month,
+    entries,
+    totals,
+  };
+};
+
+/**
+ * Lay out a DJ statement as PDF text lines
+ * @param {Object} statement - Result of buildStatement
+ * @param {string} timezone - Timezone dates are shown in
+ * @returns {Array} - Lines for renderTextPdf
+ */
+const statementLines = (statement, timezone) => {
+  const columns = (entry) => [
+    [formatAmount(entry.gross, entry.currency), 14],
+    [formatAmount(-entry.refunded, entry.currency), 14],
+    [formatAmount(-entry.platform_fee, entry.currency), 14],
+    [formatAmount(-entry.tax, entry.currency), 14],
+    [formatAmount(entry.net, entry.currency), 14],
+  ];
+
+  return [
+    { text: `STATEMENT ${statement.month}`, bold: true },
+    statement.stage_name,
+    `All dates in ${timezone}`,
+    "",
+    {
+      text: row("Date / invoice", [
+        ["Gross", 14],
+        ["Refunded", 14],
+        ["Platform fee", 14],
+        ["Tax", 14],
+        ["Net", 14],
+      ]),
+      bold: true,
+    },
+    rule(),
+    ...(statement.entries.length > 0
+      ? statement.entries.map((entry) =>
+          row(
+            `${moment.tz(entry.paid_at, timezone).format("MM-DD")} ${
+              entry.invoice_number || entry.booking_id
+            }`,
+            columns(entry)
+          )
+        )
+      : ["No paid bookings this month"]),
+    rule(),
+    ...Object.keys(statement.totals).map((currency) => ({
+      text: row(
+        `Total ${currency} (${statement.totals[currency].bookings})`,
+        columns({
+          ...statement.totals[currency],
+          currency,
+        })
+      ),
+      bold: true,
+    })),
+  ];
+};
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  BILLING_DETAIL_FIELDS,
+  isInvoiceable,
+  invoiceLineItems,
+  buildInvoice,
+  pickBillingDetails,
+  invoiceLines,
+  parseStatementMonth,
+  buildStatement,
+  statementLines,
+};
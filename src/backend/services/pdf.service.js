@@ -0,0 +1,117 @@
+// A4 in points, with a fixed-width body so columns can be laid out by padding
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 13;
+const LINES_PER_PAGE = Math.floor(
+  (PAGE_HEIGHT - 2 * MARGIN - LINE_HEIGHT) / LINE_HEIGHT
+);
+
+// Characters per line at FONT_SIZE in Courier (0.6em per character)
+const LINE_WIDTH = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+/**
+ * Escape text for a PDF string literal, replacing characters outside
+ * WinAnsi's printable Latin-1 range
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/([\\()])/g, "\\$1");
+
+/**
+ * Build the content stream of one page
+ * @param {Array} lines - Lines of the page ({ text, bold })
+ * @param {string} footer - Footer text
+ * @returns {string} - Content stream
+ */
+const pageContent = (lines, footer) => {
+  const top = PAGE_HEIGHT - MARGIN - FONT_SIZE;
+  const ops = lines.map(
+    (line, index) =>
+      `BT /${line.bold ? "F2" : "F1"} ${FONT_SIZE} Tf ${MARGIN} ${
+        top - index * LINE_HEIGHT
+      } Td (${escapeText(line.text)}) Tj ET`
+  );
+
+  ops.push(
+    `BT /F1 ${FONT_SIZE - 1} Tf ${MARGIN} ${MARGIN - 10} Td (${escapeText(
+      footer
+    )}) Tj ET`
+  );
+
+  return ops.join("\n");
+};
+
+/**
+ * Render lines of fixed-width text as a PDF document
+ * @param {Object} document - Document to render
+ * @param {string} document.title - Document title (metadata and footer)
+ * @param {Array} document.lines - Strings, or { text, bold } for headings
+ * @returns {Buffer} - PDF file
+ */
+const renderTextPdf = ({ title, lines }) => {
+  const normalized = lines.map((line) =>
+    typeof line === "string" ? { text: line, bold: false } : line
+  );
+  const pages = [];
+
+  for (let i = 0; i < Math.max(normalized.length, 1); i += LINES_PER_PAGE) {
+    pages.push(normalized.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Objects 1-5 are fixed; each page then takes a page and a content object
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages
+      .map((page, index) => `${6 + index * 2} 0 R`)
+      .join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title (${escapeText(title)}) /Producer (PartyStream) >>`,
+  ];
+
+  pages.forEach((page, index) => {
+    const content = pageContent(
+      page,
+      `${title} - page ${index + 1} of ${pages.length}`
+    );
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+        7 + index * 2
+      } 0 R >>`,
+      `<< /Length ${Buffer.byteLength(
+        content,
+        "latin1"
+      )} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Byte offsets of each object for the cross-reference table
+  let body = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body, "latin1");
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(body, "latin1");
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\n`;
+  body += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, "latin1");
+};
+
+module.exports = {
+  LINE_WIDTH,
+  LINES_PER_PAGE,
+  renderTextPdf,
+};
@@ -0,0 +1,88 @@
+const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+// IVS verifies playback tokens against the public half of an imported key
+// pair, which only accepts ECDSA P-384 keys
+const PLAYBACK_TOKEN_ALGORITHM = "ES384";
+
+/**
+ * Read the platform's playback private key, a PEM that may have its line
+ * breaks escaped when it comes from a .env file
+ * @returns {string|null} - PEM private key, or null if none is configured
+ */
+const getPlaybackPrivateKey = () => {
+  const key = process.env.IVS_PLAYBACK_PRIVATE_KEY;
+  return key ? key.replace(/\\n/g, "\n") : null;
+};
+
+/**
+ * Sign a token that lets one viewer play an authorized IVS channel
+ * @param {Object} params - Token details
+ * @param {string} params.channelArn - Channel the token is for
+ * @param {string} params.viewerId - Who is watching (user ID), used to revoke
+ * @param {number} params.sessionVersion - Viewer session version; revoking
+ *   a version revokes every token signed with it or an earlier one
+ * @param {string} params.origin - Origin allowed to play the stream, if any
+ * @param {Date} params.now - Current time
+ * @param {string} privateKey - PEM private key (defaults to the platform key)
+ * @returns {Object} - { token, expires_at }
+ */
+const createPlaybackToken = (
+  {
+    channelArn,
+    viewerId,
+    sessionVersion = 0,
+    origin = null,
+    now = new Date(),
+  },
+  privateKey = getPlaybackPrivateKey()
+) => {
+  if (!privateKey) {
+    throw new Error("No IVS playback private key is configured");
+  }
+
+  const issuedAt = Math.floor(now.getTime() / 1000);
+  const expiresAt = issuedAt + config.aws.ivs.playback.tokenTtlSeconds;
+  const payload = {
+    "aws:channel-arn": channelArn,
+    "aws:viewer-id": viewerId,
+    "aws:viewer-session-version": sessionVersion,
+    iat: issuedAt,
+    exp: expiresAt,
+  };
+
+  if (origin) {
+    payload["aws:access-control-allow-origin"] = origin;
+  }
+
+  return {
+    token: jwt.sign(payload, privateKey, {
+      algorithm: PLAYBACK_TOKEN_ALGORITHM,
+    }),
+    expires_at: new Date(expiresAt * 1000),
+  };
+};
+
+/**
+ * Add a playback token to a channel's playback URL
+ * @param {string} playbackUrl - Channel playback URL
+ * @param {string} token - Signed playback token
+ * @returns {string} - URL the player can load
+ */
+const getTokenPlaybackUrl = (playbackUrl, token) => {
+  const url = new URL(playbackUrl);
+  url.searchParams.set("token", token);
+  return url.toString();
+};
+
+module.exports = {
+  PLAYBACK_TOKEN_ALGORITHM,
+  getPlaybackPrivateKey,
+  createPlaybackToken,
+  getTokenPlaybackUrl,
+};
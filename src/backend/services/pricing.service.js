@@ -0,0 +1,264 @@
+const moment = require("moment-timezone");
+const { expandRules, mergeIntervals } = require("./availability.service");
+const {
+  getDefaultCurrency,
+  normalizeCurrency,
+  roundCurrency,
+} = require("./currency.service");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+const PRICING_MODELS = ["hourly", "per_event"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Round a quantity (hours or units) to two decimals
+ * @param {number} quantity - Quantity
+ * @returns {number} - Quantity rounded to two decimals
+ */
+const roundQuantity = (quantity) => Math.round(quantity * 100) / 100;
+
+/**
+ * Count the hours of a booking that fall inside the DJ's late-night window
+ * @param {Object} djProfile - DJ profile with late_night_start/end
+ * @param {Object} start - Booking start (moment)
+ * @param {Object} end - Booking end (moment)
+ * @param {string} timezone - DJ's timezone
+ * @returns {number} - Late-night hours
+ */
+const lateNightHours = (djProfile, start, end, timezone) => {
+  const windows = mergeIntervals(
+    expandRules(
+      [
+        {
+          days_of_week: ALL_DAYS,
+          start_time: djProfile.late_night_start || "00:00",
+          end_time: djProfile.late_night_end || "06:00",
+          timezone,
+        },
+      ],
+      start.valueOf(),
+      end.valueOf()
+    )
+  );
+
+  const overlapMs = windows.reduce((total, window) => {
+    const overlap =
+      Math.min(window.end, end.valueOf()) -
+      Math.max(window.start, start.valueOf());
+    return total + Math.max(overlap, 0);
+  }, 0);
+
+  return overlapMs / HOUR_MS;
+};
+
+/**
+ * Check whether a local date is a configured holiday
+ * @param {Object} localStart - Booking start in the DJ's timezone (moment)
+ * @returns {boolean} - True for recurring (MM-DD) or one-off (YYYY-MM-DD) holidays
+ */
+const isHoliday = (localStart) => {
+  const holidays = config.pricing.holidays || [];
+
+  return (
+    holidays.includes(localStart.format("MM-DD")) ||
+    holidays.includes(localStart.format("YYYY-MM-DD"))
+  );
+};
+
+/**
+ * Build a line item
+ * @param {string} type - Line item type
+ * @param {string} description - Human-readable description
+ * @param {number} quantity - Quantity (hours or units)
+ * @param {number} unitAmount - Price per unit
+ * @param {string} currency - Currency the amounts are in
+ * @param {Object} extra - Extra fields (e.g. add_on_id)
+ * @returns {Object} - Line item
+ */
+const lineItem = (
+  type,
+  description,
+  quantity,
+  unitAmount,
+  currency,
+  extra = {}
+) => ({
+  type,
+  description,
+  quantity: roundQuantity(quantity),
+  unit_amount: roundCurrency(unitAmount, currency),
+  amount: roundCurrency(quantity * unitAmount, currency),
+  ...extra,
+});
+
+/**
+ * Price a booking for a DJ as itemized line items, in the DJ's currency
+ * @param {Object} options - Quote options
+ * @param {Object} options.djProfile - DJ profile with pricing fields and currency
+ * @param {Object} options.startTime - Booking start (moment or Date)
+ * @param {Object} options.endTime - Booking end (moment or Date)
+ * @param {Array} options.addOns - Selected add-ons as { id, name, price }
+ * @returns {Object} - { pricing_model, currency, line_items, subtotal }
+ */
+const computeQuote = ({ djProfile, startTime, endTime, addOns = [] }) => {
+  const timezone = djProfile.timezone || "UTC";
+  const currency = normalizeCurrency(
+    djProfile.currency || getDefaultCurrency()
+  );
+  const start = moment.tz(startTime, timezone);
+  const end = moment.tz(endTime, timezone);
+  const durationHours = end.diff(start, "hours", true);
+  const pricingModel = djProfile.pricing_model || "hourly";
+  const lineItems = [];
+
+  // Performance fee
+  const base =
+    pricingModel === "per_event"
+      ? lineItem(
+          "base",
+          "Performance (per-event fee)",
+          1,
+          djProfile.event_fee,
+          currency
+        )
+      : lineItem(
+          "base",
+          "Performance (hourly rate)",
+          durationHours,
+          djProfile.hourly_rate,
+          currency
+        );
+  lineItems.push(base);
+
+  // Late-night hours cost the base rate times the multiplier
+  const multiplier = Number(djProfile.late_night_multiplier) || 1;
+  const nightHours =
+    multiplier > 1 ? lateNightHours(djProfile, start, end, timezone) : 0;
+
+  if (nightHours > 0) {
+    lineItems.push(
+      lineItem(
+        "late_night",
+        `Late-night premium (${multiplier}x)`,
+        nightHours,
+        (base.amount / durationHours) * (multiplier - 1),
+        currency
+      )
+    );
+  }
+
+  // Holiday surcharges take precedence over weekend surcharges
+  const performance = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const holidayPercentage = Number(djProfile.holiday_surcharge_percentage) || 0;
+  const weekendPercentage = Number(djProfile.weekend_surcharge_percentage) || 0;
+
+  if (holidayPercentage > 0 && isHoliday(start)) {
+    lineItems.push(
+      lineItem(
+        "holiday_surcharge",
+        `Holiday surcharge (${holidayPercentage}%)`,
+        1,
+        (performance * holidayPercentage) / 100,
+        currency
+      )
+    );
+  } else if (
+    weekendPercentage > 0 &&
+    config.pricing.weekendDays.includes(start.day())
+  ) {
+    lineItems.push(
+      lineItem(
+        "weekend_surcharge",
+        `Weekend surcharge (${weekendPercentage}%)`,
+        1,
+        (performance * weekendPercentage) / 100,
+        currency
+      )
+    );
+  }
+
+  // Top performance charges up to the DJ's minimum fee
+  const charged = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const minimumFee = Number(djProfile.minimum_fee) || 0;
+
+  if (minimumFee > charged) {
+    lineItems.push(
+      lineItem(
+        "minimum_fee",
+        "Minimum booking fee",
+        1,
+        minimumFee - charged,
+        currency
+      )
+    );
+  }
+
+  addOns.forEach((addOn) => {
+    lineItems.push(
+      lineItem("add_on", addOn.name, 1, addOn.price, currency, {
+        add_on_id: addOn.id,
+      })
+    );
+  });
+
+  return {
+    pricing_model: pricingModel,
+    currency,
+    line_items: lineItems,
+    subtotal: roundCurrency(
+      lineItems.reduce((sum, item) => sum + item.amount, 0),
+      currency
+    ),
+  };
+};
+
+/**
+ * Work out the platform's share of an amount
+ * @param {number} amount - Amount charged in major currency units
+ * @param {string} currency - Currency of the amount
+ * @returns {number} - Platform fee, retained from the amount
+ */
+const computePlatformFee = (amount, currency) =>
+  roundCurrency(
+    (amount * (config.stripe.platformFeePercentage || 15)) / 100,
+    currency
+  );
+
+/**
+ * Summarize a quote as the host will be charged for it
+ * @param {Object} quote - Result of computeQuote
+ * @param {Array} taxLines - Tax lines from the tax service, added on top
+ * @returns {Object} - Line items, subtotal, platform fee, taxes and total
+ */
+const summarizeQuote = (quote, taxLines = []) => {
+  const taxAmount = roundCurrency(
+    taxLines.reduce((sum, line) => sum + line.amount, 0),
+    quote.currency
+  );
+
+  return {
+    pricing_model: quote.pricing_model,
+    currency: quote.currency,
+    line_items: quote.line_items,
+    subtotal: quote.subtotal,
+    platform_fee: computePlatformFee(quote.subtotal, quote.currency),
+    platform_fee_percentage: config.stripe.platformFeePercentage || 15,
+    tax_lines: taxLines,
+    tax_amount: taxAmount,
+    total: roundCurrency(quote.subtotal + taxAmount, quote.currency),
+  };
+};
+
+module.exports = {
+  PRICING_MODELS,
+  computeQuote,
+  computePlatformFee,
+  summarizeQuote,
+};
@@ -0,0 +1,207 @@
+const { normalizeCurrency, roundCurrency } = require("./currency.service");
+
+const DISCOUNT_TYPES = ["percentage", "fixed"];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Fields admins can change once a promo code exists
+const PROMO_CODE_UPDATE_FIELDS = [
+  "description",
+  "starts_at",
+  "expires_at",
+  "max_redemptions",
+  "per_user_limit",
+  "active",
+];
+
+/**
+ * Normalize a promo code as hosts type it
+ * @param {string} code - Promo code in any case
+ * @returns {string} - Upper-case code without surrounding spaces
+ */
+const normalizePromoCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+/**
+ * Check an optional date field
+ * @param {*} value - Date string, null or undefined
+ * @returns {boolean} - True if absent or a valid date
+ */
+const isOptionalDate = (value) =>
+  value === undefined || value === null || !isNaN(new Date(value).getTime());
+
+/**
+ * Check an optional limit field
+ * @param {*} value - Limit, null or undefined
+ * @returns {boolean} - True if absent or a positive whole number
+ */
+const isOptionalLimit = (value) =>
+  value === undefined ||
+  value === null ||
+  (Number.isInteger(Number(value)) && Number(value) > 0);
+
+/**
+ * Validate a promo code definition
+ * @param {Object} promo - Promo code fields
+ * @param {boolean} partial - True for updates, where only some fields are given
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validatePromoCode = (promo, partial = false) => {
+  if (!partial) {
+    if (!CODE_PATTERN.test(normalizePromoCode(promo.code))) {
+      return "Code must be 3-32 letters, digits, dashes or underscores";
+    }
+
+    if (!DISCOUNT_TYPES.includes(promo.discount_type)) {
+      return `Discount type must be one of: ${DISCOUNT_TYPES.join(", ")}`;
+    }
+
+    const value = Number(promo.discount_value);
+
+    if (!(value > 0) || (promo.discount_type === "percentage" && value > 100)) {
+      return promo.discount_type === "percentage"
+        ? "Percentage discounts must be between 0 and 100"
+        : "Fixed discounts must be greater than zero";
+    }
+
+    if (promo.discount_type === "fixed" && !promo.currency) {
+      return "Fixed discounts need a currency";
+    }
+  }
+
+  if (!isOptionalDate(promo.starts_at) || !isOptionalDate(promo.expires_at)) {
+    return "starts_at and expires_at must be valid dates";
+  }
+
+  if (
+    promo.starts_at &&
+    promo.expires_at &&
+    new Date(promo.expires_at) <= new Date(promo.starts_at)
+  ) {
+    return "expires_at must be after starts_at";
+  }
+
+  if (
+    !isOptionalLimit(promo.max_redemptions) ||
+    !isOptionalLimit(promo.per_user_limit)
+  ) {
+    return "max_redemptions and per_user_limit must be positive whole numbers";
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a promo code can be used on a booking
+ * @param {Object} promo - Promo code
+ * @param {Object} context - Where the code is being used
+ * @param {Object} context.booking - Booking being paid for
+ * @param {number} context.redemptions - Times the code has been redeemed
+ * @param {number} context.hostRedemptions - Times this host has redeemed it
+ * @param {boolean} context.hasPaidBooking - Whether the host has paid for another booking
+ * @param {Date} context.now - Current time
+ * @returns {string|null} - Why the code cannot be used, or null if it can
+ */
+const checkPromoCode = (
+  promo,
+  { booking, redemptions, hostRedemptions, hasPaidBooking, now = new Date() }
+) => {
+  if (!promo.active) {
+    return "This promo code is no longer active";
+  }
+
+  if (promo.starts_at && new Date(promo.starts_at) > now) {
+    return "This promo code is not active yet";
+  }
+
+  if (promo.expires_at && new Date(promo.expires_at) <= now) {
+    return "This promo code has expired";
+  }
+
+  if (promo.max_redemptions && redemptions >= promo.max_redemptions) {
+    return "This promo code has been used up";
+  }
+
+  if (promo.per_user_limit && hostRedemptions >= promo.per_user_limit) {
+    return "You have already used this promo code";
+  }
+
+  if (promo.dj_profile_id && promo.dj_profile_id !== booking.dj_profile_id) {
+    return "This promo code is not valid for this DJ";
+  }
+
+  if (promo.first_booking_only && hasPaidBooking) {
+    return "This promo code is only valid on your first booking";
+  }
+
+  if (
+    promo.discount_type === "fixed" &&
+    normalizeCurrency(promo.currency) !== normalizeCurrency(booking.currency)
+  ) {
+    return `This promo code is only valid on bookings in ${normalizeCurrency(
+      promo.currency
+    )}`;
+  }
+
+  return null;
+};
+
+/**
+ * Work out a promo code's discount on an amount
+ * @param {Object} promo - Promo code
+ * @param {number} amount - Pre-tax booking amount
+ * @param {string} currency - Currency of the amount
+ * @returns {number} - Discount, never more than the amount
+ */
+const computeDiscount = (promo, amount, currency) => {
+  const discount =
+    promo.discount_type === "percentage"
+      ? (Number(amount) * Number(promo.discount_value)) / 100
+      : Number(promo.discount_value);
+
+  return roundCurrency(Math.min(discount, Number(amount)), currency);
+};
+
+/**
+ * Work out how much gift credit to spend on a charge
+ * @param {number} balance - Host's credit balance in the charge currency
+ * @param {number} amount - Amount still to pay
+ * @param {string} currency - Currency of the amounts
+ * @returns {number} - Credit to spend
+ */
+const computeCreditSpend = (balance, amount, currency) =>
+  roundCurrency(
+    Math.max(Math.min(Number(balance), Number(amount)), 0),
+    currency
+  );
+
+/**
+ * Total gift credit transactions into a balance per currency
+ * @param {Array} transactions - Gift credit ledger rows
+ * @returns {Object} - Balance per upper-case currency code
+ */
+const summarizeCredits = (transactions) =>
+  transactions.reduce((balances, transaction) => {
+    const currency = normalizeCurrency(transaction.currency);
+
+    return {
+      ...balances,
+      [currency]: roundCurrency(
+        (balances[currency] || 0) + Number(transaction.amount),
+        currency
+      ),
+    };
+  }, {});
+
+module.exports = {
+  DISCOUNT_TYPES,
+  PROMO_CODE_UPDATE_FIELDS,
+  normalizePromoCode,
+  validatePromoCode,
+  checkPromoCode,
+  computeDiscount,
+  computeCreditSpend,
+  summarizeCredits,
+};
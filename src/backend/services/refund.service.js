@@ -0,0 +1,89 @@
+const { roundCurrency } = require("./currency.service");
+
+const PAYMENT_STATUSES = [
+  "scheduled",
+  "pending",
+  "processing",
+  "succeeded",
+  "failed",
+  "canceled",
+  "partially_refunded",
+  "refunded",
+  "disputed",
+];
+
+// Payment statuses that still have money left to refund
+const REFUNDABLE_STATUSES = ["succeeded", "partially_refunded"];
+
+// Stripe refund statuses that never returned any money
+const VOIDED_REFUND_STATUSES = ["failed", "canceled"];
+
+/**
+ * Check whether a payment can be refunded (further)
+ * @param {Object} payment - Payment
+ * @returns {boolean} - True for succeeded and partially refunded payments
+ */
+const isRefundable = (payment) => REFUNDABLE_STATUSES.includes(payment.status);
+
+/**
+ * Total the refunds recorded against a payment
+ * @param {Array} refunds - Refund ledger rows
+ * @returns {number} - Amount refunded so far, ignoring failed refunds
+ */
+const sumRefunds = (refunds) =>
+  roundCurrency(
+    refunds
+      .filter((refund) => !VOIDED_REFUND_STATUSES.includes(refund.status))
+      .reduce((sum, refund) => sum + Number(refund.amount), 0)
+  );
+
+/**
+ * Work out how much of a payment was charged to the host's card; the rest
+ * was paid with gift credit
+ * @param {Object} payment - Payment with amount and credit_amount
+ * @returns {number} - Amount charged through Stripe
+ */
+const getChargedAmount = (payment) =>
+  roundCurrency(
+    Math.max(Number(payment.amount) - Number(payment.credit_amount || 0), 0)
+  );
+
+/**
+ * Work out how much of a payment is left to refund to the host's card
+ * @param {Object} payment - Payment with amount, credit_amount and amount_refunded
+ * @returns {number} - Amount the host has paid and not had back
+ */
+const getRefundableAmount = (payment) =>
+  roundCurrency(
+    Math.max(
+      getChargedAmount(payment) - Number(payment.amount_refunded || 0),
+      0
+    )
+  );
+
+/**
+ * Work out a refundable payment's status from what has been refunded
+ * @param {Object} payment - Payment
+ * @param {number} amountRefunded - Amount refunded so far
+ * @returns {string} - succeeded, partially_refunded or refunded
+ */
+const getRefundedStatus = (payment, amountRefunded) => {
+  const charged = getChargedAmount(payment);
+
+  if (charged > 0 && amountRefunded >= charged) {
+    return "refunded";
+  }
+
+  return amountRefunded > 0 ? "partially_refunded" : "succeeded";
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  REFUNDABLE_STATUSES,
+  VOIDED_REFUND_STATUSES,
+  isRefundable,
+  sumRefunds,
+  getChargedAmount,
+  getRefundableAmount,
+  getRefundedStatus,
+};
@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+
+// Authenticated encryption, so a tampered ciphertext fails to decrypt
+const STREAM_KEY_CIPHER = "aes-256-gcm";
+
+// Prefix of stored keys, so the format can change without a migration
+const STREAM_KEY_FORMAT = "v1";
+
+/**
+ * Read the key that encrypts stream keys at rest: 32 bytes, base64 encoded
+ * @returns {Buffer|null} - Encryption key, or null if none is configured
+ */
+const getStreamKeyEncryptionKey = () => {
+  const key = process.env.STREAM_KEY_ENCRYPTION_KEY;
+
+  if (!key) {
+    return null;
+  }
+
+  const buffer = Buffer.from(key, "base64");
+
+  if (buffer.length !== 32) {
+    throw new Error("STREAM_KEY_ENCRYPTION_KEY must be 32 bytes, base64");
+  }
+
+  return buffer;
+};
+
+/**
+ * Encrypt a stream key for storage
+ * @param {string} streamKey - Stream key from the streaming provider
+ * @param {Buffer} encryptionKey - Key to encrypt with (defaults to the
+ *   platform key)
+ * @returns {string} - "v1:<iv>:<auth tag>:<ciphertext>", base64 parts
+ */
+const encryptStreamKey = (
+  streamKey,
+  encryptionKey = getStreamKeyEncryptionKey()
+) => {
+  if (!encryptionKey) {
+    throw new Error("No stream key encryption key is configured");
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(STREAM_KEY_CIPHER, encryptionKey, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(streamKey, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    STREAM_KEY_FORMAT,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a stored stream key
+ * @param {string} encrypted - Value from encryptStreamKey
+ * @param {Buffer} encryptionKey - Key it was encrypted with (defaults to the
+ *   platform key)
+ * @returns {string} - Stream key
+ */
+const decryptStreamKey = (
+  encrypted,
+  encryptionKey = getStreamKeyEncryptionKey()
+) => {
+  if (!encryptionKey) {
+    throw new Error("No stream key encryption key is configured");
+  }
+
+  const [format, iv, authTag, ciphertext] = String(encrypted).split(":");
+
+  if (format !== STREAM_KEY_FORMAT || !ciphertext) {
+    throw new Error("Unrecognized stream key format");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    STREAM_KEY_CIPHER,
+    encryptionKey,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+module.exports = {
+  getStreamKeyEncryptionKey,
+  encryptStreamKey,
+  decryptStreamKey,
+};
@@ -0,0 +1,150 @@
+const moment = require("moment-timezone");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Stream lifecycle:
+ *
+ *   created -> live -> ended | failed
+ *
+ * A stream goes live when its encoder connects (or the DJ starts it), ends
+ * when the DJ or host ends it or the encoder drops after the party, and fails
+ * when the encoder drops before the party is over and does not come back. A
+ * stream that never went live can still be ended, e.g. when its booking is
+ * cancelled.
+ */
+const STREAM_STATUSES = ["created", "live", "ended", "failed"];
+
+// from -> statuses a stream may move to
+const STREAM_TRANSITIONS = {
+  created: ["live", "ended"],
+  live: ["ended", "failed"],
+};
+
+// EventBridge detail types we act on
+const STREAM_STATE_CHANGE = "IVS Stream State Change";
+const STREAM_HEALTH_CHANGE = "IVS Stream Health Change";
+const STREAM_EVENT_TYPES = [STREAM_STATE_CHANGE, STREAM_HEALTH_CHANGE];
+
+// Sources allowed to send stream events: IVS, and the local media server
+const STREAM_EVENT_SOURCES = ["aws.ivs", "partystream.local"];
+
+// State change event names that mean the encoder went away
+const DISCONNECT_EVENTS = ["Stream End", "Stream Failure"];
+
+// Statuses a stream never leaves
+const FINISHED_STREAM_STATUSES = ["ended", "failed"];
+
+/**
+ * Check whether a stream may move between two statuses
+ * @param {string} fromStatus - Current stream status
+ * @param {string} toStatus - Requested stream status
+ * @returns {boolean} - True if the transition is part of the lifecycle
+ */
+const canTransitionStream = (fromStatus, toStatus) =>
+  (STREAM_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+/**
+ * Work out how a provider event changes a stream. The encoder dropping does
+ * not end the stream straight away: it stays live, marked disconnected, so
+ * the DJ can reconnect within the grace period.
+ * @param {Object} stream - Stream record
+ * @param {Object} event - EventBridge event (detail-type, time, detail)
+ * @returns {Object|null} - Fields to update, or null if the event is stale or
+ *   the stream is already finished
+ */
+const getStreamEventChanges = (stream, event) => {
+  const occurredAt = new Date(event.time);
+
+  if (FINISHED_STREAM_STATUSES.includes(stream.status)) {
+    return null;
+  }
+
+  // EventBridge does not guarantee order, so older events are ignored
+  if (stream.last_event_at && occurredAt < new Date(stream.last_event_at)) {
+    return null;
+  }
+
+  const changes = { last_event_at: occurredAt };
+  const detail = event.detail || {};
+
+  if (event["detail-type"] === STREAM_HEALTH_CHANGE) {
+    return { ...changes, health: detail.health || null };
+  }
+
+  if (detail.event_name === "Stream Start") {
+    return {
+      ...changes,
+      status: "live",
+      start_time: stream.start_time || occurredAt,
+      disconnected_at: null,
+    };
+  }
+
+  if (
+    DISCONNECT_EVENTS.includes(detail.event_name) &&
+    stream.status === "live"
+  ) {
+    return { ...changes, disconnected_at: occurredAt };
+  }
+
+  return changes;
+};
+
+/**
+ * Decide what becomes of a stream whose encoder dropped and has not come
+ * back: a drop after the party was due to end just ends the stream, an
+ * earlier one means it failed
+ * @param {Object} stream - Live stream with disconnected_at set
+ * @param {Object} booking - Booking the stream is for
+ * @param {Date} now - Current time
+ * @returns {string|null} - "ended" or "failed", or null while still in the
+ *   grace period
+ */
+const getDisconnectOutcome = (stream, booking, now = new Date()) => {
+  const disconnectedAt = moment(stream.disconnected_at);
+
+  if (
+    disconnectedAt
+      .clone()
+      .add(config.streaming.disconnectGraceMinutes, "minutes")
+      .isAfter(now)
+  ) {
+    return null;
+  }
+
+  return disconnectedAt.isSameOrAfter(booking.end_time) ? "ended" : "failed";
+};
+
+/**
+ * Shape a stream for the booking room's stream:status event
+ * @param {Object} stream - Stream record
+ * @returns {Object} - Event payload
+ */
+const toStreamStatusEvent = (stream) => ({
+  stream_id: stream.id,
+  booking_id: stream.booking_id,
+  status: stream.status,
+  health: stream.health || null,
+  start_time: stream.start_time || null,
+  end_time: stream.end_time || null,
+  disconnected_at: stream.disconnected_at || null,
+});
+
+module.exports = {
+  STREAM_STATUSES,
+  STREAM_TRANSITIONS,
+  STREAM_STATE_CHANGE,
+  STREAM_HEALTH_CHANGE,
+  STREAM_EVENT_TYPES,
+  STREAM_EVENT_SOURCES,
+  FINISHED_STREAM_STATUSES,
+  canTransitionStream,
+  getStreamEventChanges,
+  getDisconnectOutcome,
+  toStreamStatusEvent,
+};
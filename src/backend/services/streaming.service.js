@@ -0,0 +1,368 @@
+const crypto = require("crypto");
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const {
+  createPlaybackToken,
+  getTokenPlaybackUrl,
+} = require("./playback-token.service");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * A streaming provider runs the video side of a stream. It is an object with
+ * these async methods, where `stream` is a stream record holding what
+ * createChannel returned:
+ *   createChannel({ name }) -> { channel_id, ingest_endpoint, playback_url,
+ *     stream_key, stream_key_id }
+ *   rotateStreamKey(stream) -> { stream_key, stream_key_id }
+ *   revokeStreamKey(stream) - stop the key publishing and drop the publisher
+ *   getLiveStatus(stream) -> { live, viewer_count, health, started_at }
+ *   deleteChannel(stream)
+ *   createPlaybackUrl(stream, { viewerId, sessionVersion, origin })
+ *     -> { playback_url, token, expires_at }
+ *   revokeViewer(stream, viewerId, sessionVersion)
+ * Providers are registered by name and picked with config.streaming.provider
+ * (or STREAMING_PROVIDER); each stream remembers the provider it was made on.
+ */
+const providerFactories = {};
+
+const builtProviders = {};
+
+let defaultProvider = null;
+
+// What getLiveStatus reports for a channel nobody is streaming to
+const NOT_LIVE = {
+  live: false,
+  viewer_count: 0,
+  health: null,
+  started_at: null,
+};
+
+/**
+ * Register a streaming provider
+ * @param {string} name - Name used in config.streaming.provider
+ * @param {Function} factory - Builds the provider from the app config
+ */
+const registerStreamingProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Build a provider on Amazon IVS; channels are authorized, so viewers need a
+ * playback token signed with the platform's key pair
+ * @param {Object} appConfig - App config (uses aws.region and aws.ivs)
+ * @returns {Object} - Streaming provider
+ */
+const createIvsProvider = (appConfig) => {
+  // Loaded here so the SDK is only needed when streaming on IVS
+  const {
+    IvsClient,
+    CreateChannelCommand,
+    CreateStreamKeyCommand,
+    DeleteChannelCommand,
+    DeleteStreamKeyCommand,
+    GetStreamCommand,
+    ListStreamKeysCommand,
+    StartViewerSessionRevocationCommand,
+    StopStreamCommand,
+  } = require("@aws-sdk/client-ivs");
+  const ivsConfig = appConfig.aws.ivs;
+  const client = new IvsClient({ region: appConfig.aws.region });
+
+  // IVS reports an idle channel as an error rather than an empty result
+  const isNotFound = (error) =>
+    ["ResourceNotFoundException", "ChannelNotBroadcasting"].includes(
+      error.name
+    );
+
+  // Delete every key on a channel; a channel holds one key at a time
+  const deleteStreamKeys = async (channelArn) => {
+    const { streamKeys } = await client.send(
+      new ListStreamKeysCommand({ channelArn })
+    );
+
+    for (const key of streamKeys) {
+      await client.send(new DeleteStreamKeyCommand({ arn: key.arn }));
+    }
+  };
+
+  return {
+    name: "ivs",
+
+    createChannel: async ({ name }) => {
+      const { channel, streamKey } = await client.send(
+        new CreateChannelCommand({
+          name,
+          type: ivsConfig.type,
+          latencyMode: ivsConfig.latencyMode,
+          authorized: true,
+        })
+      );
+
+      return {
+        channel_id: channel.arn,
+        ingest_endpoint: `rtmps://${channel.ingestEndpoint}:443/app/`,
+        playback_url: channel.playbackUrl,
+        stream_key: streamKey.value,
+        stream_key_id: streamKey.arn,
+      };
+    },
+
+    rotateStreamKey: async (stream) => {
+      // The old key goes before the new one is made
+      await deleteStreamKeys(stream.channel_id);
+
+      const { streamKey } = await client.send(
+        new CreateStreamKeyCommand({ channelArn: stream.channel_id })
+      );
+
+      return { stream_key: streamKey.value, stream_key_id: streamKey.arn };
+    },
+
+    revokeStreamKey: async (stream) => {
+      await deleteStreamKeys(stream.channel_id);
+
+      // Deleting the key leaves a running session up, so stop it too
+      try {
+        await client.send(
+          new StopStreamCommand({ channelArn: stream.channel_id })
+        );
+      } catch (error) {
+        if (!isNotFound(error)) {
+          throw error;
+        }
+      }
+    },
+
+    getLiveStatus: async (stream) => {
+      try {
+        const { stream: ivsStream } = await client.send(
+          new GetStreamCommand({ channelArn: stream.channel_id })
+        );
+
+        return {
+          live: ivsStream.state === "LIVE",
+          viewer_count: ivsStream.viewerCount || 0,
+          health: ivsStream.health || null,
+          started_at: ivsStream.startTime || null,
+        };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return { ...NOT_LIVE };
+        }
+        throw error;
+      }
+    },
+
+    deleteChannel: async (stream) => {
+      try {
+        await client.send(new DeleteChannelCommand({ arn: stream.channel_id }));
+      } catch (error) {
+        if (!isNotFound(error)) {
+          throw error;
+        }
+      }
+    },
+
+    createPlaybackUrl: async (stream, { viewerId, sessionVersion, origin }) => {
+      const { token, expires_at } = createPlaybackToken({
+        channelArn: stream.channel_id,
+        viewerId,
+        sessionVersion,
+        origin,
+      });
+
+      return {
+        playback_url: getTokenPlaybackUrl(stream.playback_url, token),
+        token,
+        expires_at,
+      };
+    },
+
+    revokeViewer: async (stream, viewerId, sessionVersion) => {
+      await client.send(
+        new StartViewerSessionRevocationCommand({
+          channelArn: stream.channel_id,
+          viewerId,
+          viewerSessionVersionsLessThanOrEqualTo: sessionVersion,
+        })
+      );
+    },
+  };
+};
+
+/**
+ * Call the local media server's HTTP API
+ * @param {Object} server - { host, port }
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - API path
+ * @returns {Promise} - Parsed JSON response
+ */
+const requestMediaServer = ({ host, port }, method, apiPath) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      { host, port, method, path: apiPath, timeout: 5000 },
+      (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => {
+          try {
+            resolve(body ? JSON.parse(body) : null);
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }
+    );
+
+    req.on("timeout", () => req.destroy(new Error("Media server timed out")));
+    req.on("error", reject);
+    req.end();
+  });
+
+/**
+ * Build a provider on a self-hosted media server that takes RTMP and serves
+ * HLS (npm run media:local), for running streams locally and in tests.
+ * The stream key is "<channel_id>?key=<secret>", so the publish path names
+ * the channel and the media server can check the secret. Playback is not
+ * access-controlled.
+ * @param {Object} appConfig - App config (uses streaming.local)
+ * @returns {Object} - Streaming provider
+ */
+const createLocalProvider = (appConfig) => {
+  const { host, rtmpPort, httpPort, app } = appConfig.streaming.local;
+
+  const newStreamKey = (channelId) =>
+    `${channelId}?key=${crypto.randomBytes(24).toString("hex")}`;
+
+  // Drop the publisher of a channel, if there is one
+  const dropPublisher = async (stream) => {
+    try {
+      await requestMediaServer(
+        { host, port: httpPort },
+        "DELETE",
+        `/api/streams/${app}/${stream.channel_id}`
+      );
+    } catch (error) {
+      if (error.code !== "ECONNREFUSED") {
+        throw error;
+      }
+    }
+  };
+
+  return {
+    name: "local",
+
+    createChannel: async () => {
+      const channelId = crypto.randomUUID();
+
+      return {
+        channel_id: channelId,
+        ingest_endpoint: `rtmp://${host}:${rtmpPort}/${app}`,
+        playback_url: `http://${host}:${httpPort}/${app}/${channelId}/index.m3u8`,
+        stream_key: newStreamKey(channelId),
+        stream_key_id: null,
+      };
+    },
+
+    rotateStreamKey: async (stream) => ({
+      stream_key: newStreamKey(stream.channel_id),
+      stream_key_id: null,
+    }),
+
+    // The media server checks keys against the stream, which no longer has
+    // one, so dropping the publisher is all there is to do
+    revokeStreamKey: (stream) => dropPublisher(stream),
+
+    getLiveStatus: async (stream) => {
+      try {
+        const stats = await requestMediaServer(
+          { host, port: httpPort },
+          "GET",
+          `/api/streams/${app}/${stream.channel_id}`
+        );
+
+        return {
+          live: Boolean(stats.isLive),
+          viewer_count: stats.viewers || 0,
+          health: null,
+          started_at: stats.startTime || null,
+        };
+      } catch (error) {
+        // A media server that isn't running has nothing live on it
+        if (error.code === "ECONNREFUSED") {
+          return { ...NOT_LIVE };
+        }
+        throw error;
+      }
+    },
+
+    // Channels only exist as paths, so there is only a publisher to drop
+    deleteChannel: (stream) => dropPublisher(stream),
+
+    createPlaybackUrl: async (stream) => ({
+      playback_url: stream.playback_url,
+      token: null,
+      expires_at: null,
+    }),
+
+    revokeViewer: async () => {},
+  };
+};
+
+registerStreamingProvider("ivs", createIvsProvider);
+registerStreamingProvider("local", createLocalProvider);
+
+/**
+ * Get a streaming provider
+ * @param {string} name - Provider name (defaults to the configured one)
+ * @returns {Object} - Streaming provider
+ */
+const getStreamingProvider = (name) => {
+  if (!name && defaultProvider) {
+    return defaultProvider;
+  }
+
+  const providerName =
+    name || process.env.STREAMING_PROVIDER || config.streaming.provider;
+
+  if (!builtProviders[providerName]) {
+    const factory = providerFactories[providerName];
+
+    if (!factory) {
+      throw new Error(`Unknown streaming provider: ${providerName}`);
+    }
+
+    builtProviders[providerName] = factory(config);
+  }
+
+  if (!name) {
+    defaultProvider = builtProviders[providerName];
+  }
+
+  return builtProviders[providerName];
+};
+
+/**
+ * Replace the default streaming provider, e.g. with a test double
+ * @param {Object|null} provider - Provider, or null to rebuild from config
+ */
+const setStreamingProvider = (provider) => {
+  defaultProvider = provider;
+
+  if (provider) {
+    builtProviders[provider.name] = provider;
+  }
+};
+
+module.exports = {
+  registerStreamingProvider,
+  createIvsProvider,
+  createLocalProvider,
+  getStreamingProvider,
+  setStreamingProvider,
+};
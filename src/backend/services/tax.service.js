@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const { roundCurrency } = require("./currency.service");
+const { computePlatformFee } = require("./pricing.service");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+/**
+ * A tax provider is an object with an async calculate(context) method
+ * resolving to an array of tax lines. The context describes what is being
+ * sold:
+ *   { currency, buyer: { country, region, tax_id },
+ *     components: [{ component, taxable_amount, seller: { country, region } }] }
+ * where the components are the DJ's performance ("booking") and the
+ * platform's fee ("platform_fee"). Each tax line is
+ *   { component, jurisdiction, type, name, rate, taxable_amount, amount,
+ *     reverse_charge, description }
+ * Providers are registered by name and picked with config.tax.provider.
+ */
+const providerFactories = {};
+
+let activeProvider = null;
+
+/**
+ * Register a tax provider
+ * @param {string} name - Name used in config.tax.provider
+ * @param {Function} factory - Builds the provider from the tax config section
+ */
+const registerTaxProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Normalize a country code to upper-case ISO 3166-1 alpha-2
+ * @param {string} country - Country code in any case
+ * @returns {string|null} - Country code, or null if not a two-letter code
+ */
+const normalizeCountry = (country) => {
+  const code = String(country || "")
+    .trim()
+    .toUpperCase();
+  return COUNTRY_PATTERN.test(code) ? code : null;
+};
+
+/**
+ * Normalize a region (state or province) code
+ * @param {string} region - Region code in any case
+ * @returns {string|null} - Upper-case region code, or null if absent
+ */
+const normalizeRegion = (region) =>
+  String(region || "")
+    .trim()
+    .toUpperCase() || null;
+
+const COMPONENT_LABELS = {
+  booking: "performance",
+  platform_fee: "platform fee",
+};
+
+/**
+ * Work out the tax on one component of a sale from a rules table. Tax is due
+ * where the buyer is (falling back to the seller's country); VAT-registered
+ * businesses buying across a border account for the VAT themselves
+ * (reverse charge), and sales tax is looked up by the buyer's region
+ * @param {Object} rules - Rules table ({ countries: { XX: rule } })
+ * @param {Object} buyer - Buyer location and tax ID
+ * @param {Object} component - Component being taxed
+ * @param {string} currency - Currency of the amounts
+ * @returns {Object|null} - Tax line, or null when no tax applies
+ */
+const applyTaxRule = (rules, buyer, component, currency) => {
+  const sellerCountry = normalizeCountry(component.seller.country);
+  const country = normalizeCountry(buyer.country) || sellerCountry;
+  const rule = country && rules.countries[country];
+
+  if (!rule || !(Number(component.taxable_amount) > 0)) {
+    return null;
+  }
+
+  let rate = rule.rate;
+  let jurisdiction = country;
+  let reverseCharge = false;
+
+  if (rule.type === "sales_tax") {
+    const region = normalizeRegion(buyer.region);
+    rate = region && rule.regions ? rule.regions[region] : undefined;
+    jurisdiction = `${country}-${region}`;
+  } else if (
+    buyer.tax_id &&
+    sellerCountry &&
+    sellerCountry !== country &&
+    rule.reverse_charge !== false
+  ) {
+    rate = 0;
+    reverseCharge = true;
+  }
+
+  if (rate === undefined || rate === null) {
+    return null;
+  }
+
+  const label = COMPONENT_LABELS[component.component] || component.component;
+
+  return {
+    component: component.component,
+    jurisdiction,
+    type: rule.type,
+    name: rule.name,
+    rate,
+    taxable_amount: Number(component.taxable_amount),
+    amount: roundCurrency(
+      (Number(component.taxable_amount) * rate) / 100,
+      currency
+    ),
+    reverse_charge: reverseCharge,
+    description: reverseCharge
+      ? `${rule.name} reverse charge (${jurisdiction}) - ${label}`
+      : `${rule.name} ${rate}% (${jurisdiction}) - ${label}`,
+  };
+};
+
+/**
+ * Build a provider that applies a rules table from a JSON file; works offline
+ * @param {Object} options - Provider options
+ * @param {string} options.rulesFile - Rules file, relative to the config directory
+ * @returns {Object} - Tax provider
+ */
+const createRulesTableProvider = ({ rulesFile }) => {
+  const filePath = path.resolve(path.dirname(configPath), rulesFile);
+  const rules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  return {
+    name: "rules",
+    calculate: async ({ currency, buyer, components }) =>
+      components
+        .map((component) => applyTaxRule(rules, buyer, component, currency))
+        .filter(Boolean),
+  };
+};
+
+registerTaxProvider("rules", createRulesTableProvider);
+
+/**
+ * Get the configured tax provider
+ * @returns {Object} - Tax provider
+ */
+const getTaxProvider = () => {
+  if (!activeProvider) {
+    const taxConfig = config.tax;
+    const factory = providerFactories[taxConfig.provider];
+
+    if (!factory) {
+      throw new Error(`Unknown tax provider: ${taxConfig.provider}`);
+    }
+
+    activeProvider = factory(taxConfig);
+  }
+
+  return activeProvider;
+};
+
+/**
+ * Replace the tax provider, e.g. with a tax service or a test double
+ * @param {Object|null} provider - Provider, or null to rebuild from config
+ */
+const setTaxProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Calculate the tax on a booking charge, split between the DJ's performance
+ * and the platform fee retained from it
+ * @param {Object} options - Charge details
+ * @param {number} options.subtotal - Pre-tax amount in major currency units
+ * @param {string} options.currency - Currency of the amount
+ * @param {Object} options.djProfile - DJ profile with country and region
+ * @param {Object} options.host - Host with billing_details (country, region, tax_id)
+ * @returns {Promise} - Tax lines
+ */
+const calculateTaxes = async ({ subtotal, currency, djProfile, host }) => {
+  const billing = (host && host.billing_details) || {};
+  const platformFee = computePlatformFee(subtotal, currency);
+
+  const lines = await getTaxProvider().calculate({
+    currency,
+    buyer: {
+      country: billing.country || null,
+      region: billing.region || null,
+      tax_id: billing.tax_id || null,
+    },
+    components: [
+      {
+        component: "booking",
+        taxable_amount: roundCurrency(subtotal - platformFee, currency),
+        seller: {
+          country: djProfile.country || null,
+          region: djProfile.region || null,
+        },
+      },
+      {
+        component: "platform_fee",
+        taxable_amount: platformFee,
+        seller: config.tax.platform,
+      },
+    ],
+  });
+
+  return lines.map((line) => ({
+    ...line,
+    amount: roundCurrency(line.amount, currency),
+  }));
+};
+
+/**
+ * Total a set of tax lines
+ * @param {Array} taxLines - Tax lines
+ * @param {string} currency - Currency of the amounts
+ * @returns {number} - Tax amount
+ */
+const sumTaxes = (taxLines, currency) =>
+  roundCurrency(
+    taxLines.reduce((sum, line) => sum + Number(line.amount), 0),
+    currency
+  );
+
+module.exports = {
+  registerTaxProvider,
+  normalizeCountry,
+  applyTaxRule,
+  createRulesTableProvider,
+  getTaxProvider,
+  setTaxProvider,
+  calculateTaxes,
+  sumTaxes,
+};
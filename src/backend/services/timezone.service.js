@@ -0,0 +1,156 @@
+const moment = require("moment-timezone");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WALL_CLOCK_FORMAT = "YYYY-MM-DDTHH:mm:ss";
+const WALL_CLOCK_INPUT_FORMATS = [
+  "YYYY-MM-DDTHH:mm:ss",
+  "YYYY-MM-DDTHH:mm",
+  "YYYY-MM-DD HH:mm:ss",
+  "YYYY-MM-DD HH:mm",
+];
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Check whether a value is a known IANA timezone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} - True if moment-timezone knows the zone
+ */
+const isValidTimezone = (timezone) => {
+  return typeof timezone === "string" && moment.tz.zone(timezone) !== null;
+};
+
+/**
+ * Pick the first valid timezone from a list of candidates
+ * @param {...string} candidates - Timezones in order of preference
+ * @returns {string} - First valid IANA timezone, or UTC
+ */
+const resolveTimezone = (...candidates) => {
+  return candidates.find(isValidTimezone) || "UTC";
+};
+
+/**
+ * Find every instant at which a wall-clock time occurs in a timezone
+ * @param {Object} wallClock - UTC moment holding the wall-clock fields
+ * @param {string} timezone - IANA timezone
+ * @returns {Array} - Epoch milliseconds; empty in a DST gap, two when ambiguous
+ */
+const wallClockInstants = (wallClock, timezone) => {
+  const zone = moment.tz.zone(timezone);
+  const naive = wallClock.valueOf();
+  const expected = wallClock.format(WALL_CLOCK_FORMAT);
+
+  // Offsets on either side of any nearby transition
+  const offsets = new Set([
+    zone.utcOffset(naive - DAY_MS),
+    zone.utcOffset(naive),
+    zone.utcOffset(naive + DAY_MS),
+  ]);
+
+  const instants = new Set();
+
+  offsets.forEach((offset) => {
+    // moment-timezone offsets are minutes west of UTC
+    const candidate = naive + offset * 60 * 1000;
+
+    if (moment.tz(candidate, timezone).format(WALL_CLOCK_FORMAT) === expected) {
+      instants.add(candidate);
+    }
+  });
+
+  return [...instants].sort((a, b) => a - b);
+};
+
+/**
+ * Parse a booking time in a timezone, rejecting DST gaps and overlaps
+ * @param {string|Date} value - ISO timestamp with offset, or local wall-clock time
+ * @param {string} timezone - IANA timezone used for wall-clock times
+ * @returns {Object} - { time } with a moment in the timezone, or { error }
+ */
+const parseLocalTime = (value, timezone) => {
+  if (value instanceof Date || moment.isMoment(value)) {
+    const time = moment.tz(value, timezone);
+    return time.isValid() ? { time } : { error: "Invalid date format" };
+  }
+
+  if (typeof value !== "string") {
+    return { error: "Invalid date format" };
+  }
+
+  // Absolute timestamps already pin down the instant
+  if (OFFSET_PATTERN.test(value.trim())) {
+    const time = moment.tz(value, moment.ISO_8601, timezone);
+    return time.isValid() ? { time } : { error: "Invalid date format" };
+  }
+
+  const wallClock = moment.utc(value.trim(), WALL_CLOCK_INPUT_FORMATS, true);
+
+  if (!wallClock.isValid()) {
+    return { error: "Invalid date format" };
+  }
+
+  const instants = wallClockInstants(wallClock, timezone);
+
+  if (instants.length === 0) {
+    return {
+      error: `${value} does not exist in ${timezone} (daylight saving time gap)`,
+    };
+  }
+
+  if (instants.length > 1) {
+    return {
+      error: `${value} is ambiguous in ${timezone} (daylight saving time overlap); include a UTC offset`,
+    };
+  }
+
+  return { time: moment.tz(instants[0], timezone) };
+};
+
+/**
+ * Express a UTC time range in a timezone
+ * @param {string} startTime - Start time (ISO)
+ * @param {string} endTime - End time (ISO)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - Timezone with local start and end times
+ */
+const toLocalRange = (startTime, endTime, timezone) => {
+  return {
+    timezone,
+    start_time: moment.tz(startTime, timezone).format(),
+    end_time: moment.tz(endTime, timezone).format(),
+  };
+};
+
+/**
+ * Attach host and DJ local times to a booking
+ * @param {Object} booking - Booking record
+ * @returns {Object} - Booking with a local_times field
+ */
+const withLocalTimes = (booking) => {
+  if (!booking) {
+    return booking;
+  }
+
+  return {
+    ...booking,
+    local_times: {
+      host: toLocalRange(
+        booking.start_time,
+        booking.end_time,
+        resolveTimezone(booking.host_timezone)
+      ),
+      dj: toLocalRange(
+        booking.start_time,
+        booking.end_time,
+        resolveTimezone(booking.dj_timezone)
+      ),
+    },
+  };
+};
+
+module.exports = {
+  isValidTimezone,
+  resolveTimezone,
+  parseLocalTime,
+  toLocalRange,
+  withLocalTimes,
+};
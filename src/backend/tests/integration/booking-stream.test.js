@@ -1,6 +1,10 @@
 const chai = require("chai");
 const chaiHttp = require("chai-http");
 const { app } = require("../../server");
+const Booking = require("../../models/Booking");
+const {
+  finishDisconnectedStreams,
+} = require("../../jobs/stream-disconnect.job");
 const { createClient } = require("@supabase/supabase-js");
 const jwt = require("jsonwebtoken");
 const fs = require("fs");
@@ -31,6 +35,7 @@ describe("Booking and Streaming Integration Tests", function () {
   let djProfile;
   let booking;
   let stream;
+  let failedStream;
 
   // Setup test data before running tests
   before(async function () {
@@ -124,11 +129,15 @@ describe("Booking and Streaming Integration Tests", function () {
   // Clean up test data after tests
   after(async function () {
     try {
-      // Delete stream if created
+      // Delete streams if created
       if (stream) {
         await supabase.from("streams").delete().eq("id", stream.id);
       }
 
+      if (failedStream) {
+        await supabase.from("streams").delete().eq("id", failedStream.id);
+      }
+
       // Delete booking if created
       if (booking) {
         await supabase.from("bookings").delete().eq("id", booking.id);
@@ -153,6 +162,42 @@ describe("Booking and Streaming Integration Tests", function () {
   });
 
   describe("Booking Flow", function () {
+    it("should quote a booking without creating it", async function () {
+      const hoursFromNow = (hours) =>
+        new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+      const res = await chai
+        .request(app)
+        .post("/api/bookings/quote")
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({
+          dj_profile_id: djProfile.id,
+          start_time: hoursFromNow(24),
+          end_time: hoursFromNow(27),
+        });
+
+      expect(res).to.have.status(200);
+      expect(res.body.data.quote.subtotal).to.equal(300);
+      expect(res.body.data.quote.platform_fee).to.equal(45);
+      expect(res.body.data.quote.total).to.equal(300);
+
+      const tooShort = await chai
+        .request(app)
+        .post("/api/bookings/quote")
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({
+          dj_profile_id: djProfile.id,
+          start_time: hoursFromNow(24),
+          end_time: hoursFromNow(25),
+        });
+
+      expect(tooShort).to.have.status(400);
+      expect(tooShort.body.errors[0]).to.include({
+        field: "end_time",
+        code: "duration_too_short",
+      });
+    });
+
     it("should create a new booking", function (done) {
       // Set start time to 2 hours from now, and end time to 4 hours from now
       const startTime = new Date();
@@ -177,7 +222,7 @@ describe("Booking and Streaming Integration Tests", function () {
           expect(res.body.status).to.equal("success");
           expect(res.body.data).to.have.property("booking");
           expect(res.body.data.booking).to.have.property("id");
-          expect(res.body.data.booking.status).to.equal("pending");
+          expect(res.body.data.booking.status).to.equal("requested");
           expect(res.body.data.booking.host_id).to.equal(hostUser.id);
           expect(res.body.data.booking.dj_profile_id).to.equal(djProfile.id);
 
@@ -188,27 +233,159 @@ describe("Booking and Streaming Integration Tests", function () {
         });
     });
 
-    it("should confirm the booking as the DJ", function (done) {
+    it("should accept the booking as the DJ", function (done) {
       chai
         .request(app)
         .patch(`/api/bookings/${booking.id}/status`)
         .set("Authorization", `Bearer ${djToken}`)
         .send({
-          status: "confirmed",
+          status: "accepted",
         })
         .end((err, res) => {
           expect(err).to.be.null;
           expect(res).to.have.status(200);
-          expect(res.body.status).to.equal("success");
-          expect(res.body.data).to.have.property("booking");
-          expect(res.body.data.booking.status).to.equal("confirmed");
+          expect(res.body.data.booking.status).to.equal("accepted");
 
-          // Update booking for later tests
           booking = res.body.data.booking;
 
           done();
         });
     });
+
+    it("should not let the host move the booking without the DJ", function (done) {
+      chai
+        .request(app)
+        .put(`/api/bookings/${booking.id}`)
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({
+          start_time: booking.start_time,
+          end_time: booking.end_time,
+        })
+        .end((err, res) => {
+          expect(err).to.be.null;
+          expect(res).to.have.status(400);
+
+          done();
+        });
+    });
+
+    it("should reschedule through a proposal and counter-proposal", async function () {
+      const hoursFromNow = (hours) =>
+        new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+      const proposal = await chai
+        .request(app)
+        .post(`/api/bookings/${booking.id}/reschedule-requests`)
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({
+          start_time: hoursFromNow(3),
+          end_time: hoursFromNow(6),
+          reason: "Guests arrive later",
+        });
+
+      expect(proposal).to.have.status(201);
+      expect(proposal.body.data.reschedule_request.status).to.equal("pending");
+
+      // The host cannot answer their own proposal
+      const selfAccept = await chai
+        .request(app)
+        .post(
+          `/api/bookings/${booking.id}/reschedule-requests/${proposal.body.data.reschedule_request.id}/accept`
+        )
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({});
+
+      expect(selfAccept).to.have.status(403);
+
+      const counter = await chai
+        .request(app)
+        .post(
+          `/api/bookings/${booking.id}/reschedule-requests/${proposal.body.data.reschedule_request.id}/counter`
+        )
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({
+          start_time: hoursFromNow(2),
+          end_time: hoursFromNow(5),
+        });
+
+      expect(counter).to.have.status(201);
+      expect(counter.body.data.reschedule_request.parent_id).to.equal(
+        proposal.body.data.reschedule_request.id
+      );
+
+      const accepted = await chai
+        .request(app)
+        .post(
+          `/api/bookings/${booking.id}/reschedule-requests/${counter.body.data.reschedule_request.id}/accept`
+        )
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({});
+
+      expect(accepted).to.have.status(200);
+      expect(accepted.body.data.booking.start_time).to.equal(
+        counter.body.data.reschedule_request.start_time
+      );
+      expect(Number(accepted.body.data.booking.total_amount)).to.equal(300);
+      // Nothing has been paid yet, so there is no difference to settle
+      expect(accepted.body.data.settlement.action).to.equal("none");
+
+      booking = accepted.body.data.booking;
+    });
+
+    it("should not let the host confirm an unpaid booking", function (done) {
+      chai
+        .request(app)
+        .patch(`/api/bookings/${booking.id}/status`)
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({
+          status: "confirmed",
+        })
+        .end((err, res) => {
+          expect(err).to.be.null;
+          expect(res).to.have.status(409);
+          expect(res.body.status).to.equal("error");
+
+          done();
+        });
+    });
+
+    it("should confirm the booking as the DJ once paid", async function () {
+      // Stand in for the payment_intent.succeeded webhook
+      await Booking.updateStatus(booking.id, "paid", { role: "system" });
+
+      const res = await chai
+        .request(app)
+        .patch(`/api/bookings/${booking.id}/status`)
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({
+          status: "confirmed",
+        });
+
+      expect(res).to.have.status(200);
+      expect(res.body.status).to.equal("success");
+      expect(res.body.data).to.have.property("booking");
+      expect(res.body.data.booking.status).to.equal("confirmed");
+
+      // Update booking for later tests
+      booking = res.body.data.booking;
+    });
+
+    it("should record every status change in the booking history", function (done) {
+      chai
+        .request(app)
+        .get(`/api/bookings/${booking.id}/history`)
+        .set("Authorization", `Bearer ${hostToken}`)
+        .end((err, res) => {
+          expect(err).to.be.null;
+          expect(res).to.have.status(200);
+          expect(
+            res.body.data.history.map((entry) => entry.to_status)
+          ).to.deep.equal(["requested", "accepted", "paid", "confirmed"]);
+          expect(res.body.data.history[1].actor_role).to.equal("dj");
+
+          done();
+        });
+    });
   });
 
   describe("Streaming Flow", function () {
@@ -240,6 +417,58 @@ describe("Booking and Streaming Integration Tests", function () {
         });
     });
 
+    it("should rotate the stream key for the DJ only", async function () {
+      const host = await chai
+        .request(app)
+        .post(`/api/streams/${stream.id}/rotate-key`)
+        .set("Authorization", `Bearer ${hostToken}`)
+        .send({});
+
+      expect(host).to.have.status(403);
+
+      const res = await chai
+        .request(app)
+        .post(`/api/streams/${stream.id}/rotate-key`)
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({});
+
+      expect(res).to.have.status(200);
+      expect(res.body.data.stream.stream_key).to.be.a("string");
+      expect(res.body.data.stream.stream_key).to.not.equal(stream.stream_key);
+      expect(res.body.data.stream).to.not.have.property(
+        "stream_key_encrypted"
+      );
+
+      // The stored key is encrypted
+      const { data } = await supabase
+        .from("streams")
+        .select("stream_key_encrypted")
+        .eq("id", stream.id)
+        .single();
+
+      expect(data.stream_key_encrypted).to.match(/^v1:/);
+      expect(data.stream_key_encrypted).to.not.include(
+        res.body.data.stream.stream_key
+      );
+
+      stream = res.body.data.stream;
+    });
+
+    it("should not create a second stream for the booking", async function () {
+      const res = await chai
+        .request(app)
+        .post("/api/streams")
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({
+          booking_id: booking.id,
+        });
+
+      expect(res).to.have.status(409);
+      expect(res.body.message).to.equal(
+        "An active stream already exists for this booking"
+      );
+    });
+
     it("should start the stream as the DJ", function (done) {
       chai
         .request(app)
@@ -251,8 +480,8 @@ describe("Booking and Streaming Integration Tests", function () {
           expect(res).to.have.status(200);
           expect(res.body.status).to.equal("success");
           expect(res.body.data).to.have.property("stream");
-          expect(res.body.data.stream.status).to.equal("active");
-          expect(res.body.data.stream).to.have.property("start_time");
+          expect(res.body.data.stream.status).to.equal("live");
+          expect(res.body.data.stream.start_time).to.not.equal(null);
 
           // Update stream for later tests
           stream = res.body.data.stream;
@@ -272,7 +501,7 @@ describe("Booking and Streaming Integration Tests", function () {
           expect(res.body.status).to.equal("success");
           expect(res.body.data).to.have.property("stream");
           expect(res.body.data.stream.id).to.equal(stream.id);
-          expect(res.body.data.stream.status).to.equal("active");
+          expect(res.body.data.stream.status).to.equal("live");
           expect(res.body.data.stream).to.have.property("playback_url");
 
           // Host should not receive stream key and RTMP URL
@@ -283,6 +512,52 @@ describe("Booking and Streaming Integration Tests", function () {
         });
     });
 
+    it("should move the booking in progress once the stream is live", async function () {
+      const updated = await Booking.getById(booking.id);
+
+      expect(updated.status).to.equal("in_progress");
+    });
+
+    it("should get the live stream for the booking", async function () {
+      const res = await chai
+        .request(app)
+        .get(`/api/streams/booking/${booking.id}`)
+        .set("Authorization", `Bearer ${hostToken}`);
+
+      expect(res).to.have.status(200);
+      expect(res.body.data.stream.id).to.equal(stream.id);
+      expect(res.body.data.stream.status).to.equal("live");
+    });
+
+    it("should not start a live stream again", async function () {
+      const res = await chai
+        .request(app)
+        .patch(`/api/streams/${stream.id}/start`)
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({});
+
+      expect(res).to.have.status(400);
+      expect(res.body.message).to.equal(
+        "Cannot start stream with status: live"
+      );
+    });
+
+    it("should not delete a live stream", async function () {
+      const adminToken = jwt.sign(
+        { user: { id: hostUser.id, role: "admin" } },
+        process.env.JWT_SECRET || config.jwt.secret,
+        { expiresIn: "1h" }
+      );
+
+      const res = await chai
+        .request(app)
+        .delete(`/api/streams/${stream.id}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(res).to.have.status(400);
+      expect(res.body.message).to.equal("Cannot delete a live stream");
+    });
+
     it("should end the stream as the DJ", function (done) {
       chai
         .request(app)
@@ -295,7 +570,8 @@ describe("Booking and Streaming Integration Tests", function () {
           expect(res.body.status).to.equal("success");
           expect(res.body.data).to.have.property("stream");
           expect(res.body.data.stream.status).to.equal("ended");
-          expect(res.body.data.stream).to.have.property("end_time");
+          expect(res.body.data.stream.end_time).to.not.equal(null);
+          expect(res.body.data.stream.stream_key).to.equal(null);
 
           // Update stream for later tests
           stream = res.body.data.stream;
@@ -319,5 +595,84 @@ describe("Booking and Streaming Integration Tests", function () {
           done();
         });
     });
+
+    it("should not end or restart an ended stream", async function () {
+      const end = await chai
+        .request(app)
+        .patch(`/api/streams/${stream.id}/end`)
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({});
+
+      expect(end).to.have.status(400);
+      expect(end.body.message).to.equal(
+        "Cannot end stream with status: ended"
+      );
+
+      const start = await chai
+        .request(app)
+        .patch(`/api/streams/${stream.id}/start`)
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({});
+
+      expect(start).to.have.status(400);
+    });
+
+    it("should not rotate the key of an ended stream", async function () {
+      const res = await chai
+        .request(app)
+        .post(`/api/streams/${stream.id}/rotate-key`)
+        .set("Authorization", `Bearer ${djToken}`)
+        .send({});
+
+      expect(res).to.have.status(409);
+    });
+
+    it("should no longer report an active stream for the booking", async function () {
+      const res = await chai
+        .request(app)
+        .get(`/api/streams/booking/${booking.id}`)
+        .set("Authorization", `Bearer ${hostToken}`);
+
+      expect(res).to.have.status(404);
+    });
+
+    it("should fail a stream whose encoder dropped before the party ended", async function () {
+      const disconnectedAt = new Date(Date.now() - 10 * 60 * 1000);
+
+      // A live stream whose encoder went away ten minutes ago
+      const { data } = await supabase
+        .from("streams")
+        .insert([
+          {
+            booking_id: booking.id,
+            dj_profile_id: djProfile.id,
+            host_id: hostUser.id,
+            title: "Dropped stream",
+            status: "live",
+            provider: "local",
+            channel_id: `dropped-${Date.now()}`,
+            ingest_endpoint: "rtmp://localhost:1935/live",
+            playback_url: "http://localhost:8000/live/dropped/index.m3u8",
+            start_time: new Date(Date.now() - 20 * 60 * 1000).toISOString(),
+            disconnected_at: disconnectedAt.toISOString(),
+          },
+        ])
+        .select();
+
+      failedStream = data[0];
+
+      await finishDisconnectedStreams(new Date());
+
+      const { data: finished } = await supabase
+        .from("streams")
+        .select("*")
+        .eq("id", failedStream.id)
+        .single();
+
+      expect(finished.status).to.equal("failed");
+      expect(new Date(finished.end_time).getTime()).to.equal(
+        disconnectedAt.getTime()
+      );
+    });
   });
 });
@@ -0,0 +1,120 @@
+const chai = require("chai");
+const http = require("http");
+const { createStripeClient } = require("../../utils/stripe");
+const {
+  buildEscrowCharge,
+  buildTransfer,
+  accountStatus,
+} = require("../../services/connect.service");
+
+const expect = chai.expect;
+
+// stripe-mock validates requests against Stripe's OpenAPI spec:
+//   docker run --rm -p 12111:12111 stripe/stripe-mock
+const STRIPE_MOCK_URL = process.env.STRIPE_MOCK_URL || "http://localhost:12111";
+
+/**
+ * Check whether stripe-mock is listening
+ * @returns {Promise} - Resolves true when reachable
+ */
+const isStripeMockRunning = () =>
+  new Promise((resolve) => {
+    const request = http.get(`${STRIPE_MOCK_URL}/v1/accounts`, (res) => {
+      res.resume();
+      resolve(true);
+    });
+    request.on("error", () => resolve(false));
+    request.setTimeout(1000, () => {
+      request.destroy();
+      resolve(false);
+    });
+  });
+
+describe("Stripe Connect against stripe-mock", function () {
+  this.timeout(10000);
+
+  const stripe = createStripeClient({
+    secretKey: "sk_test_123",
+    apiBase: STRIPE_MOCK_URL,
+  });
+
+  before(async function () {
+    if (!(await isStripeMockRunning())) {
+      console.warn(`stripe-mock not reachable at ${STRIPE_MOCK_URL}`);
+      this.skip();
+    }
+  });
+
+  it("should create an Express account and an onboarding link", async function () {
+    const account = await stripe.accounts.create({
+      type: "express",
+      country: "US",
+      email: "dj@example.com",
+      capabilities: {
+        card_payments: { requested: true },
+        transfers: { requested: true },
+      },
+      metadata: { dj_profile_id: "dj-profile-1" },
+    });
+
+    expect(accountStatus(account).stripe_account_id).to.match(/^acct_/);
+
+    const accountLink = await stripe.accountLinks.create({
+      account: account.id,
+      refresh_url: "http://localhost:3001/dashboard?payouts=refresh",
+      return_url: "http://localhost:3001/dashboard?payouts=complete",
+      type: "account_onboarding",
+    });
+
+    expect(accountLink.url).to.be.a("string");
+  });
+
+  it("should accept a charge held on the platform account", async function () {
+    const paymentIntent = await stripe.paymentIntents.create(
+      buildEscrowCharge({
+        amount: 300,
+        currency: "usd",
+        platformFee: 45,
+        customer: "cus_123",
+        description: "Booking #booking-1",
+        bookingId: "booking-1",
+      })
+    );
+
+    expect(paymentIntent.object).to.equal("payment_intent");
+  });
+
+  it("should release the DJ's share as a transfer from the charge", async function () {
+    const transfer = await stripe.transfers.create(
+      buildTransfer(
+        {
+          id: "payout-1",
+          payment_id: "payment-1",
+          booking_id: "booking-1",
+          stripe_account_id: "acct_123",
+          amount: 255,
+          currency: "usd",
+        },
+        "ch_123"
+      ),
+      { idempotencyKey: "payout_release_payout-1" }
+    );
+
+    expect(transfer.object).to.equal("transfer");
+  });
+
+  it("should reverse a released transfer after a refund", async function () {
+    const refund = await stripe.refunds.create({
+      payment_intent: "pi_123",
+      amount: 15000,
+    });
+
+    expect(refund.object).to.equal("refund");
+
+    const reversal = await stripe.transfers.createReversal("tr_123", {
+      amount: 12750,
+    });
+
+    expect(reversal.object).to.equal("transfer_reversal");
+  });
+});
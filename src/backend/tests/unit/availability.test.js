@@ -0,0 +1,143 @@
+const chai = require("chai");
+const {
+  computeAvailableSlots,
+  mergeIntervals,
+} = require("../../services/availability.service");
+
+const expect = chai.expect;
+
+describe("Availability Service", function () {
+  const now = new Date("2025-06-01T00:00:00Z");
+
+  describe("mergeIntervals", function () {
+    it("should merge overlapping and touching intervals", function () {
+      const merged = mergeIntervals([
+        { start: 5, end: 8 },
+        { start: 1, end: 3 },
+        { start: 3, end: 4 },
+        { start: 7, end: 10 },
+      ]);
+
+      expect(merged).to.deep.equal([
+        { start: 1, end: 4 },
+        { start: 5, end: 10 },
+      ]);
+    });
+  });
+
+  describe("computeAvailableSlots", function () {
+    it("should treat a DJ without rules as open for the whole range", function () {
+      const slots = computeAvailableSlots({
+        rangeStart: new Date("2025-06-02T00:00:00Z"),
+        rangeEnd: new Date("2025-06-03T00:00:00Z"),
+        now,
+      });
+
+      expect(slots).to.have.length(1);
+      expect(slots[0].start_time).to.equal("2025-06-02T00:00:00.000Z");
+      expect(slots[0].end_time).to.equal("2025-06-03T00:00:00.000Z");
+      expect(slots[0].duration_hours).to.equal(24);
+    });
+
+    it("should expand overnight rules in the rule's timezone", function () {
+      // Friday 2025-06-06, Europe/Berlin is UTC+2 in summer
+      const slots = computeAvailableSlots({
+        rules: [
+          {
+            days_of_week: [5],
+            start_time: "20:00:00",
+            end_time: "03:00:00",
+            timezone: "Europe/Berlin",
+          },
+        ],
+        rangeStart: new Date("2025-06-06T00:00:00Z"),
+        rangeEnd: new Date("2025-06-08T00:00:00Z"),
+        now,
+      });
+
+      expect(slots).to.have.length(1);
+      expect(slots[0].start_time).to.equal("2025-06-06T18:00:00.000Z");
+      expect(slots[0].end_time).to.equal("2025-06-07T01:00:00.000Z");
+    });
+
+    it("should remove bookings with buffer and blackouts", function () {
+      const slots = computeAvailableSlots({
+        rules: [
+          {
+            days_of_week: [1],
+            start_time: "10:00",
+            end_time: "22:00",
+            timezone: "UTC",
+          },
+        ],
+        bookings: [
+          {
+            start_time: "2025-06-02T14:00:00Z",
+            end_time: "2025-06-02T16:00:00Z",
+          },
+        ],
+        blackouts: [
+          {
+            start_time: "2025-06-02T20:00:00Z",
+            end_time: "2025-06-03T08:00:00Z",
+          },
+        ],
+        rangeStart: new Date("2025-06-02T00:00:00Z"),
+        rangeEnd: new Date("2025-06-03T00:00:00Z"),
+        bufferMinutes: 60,
+        now,
+      });
+
+      expect(slots.map((slot) => [slot.start_time, slot.end_time])).to.deep.equal([
+        ["2025-06-02T10:00:00.000Z", "2025-06-02T13:00:00.000Z"],
+        ["2025-06-02T17:00:00.000Z", "2025-06-02T20:00:00.000Z"],
+      ]);
+    });
+
+    it("should drop slots shorter than the minimum duration and cap booking length", function () {
+      const slots = computeAvailableSlots({
+        bookings: [
+          {
+            start_time: "2025-06-02T01:00:00Z",
+            end_time: "2025-06-02T02:00:00Z",
+          },
+        ],
+        rangeStart: new Date("2025-06-02T00:00:00Z"),
+        rangeEnd: new Date("2025-06-02T12:00:00Z"),
+        minDurationHours: 2,
+        maxDurationHours: 8,
+        now,
+      });
+
+      expect(slots).to.have.length(1);
+      expect(slots[0].start_time).to.equal("2025-06-02T02:00:00.000Z");
+      expect(slots[0].duration_hours).to.equal(10);
+      expect(slots[0].max_booking_hours).to.equal(8);
+    });
+
+    it("should not return slots in the past", function () {
+      const slots = computeAvailableSlots({
+        rangeStart: new Date("2025-05-31T00:00:00Z"),
+        rangeEnd: new Date("2025-06-01T06:00:00Z"),
+        now,
+      });
+
+      expect(slots).to.have.length(1);
+      expect(slots[0].start_time).to.equal("2025-06-01T00:00:00.000Z");
+    });
+
+    it("should only offer slots between the lead time and the booking horizon", function () {
+      const slots = computeAvailableSlots({
+        rangeStart: new Date("2025-05-31T00:00:00Z"),
+        rangeEnd: new Date("2025-06-10T00:00:00Z"),
+        minLeadTimeHours: 24,
+        maxAdvanceDays: 3,
+        now,
+      });
+
+      expect(slots).to.have.length(1);
+      expect(slots[0].start_time).to.equal("2025-06-02T00:00:00.000Z");
+      expect(slots[0].end_time).to.equal("2025-06-04T00:00:00.000Z");
+    });
+  });
+});
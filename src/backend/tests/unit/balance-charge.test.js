@@ -0,0 +1,349 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const Booking = require("../../models/Booking");
+const DjProfile = require("../../models/DjProfile");
+const Notification = require("../../models/Notification");
+const Payment = require("../../models/Payment");
+const User = require("../../models/User");
+const { db, logger } = require("../../utils/database");
+const { stripeClient } = require("../../utils/stripe");
+const { chargeDueBalances } = require("../../jobs/balance-charge.job");
+
+const expect = chai.expect;
+
+describe("Balance Charge Job", function () {
+  const now = new Date("2026-10-01T12:00:00Z");
+
+  const booking = {
+    id: "booking-1",
+    host_id: "host-1",
+    dj_profile_id: "dj-profile-1",
+    status: "confirmed",
+    start_time: "2026-11-01T20:00:00Z",
+  };
+
+  const balance = {
+    id: "payment-1",
+    booking_id: "booking-1",
+    host_id: "host-1",
+    dj_profile_id: "dj-profile-1",
+    kind: "balance",
+    amount: "700.00",
+    currency: "USD",
+    platform_fee: "70.00",
+    payment_method_id: "pm_1",
+    payment_intent_id: null,
+    attempt_count: 0,
+  };
+
+  const declined = (message) => {
+    const error = new Error(message);
+    error.status = 402;
+    error.paymentIntentId = "pi_declined";
+    return error;
+  };
+
+  before(function () {
+    logger.silent = true;
+  });
+
+  after(function () {
+    logger.silent = false;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("chargeDueBalances", function () {
+    beforeEach(function () {
+      sinon.stub(Payment, "getDueBalances").resolves([balance]);
+      sinon.stub(Booking, "getById").resolves(booking);
+      sinon
+        .stub(User, "getById")
+        .resolves({ id: "host-1", stripe_customer_id: "cus_1" });
+      sinon.stub(Notification, "create").resolves({});
+    });
+
+    it("should charge a due balance to the host's saved card", async function () {
+      sinon.stub(Payment, "chargeBalance").resolves({
+        ...balance,
+        status: "succeeded",
+        payment_intent_id: "pi_1",
+      });
+      const completeBooking = sinon.stub(Payment, "completeBooking").resolves();
+
+      const summary = await chargeDueBalances(now);
+
+      expect(summary).to.deep.equal({
+        charged: 1,
+        retrying: 0,
+        cancelled: 0,
+        failed: 0,
+      });
+      expect(Payment.chargeBalance.calledOnceWith(balance, "cus_1")).to.equal(
+        true
+      );
+      expect(completeBooking.calledOnce).to.equal(true);
+    });
+
+    it("should leave a processing charge for the webhook to complete", async function () {
+      sinon
+        .stub(Payment, "chargeBalance")
+        .resolves({ ...balance, status: "processing" });
+      const completeBooking = sinon.stub(Payment, "completeBooking").resolves();
+
+      const summary = await chargeDueBalances(now);
+
+      expect(summary.charged).to.equal(1);
+      expect(completeBooking.called).to.equal(false);
+    });
+
+    it("should drop the balance of a booking that no longer needs it", async function () {
+      Booking.getById.resolves({ ...booking, status: "cancelled" });
+      const cancelBalance = sinon.stub(Payment, "cancelBalance").resolves([]);
+      const chargeBalance = sinon.stub(Payment, "chargeBalance");
+
+      const summary = await chargeDueBalances(now);
+
+      expect(cancelBalance.calledOnceWith("booking-1")).to.equal(true);
+      expect(chargeBalance.called).to.equal(false);
+      expect(summary).to.deep.equal({
+        charged: 0,
+        retrying: 0,
+        cancelled: 0,
+        failed: 0,
+      });
+    });
+
+    it("should schedule a retry and tell the host when the card is declined", async function () {
+      sinon
+        .stub(Payment, "chargeBalance")
+        .rejects(declined("Your card was declined."));
+      const recordBalanceFailure = sinon
+        .stub(Payment, "recordBalanceFailure")
+        .resolves({});
+      const updateStatus = sinon.stub(Booking, "updateStatus");
+
+      const summary = await chargeDueBalances(now);
+
+      expect(summary.retrying).to.equal(1);
+      expect(updateStatus.called).to.equal(false);
+
+      const failure = recordBalanceFailure.firstCall.args[1];
+      expect(failure.message).to.equal("Your card was declined.");
+      expect(failure.paymentIntentId).to.equal("pi_declined");
+      expect(failure.nextAttemptAt.toISOString()).to.equal(
+        "2026-10-02T12:00:00.000Z"
+      );
+
+      const [userId, notification] = Notification.create.firstCall.args;
+      expect(userId).to.equal("host-1");
+      expect(notification.type).to.equal("balance_payment_failed");
+      expect(notification.data.next_attempt_at).to.equal(
+        failure.nextAttemptAt
+      );
+    });
+
+    it("should cancel the booking once the retries have run out", async function () {
+      Payment.getDueBalances.resolves([{ ...balance, attempt_count: 3 }]);
+      sinon
+        .stub(Payment, "chargeBalance")
+        .rejects(declined("Your card was declined."));
+      const recordBalanceFailure = sinon
+        .stub(Payment, "recordBalanceFailure")
+        .resolves({});
+      const cancellation = { quote: { refund_amount: 150 } };
+      sinon.stub(Payment, "getCancellationQuote").resolves(cancellation);
+      const updateStatus = sinon.stub(Booking, "updateStatus").resolves([]);
+      const refundCancellation = sinon
+        .stub(Payment, "refundCancellation")
+        .resolves({ refunds: [] });
+      sinon
+        .stub(DjProfile, "getById")
+        .resolves({ id: "dj-profile-1", user_id: "dj-user-1" });
+
+      const summary = await chargeDueBalances(now);
+
+      expect(summary.cancelled).to.equal(1);
+      expect(recordBalanceFailure.firstCall.args[1].nextAttemptAt).to.equal(
+        null
+      );
+      expect(
+        Payment.getCancellationQuote.calledOnceWith(booking, "host")
+      ).to.equal(true);
+
+      const [bookingId, status, actor] = updateStatus.firstCall.args;
+      expect(bookingId).to.equal("booking-1");
+      expect(status).to.equal("cancelled");
+      expect(actor.role).to.equal("system");
+      expect(actor.reason).to.equal(
+        "Balance payment failed: Your card was declined."
+      );
+
+      // The quote is taken before the booking is cancelled
+      expect(Payment.getCancellationQuote.calledBefore(updateStatus)).to.equal(
+        true
+      );
+      expect(
+        refundCancellation.calledOnceWith(cancellation, { role: "system" })
+      ).to.equal(true);
+
+      const notified = Notification.create.getCalls().map((call) => ({
+        userId: call.args[0],
+        type: call.args[1].type,
+        refundAmount: call.args[1].data.refund_amount,
+      }));
+      expect(notified).to.deep.equal([
+        {
+          userId: "host-1",
+          type: "booking_cancelled_unpaid",
+          refundAmount: 150,
+        },
+        {
+          userId: "dj-user-1",
+          type: "booking_cancelled_unpaid",
+          refundAmount: 150,
+        },
+      ]);
+    });
+
+    it("should count other errors as failed and carry on", async function () {
+      Payment.getDueBalances.resolves([
+        balance,
+        { ...balance, id: "payment-2" },
+      ]);
+      const chargeBalance = sinon.stub(Payment, "chargeBalance");
+      chargeBalance.onFirstCall().rejects(new Error("Stripe is down"));
+      chargeBalance
+        .onSecondCall()
+        .resolves({ ...balance, id: "payment-2", status: "processing" });
+      const recordBalanceFailure = sinon.stub(Payment, "recordBalanceFailure");
+
+      const summary = await chargeDueBalances(now);
+
+      expect(summary).to.deep.equal({
+        charged: 1,
+        retrying: 0,
+        cancelled: 0,
+        failed: 1,
+      });
+      expect(recordBalanceFailure.called).to.equal(false);
+    });
+  });
+
+  describe("Payment.chargeBalance", function () {
+    it("should reject a balance without a saved card as a decline", async function () {
+      const create = sinon.stub(stripeClient.paymentIntents, "create");
+
+      try {
+        await Payment.chargeBalance(
+          { ...balance, payment_method_id: null },
+          "cus_1"
+        );
+        expect.fail("chargeBalance should have thrown");
+      } catch (error) {
+        expect(error.status).to.equal(402);
+      }
+
+      expect(create.called).to.equal(false);
+    });
+
+    it("should turn a card error into a 402 with the declined intent", async function () {
+      const cardError = new Error("Your card was declined.");
+      cardError.type = "StripeCardError";
+      cardError.raw = { payment_intent: { id: "pi_declined" } };
+      sinon.stub(stripeClient.paymentIntents, "create").rejects(cardError);
+      const update = sinon.stub(db, "update");
+
+      try {
+        await Payment.chargeBalance(balance, "cus_1");
+        expect.fail("chargeBalance should have thrown");
+      } catch (error) {
+        expect(error.status).to.equal(402);
+        expect(error.message).to.equal("Your card was declined.");
+        expect(error.paymentIntentId).to.equal("pi_declined");
+      }
+
+      expect(update.called).to.equal(false);
+    });
+
+    it("should rethrow errors that are not declines", async function () {
+      const apiError = new Error("Connection error");
+      apiError.type = "StripeConnectionError";
+      sinon.stub(stripeClient.paymentIntents, "create").rejects(apiError);
+
+      try {
+        await Payment.chargeBalance(balance, "cus_1");
+        expect.fail("chargeBalance should have thrown");
+      } catch (error) {
+        expect(error).to.equal(apiError);
+        expect(error.status).to.equal(undefined);
+      }
+    });
+
+    it("should charge off-session once per attempt", async function () {
+      const create = sinon
+        .stub(stripeClient.paymentIntents, "create")
+        .resolves({ id: "pi_1", status: "succeeded", latest_charge: "ch_1" });
+      const update = sinon
+        .stub(db, "update")
+        .callsFake(async (table, id, changes) => [{ id, ...changes }]);
+
+      const payment = await Payment.chargeBalance(balance, "cus_1");
+
+      const [params, options] = create.firstCall.args;
+      expect(params.customer).to.equal("cus_1");
+      expect(params.payment_method).to.equal("pm_1");
+      expect(params.off_session).to.equal(true);
+      expect(params.confirm).to.equal(true);
+      expect(options.idempotencyKey).to.equal("balance_payment-1_0");
+
+      expect(update.calledOnce).to.equal(true);
+      expect(payment.status).to.equal("succeeded");
+      expect(payment.stripe_charge_id).to.equal("ch_1");
+      expect(payment.attempt_count).to.equal(1);
+      expect(payment.last_error).to.equal(null);
+    });
+  });
+
+  describe("Payment.recordBalanceFailure", function () {
+    beforeEach(function () {
+      sinon
+        .stub(db, "update")
+        .callsFake(async (table, id, changes) => [{ id, ...changes }]);
+    });
+
+    it("should keep a balance with retries left as failed", async function () {
+      const nextAttemptAt = new Date("2026-10-02T12:00:00Z");
+
+      const payment = await Payment.recordBalanceFailure(balance, {
+        message: "Your card was declined.",
+        paymentIntentId: "pi_declined",
+        nextAttemptAt,
+      });
+
+      expect(payment.status).to.equal("failed");
+      expect(payment.attempt_count).to.equal(1);
+      expect(payment.next_attempt_at).to.equal(nextAttemptAt);
+      expect(payment.last_error).to.equal("Your card was declined.");
+      expect(payment.payment_intent_id).to.equal("pi_declined");
+    });
+
+    it("should cancel a balance with no retries left", async function () {
+      const payment = await Payment.recordBalanceFailure(
+        { ...balance, attempt_count: 3, payment_intent_id: "pi_earlier" },
+        {
+          message: "No saved card to charge the balance to",
+          paymentIntentId: null,
+          nextAttemptAt: null,
+        }
+      );
+
+      expect(payment.status).to.equal("canceled");
+      expect(payment.attempt_count).to.equal(4);
+      expect(payment.next_attempt_at).to.equal(null);
+      expect(payment.payment_intent_id).to.equal("pi_earlier");
+    });
+  });
+});
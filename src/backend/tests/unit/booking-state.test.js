@@ -0,0 +1,80 @@
+const chai = require("chai");
+const {
+  checkTransition,
+  getAllowedTransitions,
+  isFinalStatus,
+} = require("../../services/booking-state.service");
+
+const expect = chai.expect;
+
+describe("Booking State Service", function () {
+  describe("checkTransition", function () {
+    it("should let the DJ accept or decline a requested booking", function () {
+      expect(checkTransition("requested", "accepted", "dj").allowed).to.be.true;
+      expect(checkTransition("requested", "declined", "dj").allowed).to.be.true;
+    });
+
+    it("should forbid the host from accepting their own request", function () {
+      const result = checkTransition("requested", "accepted", "host");
+
+      expect(result.allowed).to.be.false;
+      expect(result.status).to.equal(403);
+    });
+
+    it("should reject transitions that skip steps", function () {
+      const result = checkTransition("requested", "confirmed", "admin");
+
+      expect(result.allowed).to.be.false;
+      expect(result.status).to.equal(409);
+      expect(result.error).to.match(/from requested to confirmed/);
+    });
+
+    it("should only let the system mark a booking as paid", function () {
+      expect(checkTransition("accepted", "paid", "system").allowed).to.be.true;
+      expect(checkTransition("accepted", "paid", "admin").allowed).to.be.false;
+    });
+
+    it("should let a chargeback dispute any paid booking", function () {
+      expect(checkTransition("paid", "disputed", "system").allowed).to.be.true;
+      expect(checkTransition("completed", "disputed", "system").allowed).to.be
+        .true;
+      expect(checkTransition("paid", "disputed", "host").allowed).to.be.false;
+      expect(checkTransition("accepted", "disputed", "system").allowed).to.be
+        .false;
+    });
+
+    it("should let the system cancel a paid booking whose balance failed", function () {
+      expect(checkTransition("paid", "cancelled", "system").allowed).to.be
+        .true;
+      expect(checkTransition("confirmed", "cancelled", "system").allowed).to
+        .be.true;
+      expect(checkTransition("in_progress", "cancelled", "system").allowed).to
+        .be.false;
+    });
+
+    it("should reject unknown statuses", function () {
+      const result = checkTransition("requested", "pending", "dj");
+
+      expect(result.allowed).to.be.false;
+      expect(result.status).to.equal(400);
+    });
+
+    it("should not allow leaving a final status", function () {
+      expect(isFinalStatus("cancelled")).to.be.true;
+      expect(checkTransition("cancelled", "requested", "admin").allowed).to.be
+        .false;
+    });
+  });
+
+  describe("getAllowedTransitions", function () {
+    it("should list what each party can do next", function () {
+      expect(getAllowedTransitions("confirmed", "host")).to.deep.equal([
+        "cancelled",
+      ]);
+      expect(getAllowedTransitions("in_progress", "dj")).to.deep.equal([
+        "completed",
+      ]);
+      expect(getAllowedTransitions("expired", "admin")).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const chai = require("chai");
+const {
+  getBookingLimits,
+  validateBookingTimes,
+} = require("../../services/booking-validation.service");
+
+const expect = chai.expect;
+
+describe("Booking Validation Service", function () {
+  const now = new Date("2025-06-01T12:00:00Z");
+  const hoursFromNow = (hours) =>
+    new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  const validate = (startHours, endHours, djProfile = {}) =>
+    validateBookingTimes({
+      startTime: hoursFromNow(startHours),
+      endTime: hoursFromNow(endHours),
+      djProfile,
+      now,
+    });
+
+  describe("getBookingLimits", function () {
+    it("should use the platform limits when the DJ has no overrides", function () {
+      expect(getBookingLimits({})).to.deep.equal({
+        minDuration: 2,
+        maxDuration: 8,
+        minLeadTimeHours: 1,
+        maxAdvanceDays: 365,
+      });
+    });
+
+    it("should apply a DJ's overrides", function () {
+      const limits = getBookingLimits({
+        min_duration_hours: "1.5",
+        max_advance_days: 30,
+        min_lead_time_hours: 0,
+      });
+
+      expect(limits.minDuration).to.equal(1.5);
+      expect(limits.maxDuration).to.equal(8);
+      expect(limits.minLeadTimeHours).to.equal(0);
+      expect(limits.maxAdvanceDays).to.equal(30);
+    });
+  });
+
+  describe("validateBookingTimes", function () {
+    it("should accept a booking inside every limit", function () {
+      expect(validate(24, 27)).to.deep.equal([]);
+    });
+
+    it("should reject bookings that are too short or too long", function () {
+      expect(validate(24, 24 + 5 / 60)[0]).to.include({
+        field: "end_time",
+        code: "duration_too_short",
+      });
+      expect(validate(24, 24 + 72)[0]).to.include({
+        field: "end_time",
+        code: "duration_too_long",
+      });
+    });
+
+    it("should reject an end time before the start time", function () {
+      expect(validate(27, 24)[0]).to.include({
+        field: "end_time",
+        code: "end_before_start",
+      });
+    });
+
+    it("should enforce the lead time and advance-booking horizon", function () {
+      expect(validate(-1, 2)[0]).to.include({
+        field: "start_time",
+        code: "in_past",
+      });
+      expect(validate(0.5, 3)[0]).to.include({
+        field: "start_time",
+        code: "lead_time",
+      });
+      expect(validate(366 * 24, 366 * 24 + 3)[0]).to.include({
+        field: "start_time",
+        code: "too_far_ahead",
+      });
+    });
+
+    it("should report every failing field at once", function () {
+      const errors = validate(0.5, 0.6);
+
+      expect(errors.map((error) => error.code)).to.have.members([
+        "duration_too_short",
+        "lead_time",
+      ]);
+    });
+
+    it("should let a DJ relax the platform limits", function () {
+      expect(
+        validate(0.5, 1, { min_duration_hours: 0.5, min_lead_time_hours: 0 })
+      ).to.deep.equal([]);
+    });
+  });
+});
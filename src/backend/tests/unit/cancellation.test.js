@@ -0,0 +1,87 @@
+const chai = require("chai");
+const {
+  CANCELLATION_POLICIES,
+  computeCancellationQuote,
+  getPolicy,
+} = require("../../services/cancellation.service");
+
+const expect = chai.expect;
+
+describe("Cancellation Service", function () {
+  const now = new Date("2025-06-01T12:00:00Z");
+  const bookingStartingIn = (hours) => ({
+    start_time: new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString(),
+  });
+
+  describe("getPolicy", function () {
+    it("should fall back to the standard policy built from cancellationPeriod", function () {
+      const policy = getPolicy(null);
+
+      expect(policy.name).to.equal("standard");
+      expect(policy.tiers).to.deep.equal([
+        { hoursBefore: 48, refundPercentage: 100 },
+      ]);
+    });
+
+    it("should only offer the configured presets to DJs", function () {
+      expect(CANCELLATION_POLICIES).to.have.members([
+        "flexible",
+        "moderate",
+        "strict",
+      ]);
+    });
+  });
+
+  describe("computeCancellationQuote", function () {
+    it("should refund a host in full when they cancel well ahead", function () {
+      const quote = computeCancellationQuote({
+        booking: bookingStartingIn(72),
+        cancelledBy: "host",
+        amountPaid: 400,
+        now,
+      });
+
+      expect(quote.refund_percentage).to.equal(100);
+      expect(quote.refund_amount).to.equal(400);
+    });
+
+    it("should refund nothing when a host cancels inside the cancellation period", function () {
+      const quote = computeCancellationQuote({
+        booking: bookingStartingIn(10 / 60),
+        cancelledBy: "host",
+        amountPaid: 400,
+        now,
+      });
+
+      expect(quote.refund_percentage).to.equal(0);
+      expect(quote.refund_amount).to.equal(0);
+    });
+
+    it("should apply the tiers of the DJ's policy", function () {
+      const quote = computeCancellationQuote({
+        booking: bookingStartingIn(72),
+        policyName: "moderate",
+        cancelledBy: "host",
+        amountPaid: 333.33,
+        now,
+      });
+
+      expect(quote.policy).to.equal("moderate");
+      expect(quote.refund_percentage).to.equal(50);
+      expect(quote.refund_amount).to.equal(166.67);
+    });
+
+    it("should refund the host in full when the DJ cancels", function () {
+      const quote = computeCancellationQuote({
+        booking: bookingStartingIn(1),
+        policyName: "strict",
+        cancelledBy: "dj",
+        amountPaid: 400,
+        now,
+      });
+
+      expect(quote.refund_percentage).to.equal(100);
+      expect(quote.refund_amount).to.equal(400);
+    });
+  });
+});
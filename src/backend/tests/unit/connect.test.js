@@ -0,0 +1,186 @@
+const chai = require("chai");
+const {
+  buildEscrowCharge,
+  buildTransfer,
+  canReceivePayments,
+  getReleaseBlocker,
+  djShare,
+  summarizePayouts,
+  toStripeAmount,
+  fromStripeAmount,
+} = require("../../services/connect.service");
+
+const expect = chai.expect;
+
+describe("Connect Service", function () {
+  describe("buildEscrowCharge", function () {
+    it("should keep the charge on the platform account", function () {
+      const params = buildEscrowCharge({
+        amount: 333.33,
+        currency: "usd",
+        platformFee: 50,
+        customer: "cus_123",
+        description: "Booking #1",
+        bookingId: "1",
+        metadata: { host_id: "host-1" },
+      });
+
+      // No application_fee_amount or transfer_data: the fee is what the
+      // release transfer leaves behind
+      expect(params).to.deep.equal({
+        amount: 33333,
+        currency: "usd",
+        customer: "cus_123",
+        description: "Booking #1",
+        transfer_group: "booking_1",
+        metadata: {
+          booking_id: "1",
+          platform_fee: 50,
+          host_id: "host-1",
+        },
+      });
+    });
+  });
+
+  describe("toStripeAmount / fromStripeAmount", function () {
+    it("should use cents for two-decimal currencies", function () {
+      expect(toStripeAmount(19.99, "eur")).to.equal(1999);
+      expect(fromStripeAmount(1999, "eur")).to.equal(19.99);
+    });
+
+    it("should use whole units for zero-decimal currencies", function () {
+      expect(toStripeAmount(25003, "jpy")).to.equal(25003);
+      expect(toStripeAmount(1500.4, "JPY")).to.equal(1500);
+      expect(fromStripeAmount(25003, "jpy")).to.equal(25003);
+    });
+  });
+
+  describe("buildTransfer", function () {
+    it("should transfer the DJ's share from the original charge", function () {
+      const params = buildTransfer(
+        {
+          id: "payout-1",
+          payment_id: "payment-1",
+          booking_id: "1",
+          stripe_account_id: "acct_123",
+          amount: "283.33",
+          currency: "usd",
+        },
+        "ch_123"
+      );
+
+      expect(params).to.deep.equal({
+        amount: 28333,
+        currency: "usd",
+        destination: "acct_123",
+        transfer_group: "booking_1",
+        source_transaction: "ch_123",
+        metadata: {
+          booking_id: "1",
+          payment_id: "payment-1",
+          payout_id: "payout-1",
+        },
+      });
+    });
+  });
+
+  describe("getReleaseBlocker", function () {
+    const now = new Date("2026-10-10T12:00:00Z");
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+    const due = {
+      booking: { status: "completed" },
+      stream: { status: "ended" },
+      openClaim: null,
+      completedAt: hoursAgo(72),
+      now,
+    };
+
+    it("should release once the dispute window has closed", function () {
+      expect(getReleaseBlocker(due)).to.equal(null);
+    });
+
+    it("should hold the payout while the dispute window is open", function () {
+      expect(
+        getReleaseBlocker({ ...due, completedAt: hoursAgo(2) })
+      ).to.equal("Dispute window is still open");
+    });
+
+    it("should hold the payout until the booking completes", function () {
+      expect(
+        getReleaseBlocker({ ...due, booking: { status: "in_progress" } })
+      ).to.equal("Booking is not completed");
+      expect(
+        getReleaseBlocker({ ...due, booking: { status: "disputed" } })
+      ).to.equal("Booking is not completed");
+    });
+
+    it("should hold the payout until the stream has ended", function () {
+      expect(getReleaseBlocker({ ...due, stream: null })).to.equal(
+        "Stream has not ended"
+      );
+      expect(
+        getReleaseBlocker({ ...due, stream: { status: "live" } })
+      ).to.equal("Stream has not ended");
+    });
+
+    it("should hold the payout while a no-show claim is open", function () {
+      expect(
+        getReleaseBlocker({ ...due, openClaim: { status: "open" } })
+      ).to.equal("Host filed a no-show claim");
+    });
+  });
+
+  describe("canReceivePayments", function () {
+    it("should require a fully onboarded connected account", function () {
+      expect(canReceivePayments(null)).to.equal(false);
+      expect(
+        canReceivePayments({
+          stripe_account_id: "acct_123",
+          stripe_charges_enabled: true,
+          stripe_payouts_enabled: false,
+        })
+      ).to.equal(false);
+      expect(
+        canReceivePayments({
+          stripe_account_id: "acct_123",
+          stripe_charges_enabled: true,
+          stripe_payouts_enabled: true,
+        })
+      ).to.equal(true);
+    });
+  });
+
+  describe("djShare", function () {
+    it("should leave the DJ the amount minus the platform fee", function () {
+      expect(djShare({ amount: "300.00", platform_fee: "45.00" })).to.equal(
+        255
+      );
+    });
+
+    it("should keep the tax collected on the platform", function () {
+      expect(
+        djShare({ amount: "363.00", platform_fee: "45.00", tax_amount: "63" })
+      ).to.equal(255);
+    });
+  });
+
+  describe("summarizePayouts", function () {
+    it("should total ledger entries per status", function () {
+      const totals = summarizePayouts([
+        { status: "held", amount: 200 },
+        { status: "pending", amount: "85.00" },
+        { status: "pending", amount: "42.50" },
+        { status: "in_transit", amount: 100 },
+        { status: "paid", amount: 255 },
+      ]);
+
+      expect(totals).to.deep.equal({
+        held: 200,
+        pending: 127.5,
+        in_transit: 100,
+        paid: 255,
+        reversed: 0,
+      });
+    });
+  });
+});
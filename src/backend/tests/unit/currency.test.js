@@ -0,0 +1,142 @@
+const chai = require("chai");
+const {
+  normalizeCurrency,
+  isSupportedCurrency,
+  getMinorUnitDigits,
+  roundCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  convertQuote,
+} = require("../../services/currency.service");
+const {
+  createStaticFileProvider,
+  setFxProvider,
+  getExchangeRate,
+} = require("../../services/fx-rate.service");
+
+const expect = chai.expect;
+
+describe("Currency Service", function () {
+  describe("normalizeCurrency / isSupportedCurrency", function () {
+    it("should accept supported currencies in any case", function () {
+      expect(normalizeCurrency(" eur ")).to.equal("EUR");
+      expect(isSupportedCurrency("mxn")).to.equal(true);
+      expect(isSupportedCurrency("XYZ")).to.equal(false);
+      expect(isSupportedCurrency(undefined)).to.equal(false);
+    });
+  });
+
+  describe("minor units", function () {
+    it("should treat JPY and CLP as zero-decimal", function () {
+      expect(getMinorUnitDigits("JPY")).to.equal(0);
+      expect(getMinorUnitDigits("clp")).to.equal(0);
+      expect(getMinorUnitDigits("EUR")).to.equal(2);
+    });
+
+    it("should round to the currency's minor unit", function () {
+      expect(roundCurrency(10.006)).to.equal(10.01);
+      expect(roundCurrency(1234.5, "JPY")).to.equal(1235);
+      expect(roundCurrency(1234.567, "BRL")).to.equal(1234.57);
+    });
+
+    it("should convert to and from the smallest unit", function () {
+      expect(toMinorUnits(12.34, "usd")).to.equal(1234);
+      expect(toMinorUnits(1234, "jpy")).to.equal(1234);
+      expect(fromMinorUnits(1234, "usd")).to.equal(12.34);
+      expect(fromMinorUnits(1234, "jpy")).to.equal(1234);
+    });
+  });
+
+  describe("convertQuote", function () {
+    it("should restate every amount in the display currency", function () {
+      const converted = convertQuote(
+        {
+          currency: "EUR",
+          line_items: [
+            { type: "base", quantity: 2, unit_amount: 100, amount: 200 },
+          ],
+          subtotal: 200,
+          platform_fee: 30,
+          tax_lines: [],
+          tax_amount: 0,
+          total: 200,
+        },
+        { currency: "JPY", rate: 162.5, as_of: "2026-10-01T00:00:00Z" }
+      );
+
+      expect(converted).to.include({
+        currency: "JPY",
+        rate: 162.5,
+        rate_as_of: "2026-10-01T00:00:00Z",
+        subtotal: 32500,
+        platform_fee: 4875,
+        total: 32500,
+      });
+      expect(converted.line_items[0]).to.include({
+        quantity: 2,
+        unit_amount: 16250,
+        amount: 32500,
+      });
+    });
+  });
+});
+
+describe("FX Rate Service", function () {
+  afterEach(function () {
+    setFxProvider(null);
+  });
+
+  describe("static file provider", function () {
+    const provider = createStaticFileProvider({ ratesFile: "fx-rates.json" });
+
+    it("should read rates against the file's base currency", async function () {
+      const { rate, as_of } = await provider.getRate("USD", "EUR");
+
+      expect(rate).to.equal(0.92);
+      expect(as_of).to.be.a("string");
+    });
+
+    it("should derive cross rates through the base currency", async function () {
+      const { rate } = await provider.getRate("eur", "gbp");
+
+      expect(rate).to.be.closeTo(0.79 / 0.92, 1e-9);
+    });
+
+    it("should reject currencies without a rate", async function () {
+      try {
+        await provider.getRate("USD", "XYZ");
+        expect.fail("Expected getRate to throw");
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+  });
+
+  describe("getExchangeRate", function () {
+    it("should not consult the provider for the same currency", async function () {
+      setFxProvider({
+        getRate: async () => {
+          throw new Error("should not be called");
+        },
+      });
+
+      expect(await getExchangeRate("eur", "EUR")).to.deep.equal({
+        currency: "EUR",
+        rate: 1,
+        as_of: null,
+      });
+    });
+
+    it("should use a plugged-in provider", async function () {
+      setFxProvider({
+        getRate: async (from, to) => ({ rate: 2, as_of: `${from}-${to}` }),
+      });
+
+      expect(await getExchangeRate("USD", "mxn")).to.deep.equal({
+        currency: "MXN",
+        rate: 2,
+        as_of: "USD-mxn",
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const chai = require("chai");
+const {
+  isDepositAvailable,
+  splitDeposit,
+  getBalanceDueAt,
+  getNextAttemptAt,
+} = require("../../services/deposit.service");
+
+const expect = chai.expect;
+
+describe("Deposit Service", function () {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const bookingStartingIn = (days) => ({
+    start_time: new Date(
+      now.getTime() + days * 24 * 60 * 60 * 1000
+    ).toISOString(),
+  });
+
+  describe("isDepositAvailable", function () {
+    it("should only offer deposits on bookings at least minDaysAhead out", function () {
+      expect(isDepositAvailable(bookingStartingIn(30), now)).to.be.true;
+      expect(isDepositAvailable(bookingStartingIn(90), now)).to.be.true;
+      expect(isDepositAvailable(bookingStartingIn(29), now)).to.be.false;
+    });
+  });
+
+  describe("splitDeposit", function () {
+    it("should take the configured percentage now and leave the rest", function () {
+      expect(splitDeposit(1000, "USD")).to.deep.equal({
+        deposit: 300,
+        balance: 700,
+      });
+    });
+
+    it("should round each part in the currency's units", function () {
+      expect(splitDeposit(349.99, "USD")).to.deep.equal({
+        deposit: 105,
+        balance: 244.99,
+      });
+      expect(splitDeposit(33333, "JPY")).to.deep.equal({
+        deposit: 10000,
+        balance: 23333,
+      });
+    });
+  });
+
+  describe("getBalanceDueAt", function () {
+    it("should charge the balance balanceDueDays before the party", function () {
+      expect(getBalanceDueAt(bookingStartingIn(60)).toISOString()).to.equal(
+        "2026-12-04T12:00:00.000Z"
+      );
+    });
+  });
+
+  describe("getNextAttemptAt", function () {
+    const booking = bookingStartingIn(14);
+
+    it("should retry a failed charge after retryIntervalHours", function () {
+      expect(getNextAttemptAt(1, booking, now).toISOString()).to.equal(
+        "2026-10-20T12:00:00.000Z"
+      );
+    });
+
+    it("should stop once maxAttempts charges have failed", function () {
+      expect(getNextAttemptAt(3, booking, now)).to.be.an.instanceOf(Date);
+      expect(getNextAttemptAt(4, booking, now)).to.equal(null);
+    });
+
+    it("should not retry after the party has started", function () {
+      expect(getNextAttemptAt(1, bookingStartingIn(0.5), now)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,340 @@
+const chai = require("chai");
+const {
+  isInvoiceable,
+  invoiceLineItems,
+  buildInvoice,
+  invoiceLines,
+  parseStatementMonth,
+  buildStatement,
+  statementLines,
+} = require("../../services/invoice.service");
+const { LINE_WIDTH } = require("../../services/pdf.service");
+
+const expect = chai.expect;
+
+describe("Invoice Service", function () {
+  const booking = {
+    id: "booking-1",
+    start_time: "2026-10-02T20:00:00Z",
+    end_time: "2026-10-02T23:00:00Z",
+  };
+
+  const lineItems = [
+    {
+      type: "base",
+      description: "Performance (hourly rate)",
+      quantity: "3",
+      unit_amount: "100",
+      amount: "300",
+    },
+    {
+      type: "add_on",
+      description: "Custom intro",
+      quantity: "1",
+      unit_amount: "49.99",
+      amount: "49.99",
+    },
+  ];
+
+  const payment = {
+    id: "payment-1",
+    booking_id: "booking-1",
+    amount: "349.99",
+    platform_fee: "52.5",
+    currency: "eur",
+    status: "succeeded",
+  };
+
+  describe("isInvoiceable", function () {
+    it("should invoice payments that took the host's money", function () {
+      expect(isInvoiceable({ status: "succeeded" })).to.equal(true);
+      expect(isInvoiceable({ status: "refunded" })).to.equal(true);
+      expect(isInvoiceable({ status: "pending" })).to.equal(false);
+      expect(isInvoiceable({ status: "failed" })).to.equal(false);
+    });
+  });
+
+  describe("invoiceLineItems", function () {
+    it("should use the booking's line items when the payment covers them", function () {
+      const items = invoiceLineItems(payment, booking, lineItems);
+
+      expect(items).to.have.length(2);
+      expect(items[1]).to.deep.equal({
+        type: "add_on",
+        description: "Custom intro",
+        quantity: 1,
+        unit_amount: 49.99,
+        amount: 49.99,
+      });
+    });
+
+    it("should bill a partial payment as a single line", function () {
+      const items = invoiceLineItems(
+        { ...payment, amount: "50" },
+        booking,
+        lineItems
+      );
+
+      expect(items).to.deep.equal([
+        {
+          type: "charge",
+          description: "Price change to booking booking-1",
+          quantity: 1,
+          unit_amount: 50,
+          amount: 50,
+        },
+      ]);
+    });
+
+    it("should bill a deposit and its balance as single lines", function () {
+      const deposit = invoiceLineItems(
+        { ...payment, kind: "deposit", amount: "105", discount_amount: "20" },
+        booking,
+        lineItems
+      );
+      const balance = invoiceLineItems(
+        { ...payment, kind: "balance", amount: "244.99" },
+        booking,
+        lineItems
+      );
+
+      expect(deposit).to.deep.equal([
+        {
+          type: "charge",
+          description: "Deposit for booking booking-1",
+          quantity: 1,
+          unit_amount: 105,
+          amount: 105,
+        },
+      ]);
+      expect(balance[0].description).to.equal("Balance for booking booking-1");
+      expect(balance[0].amount).to.equal(244.99);
+    });
+  });
+
+  describe("buildInvoice", function () {
+    it("should snapshot the host's billing details and the performer", function () {
+      const invoice = buildInvoice({
+        payment,
+        booking,
+        lineItems,
+        host: {
+          id: "host-1",
+          email: "host@example.com",
+          first_name: "Ana",
+          last_name: "Silva",
+          billing_details: {
+            company_name: "Acme Lda",
+            tax_id: "PT123",
+            foo: "x",
+          },
+        },
+        djProfile: { id: "dj-1", stage_name: "DJ Test" },
+      });
+
+      expect(invoice).to.include({
+        payment_id: "payment-1",
+        booking_id: "booking-1",
+        host_id: "host-1",
+        dj_profile_id: "dj-1",
+        currency: "EUR",
+        subtotal: 349.99,
+        platform_fee: 52.5,
+        tax_amount: 0,
+        total: 349.99,
+      });
+      expect(invoice.billed_to).to.deep.equal({
+        name: "Ana Silva",
+        email: "host@example.com",
+        company_name: "Acme Lda",
+        tax_id: "PT123",
+      });
+      expect(invoice.performer).to.deep.equal({ stage_name: "DJ Test" });
+    });
+
+    it("should show the taxes charged on top of the line items", function () {
+      const taxLines = [
+        {
+          component: "booking",
+          amount: 63.7,
+          description: "VAT 21% (ES) - performance",
+        },
+        {
+          component: "platform_fee",
+          amount: 11.03,
+          description: "VAT 21% (ES) - platform fee",
+        },
+      ];
+      const invoice = buildInvoice({
+        payment: {
+          ...payment,
+          amount: "424.72",
+          tax_amount: "74.73",
+          tax_lines: taxLines,
+        },
+        booking,
+        lineItems,
+        host: { id: "host-1", email: "host@example.com" },
+        djProfile: { id: "dj-1", stage_name: "DJ Test" },
+      });
+
+      expect(invoice.line_items).to.have.length(2);
+      expect(invoice).to.include({
+        subtotal: 349.99,
+        tax_amount: 74.73,
+        total: 424.72,
+      });
+      expect(invoice.tax_lines).to.deep.equal(taxLines);
+    });
+
+    it("should show a promo code discount and gift credit", function () {
+      const invoice = buildInvoice({
+        payment: {
+          ...payment,
+          amount: "314.99",
+          discount_amount: "35",
+          credit_amount: "50",
+        },
+        booking,
+        lineItems,
+        host: { id: "host-1", email: "host@example.com" },
+        djProfile: { id: "dj-1", stage_name: "DJ Test" },
+      });
+
+      expect(invoice.line_items).to.have.length(3);
+      expect(invoice.line_items[2]).to.include({
+        type: "discount",
+        amount: -35,
+      });
+      expect(invoice).to.include({
+        subtotal: 314.99,
+        total: 314.99,
+        credit_amount: 50,
+      });
+
+      const lines = invoiceLines(
+        { ...invoice, number: "INV-2026-000002", issued_at: new Date() },
+        [],
+        { name: "PartyStream" }
+      ).map((line) => (typeof line === "string" ? line : line.text));
+
+      expect(
+        lines.some((line) => /Charged to card\s+264\.99 EUR$/.test(line))
+      ).to.equal(true);
+    });
+  });
+
+  describe("invoiceLines", function () {
+    it("should fit every line on the page and show refunds", function () {
+      const invoice = {
+        ...buildInvoice({
+          payment,
+          booking,
+          lineItems,
+          host: { id: "host-1", email: "host@example.com" },
+          djProfile: { id: "dj-1", stage_name: "DJ Test" },
+        }),
+        number: "INV-2026-000001",
+        issued_at: "2026-10-03T10:00:00Z",
+      };
+
+      const lines = invoiceLines(
+        invoice,
+        [
+          {
+            amount: "100",
+            status: "succeeded",
+            note: "Goodwill",
+            created_at: "2026-10-04T10:00:00Z",
+          },
+        ],
+        { name: "PartyStream", address: ["1 Main St"] }
+      ).map((line) => (typeof line === "string" ? line : line.text));
+
+      expect(lines[0]).to.equal("INVOICE INV-2026-000001");
+      expect(lines.every((line) => line.length <= LINE_WIDTH)).to.equal(true);
+      expect(lines.some((line) => /Total\s+349\.99 EUR$/.test(line))).to.equal(
+        true
+      );
+      expect(
+        lines.some((line) => /Net paid\s+249\.99 EUR$/.test(line))
+      ).to.equal(true);
+    });
+  });
+
+  describe("parseStatementMonth", function () {
+    it("should span the calendar month in the given timezone", function () {
+      const period = parseStatementMonth("2026-10", "Europe/Madrid");
+
+      expect(period.start.toISOString()).to.equal("2026-09-30T22:00:00.000Z");
+      expect(period.end.toISOString()).to.equal("2026-10-31T23:00:00.000Z");
+    });
+
+    it("should reject malformed months", function () {
+      expect(parseStatementMonth("2026-13", "UTC")).to.equal(null);
+      expect(parseStatementMonth("October", "UTC")).to.equal(null);
+    });
+  });
+
+  describe("buildStatement", function () {
+    it("should net refunds, a proportionate platform fee and tax per currency", function () {
+      const statement = buildStatement({
+        djProfile: { id: "dj-1", stage_name: "DJ Test" },
+        month: "2026-10",
+        payments: [
+          { ...payment, id: "p1", amount: "200", platform_fee: "30" },
+          {
+            ...payment,
+            id: "p2",
+            amount: "100",
+            platform_fee: "15",
+            amount_refunded: "50",
+            status: "partially_refunded",
+          },
+          {
+            ...payment,
+            id: "p3",
+            amount: "33000",
+            platform_fee: "4500",
+            tax_amount: "3000",
+            currency: "jpy",
+          },
+        ],
+        invoiceNumbers: { p1: "INV-2026-000001" },
+      });
+
+      expect(statement.entries[0]).to.include({
+        invoice_number: "INV-2026-000001",
+        net: 170,
+      });
+      expect(statement.entries[1]).to.include({
+        refunded: 50,
+        platform_fee: 7.5,
+        net: 42.5,
+      });
+      expect(statement.totals).to.deep.equal({
+        EUR: {
+          bookings: 2,
+          gross: 300,
+          refunded: 50,
+          platform_fee: 37.5,
+          tax: 0,
+          net: 212.5,
+        },
+        JPY: {
+          bookings: 1,
+          gross: 33000,
+          refunded: 0,
+          platform_fee: 4500,
+          tax: 3000,
+          net: 25500,
+        },
+      });
+
+      const lines = statementLines(statement, "UTC").map((line) =>
+        typeof line === "string" ? line : line.text
+      );
+      expect(lines.every((line) => line.length <= LINE_WIDTH)).to.equal(true);
+    });
+  });
+});
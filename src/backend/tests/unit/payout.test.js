@@ -0,0 +1,89 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const Payout = require("../../models/Payout");
+const { supabase, logger } = require("../../utils/database");
+
+const expect = chai.expect;
+
+describe("Payout Ledger", function () {
+  // Stand-in for an update on the ledger table that applies the eq and lte
+  // filters to rows and resolves to the rows it changed
+  const table = (rows) => ({
+    update: (changes) => {
+      const filters = [];
+      const query = {
+        eq: (column, value) => {
+          filters.push((row) => row[column] === value);
+          return query;
+        },
+        lte: (column, value) => {
+          filters.push(
+            (row) =>
+              row[column] !== null && new Date(row[column]) <= new Date(value)
+          );
+          return query;
+        },
+        select: async () => {
+          const matched = rows.filter((row) =>
+            filters.every((filter) => filter(row))
+          );
+          matched.forEach((row) => Object.assign(row, changes));
+          return { data: matched, error: null };
+        },
+      };
+      return query;
+    },
+  });
+
+  before(function () {
+    logger.silent = true;
+  });
+
+  after(function () {
+    logger.silent = false;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("applyStripePayout", function () {
+    // Payout created at 2026-10-10T12:00:00Z, arriving two days later
+    const stripePayout = {
+      id: "po_1",
+      status: "in_transit",
+      created: Date.parse("2026-10-10T12:00:00Z") / 1000,
+      arrival_date: Date.parse("2026-10-12T00:00:00Z") / 1000,
+    };
+
+    // Every entry was created before the payout
+    const entry = (id, releasedAt, status = "pending") => ({
+      id,
+      stripe_account_id: "acct_1",
+      status,
+      created_at: "2026-10-01T12:00:00Z",
+      released_at: releasedAt,
+      stripe_payout_id: null,
+    });
+
+    it("should sweep only entries released before the payout was created", async function () {
+      const rows = [
+        entry("payout-1", "2026-10-09T12:00:00Z"),
+        entry("payout-2", "2026-10-11T12:00:00Z"),
+        entry("payout-3", null, "held"),
+      ];
+      sinon.stub(supabase, "from").returns(table(rows));
+
+      const swept = await Payout.applyStripePayout("acct_1", stripePayout);
+
+      expect(swept.map((row) => row.id)).to.deep.equal(["payout-1"]);
+      expect(rows.map((row) => row.status)).to.deep.equal([
+        "in_transit",
+        "pending",
+        "held",
+      ]);
+      expect(rows[0].stripe_payout_id).to.equal("po_1");
+      expect(rows[1].stripe_payout_id).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const chai = require("chai");
+const {
+  LINES_PER_PAGE,
+  renderTextPdf,
+} = require("../../services/pdf.service");
+
+const expect = chai.expect;
+
+describe("PDF Service", function () {
+  describe("renderTextPdf", function () {
+    it("should produce a PDF whose cross-reference offsets point at its objects", function () {
+      const pdf = renderTextPdf({
+        title: "Invoice INV-1",
+        lines: [{ text: "INVOICE", bold: true }, "Señor (DJ) \\ 100 €"],
+      });
+      const text = pdf.toString("latin1");
+
+      expect(text.startsWith("%PDF-1.4\n")).to.equal(true);
+      expect(text.trimEnd().endsWith("%%EOF")).to.equal(true);
+      expect(text).to.include("(Señor \\(DJ\\) \\\\ 100 ?) Tj");
+
+      const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+      expect(text.slice(xref, xref + 4)).to.equal("xref");
+
+      const offsets = text
+        .slice(xref)
+        .split("\n")
+        .slice(3)
+        .filter((line) => / 00000 n $/.test(line))
+        .map((line) => Number(line.slice(0, 10)));
+
+      offsets.forEach((offset, index) => {
+        expect(text.slice(offset)).to.match(new RegExp(`^${index + 1} 0 obj`));
+      });
+    });
+
+    it("should spread long documents over several pages", function () {
+      const lines = Array.from(
+        { length: LINES_PER_PAGE * 2 + 1 },
+        (_, i) => `Line ${i}`
+      );
+      const text = renderTextPdf({ title: "Statement", lines }).toString(
+        "latin1"
+      );
+
+      expect(text).to.include("/Count 3");
+      expect(text).to.include("(Statement - page 3 of 3) Tj");
+    });
+  });
+});
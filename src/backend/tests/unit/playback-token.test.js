@@ -0,0 +1,91 @@
+const chai = require("chai");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  createPlaybackToken,
+  getTokenPlaybackUrl,
+} = require("../../services/playback-token.service");
+
+const expect = chai.expect;
+
+describe("Playback Token Service", function () {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "secp384r1",
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+  const now = new Date("2026-10-19T12:00:00Z");
+  const channelArn = "arn:aws:ivs:us-east-1:123456789012:channel/abcd1234";
+
+  describe("createPlaybackToken", function () {
+    it("should sign an ES384 token for the channel and viewer", function () {
+      const { token } = createPlaybackToken(
+        { channelArn, viewerId: "user-1", sessionVersion: 2, now },
+        privateKey
+      );
+      const claims = jwt.verify(token, publicKey, {
+        algorithms: ["ES384"],
+        clockTimestamp: now.getTime() / 1000,
+      });
+
+      expect(jwt.decode(token, { complete: true }).header.alg).to.equal(
+        "ES384"
+      );
+      expect(claims["aws:channel-arn"]).to.equal(channelArn);
+      expect(claims["aws:viewer-id"]).to.equal("user-1");
+      expect(claims["aws:viewer-session-version"]).to.equal(2);
+      expect(claims).to.not.have.property("aws:access-control-allow-origin");
+    });
+
+    it("should expire after tokenTtlSeconds", function () {
+      const { token, expires_at } = createPlaybackToken(
+        { channelArn, viewerId: "user-1", now },
+        privateKey
+      );
+
+      expect(expires_at.toISOString()).to.equal("2026-10-19T12:05:00.000Z");
+      expect(jwt.decode(token).exp).to.equal(expires_at.getTime() / 1000);
+      expect(() =>
+        jwt.verify(token, publicKey, {
+          algorithms: ["ES384"],
+          clockTimestamp: now.getTime() / 1000 + 301,
+        })
+      ).to.throw("jwt expired");
+    });
+
+    it("should restrict playback to the given origin", function () {
+      const { token } = createPlaybackToken(
+        {
+          channelArn,
+          viewerId: "user-1",
+          origin: "https://party.example",
+          now,
+        },
+        privateKey
+      );
+
+      expect(jwt.decode(token)["aws:access-control-allow-origin"]).to.equal(
+        "https://party.example"
+      );
+    });
+
+    it("should refuse to sign without a private key", function () {
+      expect(() =>
+        createPlaybackToken({ channelArn, viewerId: "user-1", now }, null)
+      ).to.throw("No IVS playback private key is configured");
+    });
+  });
+
+  describe("getTokenPlaybackUrl", function () {
+    it("should add the token to the playback URL", function () {
+      expect(
+        getTokenPlaybackUrl(
+          "https://abcd.us-east-1.playback.live-video.net/api/video/v1/x.m3u8",
+          "a.b.c"
+        )
+      ).to.equal(
+        "https://abcd.us-east-1.playback.live-video.net/api/video/v1/x.m3u8?token=a.b.c"
+      );
+    });
+  });
+});
@@ -0,0 +1,216 @@
+const chai = require("chai");
+const {
+  computeQuote,
+  summarizeQuote,
+} = require("../../services/pricing.service");
+
+const expect = chai.expect;
+
+describe("Pricing Service", function () {
+  const hourlyDj = {
+    timezone: "UTC",
+    pricing_model: "hourly",
+    hourly_rate: 100,
+  };
+
+  const typesOf = (quote) => quote.line_items.map((item) => item.type);
+
+  describe("computeQuote", function () {
+    it("should charge hourly DJs per hour", function () {
+      // Wednesday evening
+      const quote = computeQuote({
+        djProfile: hourlyDj,
+        startTime: new Date("2025-06-04T18:00:00Z"),
+        endTime: new Date("2025-06-04T21:00:00Z"),
+      });
+
+      expect(quote.pricing_model).to.equal("hourly");
+      expect(quote.line_items).to.have.length(1);
+      expect(quote.line_items[0]).to.include({
+        type: "base",
+        quantity: 3,
+        unit_amount: 100,
+        amount: 300,
+      });
+      expect(quote.subtotal).to.equal(300);
+    });
+
+    it("should charge per-event DJs a flat fee regardless of length", function () {
+      const quote = computeQuote({
+        djProfile: {
+          timezone: "UTC",
+          pricing_model: "per_event",
+          event_fee: 500,
+        },
+        startTime: new Date("2025-06-04T18:00:00Z"),
+        endTime: new Date("2025-06-04T23:30:00Z"),
+      });
+
+      expect(quote.pricing_model).to.equal("per_event");
+      expect(quote.line_items[0]).to.include({ type: "base", amount: 500 });
+      expect(quote.subtotal).to.equal(500);
+    });
+
+    it("should add the late-night premium for hours inside the window", function () {
+      const quote = computeQuote({
+        djProfile: { ...hourlyDj, late_night_multiplier: 1.5 },
+        startTime: new Date("2025-06-04T22:00:00Z"),
+        endTime: new Date("2025-06-05T02:00:00Z"),
+      });
+
+      const lateNight = quote.line_items.find(
+        (item) => item.type === "late_night"
+      );
+      expect(lateNight).to.include({
+        quantity: 2,
+        unit_amount: 50,
+        amount: 100,
+      });
+      expect(quote.subtotal).to.equal(500);
+    });
+
+    it("should apply the late-night window in the DJ's timezone", function () {
+      // 22:00-01:00 in Berlin (UTC+2 in June)
+      const quote = computeQuote({
+        djProfile: {
+          ...hourlyDj,
+          timezone: "Europe/Berlin",
+          late_night_multiplier: 2,
+        },
+        startTime: new Date("2025-06-04T20:00:00Z"),
+        endTime: new Date("2025-06-04T23:00:00Z"),
+      });
+
+      const lateNight = quote.line_items.find(
+        (item) => item.type === "late_night"
+      );
+      expect(lateNight.quantity).to.equal(1);
+      expect(quote.subtotal).to.equal(400);
+    });
+
+    it("should add the weekend surcharge on weekend days", function () {
+      // Saturday
+      const quote = computeQuote({
+        djProfile: { ...hourlyDj, weekend_surcharge_percentage: 10 },
+        startTime: new Date("2025-06-07T18:00:00Z"),
+        endTime: new Date("2025-06-07T20:00:00Z"),
+      });
+
+      expect(typesOf(quote)).to.deep.equal(["base", "weekend_surcharge"]);
+      expect(quote.subtotal).to.equal(220);
+    });
+
+    it("should prefer the holiday surcharge over the weekend surcharge", function () {
+      // Christmas Day 2027 is a Saturday
+      const quote = computeQuote({
+        djProfile: {
+          ...hourlyDj,
+          weekend_surcharge_percentage: 10,
+          holiday_surcharge_percentage: 50,
+        },
+        startTime: new Date("2027-12-25T18:00:00Z"),
+        endTime: new Date("2027-12-25T20:00:00Z"),
+      });
+
+      expect(typesOf(quote)).to.deep.equal(["base", "holiday_surcharge"]);
+      expect(quote.subtotal).to.equal(300);
+    });
+
+    it("should top short bookings up to the minimum fee", function () {
+      const quote = computeQuote({
+        djProfile: { ...hourlyDj, minimum_fee: 250 },
+        startTime: new Date("2025-06-04T18:00:00Z"),
+        endTime: new Date("2025-06-04T19:00:00Z"),
+      });
+
+      const minimum = quote.line_items.find(
+        (item) => item.type === "minimum_fee"
+      );
+      expect(minimum.amount).to.equal(150);
+      expect(quote.subtotal).to.equal(250);
+    });
+
+    it("should itemize add-ons on top of the minimum fee", function () {
+      const quote = computeQuote({
+        djProfile: { ...hourlyDj, minimum_fee: 250 },
+        startTime: new Date("2025-06-04T18:00:00Z"),
+        endTime: new Date("2025-06-04T19:00:00Z"),
+        addOns: [{ id: "add-on-1", name: "Custom intro", price: 49.99 }],
+      });
+
+      expect(typesOf(quote)).to.deep.equal(["base", "minimum_fee", "add_on"]);
+      expect(quote.line_items[2]).to.include({
+        description: "Custom intro",
+        amount: 49.99,
+        add_on_id: "add-on-1",
+      });
+      expect(quote.subtotal).to.equal(299.99);
+    });
+
+    it("should price in the DJ's currency, rounding JPY to whole yen", function () {
+      const quote = computeQuote({
+        djProfile: {
+          timezone: "Asia/Tokyo",
+          pricing_model: "hourly",
+          hourly_rate: 10001,
+          currency: "jpy",
+        },
+        startTime: new Date("2025-06-04T09:00:00Z"),
+        endTime: new Date("2025-06-04T11:30:00Z"),
+      });
+
+      expect(quote.currency).to.equal("JPY");
+      expect(quote.line_items[0]).to.include({ quantity: 2.5, amount: 25003 });
+      expect(quote.subtotal).to.equal(25003);
+    });
+  });
+
+  describe("summarizeQuote", function () {
+    it("should report the platform fee retained from the subtotal", function () {
+      const summary = summarizeQuote(
+        computeQuote({
+          djProfile: hourlyDj,
+          startTime: new Date("2025-06-04T18:00:00Z"),
+          endTime: new Date("2025-06-04T21:00:00Z"),
+        })
+      );
+
+      expect(summary.subtotal).to.equal(300);
+      expect(summary.platform_fee).to.equal(45);
+      expect(summary.tax_amount).to.equal(0);
+      expect(summary.total).to.equal(300);
+    });
+
+    it("should add tax lines on top of the subtotal", function () {
+      const taxLines = [
+        { component: "booking", amount: 53.55 },
+        { component: "platform_fee", amount: 9.45 },
+      ];
+      const summary = summarizeQuote(
+        computeQuote({
+          djProfile: hourlyDj,
+          startTime: new Date("2025-06-04T18:00:00Z"),
+          endTime: new Date("2025-06-04T21:00:00Z"),
+        }),
+        taxLines
+      );
+
+      expect(summary.tax_lines).to.deep.equal(taxLines);
+      expect(summary.tax_amount).to.equal(63);
+      expect(summary.total).to.equal(363);
+    });
+
+    it("should round the platform fee to the currency's minor unit", function () {
+      const summary = summarizeQuote(
+        computeQuote({
+          djProfile: { ...hourlyDj, hourly_rate: 3333, currency: "JPY" },
+          startTime: new Date("2025-06-04T18:00:00Z"),
+          endTime: new Date("2025-06-04T19:00:00Z"),
+        })
+      );
+
+      expect(summary.currency).to.equal("JPY");
+      expect(summary.platform_fee).to.equal(500);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const chai = require("chai");
+const {
+  normalizePromoCode,
+  validatePromoCode,
+  checkPromoCode,
+  computeDiscount,
+  computeCreditSpend,
+  summarizeCredits,
+} = require("../../services/promotion.service");
+
+const expect = chai.expect;
+
+describe("Promotion Service", function () {
+  const now = new Date("2026-10-19T12:00:00Z");
+
+  const booking = {
+    id: "booking-1",
+    host_id: "host-1",
+    dj_profile_id: "dj-1",
+    currency: "USD",
+  };
+
+  const promo = {
+    code: "LAUNCH20",
+    discount_type: "percentage",
+    discount_value: "20",
+    active: true,
+  };
+
+  const usable = (overrides = {}, context = {}) =>
+    checkPromoCode(
+      { ...promo, ...overrides },
+      {
+        booking,
+        redemptions: 0,
+        hostRedemptions: 0,
+        hasPaidBooking: false,
+        now,
+        ...context,
+      }
+    );
+
+  describe("normalizePromoCode", function () {
+    it("should ignore case and surrounding spaces", function () {
+      expect(normalizePromoCode(" launch20 ")).to.equal("LAUNCH20");
+    });
+  });
+
+  describe("validatePromoCode", function () {
+    it("should accept percentage and fixed discounts", function () {
+      expect(validatePromoCode(promo)).to.equal(null);
+      expect(
+        validatePromoCode({
+          code: "TENOFF",
+          discount_type: "fixed",
+          discount_value: 10,
+          currency: "USD",
+          max_redemptions: 100,
+          per_user_limit: 1,
+        })
+      ).to.equal(null);
+    });
+
+    it("should reject bad codes, values and limits", function () {
+      expect(validatePromoCode({ ...promo, code: "a b" })).to.match(/Code/);
+      expect(validatePromoCode({ ...promo, discount_value: 120 })).to.match(
+        /between 0 and 100/
+      );
+      expect(
+        validatePromoCode({ ...promo, discount_type: "fixed" })
+      ).to.match(/currency/);
+      expect(validatePromoCode({ ...promo, per_user_limit: 0 })).to.match(
+        /positive whole numbers/
+      );
+      expect(
+        validatePromoCode({
+          ...promo,
+          starts_at: "2026-11-01",
+          expires_at: "2026-10-01",
+        })
+      ).to.match(/after starts_at/);
+    });
+
+    it("should only check the given fields on updates", function () {
+      expect(validatePromoCode({ active: false }, true)).to.equal(null);
+      expect(validatePromoCode({ expires_at: "soon" }, true)).to.match(
+        /valid dates/
+      );
+    });
+  });
+
+  describe("checkPromoCode", function () {
+    it("should accept a live code", function () {
+      expect(usable()).to.equal(null);
+    });
+
+    it("should enforce the validity window", function () {
+      expect(usable({ active: false })).to.match(/no longer active/);
+      expect(usable({ starts_at: "2026-10-20T00:00:00Z" })).to.match(
+        /not active yet/
+      );
+      expect(usable({ expires_at: "2026-10-19T11:59:59Z" })).to.match(
+        /expired/
+      );
+    });
+
+    it("should enforce usage caps and per-user limits", function () {
+      expect(usable({ max_redemptions: 100 }, { redemptions: 100 })).to.match(
+        /used up/
+      );
+      expect(usable({ per_user_limit: 1 }, { hostRedemptions: 1 })).to.match(
+        /already used/
+      );
+      expect(usable({ per_user_limit: 2 }, { hostRedemptions: 1 })).to.equal(
+        null
+      );
+    });
+
+    it("should enforce DJ-specific and first-booking-only codes", function () {
+      expect(usable({ dj_profile_id: "dj-2" })).to.match(
+        /not valid for this DJ/
+      );
+      expect(usable({ dj_profile_id: "dj-1" })).to.equal(null);
+      expect(
+        usable({ first_booking_only: true }, { hasPaidBooking: true })
+      ).to.match(/first booking/);
+    });
+
+    it("should only take fixed discounts in their own currency", function () {
+      const fixed = { discount_type: "fixed", discount_value: 10 };
+
+      expect(usable({ ...fixed, currency: "eur" })).to.match(/only valid/);
+      expect(usable({ ...fixed, currency: "usd" })).to.equal(null);
+    });
+  });
+
+  describe("computeDiscount", function () {
+    it("should take a percentage off the amount", function () {
+      expect(computeDiscount(promo, 349.99, "USD")).to.equal(70);
+      expect(computeDiscount(promo, 3333, "JPY")).to.equal(667);
+    });
+
+    it("should never discount more than the amount", function () {
+      const fixed = { discount_type: "fixed", discount_value: "50" };
+
+      expect(computeDiscount(fixed, 300, "USD")).to.equal(50);
+      expect(computeDiscount(fixed, 30, "USD")).to.equal(30);
+    });
+  });
+
+  describe("computeCreditSpend", function () {
+    it("should spend up to the balance or the amount due", function () {
+      expect(computeCreditSpend(25, 300, "USD")).to.equal(25);
+      expect(computeCreditSpend(500, 300, "USD")).to.equal(300);
+      expect(computeCreditSpend(0, 300, "USD")).to.equal(0);
+    });
+  });
+
+  describe("summarizeCredits", function () {
+    it("should total the ledger per currency", function () {
+      expect(
+        summarizeCredits([
+          { amount: "100", currency: "USD" },
+          { amount: "-40.50", currency: "USD" },
+          { amount: "10", currency: "usd" },
+          { amount: "5000", currency: "JPY" },
+        ])
+      ).to.deep.equal({ USD: 69.5, JPY: 5000 });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const chai = require("chai");
+const {
+  isRefundable,
+  sumRefunds,
+  getRefundableAmount,
+  getRefundedStatus,
+} = require("../../services/refund.service");
+
+const expect = chai.expect;
+
+describe("Refund Service", function () {
+  describe("isRefundable", function () {
+    it("should allow further refunds until the payment is fully refunded", function () {
+      expect(isRefundable({ status: "succeeded" })).to.equal(true);
+      expect(isRefundable({ status: "partially_refunded" })).to.equal(true);
+      expect(isRefundable({ status: "refunded" })).to.equal(false);
+      expect(isRefundable({ status: "disputed" })).to.equal(false);
+      expect(isRefundable({ status: "pending" })).to.equal(false);
+    });
+  });
+
+  describe("sumRefunds", function () {
+    it("should total refunds, ignoring ones that failed", function () {
+      expect(
+        sumRefunds([
+          { amount: "50.10", status: "succeeded" },
+          { amount: 20.2, status: "pending" },
+          { amount: 100, status: "failed" },
+          { amount: 30, status: "canceled" },
+        ])
+      ).to.equal(70.3);
+    });
+  });
+
+  describe("getRefundableAmount", function () {
+    it("should leave what has not been refunded yet", function () {
+      expect(
+        getRefundableAmount({ amount: "300.00", amount_refunded: "120.50" })
+      ).to.equal(179.5);
+      expect(getRefundableAmount({ amount: 300 })).to.equal(300);
+      expect(
+        getRefundableAmount({ amount: 300, amount_refunded: 300 })
+      ).to.equal(0);
+    });
+
+    it("should only refund the part charged to the card", function () {
+      expect(
+        getRefundableAmount({
+          amount: "300.00",
+          credit_amount: "100.00",
+          amount_refunded: "50",
+        })
+      ).to.equal(150);
+      expect(getRefundableAmount({ amount: 80, credit_amount: 80 })).to.equal(
+        0
+      );
+    });
+  });
+
+  describe("getRefundedStatus", function () {
+    it("should stay partially refunded until the full amount is returned", function () {
+      const payment = { amount: "300.00" };
+
+      expect(getRefundedStatus(payment, 0)).to.equal("succeeded");
+      expect(getRefundedStatus(payment, 100)).to.equal("partially_refunded");
+      expect(getRefundedStatus(payment, 299.99)).to.equal(
+        "partially_refunded"
+      );
+      expect(getRefundedStatus(payment, 300)).to.equal("refunded");
+    });
+
+    it("should count card refunds against the card charge", function () {
+      expect(
+        getRefundedStatus({ amount: 300, credit_amount: 100 }, 200)
+      ).to.equal("refunded");
+      expect(getRefundedStatus({ amount: 80, credit_amount: 80 }, 0)).to.equal(
+        "succeeded"
+      );
+    });
+  });
+});
@@ -0,0 +1,376 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const moment = require("moment-timezone");
+const Booking = require("../../models/Booking");
+const DjProfile = require("../../models/DjProfile");
+const Payment = require("../../models/Payment");
+const PromoCode = require("../../models/PromoCode");
+const RescheduleRequest = require("../../models/RescheduleRequest");
+const User = require("../../models/User");
+const { logger } = require("../../utils/database");
+const RescheduleController = require("../../controllers/reschedule.controller");
+
+const expect = chai.expect;
+
+describe("Reschedule Settlement", function () {
+  // The controller validates against the real clock, so the party is ahead
+  const start = moment.utc().add(10, "days").startOf("day").add(20, "hours");
+
+  const booking = {
+    id: "booking-1",
+    host_id: "host-1",
+    dj_profile_id: "dj-profile-1",
+    status: "paid",
+    currency: "USD",
+    total_amount: "200.00",
+    discount_amount: "0.00",
+    promo_code_id: null,
+    start_time: start.toISOString(),
+    end_time: start.clone().add(2, "hours").toISOString(),
+  };
+
+  // Moves the party to a slot of the given length
+  const requestFor = (hours) => ({
+    id: "request-1",
+    booking_id: "booking-1",
+    proposer_role: "host",
+    status: "pending",
+    start_time: start.clone().add(1, "day").toISOString(),
+    end_time: start.clone().add(1, "day").add(hours, "hours").toISOString(),
+  });
+
+  const payment = (id, amount, createdAt) => ({
+    id,
+    booking_id: "booking-1",
+    status: "succeeded",
+    amount,
+    currency: "USD",
+    tax_amount: "0.00",
+    amount_refunded: "0.00",
+    created_at: createdAt,
+  });
+
+  const accept = (request) => ({
+    params: { id: "booking-1", requestId: request.id },
+    user: { id: "dj-user-1", role: "dj" },
+  });
+
+  const response = () => {
+    const res = {};
+    res.status = sinon.stub().returns(res);
+    res.json = sinon.stub().returns(res);
+    return res;
+  };
+
+  before(function () {
+    logger.silent = true;
+  });
+
+  after(function () {
+    logger.silent = false;
+  });
+
+  beforeEach(function () {
+    sinon.stub(Booking, "getById").resolves(booking);
+    sinon.stub(Booking, "getParticipantRole").resolves("dj");
+    sinon.stub(Booking, "getLineItems").resolves([]);
+    sinon.stub(DjProfile, "getById").resolves({
+      id: "dj-profile-1",
+      user_id: "dj-user-1",
+      currency: "USD",
+      pricing_model: "hourly",
+      hourly_rate: 100,
+      timezone: "UTC",
+    });
+    sinon
+      .stub(User, "getById")
+      .resolves({ id: "host-1", stripe_customer_id: "cus_1" });
+    sinon.stub(Payment, "getOutstandingBalance").resolves(null);
+    sinon
+      .stub(Payment, "getByBookingId")
+      .resolves([payment("payment-1", "200.00", "2026-09-01T00:00:00Z")]);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("acceptReschedule", function () {
+    it("should charge a price increase before moving the booking", async function () {
+      const request = requestFor(3);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      const awaitPayment = sinon
+        .stub(RescheduleRequest, "awaitPayment")
+        .resolves([{ ...request, status: "awaiting_payment" }]);
+      const acceptRequest = sinon.stub(RescheduleRequest, "accept");
+      const createPaymentIntent = sinon
+        .stub(Payment, "createPaymentIntent")
+        .resolves({ payment: { id: "payment-2" }, client_secret: "pi_secret" });
+      const res = response();
+
+      await RescheduleController.acceptReschedule(accept(request), res);
+
+      expect(acceptRequest.called).to.equal(false);
+      expect(awaitPayment.firstCall.args[1].subtotal).to.equal(300);
+      expect(awaitPayment.calledBefore(createPaymentIntent)).to.equal(true);
+
+      const charge = createPaymentIntent.firstCall.args[0];
+      expect(charge.amount).to.equal(100);
+      expect(charge.kind).to.equal("adjustment");
+      expect(charge.customer).to.equal("cus_1");
+      expect(charge.reschedule_request_id).to.equal("request-1");
+
+      expect(res.status.calledOnceWith(202)).to.equal(true);
+      const { settlement } = res.json.firstCall.args[0].data;
+      expect(settlement.action).to.equal("charge");
+      expect(settlement.client_secret).to.equal("pi_secret");
+    });
+
+    it("should reopen the request when the charge cannot be created", async function () {
+      const request = requestFor(3);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      sinon
+        .stub(RescheduleRequest, "awaitPayment")
+        .resolves([{ ...request, status: "awaiting_payment" }]);
+      const reopen = sinon.stub(RescheduleRequest, "reopen").resolves([]);
+      const acceptRequest = sinon.stub(RescheduleRequest, "accept");
+      sinon
+        .stub(Payment, "createPaymentIntent")
+        .rejects(new Error("Stripe is down"));
+      const res = response();
+
+      await RescheduleController.acceptReschedule(accept(request), res);
+
+      expect(reopen.calledOnceWith("request-1")).to.equal(true);
+      expect(acceptRequest.called).to.equal(false);
+      expect(res.status.calledOnceWith(500)).to.equal(true);
+    });
+
+    it("should price the difference net of the host's promo code", async function () {
+      Booking.getById.resolves({
+        ...booking,
+        promo_code_id: "promo-1",
+        discount_amount: "20.00",
+      });
+      sinon.stub(PromoCode, "getById").resolves({
+        id: "promo-1",
+        discount_type: "percentage",
+        discount_value: 10,
+      });
+      const request = requestFor(3);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      const awaitPayment = sinon
+        .stub(RescheduleRequest, "awaitPayment")
+        .resolves([{ ...request, status: "awaiting_payment" }]);
+      const createPaymentIntent = sinon
+        .stub(Payment, "createPaymentIntent")
+        .resolves({ payment: { id: "payment-2" }, client_secret: "pi_secret" });
+
+      await RescheduleController.acceptReschedule(accept(request), response());
+
+      // 300 less 10% against the 200 less 10% already paid
+      expect(awaitPayment.firstCall.args[1].discount_amount).to.equal(30);
+      expect(createPaymentIntent.firstCall.args[0].amount).to.equal(90);
+    });
+
+    it("should move the balance instead of charging when one is outstanding", async function () {
+      Payment.getOutstandingBalance.resolves({
+        id: "balance-1",
+        kind: "balance",
+        amount: "140.00",
+        tax_amount: "0.00",
+        currency: "USD",
+      });
+      const request = requestFor(3);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      sinon.stub(RescheduleRequest, "accept").resolves([booking]);
+      const updateBalance = sinon
+        .stub(Payment, "updateBalance")
+        .resolves({ id: "balance-1" });
+      const createPaymentIntent = sinon.stub(Payment, "createPaymentIntent");
+      const res = response();
+
+      await RescheduleController.acceptReschedule(accept(request), res);
+
+      expect(createPaymentIntent.called).to.equal(false);
+      expect(updateBalance.firstCall.args[1].amount).to.equal(240);
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+    });
+
+    it("should move an unpaid booking without settling anything", async function () {
+      Payment.getByBookingId.resolves([]);
+      const request = requestFor(3);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      const acceptRequest = sinon
+        .stub(RescheduleRequest, "accept")
+        .resolves([booking]);
+      const createPaymentIntent = sinon.stub(Payment, "createPaymentIntent");
+      const res = response();
+
+      await RescheduleController.acceptReschedule(accept(request), res);
+
+      expect(acceptRequest.firstCall.args[1].subtotal).to.equal(300);
+      expect(createPaymentIntent.called).to.equal(false);
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+      expect(res.json.firstCall.args[0].data.settlement.action).to.equal(
+        "none"
+      );
+    });
+
+    it("should refund a price decrease from the newest payment first", async function () {
+      Booking.getById.resolves({ ...booking, total_amount: "400.00" });
+      Payment.getByBookingId.resolves([
+        payment("payment-old", "300.00", "2026-09-01T00:00:00Z"),
+        payment("payment-new", "100.00", "2026-09-10T00:00:00Z"),
+      ]);
+      const request = requestFor(2);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      const acceptRequest = sinon
+        .stub(RescheduleRequest, "accept")
+        .resolves([booking]);
+      const refund = sinon.stub(Payment, "refund").resolves({});
+      const res = response();
+
+      await RescheduleController.acceptReschedule(accept(request), res);
+
+      expect(acceptRequest.firstCall.args[1].discount_amount).to.equal(0);
+      expect(
+        refund.getCalls().map((call) => [call.args[0], call.args[1].amount])
+      ).to.deep.equal([
+        ["payment-new", 100],
+        ["payment-old", 100],
+      ]);
+      expect(refund.firstCall.args[1].cancelBooking).to.equal(false);
+      expect(res.json.firstCall.args[0].data.settlement.action).to.equal(
+        "refund"
+      );
+    });
+
+    it("should refund the tax charged on a price decrease", async function () {
+      Booking.getById.resolves({ ...booking, total_amount: "400.00" });
+      Payment.getByBookingId.resolves([
+        {
+          ...payment("payment-1", "440.00", "2026-09-01T00:00:00Z"),
+          tax_amount: "40.00",
+        },
+      ]);
+      const request = requestFor(2);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      sinon.stub(RescheduleRequest, "accept").resolves([booking]);
+      const refund = sinon.stub(Payment, "refund").resolves({});
+
+      await RescheduleController.acceptReschedule(accept(request), response());
+
+      expect(refund.calledOnce).to.equal(true);
+      expect(refund.firstCall.args[1].amount).to.equal(220);
+    });
+
+    it("should record a refund that fails once the booking has moved", async function () {
+      Booking.getById.resolves({ ...booking, total_amount: "400.00" });
+      Payment.getByBookingId.resolves([
+        payment("payment-1", "400.00", "2026-09-01T00:00:00Z"),
+      ]);
+      const request = requestFor(2);
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      sinon.stub(RescheduleRequest, "accept").resolves([booking]);
+      sinon.stub(Payment, "refund").rejects(new Error("Stripe is down"));
+      const recordSettlementError = sinon
+        .stub(RescheduleRequest, "recordSettlementError")
+        .resolves([]);
+      const res = response();
+
+      await RescheduleController.acceptReschedule(accept(request), res);
+
+      expect(
+        recordSettlementError.calledOnceWith("request-1", "Stripe is down")
+      ).to.equal(true);
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+      expect(res.json.firstCall.args[0].data.settlement.error).to.equal(
+        "Stripe is down"
+      );
+    });
+  });
+
+  describe("declineReschedule", function () {
+    it("should let the host back out of a move awaiting their payment", async function () {
+      Booking.getParticipantRole.resolves("host");
+      const request = { ...requestFor(3), status: "awaiting_payment" };
+      sinon.stub(RescheduleRequest, "getById").resolves(request);
+      const close = sinon
+        .stub(RescheduleRequest, "close")
+        .resolves([{ ...request, status: "declined" }]);
+      const res = response();
+
+      await RescheduleController.declineReschedule(
+        { ...accept(request), user: { id: "host-1", role: "host" } },
+        res
+      );
+
+      expect(close.calledOnceWith("request-1", "declined", "host-1")).to.equal(
+        true
+      );
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+    });
+  });
+
+  describe("RescheduleRequest.applyPaidDifference", function () {
+    const paid = {
+      id: "payment-2",
+      kind: "adjustment",
+      reschedule_request_id: "request-1",
+    };
+
+    const awaiting = {
+      ...requestFor(3),
+      status: "awaiting_payment",
+      total_amount: "300.00",
+      line_items: [],
+      discount_amount: "0.00",
+      responded_by: "dj-user-1",
+    };
+
+    it("should move the booking once the difference is paid", async function () {
+      sinon.stub(RescheduleRequest, "getById").resolves(awaiting);
+      const acceptRequest = sinon
+        .stub(RescheduleRequest, "accept")
+        .resolves([booking]);
+      const refund = sinon.stub(Payment, "refund");
+
+      await RescheduleRequest.applyPaidDifference(paid);
+
+      const [id, quote, respondedBy] = acceptRequest.firstCall.args;
+      expect(id).to.equal("request-1");
+      expect(quote.subtotal).to.equal("300.00");
+      expect(respondedBy).to.equal("dj-user-1");
+      expect(refund.called).to.equal(false);
+    });
+
+    it("should refund the difference when the slot was taken meanwhile", async function () {
+      sinon.stub(RescheduleRequest, "getById").resolves(awaiting);
+      const conflictError = new Error("DJ is not available");
+      conflictError.status = 409;
+      sinon.stub(RescheduleRequest, "accept").rejects(conflictError);
+      const close = sinon.stub(RescheduleRequest, "close").resolves([]);
+      const refund = sinon.stub(Payment, "refund").resolves({});
+
+      expect(await RescheduleRequest.applyPaidDifference(paid)).to.equal(null);
+
+      expect(close.calledOnceWith("request-1", "failed")).to.equal(true);
+      expect(refund.firstCall.args[0]).to.equal("payment-2");
+      expect(refund.firstCall.args[1].cancelBooking).to.equal(false);
+    });
+
+    it("should refund a payment for a request that was declined", async function () {
+      sinon
+        .stub(RescheduleRequest, "getById")
+        .resolves({ ...awaiting, status: "declined" });
+      const acceptRequest = sinon.stub(RescheduleRequest, "accept");
+      const refund = sinon.stub(Payment, "refund").resolves({});
+
+      await RescheduleRequest.applyPaidDifference(paid);
+
+      expect(acceptRequest.called).to.equal(false);
+      expect(refund.calledOnce).to.equal(true);
+    });
+  });
+});
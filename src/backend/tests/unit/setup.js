@@ -0,0 +1,4 @@
+// Models create their Supabase client on require. Unit tests stub every call
+// that would reach the database, so any URL will do when none is configured
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || "test-key";
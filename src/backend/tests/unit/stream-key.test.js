@@ -0,0 +1,57 @@
+const chai = require("chai");
+const crypto = require("crypto");
+const {
+  encryptStreamKey,
+  decryptStreamKey,
+} = require("../../services/stream-key.service");
+
+const expect = chai.expect;
+
+describe("Stream Key Service", function () {
+  const encryptionKey = crypto.randomBytes(32);
+  const streamKey = "sk_us-east-1_abcdEFGH1234";
+
+  it("should decrypt what it encrypted", function () {
+    const encrypted = encryptStreamKey(streamKey, encryptionKey);
+
+    expect(encrypted).to.match(/^v1:/);
+    expect(encrypted).to.not.include(streamKey);
+    expect(decryptStreamKey(encrypted, encryptionKey)).to.equal(streamKey);
+  });
+
+  it("should encrypt the same key differently each time", function () {
+    expect(encryptStreamKey(streamKey, encryptionKey)).to.not.equal(
+      encryptStreamKey(streamKey, encryptionKey)
+    );
+  });
+
+  it("should refuse a tampered key", function () {
+    const [format, iv, authTag, ciphertext] = encryptStreamKey(
+      streamKey,
+      encryptionKey
+    ).split(":");
+    const tampered = Buffer.from(ciphertext, "base64");
+    tampered[0] ^= 1;
+
+    expect(() =>
+      decryptStreamKey(
+        [format, iv, authTag, tampered.toString("base64")].join(":"),
+        encryptionKey
+      )
+    ).to.throw();
+  });
+
+  it("should refuse a key encrypted with another key", function () {
+    const encrypted = encryptStreamKey(streamKey, encryptionKey);
+
+    expect(() =>
+      decryptStreamKey(encrypted, crypto.randomBytes(32))
+    ).to.throw();
+  });
+
+  it("should refuse to encrypt without an encryption key", function () {
+    expect(() => encryptStreamKey(streamKey, null)).to.throw(
+      "No stream key encryption key is configured"
+    );
+  });
+});
@@ -0,0 +1,148 @@
+const chai = require("chai");
+const {
+  STREAM_STATE_CHANGE,
+  STREAM_HEALTH_CHANGE,
+  canTransitionStream,
+  getStreamEventChanges,
+  getDisconnectOutcome,
+} = require("../../services/stream-lifecycle.service");
+
+const expect = chai.expect;
+
+describe("Stream Lifecycle Service", function () {
+  const stateEvent = (eventName, time) => ({
+    "detail-type": STREAM_STATE_CHANGE,
+    time,
+    detail: { event_name: eventName },
+  });
+
+  describe("canTransitionStream", function () {
+    it("should follow created, live, then ended or failed", function () {
+      expect(canTransitionStream("created", "live")).to.equal(true);
+      expect(canTransitionStream("live", "ended")).to.equal(true);
+      expect(canTransitionStream("live", "failed")).to.equal(true);
+    });
+
+    it("should let a stream that never went live be ended", function () {
+      expect(canTransitionStream("created", "ended")).to.equal(true);
+      expect(canTransitionStream("created", "failed")).to.equal(false);
+    });
+
+    it("should never move a finished stream", function () {
+      expect(canTransitionStream("ended", "live")).to.equal(false);
+      expect(canTransitionStream("failed", "ended")).to.equal(false);
+    });
+
+    it("should reject unknown statuses", function () {
+      expect(canTransitionStream("created", "active")).to.equal(false);
+      expect(canTransitionStream("active", "ended")).to.equal(false);
+    });
+  });
+
+  describe("getStreamEventChanges", function () {
+    it("should take a created stream live on Stream Start", function () {
+      const changes = getStreamEventChanges(
+        { status: "created" },
+        stateEvent("Stream Start", "2026-10-19T20:00:00Z")
+      );
+
+      expect(changes.status).to.equal("live");
+      expect(changes.start_time.toISOString()).to.equal(
+        "2026-10-19T20:00:00.000Z"
+      );
+      expect(changes.disconnected_at).to.equal(null);
+    });
+
+    it("should keep the first start time when the DJ reconnects", function () {
+      const changes = getStreamEventChanges(
+        {
+          status: "live",
+          start_time: "2026-10-19T20:00:00Z",
+          disconnected_at: "2026-10-19T20:30:00Z",
+          last_event_at: "2026-10-19T20:30:00Z",
+        },
+        stateEvent("Stream Start", "2026-10-19T20:32:00Z")
+      );
+
+      expect(changes.start_time).to.equal("2026-10-19T20:00:00Z");
+      expect(changes.disconnected_at).to.equal(null);
+    });
+
+    it("should mark a live stream disconnected on Stream End", function () {
+      const changes = getStreamEventChanges(
+        { status: "live" },
+        stateEvent("Stream End", "2026-10-19T21:00:00Z")
+      );
+
+      expect(changes).to.not.have.property("status");
+      expect(changes.disconnected_at.toISOString()).to.equal(
+        "2026-10-19T21:00:00.000Z"
+      );
+    });
+
+    it("should record the health of the stream", function () {
+      const changes = getStreamEventChanges(
+        { status: "live" },
+        {
+          "detail-type": STREAM_HEALTH_CHANGE,
+          time: "2026-10-19T20:10:00Z",
+          detail: { health: "STARVING" },
+        }
+      );
+
+      expect(changes.health).to.equal("STARVING");
+    });
+
+    it("should ignore events older than the last one applied", function () {
+      const changes = getStreamEventChanges(
+        { status: "live", last_event_at: "2026-10-19T21:00:00Z" },
+        stateEvent("Stream Start", "2026-10-19T20:00:00Z")
+      );
+
+      expect(changes).to.equal(null);
+    });
+
+    it("should ignore events for a finished stream", function () {
+      const changes = getStreamEventChanges(
+        { status: "ended" },
+        stateEvent("Stream Start", "2026-10-19T20:00:00Z")
+      );
+
+      expect(changes).to.equal(null);
+    });
+  });
+
+  describe("getDisconnectOutcome", function () {
+    const booking = { end_time: "2026-10-19T22:00:00Z" };
+
+    it("should wait out the grace period", function () {
+      const outcome = getDisconnectOutcome(
+        { disconnected_at: "2026-10-19T21:00:00Z" },
+        booking,
+        new Date("2026-10-19T21:04:59Z")
+      );
+
+      expect(outcome).to.equal(null);
+    });
+
+    it("should fail a stream that dropped before the party ended", function () {
+      const outcome = getDisconnectOutcome(
+        { disconnected_at: "2026-10-19T21:00:00Z" },
+        booking,
+        new Date("2026-10-19T21:05:00Z")
+      );
+
+      expect(outcome).to.equal("failed");
+    });
+
+    it("should end a stream that dropped after the party ended", function () {
+      const outcome = getDisconnectOutcome(
+        { disconnected_at: "2026-10-19T22:01:00Z" },
+        booking,
+        new Date("2026-10-19T22:10:00Z")
+      );
+
+      expect(outcome).to.equal("ended");
+    });
+  });
+});
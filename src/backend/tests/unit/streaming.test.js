@@ -0,0 +1,137 @@
+const chai = require("chai");
+const http = require("http");
+const {
+  createLocalProvider,
+  getStreamingProvider,
+  registerStreamingProvider,
+  setStreamingProvider,
+} = require("../../services/streaming.service");
+
+const expect = chai.expect;
+
+describe("Streaming Service", function () {
+  const localConfig = (httpPort) => ({
+    streaming: {
+      local: { host: "127.0.0.1", rtmpPort: 1935, httpPort, app: "live" },
+    },
+  });
+
+  afterEach(function () {
+    setStreamingProvider(null);
+  });
+
+  describe("local provider", function () {
+    let server;
+    let requests;
+
+    // Stands in for the media server's HTTP API
+    before(function (done) {
+      server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify({
+            isLive: true,
+            viewers: 3,
+            startTime: "2026-10-19T20:00:00.000Z",
+          })
+        );
+      });
+      server.listen(0, "127.0.0.1", done);
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+    beforeEach(function () {
+      requests = [];
+    });
+
+    it("should create a channel publishing to its own path", async function () {
+      const provider = createLocalProvider(localConfig(8000));
+      const channel = await provider.createChannel({ name: "party" });
+
+      expect(channel.ingest_endpoint).to.equal("rtmp://127.0.0.1:1935/live");
+      expect(channel.playback_url).to.equal(
+        `http://127.0.0.1:8000/live/${channel.channel_id}/index.m3u8`
+      );
+      expect(channel.stream_key).to.match(
+        new RegExp(`^${channel.channel_id}\\?key=[0-9a-f]{48}$`)
+      );
+    });
+
+    it("should rotate to a new key on the same channel", async function () {
+      const provider = createLocalProvider(localConfig(8000));
+      const channel = await provider.createChannel({ name: "party" });
+      const { stream_key } = await provider.rotateStreamKey(channel);
+
+      expect(stream_key).to.not.equal(channel.stream_key);
+      expect(stream_key.startsWith(`${channel.channel_id}?key=`)).to.be.true;
+    });
+
+    it("should read live status from the media server", async function () {
+      const provider = createLocalProvider(localConfig(server.address().port));
+      const status = await provider.getLiveStatus({ channel_id: "abc" });
+
+      expect(status).to.deep.equal({
+        live: true,
+        viewer_count: 3,
+        health: null,
+        started_at: "2026-10-19T20:00:00.000Z",
+      });
+      expect(requests).to.deep.equal(["GET /api/streams/live/abc"]);
+    });
+
+    it("should drop the publisher when the channel is deleted", async function () {
+      const provider = createLocalProvider(localConfig(server.address().port));
+
+      await provider.deleteChannel({ channel_id: "abc" });
+
+      expect(requests).to.deep.equal(["DELETE /api/streams/live/abc"]);
+    });
+
+    it("should drop the publisher when the key is revoked", async function () {
+      const provider = createLocalProvider(localConfig(server.address().port));
+
+      await provider.revokeStreamKey({ channel_id: "abc" });
+
+      expect(requests).to.deep.equal(["DELETE /api/streams/live/abc"]);
+    });
+
+    it("should report nothing live when the media server is down", async function () {
+      // Grab a free port and close it again, so nothing is listening there
+      const closed = http.createServer();
+      await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+      const { port } = closed.address();
+      await new Promise((resolve) => closed.close(resolve));
+
+      const provider = createLocalProvider(localConfig(port));
+      const status = await provider.getLiveStatus({ channel_id: "abc" });
+
+      expect(status.live).to.equal(false);
+    });
+  });
+
+  describe("getStreamingProvider", function () {
+    it("should use the provider that was set", function () {
+      const provider = { name: "fake" };
+      setStreamingProvider(provider);
+
+      expect(getStreamingProvider()).to.equal(provider);
+      expect(getStreamingProvider("fake")).to.equal(provider);
+    });
+
+    it("should build a registered provider by name", function () {
+      registerStreamingProvider("test", () => ({ name: "test" }));
+
+      expect(getStreamingProvider("test").name).to.equal("test");
+    });
+
+    it("should reject an unknown provider", function () {
+      expect(() => getStreamingProvider("nope")).to.throw(
+        "Unknown streaming provider: nope"
+      );
+    });
+  });
+});
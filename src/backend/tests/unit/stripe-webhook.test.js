@@ -0,0 +1,337 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const Booking = require("../../models/Booking");
+const Payment = require("../../models/Payment");
+const RescheduleRequest = require("../../models/RescheduleRequest");
+const StripeEvent = require("../../models/StripeEvent");
+const { supabase, logger } = require("../../utils/database");
+const { stripeClient } = require("../../utils/stripe");
+const PaymentController = require("../../controllers/payment.controller");
+const config = require("../../../config/config.json");
+
+const expect = chai.expect;
+
+describe("Stripe Webhook", function () {
+  const event = {
+    id: "evt_1",
+    type: "payment_intent.succeeded",
+    data: {
+      object: {
+        id: "pi_1",
+        metadata: { booking_id: "booking-1" },
+      },
+    },
+  };
+
+  const request = (body = event) => ({
+    headers: { "stripe-signature": "t=1,v1=signature" },
+    rawBody: Buffer.from(JSON.stringify(body)),
+  });
+
+  const response = () => {
+    const res = {};
+    res.status = sinon.stub().returns(res);
+    res.json = sinon.stub().returns(res);
+    res.send = sinon.stub().returns(res);
+    return res;
+  };
+
+  before(function () {
+    logger.silent = true;
+  });
+
+  after(function () {
+    logger.silent = false;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("StripeEvent.claim", function () {
+    // Chainable stand-in for a Supabase query that resolves to result
+    const query = (result) => {
+      const builder = {};
+      ["insert", "update", "select", "eq"].forEach((method) => {
+        builder[method] = sinon.stub().returns(builder);
+      });
+      builder.single = sinon.stub().resolves(result);
+      builder.then = (resolve, reject) =>
+        Promise.resolve(result).then(resolve, reject);
+      return builder;
+    };
+
+    const duplicate = { error: { code: "23505", message: "duplicate key" } };
+
+    const existing = (status, updatedAt = new Date()) =>
+      query({
+        data: { id: "evt_1", status, updated_at: updatedAt.toISOString() },
+        error: null,
+      });
+
+    it("should claim an event it has not seen", async function () {
+      const from = sinon
+        .stub(supabase, "from")
+        .returns(query({ error: null }));
+
+      expect(await StripeEvent.claim(event)).to.equal(true);
+      expect(from.calledOnce).to.equal(true);
+    });
+
+    it("should skip an event that was already processed", async function () {
+      const from = sinon.stub(supabase, "from");
+      from.onFirstCall().returns(query(duplicate));
+      from.onSecondCall().returns(existing("processed"));
+
+      expect(await StripeEvent.claim(event)).to.equal(false);
+      expect(from.calledTwice).to.equal(true);
+    });
+
+    it("should skip an event another delivery is processing", async function () {
+      const from = sinon.stub(supabase, "from");
+      from.onFirstCall().returns(query(duplicate));
+      from.onSecondCall().returns(existing("processing"));
+
+      expect(await StripeEvent.claim(event)).to.equal(false);
+    });
+
+    it("should reclaim an event whose last delivery failed", async function () {
+      const from = sinon.stub(supabase, "from");
+      const reclaim = query({ data: [{ id: "evt_1" }], error: null });
+      from.onFirstCall().returns(query(duplicate));
+      from.onSecondCall().returns(existing("failed"));
+      from.onThirdCall().returns(reclaim);
+
+      expect(await StripeEvent.claim(event)).to.equal(true);
+      expect(reclaim.update.firstCall.args[0].status).to.equal("processing");
+      expect(reclaim.eq.calledWith("status", "failed")).to.equal(true);
+    });
+
+    it("should lose a race to reclaim a stalled event", async function () {
+      const stalledAt = new Date(Date.now() - 10 * 60 * 1000);
+      const from = sinon.stub(supabase, "from");
+      from.onFirstCall().returns(query(duplicate));
+      from.onSecondCall().returns(existing("processing", stalledAt));
+      from.onThirdCall().returns(query({ data: [], error: null }));
+
+      expect(await StripeEvent.claim(event)).to.equal(false);
+    });
+  });
+
+  describe("Payment.cancelOpenPayments", function () {
+    it("should cancel every payment the host could still pay", async function () {
+      sinon.stub(Payment, "getByBookingId").resolves([
+        { id: "deposit", status: "succeeded", payment_intent_id: "pi_1" },
+        { id: "balance", status: "scheduled", payment_intent_id: null },
+        { id: "difference", status: "pending", payment_intent_id: "pi_2" },
+        { id: "charging", status: "processing", payment_intent_id: "pi_3" },
+      ]);
+      const cancel = sinon.stub(stripeClient.paymentIntents, "cancel");
+      cancel.resolves({});
+      // Already being paid; refunded if it succeeds
+      cancel.withArgs("pi_3").rejects(new Error("Cannot cancel"));
+      const updateStatus = sinon
+        .stub(Payment, "updateStatus")
+        .callsFake(async (id, status) => [{ id, status }]);
+
+      const canceled = await Payment.cancelOpenPayments("booking-1");
+
+      expect(cancel.args.map(([id]) => id)).to.deep.equal(["pi_2", "pi_3"]);
+      expect(canceled.map((payment) => payment.id)).to.deep.equal([
+        "balance",
+        "difference",
+      ]);
+      expect(updateStatus.firstCall.args[1]).to.equal("canceled");
+    });
+  });
+
+  describe("handleWebhook", function () {
+    beforeEach(function () {
+      sinon.stub(stripeClient.webhooks, "constructEvent").returns(event);
+    });
+
+    it("should reject an event whose signature does not verify", async function () {
+      stripeClient.webhooks.constructEvent.throws(
+        new Error("No signatures found matching the expected signature")
+      );
+      const claim = sinon.stub(StripeEvent, "claim");
+      const res = response();
+
+      await PaymentController.handleWebhook(request(), res);
+
+      expect(res.status.calledOnceWith(400)).to.equal(true);
+      expect(claim.called).to.equal(false);
+    });
+
+    describe("endpoint secrets", function () {
+      const env = { ...process.env };
+
+      afterEach(function () {
+        process.env = env;
+      });
+
+      it("should prefer the secrets set in the environment", async function () {
+        process.env = {
+          ...env,
+          STRIPE_WEBHOOK_SECRET: "whsec_platform",
+          STRIPE_CONNECT_WEBHOOK_SECRET: "whsec_connect",
+        };
+        const constructEvent = stripeClient.webhooks.constructEvent;
+        constructEvent.onFirstCall().throws(new Error("No signatures found"));
+        sinon.stub(StripeEvent, "claim").resolves(false);
+
+        await PaymentController.handleWebhook(request(), response());
+
+        expect(constructEvent.args.map((args) => args[2])).to.deep.equal([
+          "whsec_platform",
+          "whsec_connect",
+        ]);
+      });
+
+      it("should fall back to the secrets in config", async function () {
+        process.env = { ...env };
+        delete process.env.STRIPE_WEBHOOK_SECRET;
+        delete process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
+        const constructEvent = stripeClient.webhooks.constructEvent;
+        constructEvent.onFirstCall().throws(new Error("No signatures found"));
+        sinon.stub(StripeEvent, "claim").resolves(false);
+
+        await PaymentController.handleWebhook(request(), response());
+
+        expect(constructEvent.args.map((args) => args[2])).to.deep.equal([
+          config.stripe.webhookSecret,
+          config.stripe.connectWebhookSecret,
+        ]);
+      });
+    });
+
+    it("should claim, process and mark an event processed", async function () {
+      const claim = sinon.stub(StripeEvent, "claim").resolves(true);
+      const markProcessed = sinon
+        .stub(StripeEvent, "markProcessed")
+        .resolves([]);
+      const markFailed = sinon.stub(StripeEvent, "markFailed");
+      const getPayment = sinon
+        .stub(Payment, "getByStripePaymentIntentId")
+        .resolves(null);
+      const res = response();
+
+      await PaymentController.handleWebhook(request(), res);
+
+      expect(claim.calledOnceWith(event)).to.equal(true);
+      expect(getPayment.calledOnceWith("pi_1")).to.equal(true);
+      expect(markProcessed.calledOnceWith("evt_1")).to.equal(true);
+      expect(getPayment.calledBefore(markProcessed)).to.equal(true);
+      expect(markFailed.called).to.equal(false);
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+      expect(res.json.firstCall.args[0]).to.deep.equal({ received: true });
+    });
+
+    it("should acknowledge a redelivered event without processing it again", async function () {
+      sinon.stub(StripeEvent, "claim").resolves(false);
+      const markProcessed = sinon.stub(StripeEvent, "markProcessed");
+      const getPayment = sinon.stub(Payment, "getByStripePaymentIntentId");
+      const res = response();
+
+      await PaymentController.handleWebhook(request(), res);
+
+      expect(getPayment.called).to.equal(false);
+      expect(markProcessed.called).to.equal(false);
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+      expect(res.json.firstCall.args[0]).to.deep.equal({
+        received: true,
+        duplicate: true,
+      });
+    });
+
+    it("should mark a failed event so Stripe's redelivery retries it", async function () {
+      sinon.stub(StripeEvent, "claim").resolves(true);
+      const markProcessed = sinon.stub(StripeEvent, "markProcessed");
+      const markFailed = sinon.stub(StripeEvent, "markFailed").resolves([]);
+      sinon
+        .stub(Payment, "getByStripePaymentIntentId")
+        .rejects(new Error("Database unavailable"));
+      const res = response();
+
+      await PaymentController.handleWebhook(request(), res);
+
+      expect(markProcessed.called).to.equal(false);
+      expect(
+        markFailed.calledOnceWith("evt_1", "Database unavailable")
+      ).to.equal(true);
+      expect(res.status.calledOnceWith(500)).to.equal(true);
+    });
+
+    it("should reopen a reschedule whose payment was canceled", async function () {
+      const canceled = { ...event, type: "payment_intent.canceled" };
+      stripeClient.webhooks.constructEvent.returns(canceled);
+      sinon.stub(StripeEvent, "claim").resolves(true);
+      sinon.stub(StripeEvent, "markProcessed").resolves([]);
+      sinon.stub(Payment, "getByStripePaymentIntentId").resolves({
+        id: "payment-1",
+        booking_id: "booking-1",
+        status: "pending",
+        reschedule_request_id: "request-1",
+      });
+      const updateStatus = sinon.stub(Payment, "updateStatus").resolves([]);
+      const reopen = sinon.stub(RescheduleRequest, "reopen").resolves([]);
+      sinon
+        .stub(Booking, "getById")
+        .resolves({ id: "booking-1", status: "paid" });
+      const res = response();
+
+      await PaymentController.handleWebhook(request(canceled), res);
+
+      expect(updateStatus.calledOnceWith("payment-1", "canceled")).to.equal(
+        true
+      );
+      expect(reopen.calledOnceWith("request-1")).to.equal(true);
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+    });
+
+    it("should refund a payment that succeeds after the booking was cancelled", async function () {
+      sinon.stub(StripeEvent, "claim").resolves(true);
+      sinon.stub(StripeEvent, "markProcessed").resolves([]);
+      const payment = {
+        id: "payment-1",
+        booking_id: "booking-1",
+        kind: "full",
+        status: "canceled",
+      };
+      sinon.stub(Payment, "getByStripePaymentIntentId").resolves(payment);
+      sinon
+        .stub(Payment, "updateStatus")
+        .resolves([{ ...payment, status: "succeeded" }]);
+      sinon
+        .stub(Booking, "getById")
+        .resolves({ id: "booking-1", status: "cancelled" });
+      const refund = sinon.stub(Payment, "refund").resolves({});
+      const completeBooking = sinon.stub(Payment, "completeBooking");
+      const res = response();
+
+      await PaymentController.handleWebhook(request(), res);
+
+      const [paymentId, refundData] = refund.firstCall.args;
+      expect(paymentId).to.equal("payment-1");
+      expect(refundData.amount).to.equal(undefined);
+      expect(refundData.cancelBooking).to.equal(false);
+      expect(completeBooking.called).to.equal(false);
+      expect(res.status.calledOnceWith(200)).to.equal(true);
+    });
+
+    it("should still answer 500 when the failure cannot be recorded", async function () {
+      sinon.stub(StripeEvent, "claim").resolves(true);
+      sinon
+        .stub(StripeEvent, "markFailed")
+        .rejects(new Error("Database unavailable"));
+      sinon
+        .stub(Payment, "getByStripePaymentIntentId")
+        .rejects(new Error("Database unavailable"));
+      const res = response();
+
+      await PaymentController.handleWebhook(request(), res);
+
+      expect(res.status.calledOnceWith(500)).to.equal(true);
+    });
+  });
+});
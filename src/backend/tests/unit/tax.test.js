@@ -0,0 +1,211 @@
+const chai = require("chai");
+const {
+  normalizeCountry,
+  applyTaxRule,
+  createRulesTableProvider,
+  setTaxProvider,
+  calculateTaxes,
+  sumTaxes,
+} = require("../../services/tax.service");
+
+const expect = chai.expect;
+
+describe("Tax Service", function () {
+  afterEach(function () {
+    setTaxProvider(null);
+  });
+
+  const rules = {
+    countries: {
+      ES: { type: "vat", name: "VAT", rate: 21 },
+      DE: { type: "vat", name: "VAT", rate: 19 },
+      US: {
+        type: "sales_tax",
+        name: "Sales tax",
+        regions: { NY: 4 },
+      },
+    },
+  };
+
+  const performance = (seller, amount = 255) => ({
+    component: "booking",
+    taxable_amount: amount,
+    seller,
+  });
+
+  describe("normalizeCountry", function () {
+    it("should accept two-letter codes in any case", function () {
+      expect(normalizeCountry(" es ")).to.equal("ES");
+      expect(normalizeCountry("ESP")).to.equal(null);
+      expect(normalizeCountry(null)).to.equal(null);
+    });
+  });
+
+  describe("applyTaxRule", function () {
+    it("should charge VAT where the buyer is", function () {
+      const line = applyTaxRule(
+        rules,
+        { country: "es" },
+        performance({ country: "DE" }),
+        "EUR"
+      );
+
+      expect(line).to.include({
+        component: "booking",
+        jurisdiction: "ES",
+        type: "vat",
+        rate: 21,
+        taxable_amount: 255,
+        amount: 53.55,
+        reverse_charge: false,
+        description: "VAT 21% (ES) - performance",
+      });
+    });
+
+    it("should fall back to the seller's country", function () {
+      const line = applyTaxRule(
+        rules,
+        {},
+        performance({ country: "DE" }),
+        "EUR"
+      );
+
+      expect(line).to.include({ jurisdiction: "DE", amount: 48.45 });
+    });
+
+    it("should reverse charge VAT for businesses buying across a border", function () {
+      const line = applyTaxRule(
+        rules,
+        { country: "ES", tax_id: "ESB12345678" },
+        performance({ country: "DE" }),
+        "EUR"
+      );
+
+      expect(line).to.include({
+        rate: 0,
+        amount: 0,
+        reverse_charge: true,
+        description: "VAT reverse charge (ES) - performance",
+      });
+    });
+
+    it("should charge domestic businesses VAT", function () {
+      const line = applyTaxRule(
+        rules,
+        { country: "ES", tax_id: "ESB12345678" },
+        performance({ country: "ES" }),
+        "EUR"
+      );
+
+      expect(line).to.include({ reverse_charge: false, amount: 53.55 });
+    });
+
+    it("should look sales tax up by the buyer's region", function () {
+      const line = applyTaxRule(
+        rules,
+        { country: "US", region: "ny" },
+        performance({ country: "US" }, 100),
+        "USD"
+      );
+
+      expect(line).to.include({
+        jurisdiction: "US-NY",
+        type: "sales_tax",
+        amount: 4,
+      });
+      expect(
+        applyTaxRule(
+          rules,
+          { country: "US", region: "OR" },
+          performance({ country: "US" }, 100),
+          "USD"
+        )
+      ).to.equal(null);
+    });
+
+    it("should not tax where there is no rule", function () {
+      expect(
+        applyTaxRule(rules, { country: "BR" }, performance({}), "BRL")
+      ).to.equal(null);
+      expect(applyTaxRule(rules, {}, performance({}), "USD")).to.equal(null);
+    });
+  });
+
+  describe("rules table provider", function () {
+    it("should load the bundled rules file", async function () {
+      const provider = createRulesTableProvider({
+        rulesFile: "tax-rules.json",
+      });
+      const lines = await provider.calculate({
+        currency: "EUR",
+        buyer: { country: "FR" },
+        components: [performance({ country: "FR" }, 100)],
+      });
+
+      expect(lines).to.have.length(1);
+      expect(lines[0]).to.include({ jurisdiction: "FR", amount: 20 });
+    });
+  });
+
+  describe("calculateTaxes", function () {
+    it("should tax the performance and the platform fee separately", async function () {
+      let context;
+      setTaxProvider({
+        calculate: async (taxContext) => {
+          context = taxContext;
+          return [];
+        },
+      });
+
+      await calculateTaxes({
+        subtotal: 300,
+        currency: "EUR",
+        djProfile: { country: "DE", region: null },
+        host: { billing_details: { country: "ES", tax_id: "ES123" } },
+      });
+
+      expect(context.buyer).to.deep.equal({
+        country: "ES",
+        region: null,
+        tax_id: "ES123",
+      });
+      expect(
+        context.components.map((component) => [
+          component.component,
+          component.taxable_amount,
+        ])
+      ).to.deep.equal([
+        ["booking", 255],
+        ["platform_fee", 45],
+      ]);
+      expect(context.components[0].seller).to.deep.equal({
+        country: "DE",
+        region: null,
+      });
+    });
+
+    it("should round a plugged-in provider's amounts", async function () {
+      setTaxProvider({
+        calculate: async () => [{ component: "booking", amount: 12.345 }],
+      });
+
+      const lines = await calculateTaxes({
+        subtotal: 100,
+        currency: "JPY",
+        djProfile: {},
+        host: null,
+      });
+
+      expect(lines[0].amount).to.equal(12);
+    });
+  });
+
+  describe("sumTaxes", function () {
+    it("should total tax lines in the currency's minor unit", function () {
+      expect(
+        sumTaxes([{ amount: 53.55 }, { amount: "9.45" }], "EUR")
+      ).to.equal(63);
+      expect(sumTaxes([], "EUR")).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const chai = require("chai");
+const {
+  parseLocalTime,
+  resolveTimezone,
+  withLocalTimes,
+} = require("../../services/timezone.service");
+
+const expect = chai.expect;
+
+describe("Timezone Service", function () {
+  describe("parseLocalTime", function () {
+    it("should interpret wall-clock times in the given timezone", function () {
+      const { time, error } = parseLocalTime(
+        "2025-06-06T20:00",
+        "America/New_York"
+      );
+
+      expect(error).to.be.undefined;
+      expect(time.toISOString()).to.equal("2025-06-07T00:00:00.000Z");
+    });
+
+    it("should keep the instant of timestamps with an offset", function () {
+      const { time } = parseLocalTime(
+        "2025-06-06T20:00:00+02:00",
+        "America/New_York"
+      );
+
+      expect(time.toISOString()).to.equal("2025-06-06T18:00:00.000Z");
+      expect(time.format()).to.equal("2025-06-06T14:00:00-04:00");
+    });
+
+    it("should reject times inside a DST gap", function () {
+      const { error } = parseLocalTime("2025-03-30T02:30", "Europe/Berlin");
+
+      expect(error).to.match(/does not exist/);
+    });
+
+    it("should reject ambiguous times inside a DST overlap", function () {
+      const { error } = parseLocalTime("2025-10-26T02:30", "Europe/Berlin");
+
+      expect(error).to.match(/ambiguous/);
+    });
+
+    it("should reject malformed input", function () {
+      expect(parseLocalTime("tomorrow night", "UTC").error).to.equal(
+        "Invalid date format"
+      );
+    });
+  });
+
+  describe("resolveTimezone", function () {
+    it("should skip unknown zones and fall back to UTC", function () {
+      expect(resolveTimezone("Mars/Olympus", "Asia/Tokyo")).to.equal(
+        "Asia/Tokyo"
+      );
+      expect(resolveTimezone(undefined, "Nope")).to.equal("UTC");
+    });
+  });
+
+  describe("withLocalTimes", function () {
+    it("should express a booking in both host and DJ timezones", function () {
+      const booking = withLocalTimes({
+        start_time: "2025-06-07T00:00:00.000Z",
+        end_time: "2025-06-07T04:00:00.000Z",
+        host_timezone: "America/New_York",
+        dj_timezone: "Europe/Berlin",
+      });
+
+      expect(booking.local_times.host).to.deep.equal({
+        timezone: "America/New_York",
+        start_time: "2025-06-06T20:00:00-04:00",
+        end_time: "2025-06-07T00:00:00-04:00",
+      });
+      expect(booking.local_times.dj).to.deep.equal({
+        timezone: "Europe/Berlin",
+        start_time: "2025-06-07T02:00:00+02:00",
+        end_time: "2025-06-07T06:00:00+02:00",
+      });
+    });
+  });
+});
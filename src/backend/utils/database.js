@@ -42,6 +42,24 @@ const TABLES = {
   STREAMS: "streams",
   PAYMENTS: "payments",
   CHAT_MESSAGES: "chat_messages",
+  DJ_AVAILABILITY_RULES: "dj_availability_rules",
+  DJ_BLACKOUTS: "dj_blackouts",
+  BOOKING_STATUS_HISTORY: "booking_status_history",
+  BOOKING_RESCHEDULE_REQUESTS: "booking_reschedule_requests",
+  DJ_ADD_ONS: "dj_add_ons",
+  BOOKING_LINE_ITEMS: "booking_line_items",
+  DJ_PAYOUTS: "dj_payouts",
+  NO_SHOW_CLAIMS: "no_show_claims",
+  STRIPE_EVENTS: "stripe_events",
+  REFUNDS: "refunds",
+  AUDIT_LOG: "audit_log",
+  INVOICES: "invoices",
+  PROMO_CODES: "promo_codes",
+  PROMO_REDEMPTIONS: "promo_redemptions",
+  GIFT_CREDIT_TRANSACTIONS: "gift_credit_transactions",
+  NOTIFICATIONS: "notifications",
+  BOOKING_GUESTS: "booking_guests",
+  STREAM_EVENTS: "stream_events",
 };
 
 /**
@@ -0,0 +1,50 @@
+const stripe = require("stripe");
+const fs = require("fs");
+const path = require("path");
+
+// Load configuration
+const configPath = path.join(__dirname, "../../config/config.json");
+const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+/**
+ * Build Stripe client options, pointing the client at another API host
+ * (e.g. stripe-mock on http://localhost:12111) when STRIPE_API_BASE is set
+ * @param {string} apiBase - Base URL of the Stripe API
+ * @returns {Object} - Stripe client options
+ */
+const clientOptions = (apiBase) => {
+  if (!apiBase) {
+    return {};
+  }
+
+  const url = new URL(apiBase);
+
+  return {
+    host: url.hostname,
+    port: url.port || (url.protocol === "http:" ? 80 : 443),
+    protocol: url.protocol.replace(":", ""),
+  };
+};
+
+/**
+ * Create a Stripe client
+ * @param {Object} options - Optional secretKey and apiBase overrides
+ * @returns {Object} - Stripe client
+ */
+const createStripeClient = (options = {}) =>
+  stripe(
+    options.secretKey ||
+      process.env.STRIPE_SECRET_KEY ||
+      config.stripe.secretKey,
+    clientOptions(
+      options.apiBase || process.env.STRIPE_API_BASE || config.stripe.apiBase
+    )
+  );
+
+// Shared client for the models and controllers
+const stripeClient = createStripeClient();
+
+module.exports = {
+  stripeClient,
+  createStripeClient,
+};
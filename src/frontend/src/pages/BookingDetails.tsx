@@ -58,8 +58,10 @@ const getStatusColor = (
   | "warning" => {
   switch (status.toLowerCase()) {
     case "confirmed":
+    case "paid":
       return "success";
-    case "pending":
+    case "requested":
+    case "accepted":
       return "warning";
     case "cancelled":
       return "error";
@@ -120,7 +122,7 @@ const BookingDetails: React.FC = () => {
     setActionLoading(true);
 
     try {
-      await bookingApi.update(id, { status: "cancelled" });
+      await bookingApi.updateStatus(id, "cancelled");
       setBooking({ ...booking, status: "cancelled" });
       setSuccessMessage("Booking has been cancelled successfully.");
       setOpenCancelDialog(false);
@@ -138,9 +140,9 @@ const BookingDetails: React.FC = () => {
     setActionLoading(true);
 
     try {
-      await bookingApi.update(id, { status: "confirmed" });
-      setBooking({ ...booking, status: "confirmed" });
-      setSuccessMessage("Booking has been confirmed successfully.");
+      await bookingApi.updateStatus(id, "accepted");
+      setBooking({ ...booking, status: "accepted" });
+      setSuccessMessage("Booking has been accepted successfully.");
       setOpenConfirmDialog(false);
     } catch (err) {
       console.error("Error confirming booking:", err);
@@ -179,9 +181,10 @@ const BookingDetails: React.FC = () => {
 
   const isUserDJ = user?.role === "dj" && user?.id === booking.djId;
   const isUserCustomer = user?.role === "user" && user?.id === booking.userId;
-  const canCancel =
-    booking.status === "pending" || booking.status === "confirmed";
-  const canConfirm = isUserDJ && booking.status === "pending";
+  const canCancel = ["requested", "accepted", "paid", "confirmed"].includes(
+    booking.status
+  );
+  const canConfirm = isUserDJ && booking.status === "requested";
 
   return (
     <Layout title="Booking Details">
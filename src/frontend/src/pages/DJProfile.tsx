@@ -168,7 +168,7 @@ const DJProfilePage: React.FC = () => {
         endTime: endTime!.toISOString(),
         location: location,
         notes: notes,
-        status: "pending",
+        status: "requested",
         totalAmount: calculateTotalCost(),
       };
 
@@ -133,8 +133,10 @@ const Dashboard: React.FC = () => {
   const getStatusColor = (status: string) => {
     switch (status) {
       case "confirmed":
+      case "paid":
         return "success";
-      case "pending":
+      case "requested":
+      case "accepted":
         return "warning";
       case "cancelled":
         return "error";
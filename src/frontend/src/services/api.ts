@@ -94,6 +94,9 @@ export const bookingApi = {
   update: (id: string, bookingData: any) =>
     api.put(`/bookings/${id}`, bookingData),
 
+  updateStatus: (id: string, status: string, reason?: string) =>
+    api.patch(`/bookings/${id}/status`, { status, reason }),
+
   cancel: (id: string) => api.post(`/bookings/${id}/cancel`),
 
   getForDj: () => api.get("/bookings/dj"),